@@ -1,4 +1,4 @@
-import { createEl } from '../core/util/dom';
+import { createEl, addClass, removeClass, addDomEvent, removeDomEvent } from '../core/util/dom';
 import { isString } from 'core/util';
 import Control from './Control';
 import Map from '../map/Map';
@@ -7,17 +7,25 @@ import Map from '../map/Map';
  * @property {Object} options - options
  * @property {Object} [options.position='bottom-left'] - position of the control
  * @property {String} [options.content='Powered By <a href="http://www.org" target="_blank">maptalks</a>']  - content of the attribution control, HTML format
+ * @property {String} [options.separator=' | '] - separator between the content and attributions of visible layers
+ * @property {Number} [options.collapseWidth=480] - collapse the attribution into an "i" button when map's width is less than it, set to 0 to disable.
  * @memberOf control.Attribution
  * @instance
  */
 const options = {
     'position': 'bottom-left',
-    'content': 'Powered By <a href="http://www.maptalks.org" target="_blank">maptalks</a>'
+    'content': 'Powered By <a href="http://www.maptalks.org" target="_blank">maptalks</a>',
+    'separator': ' | ',
+    'collapseWidth': 480
 };
 
+const LAYER_EVENTS = 'show hide';
+
 /**
  * @classdesc
- * A control to allows to display attribution content in a small text box on the map.
+ * A control to allows to display attribution content in a small text box on the map. <br>
+ * Attributions of map's visible layers, defined by layer's attribution option, are appended to the content,
+ * and updated when layers are added, removed, shown, hidden or out of their zoom range.
  * @category control
  * @extends control.Control
  * @memberOf control
@@ -26,6 +34,12 @@ const options = {
  *     position : 'bottom-left',
  *     content : 'hello maptalks'
  * }).addTo(map);
+ *
+ * var tileLayer = new maptalks.TileLayer('base', {
+ *     urlTemplate : 'http://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+ *     subdomains : ['a', 'b', 'c'],
+ *     attribution : '&copy; <a href="http://osm.org">OpenStreetMap</a> contributors'
+ * });
  */
 class Attribution extends Control {
 
@@ -35,6 +49,22 @@ class Attribution extends Control {
         return this._attributionContainer;
     }
 
+    onAdd() {
+        this.getMap().on('addlayer removelayer setbaselayer', this._onLayerChange, this)
+            .on('zoomend resize', this._update, this);
+        this._onLayerChange();
+    }
+
+    onRemove() {
+        this.getMap().off('addlayer removelayer setbaselayer', this._onLayerChange, this)
+            .off('zoomend resize', this._update, this);
+        this._bindLayers([], LAYER_EVENTS, this._update);
+        if (this._toggle) {
+            removeDomEvent(this._toggle, 'click', this._onToggle);
+            delete this._toggle;
+        }
+    }
+
     /**
      * Set content of the attribution
      * @param {String} content - attribution content
@@ -46,16 +76,73 @@ class Attribution extends Control {
         return this;
     }
 
+    /**
+     * Get attributions of map's visible layers, duplicate ones are omitted.
+     * @return {String[]}
+     */
+    getAttributions() {
+        const map = this.getMap();
+        if (!map) {
+            return [];
+        }
+        const attributions = [];
+        map._getLayers(layer => layer.isVisible()).forEach(layer => {
+            const attribution = layer.options['attribution'];
+            if (attribution && attributions.indexOf(attribution) < 0) {
+                attributions.push(attribution);
+            }
+        });
+        return attributions;
+    }
+
+    _onLayerChange() {
+        this._bindLayers(this.getMap()._getLayers(), LAYER_EVENTS, this._update);
+        this._update();
+    }
+
     _update() {
         if (!this.getMap()) {
             return;
         }
-        let content = this.options['content'];
+        const contents = this.getAttributions();
+        if (this.options['content']) {
+            contents.unshift(this.options['content']);
+        }
+        let content = contents.join(this.options['separator']);
         if (isString(content) && content.charAt(0) !== '<') {
             this._attributionContainer.className = 'maptalks-attribution';
             content = '<span style="padding:0px 4px">' + content + '</span>';
         }
         this._attributionContainer.innerHTML = content;
+        this._updateCollapse();
+    }
+
+    _updateCollapse() {
+        const container = this._attributionContainer;
+        const collapseWidth = this.options['collapseWidth'];
+        if (!collapseWidth || this.getMap().getSize()['width'] >= collapseWidth) {
+            removeClass(container, 'maptalks-attribution-collapsed');
+            return;
+        }
+        addClass(container, 'maptalks-attribution');
+        addClass(container, 'maptalks-attribution-collapsed');
+        if (this._expanded) {
+            addClass(container, 'maptalks-attribution-expanded');
+        } else {
+            removeClass(container, 'maptalks-attribution-expanded');
+        }
+        if (!this._toggle) {
+            this._toggle = createEl('a', 'maptalks-attribution-toggle');
+            this._toggle.href = 'javascript:;';
+            this._toggle.innerHTML = 'i';
+            addDomEvent(this._toggle, 'click', this._onToggle, this);
+        }
+        container.insertBefore(this._toggle, container.firstChild);
+    }
+
+    _onToggle() {
+        this._expanded = !this._expanded;
+        this._updateCollapse();
     }
 }
 
@@ -0,0 +1,293 @@
+import { isNil, isString } from 'core/util';
+import { isGradient } from 'core/util/style';
+import { on, off, createEl } from 'core/util/dom';
+import { loadFunctionTypes } from 'core/mapbox';
+import Canvas from 'core/Canvas';
+import Point from 'geo/Point';
+import PointExtent from 'geo/PointExtent';
+import VectorMarkerSymbolizer from 'renderer/geometry/symbolizers/VectorMarkerSymbolizer';
+import StrokeAndFillSymbolizer from 'renderer/geometry/symbolizers/StrokeAndFillSymbolizer';
+import Map from 'map/Map';
+import Control from './Control';
+
+/**
+ * @property {Object}   options - options
+ * @property {String|Object}   [options.position="top-right"]  - position of the control.
+ * @property {String[]|Layer[]} [options.layers=null] - layers or layer ids in the legend, all the VectorLayers and VectorTileLayers with a style are listed if not set.
+ * @property {Number[]} [options.swatchSize=[20, 16]] - width and height of the swatch of a rule
+ * @property {String}   [options.title=null]    - title of the legend, HTML format
+ * @property {Boolean}  [options.toggleable=true] - whether to show checkboxes to show or hide layers and rules
+ * @memberOf control.Legend
+ * @instance
+ */
+const options = {
+    'position': 'top-right',
+    'layers' : null,
+    'swatchSize' : [20, 16],
+    'title' : null,
+    'toggleable' : true
+};
+
+const LAYER_EVENTS = 'setstyle removestyle show hide stylerulechange';
+
+/**
+ * @classdesc
+ * A legend control listing layers and rules of their styles, each rule with a swatch drawn by its symbol. <br>
+ * A rule is labelled by its title property, its filter is used if title is absent. <br>
+ * Layers and geometries of rules can be shown or hidden by the checkboxes,
+ * and the legend is updated when layers' styles change.
+ * @category control
+ * @extends control.Control
+ * @memberOf control
+ * @example
+ * layer.setStyle([
+ *     {
+ *         title : 'Population > 1M',
+ *         filter : ['>', 'population', 1000000],
+ *         symbol : { markerType : 'ellipse', markerFill : '#f00' }
+ *     },
+ *     {
+ *         title : 'Others',
+ *         filter : true,
+ *         symbol : { markerType : 'ellipse', markerFill : '#00f' }
+ *     }
+ * ]);
+ * var legend = new maptalks.control.Legend({
+ *     title : 'Cities'
+ * }).addTo(map);
+ */
+class Legend extends Control {
+    /**
+     * method to build DOM of the control
+     * @return {HTMLDOMElement}
+     */
+    buildOn() {
+        this._legendContainer = createEl('div', 'maptalks-legend');
+        on(this._legendContainer, 'change', this._onCheck, this);
+        return this._legendContainer;
+    }
+
+    onAdd() {
+        this.getMap().on('addlayer removelayer', this._onLayerChange, this);
+        this._onLayerChange();
+    }
+
+    onRemove() {
+        this.getMap().off('addlayer removelayer', this._onLayerChange, this);
+        this._bindLayers([], LAYER_EVENTS, this._update);
+        off(this._legendContainer, 'change', this._onCheck, this);
+        delete this._legendContainer;
+        delete this._entries;
+    }
+
+    /**
+     * Get entries of the legend, an entry for a layer with its rules:
+     * <pre>
+     * {
+     *     layer : layer,
+     *     title : 'layer id',
+     *     visible : true,
+     *     rules : [{ index : 0, title : 'rule title', symbol : {...}, visible : true }]
+     * }
+     * </pre>
+     * @return {Object[]}
+     */
+    getEntries() {
+        const listed = !!this.options['layers'];
+        // layers are bound even without a style, to be listed once they are styled
+        return this._getLayers().filter(layer => listed || layer.getStyle()).map(layer => {
+            let style = layer.getStyle ? layer.getStyle() : null;
+            if (style && !Array.isArray(style)) {
+                style = [style];
+            }
+            const rules = (style || []).map((rule, index) => {
+                return {
+                    'index' : index,
+                    'title' : getRuleTitle(rule),
+                    'symbol' : rule['symbol'],
+                    'visible' : layer.isStyleRuleVisible ? layer.isStyleRuleVisible(index) : true
+                };
+            });
+            return {
+                'layer' : layer,
+                'title' : layer.getId(),
+                'visible' : layer.isVisible(),
+                'rules' : rules
+            };
+        });
+    }
+
+    _getLayers() {
+        const map = this.getMap();
+        if (!map) {
+            return [];
+        }
+        const layers = this.options['layers'];
+        if (!layers) {
+            return map.getLayers(layer => !!(layer.isStyleRuleVisible && layer.getStyle));
+        }
+        return layers.map(layer => isString(layer) ? map.getLayer(layer) : layer)
+            .filter(layer => layer && layer.getMap() === map);
+    }
+
+    _onLayerChange() {
+        this._bindLayers(this._getLayers(), LAYER_EVENTS, this._update);
+        this._update();
+    }
+
+    _update() {
+        const container = this._legendContainer;
+        if (!container || !this.getMap()) {
+            return;
+        }
+        container.innerHTML = '';
+        if (this.options['title']) {
+            const title = createEl('div', 'maptalks-legend-title');
+            title.innerHTML = this.options['title'];
+            container.appendChild(title);
+        }
+        this._entries = this.getEntries();
+        this._entries.forEach((entry, i) => {
+            const dom = createEl('div', 'maptalks-legend-layer');
+            dom.appendChild(this._createItem('maptalks-legend-layer-title', entry['title'], entry['visible'], i));
+            entry['rules'].forEach(rule => {
+                const item = this._createItem('maptalks-legend-rule', rule['title'], rule['visible'], i, rule['index']);
+                item.insertBefore(this._createSwatch(rule['symbol']), item.lastChild);
+                dom.appendChild(item);
+            });
+            container.appendChild(dom);
+        });
+    }
+
+    _createItem(className, title, visible, layerIndex, ruleIndex) {
+        const item = createEl('label', className);
+        const layer = this._entries[layerIndex]['layer'];
+        if (this.options['toggleable'] && (isNil(ruleIndex) || layer.setStyleRuleVisible)) {
+            const checkbox = createEl('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = visible;
+            checkbox.setAttribute('data-layer', layerIndex);
+            if (!isNil(ruleIndex)) {
+                checkbox.setAttribute('data-rule', ruleIndex);
+            }
+            item.appendChild(checkbox);
+        }
+        const label = createEl('span');
+        label.textContent = title;
+        item.appendChild(label);
+        return item;
+    }
+
+    _createSwatch(symbol) {
+        const size = this.options['swatchSize'],
+            map = this.getMap();
+        const canvas = Canvas.createCanvas(size[0], size[1], map.CanvasClass);
+        canvas.className = 'maptalks-legend-swatch';
+        drawSwatch(canvas.getContext('2d'), symbol, size[0], size[1], map);
+        return canvas;
+    }
+
+    _onCheck(e) {
+        const target = e.target;
+        const layerIndex = target.getAttribute('data-layer');
+        if (isNil(layerIndex) || !this._entries || !this._entries[layerIndex]) {
+            return;
+        }
+        const layer = this._entries[layerIndex]['layer'],
+            ruleIndex = target.getAttribute('data-rule');
+        if (!isNil(ruleIndex)) {
+            layer.setStyleRuleVisible(+ruleIndex, target.checked);
+        } else if (target.checked) {
+            layer.show();
+        } else {
+            layer.hide();
+        }
+    }
+}
+
+Legend.mergeOptions(options);
+
+Map.mergeOptions({
+    'legendControl': false
+});
+
+Map.addOnLoadHook(function () {
+    if (this.options['legendControl']) {
+        this.legendControl = new Legend(this.options['legendControl']);
+        this.addControl(this.legendControl);
+    }
+});
+
+export default Legend;
+
+function getRuleTitle(rule) {
+    if (!isNil(rule['title'])) {
+        return rule['title'];
+    }
+    const filter = rule['filter'];
+    return filter === true || isNil(filter) ? '' : JSON.stringify(filter);
+}
+
+// draw a symbol in a swatch of w x h with the drawing methods of symbolizers
+function drawSwatch(ctx, symbol, w, h, map) {
+    if (!symbol) {
+        return;
+    }
+    if (Array.isArray(symbol)) {
+        symbol.forEach(s => drawSwatch(ctx, s, w, h, map));
+        return;
+    }
+    symbol = loadFunctionTypes(symbol, () => [map.getZoom(), {}]) || symbol;
+    if (!isNil(symbol['markerFile'])) {
+        const img = Canvas.createImage(map.CanvasClass);
+        img.onload = function () {
+            const ratio = Math.min(1, w / this.width, h / this.height),
+                width = this.width * ratio,
+                height = this.height * ratio;
+            Canvas.image(ctx, this, (w - width) / 2, (h - height) / 2, width, height);
+        };
+        img.src = symbol['markerFile'];
+    } else if (VectorMarkerSymbolizer.test(symbol)) {
+        const style = VectorMarkerSymbolizer.translate(symbol),
+            strokeAndFill = VectorMarkerSymbolizer.translateLineAndFill(style);
+        const lineWidth = style['markerLineWidth'],
+            ratio = Math.min(1, (w - lineWidth) / style['markerWidth'], (h - lineWidth) / style['markerHeight']);
+        style['markerWidth'] *= ratio;
+        style['markerHeight'] *= ratio;
+        const markerType = style['markerType'].toLowerCase();
+        let point;
+        if (markerType === 'rectangle') {
+            point = new Point((w - style['markerWidth']) / 2, (h - style['markerHeight']) / 2);
+        } else if (markerType === 'bar' || markerType === 'pin' || markerType === 'pie') {
+            point = new Point(w / 2, (h + style['markerHeight']) / 2);
+        } else {
+            point = new Point(w / 2, h / 2);
+        }
+        setGradientExtent(strokeAndFill, w, h);
+        Canvas.prepareCanvas(ctx, strokeAndFill);
+        VectorMarkerSymbolizer.drawVectorMarker(ctx, point, style, strokeAndFill);
+    } else if (StrokeAndFillSymbolizer.test(symbol)) {
+        const isPolygon = Object.keys(symbol).some(p => p.slice(0, 4) === 'poly');
+        const style = StrokeAndFillSymbolizer.translate(symbol, isPolygon ? 'Polygon' : 'LineString');
+        const d = Math.ceil(style['lineWidth'] / 2);
+        setGradientExtent(style, w, h);
+        Canvas.prepareCanvas(ctx, style);
+        if (isPolygon) {
+            const points = [new Point(d, d), new Point(w - d, d), new Point(w - d, h - d), new Point(d, h - d)];
+            Canvas.polygon(ctx, points, style['lineOpacity'], style['polygonOpacity'], style['lineDasharray']);
+        } else {
+            const points = [new Point(d, h / 2), new Point(w - d, h / 2)];
+            Canvas.path(ctx, points, style['lineOpacity'], null, style['lineDasharray']);
+        }
+    }
+}
+
+function setGradientExtent(style, w, h) {
+    const extent = new PointExtent(0, 0, w, h);
+    if (isGradient(style['lineColor'])) {
+        style['lineGradientExtent'] = extent;
+    }
+    if (isGradient(style['polygonFill'])) {
+        style['polygonGradientExtent'] = extent;
+    }
+}
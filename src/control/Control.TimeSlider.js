@@ -0,0 +1,304 @@
+import { isNil, isObject, isFunction, now, toTime, requestAnimFrame, cancelAnimFrame } from 'core/util';
+import { on, off, createEl, preventDefault } from 'core/util/dom';
+import Map from 'map/Map';
+import Control from './Control';
+
+/**
+ * @property {Object}   options - options
+ * @property {String|Object}   [options.position="bottom-left"]  - position of the control.
+ * @property {Number|Date} [options.start=null] - start time of the slider, start of map's time range by default
+ * @property {Number|Date} [options.end=null]   - end time of the slider, end of map's time range by default
+ * @property {Number}   [options.window=0]       - length of the time window ending at slider's time, map is set to a moment if it is 0
+ * @property {Number}   [options.duration=10000] - time in ms to play from start to end at speed 1
+ * @property {Number[]} [options.speeds=[1, 2, 4]] - speeds switched by the speed button
+ * @property {Number}   [options.speed=1]        - initial speed
+ * @property {Boolean}  [options.loop=true]      - whether to play from start again after reaching the end
+ * @property {Function} [options.formatTime=null] - function to format time as text of the label, ISO string by default
+ * @memberOf control.TimeSlider
+ * @instance
+ */
+const options = {
+    'position': 'bottom-left',
+    'start' : null,
+    'end' : null,
+    'window' : 0,
+    'duration' : 10000,
+    'speeds' : [1, 2, 4],
+    'speed' : 1,
+    'loop' : true,
+    'formatTime' : null
+};
+
+/**
+ * @classdesc
+ * A time slider control with play, pause and speed buttons to animate map's time through a range. <br>
+ * It sets map's time by [setTime]{@link Map#setTime} or [setTimeRange]{@link Map#setTimeRange} if window option is set,
+ * geometries of layers with startTimeProperty or endTimeProperty are filtered by the time.
+ * @category control
+ * @extends control.Control
+ * @memberOf control
+ * @example
+ * var slider = new maptalks.control.TimeSlider({
+ *     start : new Date(2017, 0, 1),
+ *     end : new Date(2017, 11, 31),
+ *     window : 7 * 24 * 3600 * 1000
+ * }).addTo(map);
+ * slider.play();
+ */
+class TimeSlider extends Control {
+    /**
+     * method to build DOM of the control
+     * @param  {Map} map map to build on
+     * @return {HTMLDOMElement}
+     */
+    buildOn(map) {
+        const range = map.getTimeRange();
+        const start = toTime(isNil(this.options['start']) && range ? range[0] : this.options['start']),
+            end = toTime(isNil(this.options['end']) && range ? range[1] : this.options['end']);
+        if (isNil(start) || isNil(end) || !(start < end)) {
+            throw new Error('Invalid time range of TimeSlider: ' + this.options['start'] + ',' + this.options['end']);
+        }
+        this._start = start;
+        this._end = end;
+        if (isNil(this._speed)) {
+            this._speed = this.options['speed'];
+        }
+
+        const dom = createEl('div', 'maptalks-timeslider');
+
+        const playButton = createEl('a', 'maptalks-timeslider-play');
+        playButton.href = 'javascript:;';
+        dom.appendChild(playButton);
+        this._playButton = playButton;
+
+        const slider = createEl('input', 'maptalks-timeslider-range');
+        slider.type = 'range';
+        slider.min = start;
+        slider.max = end;
+        slider.step = 'any';
+        dom.appendChild(slider);
+        this._slider = slider;
+
+        const speedButton = createEl('a', 'maptalks-timeslider-speed');
+        speedButton.href = 'javascript:;';
+        dom.appendChild(speedButton);
+        this._speedButton = speedButton;
+
+        const label = createEl('span', 'maptalks-timeslider-label');
+        dom.appendChild(label);
+        this._label = label;
+
+        on(playButton, 'click', this._onPlayClick, this);
+        on(speedButton, 'click', this._onSpeedClick, this);
+        on(slider, 'input change', this._onSlide, this);
+        map.on('timechange', this._onTimeChange, this);
+
+        this._time = range && range[1] >= start && range[1] <= end ? range[1] : start;
+        this._update();
+        return dom;
+    }
+
+    onAdd() {
+        if (!this.getMap().getTimeRange()) {
+            this.setTime(this._time);
+        }
+    }
+
+    onRemove() {
+        this.pause();
+        this.getMap().off('timechange', this._onTimeChange, this);
+        off(this._playButton, 'click', this._onPlayClick, this);
+        off(this._speedButton, 'click', this._onSpeedClick, this);
+        off(this._slider, 'input change', this._onSlide, this);
+        delete this._playButton;
+        delete this._speedButton;
+        delete this._slider;
+        delete this._label;
+    }
+
+    /**
+     * Set slider's time and update map's time
+     * @param {Number|Date} time - time to set
+     * @return {control.TimeSlider} this
+     */
+    setTime(time) {
+        time = Math.min(Math.max(toTime(time), this._start), this._end);
+        this._time = time;
+        const map = this.getMap();
+        if (map) {
+            const win = this.options['window'];
+            if (win > 0) {
+                map.setTimeRange(Math.max(this._start, time - win), time);
+            } else {
+                map.setTime(time);
+            }
+        }
+        this._update();
+        return this;
+    }
+
+    /**
+     * Get slider's time
+     * @return {Number}
+     */
+    getTime() {
+        return this._time;
+    }
+
+    /**
+     * Play through the time range from current time
+     * @return {control.TimeSlider} this
+     * @fires control.TimeSlider#play
+     */
+    play() {
+        if (this.isPlaying() || !this.getMap()) {
+            return this;
+        }
+        if (this._time >= this._end) {
+            this.setTime(this._start);
+        }
+        this._lastFrameTime = now();
+        this._playFrame = requestAnimFrame(() => this._frame());
+        this._update();
+        /**
+         * play event.
+         *
+         * @event control.TimeSlider#play
+         * @type {Object}
+         * @property {String} type - play
+         * @property {control.TimeSlider} target - the control instance
+         */
+        this.fire('play');
+        return this;
+    }
+
+    /**
+     * Pause playing
+     * @return {control.TimeSlider} this
+     * @fires control.TimeSlider#pause
+     */
+    pause() {
+        if (!this.isPlaying()) {
+            return this;
+        }
+        cancelAnimFrame(this._playFrame);
+        delete this._playFrame;
+        this._update();
+        /**
+         * pause event.
+         *
+         * @event control.TimeSlider#pause
+         * @type {Object}
+         * @property {String} type - pause
+         * @property {control.TimeSlider} target - the control instance
+         */
+        this.fire('pause');
+        return this;
+    }
+
+    /**
+     * Whether the slider is playing
+     * @return {Boolean}
+     */
+    isPlaying() {
+        return !isNil(this._playFrame);
+    }
+
+    /**
+     * Set playing speed
+     * @param {Number} speed - speed, 1 is to play from start to end in duration option
+     * @return {control.TimeSlider} this
+     */
+    setSpeed(speed) {
+        if (!(speed > 0)) {
+            throw new Error('Invalid speed of TimeSlider: ' + speed);
+        }
+        this._speed = speed;
+        this._update();
+        return this;
+    }
+
+    /**
+     * Get playing speed
+     * @return {Number}
+     */
+    getSpeed() {
+        return isNil(this._speed) ? this.options['speed'] : this._speed;
+    }
+
+    _frame() {
+        const t = now(),
+            elapsed = t - this._lastFrameTime;
+        this._lastFrameTime = t;
+        let time = this._time + elapsed * this.getSpeed() * (this._end - this._start) / this.options['duration'];
+        if (time >= this._end) {
+            if (this.options['loop'] && this._time < this._end) {
+                time = this._end;
+            } else if (this.options['loop']) {
+                time = this._start;
+            } else {
+                this.setTime(this._end);
+                this.pause();
+                return;
+            }
+        }
+        this.setTime(time);
+        this._playFrame = requestAnimFrame(() => this._frame());
+    }
+
+    _update() {
+        if (!this._slider) {
+            return;
+        }
+        this._slider.value = this._time;
+        this._playButton.innerHTML = this.isPlaying() ? '&#10074;&#10074;' : '&#9654;';
+        this._speedButton.innerHTML = this.getSpeed() + 'x';
+        const formatTime = this.options['formatTime'];
+        this._label.textContent = isFunction(formatTime) ? formatTime(this._time) : new Date(this._time).toISOString();
+    }
+
+    _onPlayClick(e) {
+        preventDefault(e);
+        if (this.isPlaying()) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    _onSpeedClick(e) {
+        preventDefault(e);
+        const speeds = this.options['speeds'];
+        const index = speeds.indexOf(this.getSpeed());
+        this.setSpeed(speeds[(index + 1) % speeds.length]);
+    }
+
+    _onSlide() {
+        this.setTime(+this._slider.value);
+    }
+
+    _onTimeChange(e) {
+        //map's time is changed by others
+        if (e['to'] && e['to'][1] !== this._time && e['to'][1] >= this._start && e['to'][1] <= this._end) {
+            this._time = e['to'][1];
+            this._update();
+        }
+    }
+}
+
+TimeSlider.mergeOptions(options);
+
+Map.mergeOptions({
+    'timeSliderControl': false
+});
+
+Map.addOnLoadHook(function () {
+    const sliderOptions = this.options['timeSliderControl'];
+    if (sliderOptions) {
+        // e.g. timeSliderControl : true to slide through map's timeRange
+        this.timeSliderControl = new TimeSlider(isObject(sliderOptions) ? sliderOptions : null);
+        this.addControl(this.timeSliderControl);
+    }
+});
+
+export default TimeSlider;
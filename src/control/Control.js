@@ -210,6 +210,28 @@ class Control extends Eventable(Class) {
         return this;
     }
 
+    /**
+     * Listen to events of the layers by the handler, layers bound before but not in the given ones are unbound.
+     * @param  {Layer[]} layers   - layers to bind, an empty array to unbind all
+     * @param  {String} events    - layer events
+     * @param  {Function} handler - event handler called in the control's context
+     * @private
+     */
+    _bindLayers(layers, events, handler) {
+        const bound = this._boundLayers || [];
+        bound.forEach(layer => {
+            if (layers.indexOf(layer) < 0) {
+                layer.off(events, handler, this);
+            }
+        });
+        layers.forEach(layer => {
+            if (bound.indexOf(layer) < 0) {
+                layer.on(events, handler, this);
+            }
+        });
+        this._boundLayers = layers;
+    }
+
     _parse(position) {
         let p = position;
         if (isString(position)) {
@@ -2,19 +2,23 @@
 
 import Control from './Control';
 import Attribution from './Control.Attribution';
+import Legend from './Control.Legend';
 // import './Control.Nav';
 import Overview from './Control.Overview';
 import Panel from './Control.Panel';
 import Scale from './Control.Scale';
 import Toolbar from './Control.Toolbar';
+import TimeSlider from './Control.TimeSlider';
 import Zoom from './Control.Zoom';
 
 export {
     Control,
     Attribution,
+    Legend,
     Overview,
     Panel,
     Scale,
     Toolbar,
+    TimeSlider,
     Zoom
 };
@@ -164,4 +164,42 @@ Ajax.getJSON = function (url, cb) {
     return Ajax.get(url, callback);
 };
 
+/**
+ * Fetch resource as an ArrayBuffer, e.g. a binary vector tile.
+ * @param {String} url          - resource's url
+ * @param {Function} callback   - callback function when completed.
+ * @example
+ * maptalks.Ajax.getArrayBuffer(
+ *     'url/to/tile.pbf',
+ *     (err, buffer) => {
+ *         if (err) {
+ *             throw new Error(err);
+ *         }
+ *         // buffer is an ArrayBuffer
+ *         console.log(buffer.byteLength);
+ *     }
+ * );
+ * @static
+ */
+Ajax.getArrayBuffer = function (url, cb) {
+    if (IS_NODE && Ajax.getArrayBuffer.node) {
+        return Ajax.getArrayBuffer.node(url, cb);
+    }
+    const client = new XMLHttpRequest();
+    client.open('GET', url, true);
+    client.responseType = 'arraybuffer';
+    client.onload = function () {
+        if (client.status === 200 || (client.status === 0 && client.response)) {
+            cb(null, client.response);
+        } else {
+            cb('Status:' + client.status + ',' + client.statusText);
+        }
+    };
+    client.onerror = function () {
+        cb('Status:' + client.status + ',' + client.statusText);
+    };
+    client.send(null);
+    return Ajax;
+};
+
 export default Ajax;
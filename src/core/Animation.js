@@ -455,7 +455,74 @@ extend(Player.prototype, /** @lends animation.Player.prototype */{
         return this;
     },
 
+    /**
+     * Reverse the playing direction, the animation plays from current time back to the start. <br>
+     * A finished animation is played again in reverse.
+     * @return {Player} this
+     */
     reverse() {
+        this._reversed = !this._reversed;
+        if (this.playState === 'running') {
+            const t = Date.now(),
+                elapsed = this.duration - Math.min(t - this._playStartTime, this.duration);
+            this._playStartTime = t - elapsed;
+        } else if (this.playState === 'paused') {
+            this.currentTime = this.duration - this.currentTime;
+        } else if (this.playState === 'finished') {
+            this.finished = false;
+            this.currentTime = 0;
+            this.playState = 'paused';
+            this.play();
+        }
+        return this;
+    },
+
+    /**
+     * Whether the animation is played in reverse
+     * @return {Boolean}
+     */
+    isReversed() {
+        return !!this._reversed;
+    },
+
+    /**
+     * Seek the animation to the given time, a frame at the time is rendered if the animation isn't running.
+     * @param {Number} time - time in ms from the start of the animation, regardless of the playing direction
+     * @return {Player} this
+     */
+    seek(time) {
+        if (this.playState === 'idle') {
+            this._prepare();
+            this.startTime = Date.now();
+        }
+        time = Math.min(Math.max(time, 0), this.duration);
+        const elapsed = this._reversed ? this.duration - time : time;
+        if (this.playState === 'running') {
+            this._playStartTime = Date.now() - elapsed;
+            return this;
+        }
+        this.finished = false;
+        this.playState = 'paused';
+        this.currentTime = elapsed;
+        if (this._onFrame) {
+            const frame = this._getFrame(elapsed);
+            frame.state.playState = this.playState;
+            this._onFrame(frame);
+        }
+        return this;
+    },
+
+    /**
+     * Get the frame at elapsed time in the playing direction
+     * @private
+     */
+    _getFrame(elapsed) {
+        if (!this._reversed) {
+            return this._animation(elapsed, this.duration);
+        }
+        const frame = this._animation(this.duration - elapsed, this.duration);
+        frame.state.playState = elapsed < 0 ? 'idle' : elapsed >= this.duration ? 'finished' : 'running';
+        return frame;
     },
 
     _run() {
@@ -473,14 +540,14 @@ extend(Player.prototype, /** @lends animation.Player.prototype */{
                 } else if (this.playState === 'idle') {
                     elapsed = 0;
                 }
-                const frame = this._animation(elapsed, this.duration);
+                const frame = this._getFrame(elapsed);
                 frame.state.playState = this.playState;
                 onFrame(frame);
             }
             return;
         }
         //elapsed, duration
-        const frame = this._animation(elapsed, this.duration);
+        const frame = this._getFrame(elapsed);
         this.playState = frame.state['playState'];
 
         if (this.playState === 'idle') {
@@ -33,6 +33,18 @@ const Canvas = {
         return canvas;
     },
 
+    /**
+     * Create an image to load, created by canvasClass.Image in node, e.g. Image class of node-canvas
+     * @param  {Function} [canvasClass=null] - canvas class in node
+     * @return {Image}
+     */
+    createImage(canvasClass) {
+        if (IS_NODE && canvasClass && canvasClass.Image) {
+            return new canvasClass.Image();
+        }
+        return new Image();
+    },
+
     prepareCanvasFont(ctx, style) {
         ctx.textBaseline = 'top';
         ctx.font = getFont(style);
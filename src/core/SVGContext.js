@@ -0,0 +1,538 @@
+import { isNil, isString } from 'core/util';
+import Canvas from 'core/Canvas';
+
+const SVG_NS = 'http://www.w3.org/2000/svg',
+    XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+//text baselines of canvas to dominant-baselines of svg
+const BASELINES = {
+    'top' : 'text-before-edge',
+    'hanging' : 'hanging',
+    'middle' : 'central',
+    'bottom' : 'text-after-edge',
+    'ideographic' : 'ideographic'
+};
+
+const ANCHORS = {
+    'center' : 'middle',
+    'right' : 'end',
+    'end' : 'end'
+};
+
+const STATE_PROPS = ['fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin', 'miterLimit',
+    'globalAlpha', 'globalCompositeOperation', 'font', 'textBaseline', 'textAlign', 'shadowBlur', 'shadowColor'];
+
+let uid = 0;
+
+// gradient created by SVGContext, defined in svg's defs when used
+class SVGGradient {
+    constructor(type, places) {
+        this.type = type;
+        this.places = places;
+        this.stops = [];
+    }
+
+    addColorStop(offset, color) {
+        this.stops.push([offset, color]);
+    }
+}
+
+/**
+ * @classdesc
+ * A 2d context with the same interface of CanvasRenderingContext2D, which records the drawings as SVG elements. <br>
+ * Painters and symbolizers draw on it as on a canvas, to export layers as SVG. <br>
+ * Paths are recorded in the transformed coordinates, polygon holes filled with destination-out are merged into the shells with evenodd fill rule.
+ * Shadows, clips and other composite operations are not supported.
+ * @category core
+ * @protected
+ * @param {Number} width  - width of the svg
+ * @param {Number} height - height of the svg
+ * @param {Function} [canvasClass=null] - canvas class to create canvas in node, e.g. to measure texts
+ */
+class SVGContext {
+
+    constructor(width, height, canvasClass) {
+        this.width = width;
+        this.height = height;
+        //a canvas to measure texts and to create canvases of the same class
+        this.canvas = Canvas.createCanvas(1, 1, canvasClass);
+        // vector markers are drawn as vectors instead of cached images
+        this.isVector = true;
+        this.fillStyle = '#000';
+        this.strokeStyle = '#000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.miterLimit = 10;
+        this.globalAlpha = 1;
+        this.globalCompositeOperation = 'source-over';
+        this.font = '10px sans-serif';
+        this.textBaseline = 'alphabetic';
+        this.textAlign = 'start';
+        this._lineDash = [];
+        this._matrix = [1, 0, 0, 1, 0, 0];
+        this._states = [];
+        this._defs = [];
+        this._elements = [];
+        this._groups = [];
+        this._path = [];
+        this._lastFill = null;
+    }
+
+    save() {
+        const state = {
+            'matrix' : this._matrix.slice(0),
+            'lineDash' : this._lineDash.slice(0)
+        };
+        for (let i = 0; i < STATE_PROPS.length; i++) {
+            state[STATE_PROPS[i]] = this[STATE_PROPS[i]];
+        }
+        this._states.push(state);
+    }
+
+    restore() {
+        const state = this._states.pop();
+        if (!state) {
+            return;
+        }
+        for (let i = 0; i < STATE_PROPS.length; i++) {
+            this[STATE_PROPS[i]] = state[STATE_PROPS[i]];
+        }
+        this._matrix = state['matrix'];
+        this._lineDash = state['lineDash'];
+    }
+
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    }
+
+    scale(x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    }
+
+    transform(a, b, c, d, e, f) {
+        const m = this._matrix;
+        this._matrix = [
+            m[0] * a + m[2] * b,
+            m[1] * a + m[3] * b,
+            m[0] * c + m[2] * d,
+            m[1] * c + m[3] * d,
+            m[0] * e + m[2] * f + m[4],
+            m[1] * e + m[3] * f + m[5]
+        ];
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        this._matrix = [a, b, c, d, e, f];
+    }
+
+    resetTransform() {
+        this.setTransform(1, 0, 0, 1, 0, 0);
+    }
+
+    setLineDash(dash) {
+        this._lineDash = dash ? dash.slice(0) : [];
+    }
+
+    getLineDash() {
+        return this._lineDash.slice(0);
+    }
+
+    beginPath() {
+        this._path = [];
+        this._current = null;
+    }
+
+    moveTo(x, y) {
+        const p = this._transform(x, y);
+        this._path.push('M' + p);
+        this._current = this._start = [x, y];
+    }
+
+    lineTo(x, y) {
+        if (!this._current) {
+            this.moveTo(x, y);
+            return;
+        }
+        this._path.push('L' + this._transform(x, y));
+        this._current = [x, y];
+    }
+
+    bezierCurveTo(x1, y1, x2, y2, x, y) {
+        if (!this._current) {
+            this.moveTo(x1, y1);
+        }
+        this._path.push('C' + this._transform(x1, y1) + ' ' + this._transform(x2, y2) + ' ' + this._transform(x, y));
+        this._current = [x, y];
+    }
+
+    quadraticCurveTo(x1, y1, x, y) {
+        if (!this._current) {
+            this.moveTo(x1, y1);
+        }
+        this._path.push('Q' + this._transform(x1, y1) + ' ' + this._transform(x, y));
+        this._current = [x, y];
+    }
+
+    /**
+     * Arcs are converted to cubic bezier curves, to be transformed with any matrix.
+     */
+    arc(x, y, r, startAngle, endAngle, anticlockwise) {
+        const PI2 = Math.PI * 2;
+        let sweep = endAngle - startAngle;
+        if (!anticlockwise) {
+            if (sweep >= PI2) {
+                sweep = PI2;
+            } else {
+                sweep = ((sweep % PI2) + PI2) % PI2;
+            }
+        } else if (sweep <= -PI2) {
+            sweep = -PI2;
+        } else {
+            sweep = -(((-sweep % PI2) + PI2) % PI2);
+        }
+        const x0 = x + r * Math.cos(startAngle), y0 = y + r * Math.sin(startAngle);
+        if (this._current) {
+            this.lineTo(x0, y0);
+        } else {
+            this.moveTo(x0, y0);
+        }
+        const segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+        const delta = sweep / segments,
+            k = 4 / 3 * Math.tan(delta / 4);
+        let a = startAngle;
+        for (let i = 0; i < segments; i++) {
+            const cos0 = Math.cos(a), sin0 = Math.sin(a),
+                cos1 = Math.cos(a + delta), sin1 = Math.sin(a + delta);
+            this.bezierCurveTo(
+                x + r * (cos0 - k * sin0), y + r * (sin0 + k * cos0),
+                x + r * (cos1 + k * sin1), y + r * (sin1 - k * cos1),
+                x + r * cos1, y + r * sin1
+            );
+            a += delta;
+        }
+    }
+
+    rect(x, y, w, h) {
+        this.moveTo(x, y);
+        this.lineTo(x + w, y);
+        this.lineTo(x + w, y + h);
+        this.lineTo(x, y + h);
+        this.closePath();
+    }
+
+    closePath() {
+        if (!this._path.length) {
+            return;
+        }
+        this._path.push('Z');
+        if (this._start) {
+            this._current = this._start;
+        }
+    }
+
+    fill() {
+        if (!this._path.length) {
+            return;
+        }
+        const d = this._path.join('');
+        if (this.globalCompositeOperation === 'destination-out') {
+            //holes of polygons
+            if (this._lastFill) {
+                this._lastFill['d'] += d;
+                this._lastFill['attrs']['fill-rule'] = 'evenodd';
+            }
+            return;
+        }
+        const attrs = this._paintAttrs(this.fillStyle, 'fill');
+        attrs['stroke'] = 'none';
+        this._lastFill = { 'type' : 'path', 'd' : d, 'attrs' : attrs };
+        this._elements.push(this._lastFill);
+    }
+
+    stroke() {
+        if (!this._path.length || this.globalCompositeOperation === 'destination-out') {
+            return;
+        }
+        const attrs = this._paintAttrs(this.strokeStyle, 'stroke');
+        const scale = this._getScale();
+        attrs['fill'] = 'none';
+        attrs['stroke-width'] = this.lineWidth * scale;
+        attrs['stroke-linecap'] = this.lineCap;
+        attrs['stroke-linejoin'] = this.lineJoin;
+        attrs['stroke-miterlimit'] = this.miterLimit;
+        if (this._lineDash.length) {
+            attrs['stroke-dasharray'] = this._lineDash.map(v => v * scale).join(' ');
+        }
+        this._elements.push({ 'type' : 'path', 'd' : this._path.join(''), 'attrs' : attrs });
+    }
+
+    fillText(text, x, y) {
+        this._text(text, x, y, 'fill');
+    }
+
+    strokeText(text, x, y) {
+        this._text(text, x, y, 'stroke');
+    }
+
+    measureText(text) {
+        const ctx = this.canvas.getContext('2d');
+        ctx.font = this.font;
+        return ctx.measureText(text);
+    }
+
+    drawImage(image) {
+        let sx = 0, sy = 0, sw = image.width, sh = image.height,
+            dx, dy, dw = image.width, dh = image.height;
+        const args = arguments;
+        if (args.length === 3) {
+            dx = args[1];
+            dy = args[2];
+        } else if (args.length === 5) {
+            dx = args[1];
+            dy = args[2];
+            dw = args[3];
+            dh = args[4];
+        } else {
+            sx = args[1];
+            sy = args[2];
+            sw = args[3];
+            sh = args[4];
+            dx = args[5];
+            dy = args[6];
+            dw = args[7];
+            dh = args[8];
+        }
+        if (!dw || !dh) {
+            return;
+        }
+        if (sx || sy || sw !== image.width || sh !== image.height) {
+            //crop the image on a canvas
+            const canvas = Canvas.createCanvas(sw, sh, this.canvas.constructor);
+            canvas.getContext('2d').drawImage(image, sx, sy, sw, sh, 0, 0, sw, sh);
+            image = canvas;
+        }
+        const attrs = {
+            'x' : dx,
+            'y' : dy,
+            'width' : dw,
+            'height' : dh,
+            'preserveAspectRatio' : 'none',
+            'xlink:href' : getImageUrl(image),
+            'transform' : this._getTransform()
+        };
+        if (this.globalAlpha < 1) {
+            attrs['opacity'] = this.globalAlpha;
+        }
+        this._elements.push({ 'type' : 'image', 'attrs' : attrs });
+    }
+
+    createLinearGradient(x0, y0, x1, y1) {
+        return new SVGGradient('linear', [x0, y0, x1, y1]);
+    }
+
+    createRadialGradient(x0, y0, r0, x1, y1, r1) {
+        return new SVGGradient('radial', [x0, y0, r0, x1, y1, r1]);
+    }
+
+    createPattern(image) {
+        return {
+            'image' : image
+        };
+    }
+
+    clearRect() {
+    }
+
+    clip() {
+    }
+
+    /**
+     * Start a group of elements, e.g. elements of a layer.
+     * @param  {Object} attrs - attributes of the group
+     */
+    beginGroup(attrs) {
+        this._groups.push([this._elements.length, this._defs.length]);
+        this._elements.push({ 'type' : 'g', 'attrs' : attrs || {}, 'open' : true });
+        this._lastFill = null;
+    }
+
+    endGroup() {
+        this._groups.pop();
+        this._elements.push({ 'type' : 'g', 'close' : true });
+        this._lastFill = null;
+    }
+
+    /**
+     * Discard the current group with its elements and defs, e.g. a layer failed to paint.
+     */
+    cancelGroup() {
+        if (this._groups.length) {
+            const lengths = this._groups.pop();
+            this._elements.length = lengths[0];
+            this._defs.length = lengths[1];
+        }
+        this._lastFill = null;
+    }
+
+    /**
+     * Output the svg document
+     * @return {String}
+     */
+    toSVG() {
+        const out = [];
+        out.push('<svg xmlns="' + SVG_NS + '" xmlns:xlink="' + XLINK_NS + '" version="1.1" width="' + this.width + '" height="' + this.height +
+            '" viewBox="0 0 ' + this.width + ' ' + this.height + '">');
+        if (this._defs.length) {
+            out.push('<defs>' + this._defs.join('') + '</defs>');
+        }
+        for (let i = 0; i < this._elements.length; i++) {
+            const e = this._elements[i];
+            if (e['close']) {
+                out.push('</g>');
+            } else if (e['open']) {
+                out.push('<g' + toAttrs(e['attrs']) + '>');
+            } else if (e['type'] === 'path') {
+                out.push('<path d="' + e['d'] + '"' + toAttrs(e['attrs']) + '/>');
+            } else if (e['type'] === 'text') {
+                out.push('<text' + toAttrs(e['attrs']) + '>' + escape(e['text']) + '</text>');
+            } else {
+                out.push('<' + e['type'] + toAttrs(e['attrs']) + '/>');
+            }
+        }
+        out.push('</svg>');
+        return out.join('');
+    }
+
+    _text(text, x, y, type) {
+        const attrs = this._paintAttrs(type === 'fill' ? this.fillStyle : this.strokeStyle, type);
+        attrs['x'] = x;
+        attrs['y'] = y;
+        attrs['style'] = 'font:' + this.font + ';white-space:pre';
+        attrs['transform'] = this._getTransform();
+        if (BASELINES[this.textBaseline]) {
+            attrs['dominant-baseline'] = BASELINES[this.textBaseline];
+        }
+        if (ANCHORS[this.textAlign]) {
+            attrs['text-anchor'] = ANCHORS[this.textAlign];
+        }
+        if (type === 'fill') {
+            attrs['stroke'] = 'none';
+        } else {
+            attrs['fill'] = 'none';
+            attrs['stroke-width'] = this.lineWidth;
+            attrs['stroke-linejoin'] = this.lineJoin;
+            attrs['stroke-linecap'] = this.lineCap;
+        }
+        this._elements.push({ 'type' : 'text', 'text' : text, 'attrs' : attrs });
+    }
+
+    /**
+     * Attributes of fill or stroke paint, with colors, gradients or patterns.
+     * @private
+     */
+    _paintAttrs(style, type) {
+        const attrs = {};
+        let opacity = this.globalAlpha;
+        if (style instanceof SVGGradient) {
+            attrs[type] = 'url(#' + this._defineGradient(style) + ')';
+        } else if (style && !isString(style) && style['image']) {
+            attrs[type] = 'url(#' + this._definePattern(style) + ')';
+        } else {
+            const color = parseColor(style);
+            attrs[type] = color[0];
+            opacity *= color[1];
+        }
+        if (opacity < 1) {
+            attrs[type + '-opacity'] = opacity;
+        }
+        return attrs;
+    }
+
+    _defineGradient(gradient) {
+        const id = 'maptalks-gradient-' + (uid++);
+        const p = gradient.places;
+        let def;
+        if (gradient.type === 'linear') {
+            def = '<linearGradient id="' + id + '" gradientUnits="userSpaceOnUse" x1="' + p[0] + '" y1="' + p[1] + '" x2="' + p[2] + '" y2="' + p[3] + '"';
+        } else {
+            def = '<radialGradient id="' + id + '" gradientUnits="userSpaceOnUse" fx="' + p[0] + '" fy="' + p[1] + '" fr="' + p[2] + '" cx="' + p[3] + '" cy="' + p[4] + '" r="' + p[5] + '"';
+        }
+        def += ' gradientTransform="' + this._getTransform() + '">';
+        for (let i = 0; i < gradient.stops.length; i++) {
+            const color = parseColor(gradient.stops[i][1]);
+            def += '<stop offset="' + gradient.stops[i][0] + '" stop-color="' + color[0] + '"' + (color[1] < 1 ? ' stop-opacity="' + color[1] + '"' : '') + '/>';
+        }
+        def += gradient.type === 'linear' ? '</linearGradient>' : '</radialGradient>';
+        this._defs.push(def);
+        return id;
+    }
+
+    _definePattern(pattern) {
+        const id = 'maptalks-pattern-' + (uid++);
+        const image = pattern['image'],
+            w = image.width, h = image.height;
+        this._defs.push('<pattern id="' + id + '" patternUnits="userSpaceOnUse" width="' + w + '" height="' + h + '" patternTransform="' + this._getTransform() + '">' +
+            '<image width="' + w + '" height="' + h + '" xlink:href="' + escape(getImageUrl(image)) + '"/></pattern>');
+        return id;
+    }
+
+    _transform(x, y) {
+        const m = this._matrix;
+        return round(m[0] * x + m[2] * y + m[4]) + ',' + round(m[1] * x + m[3] * y + m[5]);
+    }
+
+    _getTransform() {
+        return 'matrix(' + this._matrix.map(round).join(',') + ')';
+    }
+
+    // scale of line widths in transformed coordinates
+    _getScale() {
+        const m = this._matrix;
+        return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+    }
+}
+
+export default SVGContext;
+
+function round(v) {
+    return Math.round(v * 100) / 100;
+}
+
+// split rgba color to rgb color and opacity
+function parseColor(color) {
+    if (isNil(color) || !isString(color)) {
+        return ['#000', 1];
+    }
+    const rgba = /^rgba\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/i.exec(color);
+    if (rgba) {
+        return ['rgb(' + rgba[1] + ',' + rgba[2] + ',' + rgba[3] + ')', +rgba[4]];
+    }
+    return [color, 1];
+}
+
+function getImageUrl(image) {
+    if (image.toDataURL) {
+        return image.toDataURL('image/png');
+    }
+    return image.src;
+}
+
+function escape(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function toAttrs(attrs) {
+    let str = '';
+    for (const p in attrs) {
+        if (attrs.hasOwnProperty(p) && !isNil(attrs[p])) {
+            str += ' ' + p + '="' + escape(attrs[p]) + '"';
+        }
+    }
+    return str;
+}
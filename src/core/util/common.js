@@ -119,3 +119,18 @@ export function join(arr, seperator) {
         return Array.prototype.join.call(arr, seperator || ',');
     }
 }
+
+/**
+ * Convert a Date object or a date string (e.g. ISO string) to a timestamp in milliseconds, numbers are returned as they are.
+ * @param  {Number|Date|String} time - time to convert
+ * @return {Number} timestamp, NaN if the string can't be parsed
+ * @memberOf Util
+ */
+export function toTime(time) {
+    if (time instanceof Date) {
+        return time.getTime();
+    } else if (isString(time)) {
+        return new Date(time).getTime();
+    }
+    return time;
+}
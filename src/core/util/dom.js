@@ -396,6 +396,25 @@ export function addClass(el, name) {
     return this;
 }
 
+/**
+ * remove css class from dom element
+ * @param {HTMLElement} el HTML Element
+ * @param {String} name css class
+ * @memberOf DomUtil
+ */
+export function removeClass(el, name) {
+    if (el.classList !== undefined) {
+        const classes = splitWords(name);
+        for (let i = 0, len = classes.length; i < len; i++) {
+            el.classList.remove(classes[i]);
+        }
+    } else {
+        const className = ' ' + getClass(el) + ' ';
+        setClass(el, className.replace(' ' + name + ' ', ' ').trim());
+    }
+    return this;
+}
+
 /**
  * Set dom's css class
  * @param {HTMLElement} el HTML Element
@@ -1,4 +1,5 @@
-import { isNil, isNumber, mapArrayRecursively } from 'core/util';
+import { isNil, isNumber, isString, mapArrayRecursively } from 'core/util';
+import { wgs84ToGcj02, gcj02ToWgs84, gcj02ToBd09, bd09ToGcj02, wgs84ToBd09, bd09ToWgs84 } from './projection/ChinaOffset';
 
 /**
  * Represents a coordinate point <br>
@@ -85,6 +86,22 @@ class Coordinate {
         return result;
     }
 
+    /**
+     * Convert one or more coordinates between WGS84, GCJ02 and BD09. <br>
+     * GCJ02 is the encrypted datum used by the most online map services in China, BD09 is used by Baidu. <br>
+     * Supported CRS: "WGS84" (alias "EPSG:4326"), "GCJ02" and "BD09" (alias "BD09LL"), or the CRS objects of them, e.g. CRS.GCJ02.
+     * @param  {Coordinate|Coordinate[]|Coordinate[][]} coordinates - coordinates to convert
+     * @param  {String|CRS} from - CRS of the coordinates
+     * @param  {String|CRS} to   - CRS to convert to
+     * @return {Coordinate|Coordinate[]|Coordinate[][]} converted coordinates
+     * @example
+     * // convert a GPS location to show on a map of GCJ02 tiles
+     * var gcj02 = Coordinate.convert(new Coordinate(121.5272106, 31.1774276), 'WGS84', 'GCJ02');
+     */
+    static convert(coordinates, from, to) {
+        return convertCoordinates(coordinates, getConverter(from, to));
+    }
+
     /**
      * Returns a copy of the coordinate
      * @return {Coordinate} copy
@@ -230,3 +247,52 @@ class Coordinate {
 }
 
 export default Coordinate;
+
+const DATUMS = {
+    'wgs84' : 'WGS84',
+    'epsg:4326' : 'WGS84',
+    'gcj02' : 'GCJ02',
+    'bd09' : 'BD09',
+    'bd09ll' : 'BD09'
+};
+
+const CONVERTERS = {
+    'WGS84>GCJ02' : wgs84ToGcj02,
+    'GCJ02>WGS84' : gcj02ToWgs84,
+    'GCJ02>BD09' : gcj02ToBd09,
+    'BD09>GCJ02' : bd09ToGcj02,
+    'WGS84>BD09' : wgs84ToBd09,
+    'BD09>WGS84' : bd09ToWgs84
+};
+
+// resolve the datum of a CRS name or a proj4 CRS, e.g. "+proj=longlat +datum=GCJ02"
+function getDatum(crs) {
+    let name = crs;
+    if (crs && crs['properties'] && isString(crs['properties']['proj'])) {
+        const matched = crs['properties']['proj'].match(/\+datum=(\S+)/);
+        name = matched ? matched[1] : null;
+    }
+    const datum = isString(name) ? DATUMS[name.toLowerCase()] : null;
+    if (!datum) {
+        throw new Error('Unsupported CRS to convert coordinates:' + (isString(crs) ? crs : JSON.stringify(crs)));
+    }
+    return datum;
+}
+
+// a numeric pair [x, y] is converted as one coordinate instead of recursed into
+function convertCoordinates(coordinates, converter) {
+    if (Array.isArray(coordinates) && !(isNumber(coordinates[0]) && isNumber(coordinates[1]))) {
+        return coordinates.map(c => isNil(c) ? c : convertCoordinates(c, converter));
+    }
+    return converter(new Coordinate(coordinates));
+}
+
+function getConverter(from, to) {
+    from = getDatum(from);
+    to = getDatum(to);
+    if (from === to) {
+        return c => c;
+    }
+    const fn = CONVERTERS[from + '>' + to];
+    return c => new Coordinate(fn(c.x, c.y));
+}
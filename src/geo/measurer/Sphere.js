@@ -75,6 +75,24 @@ class Sphere {
         rx = rx + sx * (xDist > 0 ? 1 : -1);
         return new Coordinate(rx * 180 / Math.PI, ry * 180 / Math.PI);
     }
+
+    interpolate(c1, c2, t) {
+        const y1 = this.rad(c1.y), x1 = this.rad(c1.x),
+            y2 = this.rad(c2.y), x2 = this.rad(c2.x);
+        //angular distance by haversine
+        const d = 2 * Math.asin(Math.sqrt(Math.pow(Math.sin((y1 - y2) / 2), 2) + Math.cos(y1) * Math.cos(y2) * Math.pow(Math.sin((x1 - x2) / 2), 2)));
+        const sind = Math.sin(d);
+        if (sind < 1E-12) {
+            //same or antipodal points, great circle between them is not unique
+            return new Coordinate(c1.x + (c2.x - c1.x) * t, c1.y + (c2.y - c1.y) * t);
+        }
+        const a = Math.sin((1 - t) * d) / sind,
+            b = Math.sin(t * d) / sind;
+        const x = a * Math.cos(y1) * Math.cos(x1) + b * Math.cos(y2) * Math.cos(x2),
+            y = a * Math.cos(y1) * Math.sin(x1) + b * Math.cos(y2) * Math.sin(x2),
+            z = a * Math.sin(y1) + b * Math.sin(y2);
+        return new Coordinate(Math.atan2(y, x) * 180 / Math.PI, Math.atan2(z, Math.sqrt(x * x + y * y)) * 180 / Math.PI);
+    }
 }
 
 /**
@@ -115,6 +133,16 @@ export const WGS84Sphere = extend(/** @lends measurer.WGS84Sphere */{
      */
     locate() {
         return this.sphere.locate.apply(this.sphere, arguments);
+    },
+    /**
+     * Interpolate a coordinate on the great circle between 2 coordinates.
+     * @param  {Coordinate} c1 - start coordinate
+     * @param  {Coordinate} c2 - end coordinate
+     * @param  {Number} t      - ratio of the distance from c1, from 0 to 1
+     * @return {Coordinate}
+     */
+    interpolate() {
+        return this.sphere.interpolate.apply(this.sphere, arguments);
     }
 }, Common);
 
@@ -156,5 +184,15 @@ export const BaiduSphere = extend(/** @lends measurer.BaiduSphere */{
      */
     locate() {
         return this.sphere.locate.apply(this.sphere, arguments);
+    },
+    /**
+     * Interpolate a coordinate on the great circle between 2 coordinates.
+     * @param  {Coordinate} c1 - start coordinate
+     * @param  {Coordinate} c2 - end coordinate
+     * @param  {Number} t      - ratio of the distance from c1, from 0 to 1
+     * @return {Coordinate}
+     */
+    interpolate() {
+        return this.sphere.interpolate.apply(this.sphere, arguments);
     }
 }, Common);
@@ -0,0 +1,122 @@
+/**
+ * Conversions between WGS84, GCJ02 and BD09 longitudes and latitudes. <br>
+ * GCJ02 is the encrypted datum required for online maps in China, BD09 is Baidu's further encryption over GCJ02. <br>
+ * Coordinates out of China are not offset by GCJ02.
+ * @private
+ */
+
+const A = 6378245.0;
+const EE = 0.00669342162296594323;
+const X_PI = Math.PI * 3000.0 / 180.0;
+
+export function outOfChina(lng, lat) {
+    return lng < 72.004 || lng > 137.8347 || lat < 0.8293 || lat > 55.8271;
+}
+
+function transformLat(x, y) {
+    let ret = -100.0 + 2.0 * x + 3.0 * y + 0.2 * y * y + 0.1 * x * y + 0.2 * Math.sqrt(Math.abs(x));
+    ret += (20.0 * Math.sin(6.0 * x * Math.PI) + 20.0 * Math.sin(2.0 * x * Math.PI)) * 2.0 / 3.0;
+    ret += (20.0 * Math.sin(y * Math.PI) + 40.0 * Math.sin(y / 3.0 * Math.PI)) * 2.0 / 3.0;
+    ret += (160.0 * Math.sin(y / 12.0 * Math.PI) + 320 * Math.sin(y * Math.PI / 30.0)) * 2.0 / 3.0;
+    return ret;
+}
+
+function transformLng(x, y) {
+    let ret = 300.0 + x + 2.0 * y + 0.1 * x * x + 0.1 * x * y + 0.1 * Math.sqrt(Math.abs(x));
+    ret += (20.0 * Math.sin(6.0 * x * Math.PI) + 20.0 * Math.sin(2.0 * x * Math.PI)) * 2.0 / 3.0;
+    ret += (20.0 * Math.sin(x * Math.PI) + 40.0 * Math.sin(x / 3.0 * Math.PI)) * 2.0 / 3.0;
+    ret += (150.0 * Math.sin(x / 12.0 * Math.PI) + 300.0 * Math.sin(x / 30.0 * Math.PI)) * 2.0 / 3.0;
+    return ret;
+}
+
+/**
+ * Convert WGS84 to GCJ02
+ * @param  {Number} lng - longitude
+ * @param  {Number} lat - latitude
+ * @return {Number[]} [lng, lat] in GCJ02
+ */
+export function wgs84ToGcj02(lng, lat) {
+    if (outOfChina(lng, lat)) {
+        return [lng, lat];
+    }
+    let dLat = transformLat(lng - 105.0, lat - 35.0),
+        dLng = transformLng(lng - 105.0, lat - 35.0);
+    const radLat = lat / 180.0 * Math.PI;
+    let magic = Math.sin(radLat);
+    magic = 1 - EE * magic * magic;
+    const sqrtMagic = Math.sqrt(magic);
+    dLat = (dLat * 180.0) / ((A * (1 - EE)) / (magic * sqrtMagic) * Math.PI);
+    dLng = (dLng * 180.0) / (A / sqrtMagic * Math.cos(radLat) * Math.PI);
+    return [lng + dLng, lat + dLat];
+}
+
+/**
+ * Convert GCJ02 to WGS84, the offset is reversed iteratively to a precision of about 1e-9 degree.
+ * @param  {Number} lng - longitude
+ * @param  {Number} lat - latitude
+ * @return {Number[]} [lng, lat] in WGS84
+ */
+export function gcj02ToWgs84(lng, lat) {
+    if (outOfChina(lng, lat)) {
+        return [lng, lat];
+    }
+    let wgsLng = lng, wgsLat = lat;
+    for (let i = 0; i < 30; i++) {
+        const gcj = wgs84ToGcj02(wgsLng, wgsLat),
+            dLng = gcj[0] - lng,
+            dLat = gcj[1] - lat;
+        wgsLng -= dLng;
+        wgsLat -= dLat;
+        if (Math.abs(dLng) < 1E-10 && Math.abs(dLat) < 1E-10) {
+            break;
+        }
+    }
+    return [wgsLng, wgsLat];
+}
+
+/**
+ * Convert GCJ02 to BD09
+ * @param  {Number} lng - longitude
+ * @param  {Number} lat - latitude
+ * @return {Number[]} [lng, lat] in BD09
+ */
+export function gcj02ToBd09(lng, lat) {
+    const z = Math.sqrt(lng * lng + lat * lat) + 0.00002 * Math.sin(lat * X_PI);
+    const theta = Math.atan2(lat, lng) + 0.000003 * Math.cos(lng * X_PI);
+    return [z * Math.cos(theta) + 0.0065, z * Math.sin(theta) + 0.006];
+}
+
+/**
+ * Convert BD09 to GCJ02, the approximate reversed formula is refined iteratively.
+ * @param  {Number} lng - longitude
+ * @param  {Number} lat - latitude
+ * @return {Number[]} [lng, lat] in GCJ02
+ */
+export function bd09ToGcj02(lng, lat) {
+    const x = lng - 0.0065,
+        y = lat - 0.006;
+    const z = Math.sqrt(x * x + y * y) - 0.00002 * Math.sin(y * X_PI);
+    const theta = Math.atan2(y, x) - 0.000003 * Math.cos(x * X_PI);
+    let gcjLng = z * Math.cos(theta), gcjLat = z * Math.sin(theta);
+    for (let i = 0; i < 10; i++) {
+        const bd = gcj02ToBd09(gcjLng, gcjLat),
+            dLng = bd[0] - lng,
+            dLat = bd[1] - lat;
+        gcjLng -= dLng;
+        gcjLat -= dLat;
+        if (Math.abs(dLng) < 1E-10 && Math.abs(dLat) < 1E-10) {
+            break;
+        }
+    }
+    return [gcjLng, gcjLat];
+}
+
+export function wgs84ToBd09(lng, lat) {
+    const gcj = wgs84ToGcj02(lng, lat);
+    return gcj02ToBd09(gcj[0], gcj[1]);
+}
+
+export function bd09ToWgs84(lng, lat) {
+    const gcj = bd09ToGcj02(lng, lat);
+    return gcj02ToWgs84(gcj[0], gcj[1]);
+}
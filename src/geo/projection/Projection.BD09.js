@@ -0,0 +1,38 @@
+import { extend } from 'core/util';
+import Common from './Projection';
+import Coordinate from '../Coordinate';
+import BAIDU from './Projection.Baidu';
+import { wgs84ToBd09, bd09ToWgs84 } from './ChinaOffset';
+import { WGS84Sphere } from '../measurer';
+
+/**
+ * Projection of [Baidu Map]{@link http://map.baidu.com} for geographical coordinates in WGS84. <br>
+ * Different from [BAIDU]{@link projection.BAIDU} which projects coordinates already in BD09, coordinates are offset from WGS84 to BD09 before projected. <br>
+ * It shares resolutions and full extent with BAIDU.
+ *
+ * @class
+ * @category geo
+ * @protected
+ * @memberOf projection
+ * @name BD09
+ * @mixes projection.Common
+ * @mixes measurer.WGS84Sphere
+ */
+export default extend({}, Common, /** @lends projection.BD09 */ {
+    /**
+     * "BD09", Code of the projection
+     * @type {String}
+     * @constant
+     */
+    code: 'BD09',
+
+    project: function (p) {
+        const c = wgs84ToBd09(p.x, p.y);
+        return BAIDU.project(new Coordinate(c));
+    },
+
+    unproject: function (p) {
+        const ll = BAIDU.unproject(p);
+        return new Coordinate(bd09ToWgs84(ll.x, ll.y));
+    }
+}, WGS84Sphere);
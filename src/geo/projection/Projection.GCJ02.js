@@ -0,0 +1,38 @@
+import { extend } from 'core/util';
+import Common from './Projection';
+import Coordinate from '../Coordinate';
+import EPSG3857 from './Projection.EPSG3857';
+import { wgs84ToGcj02, gcj02ToWgs84 } from './ChinaOffset';
+import { WGS84Sphere } from '../measurer';
+
+/**
+ * Mercator projection of GCJ02 (aka Mars Coordinates), used by the most online map services in China, e.g. AMap, Tencent Map. <br>
+ * Geographical coordinates in WGS84 are offset to GCJ02 before projected, so GPS data lines up with the tiles in GCJ02. <br>
+ * It shares resolutions and full extent with EPSG:3857.
+ *
+ * @class
+ * @category geo
+ * @protected
+ * @memberOf projection
+ * @name GCJ02
+ * @mixes projection.Common
+ * @mixes measurer.WGS84Sphere
+ */
+export default extend({}, Common, /** @lends projection.GCJ02 */ {
+    /**
+     * "GCJ02", Code of the projection
+     * @type {String}
+     * @constant
+     */
+    code: 'GCJ02',
+
+    project: function (p) {
+        const c = wgs84ToGcj02(p.x, p.y);
+        return EPSG3857.project(new Coordinate(c));
+    },
+
+    unproject: function (p) {
+        const ll = EPSG3857.unproject(p);
+        return new Coordinate(gcj02ToWgs84(ll.x, ll.y));
+    }
+}, WGS84Sphere);
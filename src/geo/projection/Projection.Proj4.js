@@ -0,0 +1,31 @@
+import proj4 from 'proj4';
+import { extend } from 'core/util';
+import Common from './Projection';
+import Coordinate from '../Coordinate';
+import { WGS84Sphere } from '../measurer';
+
+/**
+ * Create a projection with a [proj4]{@link https://github.com/proj4js/proj4js} definition, e.g. a UTM zone or a Lambert conformal conic projection. <br>
+ * Coordinates are projected from WGS84 longitude/latitude to the projected coordinates of the definition.
+ *
+ * @param  {String} code - code of the projection, e.g. "EPSG:32650"
+ * @param  {String} def  - proj4 definition or WKT of the projection, e.g. "+proj=utm +zone=50 +datum=WGS84 +units=m +no_defs"
+ * @return {Object} projection
+ * @memberOf projection
+ * @private
+ */
+export default function createProj4Projection(code, def) {
+    const converter = proj4('WGS84', def);
+    return extend({}, Common, {
+        code: code,
+        proj4: def,
+        project: function (p) {
+            const c = converter.forward([p.x, p.y]);
+            return new Coordinate(c[0], c[1]);
+        },
+        unproject: function (p) {
+            const c = converter.inverse([p.x, p.y]);
+            return new Coordinate(c[0], c[1]);
+        }
+    }, WGS84Sphere);
+}
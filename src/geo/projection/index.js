@@ -1,12 +1,16 @@
 /** @namespace projection */
 
+import { extend, isString, isFunction, hasOwn } from 'core/util';
 import EPSG3857 from './Projection.EPSG3857';
+import EPSG4326 from './Projection.EPSG4326';
+import BAIDU from './Projection.Baidu';
+import IDENTITY from './Projection.IDENTITY';
+import GCJ02 from './Projection.GCJ02';
+import BD09 from './Projection.BD09';
+import Common from './Projection';
+import createProj4Projection from './Projection.Proj4';
 
-export { default as EPSG4326 } from './Projection.EPSG4326';
-export { default as BAIDU } from './Projection.Baidu';
-export { default as IDENTITY } from './Projection.IDENTITY';
-export { EPSG3857 };
-export { default as Common } from './Projection';
+export { EPSG3857, EPSG4326, BAIDU, IDENTITY, GCJ02, BD09, Common };
 /**
  * Default projection, [EPSG3857]{@link projection.EPSG3857}
  *
@@ -18,3 +22,69 @@ export { default as Common } from './Projection';
  * @extends projection.EPSG3857
  */
 export const DEFAULT = EPSG3857;
+
+const registered = {};
+
+/**
+ * Register a projection with a code, then it can be used in map's spatial reference by the code: <br>
+ * 1. a proj4 definition or WKT string, projected by [proj4]{@link https://github.com/proj4js/proj4js} <br>
+ * 2. a proj4 CRS created by [CRS.createProj4]{@link CRS.createProj4} <br>
+ * 3. an object with project and unproject functions
+ * @param  {String} code - code of the projection, case insensitive
+ * @param  {String|CRS|Object} definition - definition of the projection
+ * @return {Object} the registered projection
+ * @function projection.registerProjection
+ * @example
+ * maptalks.projection.registerProjection('EPSG:32650', '+proj=utm +zone=50 +datum=WGS84 +units=m +no_defs');
+ * map.setSpatialReference({
+ *     projection : 'EPSG:32650',
+ *     resolutions : resolutions,
+ *     fullExtent : fullExtent
+ * });
+ */
+export function registerProjection(code, definition) {
+    if (!isString(code) || !code) {
+        throw new Error('Invalid code to register a projection:' + code);
+    }
+    let projection;
+    if (isString(definition)) {
+        projection = createProj4Projection(code, definition);
+    } else if (definition && definition['type'] === 'proj4' && definition['properties']) {
+        projection = createProj4Projection(code, definition['properties']['proj']);
+    } else if (definition && isFunction(definition.project) && isFunction(definition.unproject)) {
+        projection = extend({}, Common, definition, { code: code });
+    } else {
+        throw new Error('Invalid projection definition to register with code:' + code);
+    }
+    registered[code.toLowerCase()] = projection;
+    return projection;
+}
+
+/**
+ * Get a registered projection by its code, case insensitive.
+ * @param  {String} code - code of the projection, e.g. "EPSG:3857"
+ * @return {Object} projection, null if not registered
+ * @function projection.getProjection
+ */
+export function getProjection(code) {
+    if (!isString(code)) {
+        return null;
+    }
+    const key = code.toLowerCase();
+    return hasOwn(registered, key) ? registered[key] : null;
+}
+
+/**
+ * Whether the string is a proj4 definition or WKT which can be used as a projection directly.
+ * @param  {String}  str
+ * @return {Boolean}
+ * @function projection.isProj4Definition
+ * @private
+ */
+export function isProj4Definition(str) {
+    return isString(str) && /^\s*(\+proj=|PROJCS\[|GEOGCS\[)/i.test(str);
+}
+
+[EPSG3857, EPSG4326, BAIDU, IDENTITY, GCJ02, BD09].forEach(p => {
+    registered[p.code.toLowerCase()] = p;
+});
@@ -45,7 +45,7 @@ class ArcCurve extends Curve {
     }
 
     // paint method on canvas
-    _paintOn(ctx, points, lineOpacity) {
+    _paintOn(ctx, points, vertexes, lineOpacity) {
         ctx.beginPath();
         this._arc(ctx, points, lineOpacity);
         Canvas._stroke(ctx, lineOpacity);
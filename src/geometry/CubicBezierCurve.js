@@ -38,7 +38,7 @@ class CubicBezierCurve extends Curve {
     }
 
     // paint method on canvas
-    _paintOn(ctx, points, lineOpacity) {
+    _paintOn(ctx, points, vertexes, lineOpacity) {
         ctx.beginPath();
         ctx.moveTo(points[0].x, points[0].y);
         this._bezierCurve(ctx, points, lineOpacity);
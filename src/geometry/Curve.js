@@ -11,6 +11,11 @@ import Canvas2d from 'core/Canvas';
  */
 class Curve extends LineString {
 
+    _isGeodesic() {
+        //curves are drawn by control points, which can't be densified
+        return false;
+    }
+
     _arc(ctx, points, lineOpacity) {
         const degree = this.options['arcDegree'] * Math.PI / 180;
         for (let i = 1, l = points.length; i < l; i++) {
@@ -207,7 +207,7 @@ class LineString extends Path {
         // check arrow
         let points;
         if (this._getArrowStyle()) {
-            points = this._getPath2DPoints(this._getPrjCoordinates(), true);
+            points = this._getPath2DPoints(this._getPrjCoordinates(), true, null, true);
             const arrows = this._getArrows(points, lineWidth, (tolerance ? tolerance : 2) + lineWidth / 2);
             for (let ii = arrows.length - 1; ii >= 0; ii--) {
                 if (pointInsidePolygon(point, arrows[ii])) {
@@ -216,7 +216,9 @@ class LineString extends Path {
             }
         }
 
-        points = points || this._getPath2DPoints(this._getPrjCoordinates());
+        if (!points || this._isGeodesic()) {
+            points = this._getPath2DPoints(this._getPrjCoordinates());
+        }
         const isSplitted = points.length > 0 && Array.isArray(points[0]);
         if (isSplitted) {
             for (let i = 0, l = points.length; i < l; i++) {
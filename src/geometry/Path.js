@@ -8,12 +8,17 @@ import simplify from 'simplify-js';
 /**
  * @property {Object} options - configuration options
  * @property {String} [options.antiMeridian=continuous] - continue | split, how to deal with the anti-meridian problem, split or continue the polygon when it cross the 180 or -180 longtitude line.
+ * @property {Boolean} [options.geodesic=false] - whether to draw segments along great circles instead of straight lines in projected space, e.g. flight routes, only for maps with a sphere measurer.
  * @property {Object} options.symbol - Path's default symbol
  * @memberOf Path
  * @instance
  */
+//max length in meter of segments densified along great circles
+const GEODESIC_SEGMENT_LENGTH = 100000;
+
 const options = {
     'antiMeridian': 'continuous',
+    'geodesic': false,
     'symbol': {
         'lineColor': '#000',
         'lineWidth': 2,
@@ -38,10 +43,11 @@ class Path extends Geometry {
      * @param  {Coordinate[]} prjCoords           - projected coordinates
      * @param  {Boolean} disableSimplify          - whether to disable simplify\
      * @param  {Number} zoom                      - 2d points' zoom level
+     * @param  {Boolean} ignoreGeodesic           - whether not to densify along great circles, e.g. to place markers on vertexes
      * @returns {Point[]}
      * @private
      */
-    _getPath2DPoints(prjCoords, disableSimplify, zoom) {
+    _getPath2DPoints(prjCoords, disableSimplify, zoom, ignoreGeodesic) {
         let result = [];
         if (!isArrayHasData(prjCoords)) {
             return result;
@@ -60,6 +66,9 @@ class Path extends Geometry {
             prjCoords = simplify(prjCoords, tolerance, false);
             this._simplified = prjCoords.length < count;
         }
+        if (!isMulti && !ignoreGeodesic && this._isGeodesic()) {
+            prjCoords = projection.projectCoords(this._getGeodesicCoords(projection.unprojectCoords(prjCoords)));
+        }
         if (isNil(zoom)) {
             zoom = map.getZoom();
         }
@@ -70,7 +79,7 @@ class Path extends Geometry {
         for (let i = 0, len = prjCoords.length; i < len; i++) {
             p = prjCoords[i];
             if (isMulti) {
-                part.push(this._getPath2DPoints(p, disableSimplify, zoom));
+                part.push(this._getPath2DPoints(p, disableSimplify, zoom, ignoreGeodesic));
                 continue;
             }
             if (isNil(p) || (isClip && !fullExtent.contains(p))) {
@@ -91,11 +100,14 @@ class Path extends Geometry {
                             p = projection.project(current);
                         } else if (anti === 'split') {
                             if (dx > 0) {
-                                my = pre.y + dy * (pre.x - (-180)) / (360 - dx) * (pre.y > current.y ? -1 : 1);
+                                //cross -180 westward
+                                my = pre.y + dy * (pre.x + 180) / (360 - dx);
+                                part.push(map.coordinateToPoint(new Coordinate(-180, my), zoom));
                                 part = part === part1 ? part2 : part1;
                                 part.push(map.coordinateToPoint(new Coordinate(180, my), zoom));
                             } else {
-                                my = pre.y + dy * (180 - pre.x) / (360 + dx) * (pre.y > current.y ? 1 : -1);
+                                //cross 180 eastward
+                                my = pre.y + dy * (180 - pre.x) / (360 + dx);
                                 part.push(map.coordinateToPoint(new Coordinate(180, my), zoom));
                                 part = part === part1 ? part2 : part1;
                                 part.push(map.coordinateToPoint(new Coordinate(-180, my), zoom));
@@ -114,6 +126,37 @@ class Path extends Geometry {
         return result;
     }
 
+    /**
+     * Whether segments are drawn along great circles
+     * @return {Boolean}
+     * @private
+     */
+    _isGeodesic() {
+        return !!this.options['geodesic'] && Measurer.isSphere(this._getMeasurer());
+    }
+
+    /**
+     * Densify coordinates with points on great circles between each pair of vertices
+     * @param  {Coordinate[]} coords - coordinates
+     * @return {Coordinate[]}
+     * @private
+     */
+    _getGeodesicCoords(coords) {
+        const measurer = this._getMeasurer();
+        const result = [];
+        for (let i = 0, len = coords.length; i < len; i++) {
+            const c = coords[i], pre = coords[i - 1];
+            if (i > 0 && c && pre) {
+                const n = Math.ceil(measurer.measureLenBetween(pre, c) / GEODESIC_SEGMENT_LENGTH);
+                for (let ii = 1; ii < n; ii++) {
+                    result.push(measurer.interpolate(pre, c, ii / n));
+                }
+            }
+            result.push(c);
+        }
+        return result;
+    }
+
     _anti(c, dx) {
         if (dx > 0) {
             return c.sub(180 * 2, 0);
@@ -214,6 +257,10 @@ class Path extends Geometry {
     _computeCoordsExtent(coords) {
         const projection = this._getProjection();
         const anti = this.options['antiMeridian'] && Measurer.isSphere(projection);
+        if (this._isGeodesic()) {
+            //great circles bulge toward poles beyond the vertices
+            coords = coords.map(ring => this._getGeodesicCoords(ring));
+        }
         let result = null;
         let ext, p, dx, pre;
         for (let i = 0, len = coords.length; i < len; i++) {
@@ -0,0 +1,470 @@
+import { isNil, isString, isArrayHasData } from 'core/util';
+import GeoJSON from './GeoJSON';
+
+//geometry types of WKT and their type codes in WKB
+const WKB_TYPES = {
+    'Point' : 1,
+    'LineString' : 2,
+    'Polygon' : 3,
+    'MultiPoint' : 4,
+    'MultiLineString' : 5,
+    'MultiPolygon' : 6,
+    'GeometryCollection' : 7
+};
+
+//flags of EWKB's type
+const WKB_Z = 0x80000000,
+    WKB_M = 0x40000000,
+    WKB_SRID = 0x20000000;
+
+/**
+ * Utilities of [Well-known text]{@link https://en.wikipedia.org/wiki/Well-known_text} and well-known binary,
+ * including PostGIS's extended formats (EWKT and EWKB) with SRID. <br>
+ * Point, LineString, Polygon, MultiPoint, MultiLineString, MultiPolygon and GeometryCollection are supported,
+ * only x and y of coordinates are kept, z and m are ignored. <br>
+ * Geometries are converted through GeoJSON, e.g. a Circle is written as a Polygon.
+ * @class
+ * @category geometry
+ * @name WKT
+ */
+const WKT = {
+    /**
+     * Convert a WKT or EWKT string to a geometry
+     * @param  {String} wkt - WKT string, e.g. "POINT (30 10)" or "SRID=4326;POINT (30 10)"
+     * @return {Geometry}
+     * @example
+     * var polygon = WKT.toGeometry('POLYGON ((35 10, 45 45, 15 40, 10 20, 35 10), (20 30, 35 35, 30 20, 20 30))');
+     */
+    toGeometry: function (wkt) {
+        return GeoJSON.toGeometry(this.parse(wkt)['geometry']);
+    },
+
+    /**
+     * Write a geometry as a WKT string, or an EWKT string if srid is given
+     * @param  {Geometry} geometry - geometry to write
+     * @param  {Object} [options=null] - options
+     * @param  {Number} [options.srid=null] - srid to write as EWKT, e.g. 4326
+     * @return {String}
+     * @example
+     * // SRID=4326;POINT (30 10)
+     * var ewkt = WKT.fromGeometry(new Marker([30, 10]), { srid : 4326 });
+     */
+    fromGeometry: function (geometry, options) {
+        return this.stringify(geometry.toGeoJSONGeometry(), options && options['srid']);
+    },
+
+    /**
+     * Parse a WKT or EWKT string to a GeoJSON geometry object and its srid
+     * @param  {String} wkt - WKT string
+     * @return {Object} { srid : srid or null, geometry : GeoJSON geometry }
+     */
+    parse: function (wkt) {
+        if (!isString(wkt)) {
+            throw new Error('Invalid WKT: ' + wkt);
+        }
+        let srid = null;
+        const ewkt = /^\s*SRID=(\d+)\s*;/i.exec(wkt);
+        if (ewkt) {
+            srid = +ewkt[1];
+            wkt = wkt.substring(ewkt[0].length);
+        }
+        const reader = { 'text' : wkt, 'pos' : 0 };
+        const geometry = readWKTGeometry(reader);
+        skipSpaces(reader);
+        if (reader.pos < reader.text.length) {
+            throw new Error('Invalid WKT, unexpected "' + reader.text.substring(reader.pos) + '"');
+        }
+        return {
+            'srid' : srid,
+            'geometry' : geometry
+        };
+    },
+
+    /**
+     * Write a GeoJSON geometry object to a WKT string
+     * @param  {Object} geoJSON - GeoJSON geometry
+     * @param  {Number} [srid=null] - srid to write as EWKT
+     * @return {String}
+     */
+    stringify: function (geoJSON, srid) {
+        const wkt = writeWKTGeometry(geoJSON);
+        return isNil(srid) ? wkt : 'SRID=' + srid + ';' + wkt;
+    },
+
+    /**
+     * Convert a WKB or EWKB in hex string or binary to a geometry
+     * @param  {String|ArrayBuffer|Uint8Array} wkb - WKB in hex string, ArrayBuffer or Uint8Array (e.g. node's Buffer)
+     * @return {Geometry}
+     * @example
+     * var marker = WKT.fromWKB('0101000000000000000000F03F0000000000000040');
+     */
+    fromWKB: function (wkb) {
+        return GeoJSON.toGeometry(this.parseWKB(wkb)['geometry']);
+    },
+
+    /**
+     * Write a geometry as WKB, or EWKB if srid is given
+     * @param  {Geometry} geometry - geometry to write
+     * @param  {Object} [options=null] - options
+     * @param  {Number} [options.srid=null] - srid to write as EWKB
+     * @param  {Boolean} [options.hex=true] - whether to return a hex string, or a Uint8Array
+     * @return {String|Uint8Array}
+     */
+    toWKB: function (geometry, options) {
+        options = options || {};
+        const bytes = [];
+        writeWKBGeometry(bytes, geometry.toGeoJSONGeometry(), options['srid']);
+        if (isNil(options['hex']) || options['hex']) {
+            return bytes.map(b => (b < 16 ? '0' : '') + b.toString(16)).join('').toUpperCase();
+        }
+        return new Uint8Array(bytes);
+    },
+
+    /**
+     * Parse a WKB or EWKB to a GeoJSON geometry object and its srid
+     * @param  {String|ArrayBuffer|Uint8Array} wkb - WKB in hex string, ArrayBuffer or Uint8Array
+     * @return {Object} { srid : srid or null, geometry : GeoJSON geometry }
+     */
+    parseWKB: function (wkb) {
+        let bytes;
+        if (isString(wkb)) {
+            if (!/^([0-9a-fA-F]{2})+$/.test(wkb)) {
+                throw new Error('Invalid hex WKB: ' + wkb);
+            }
+            bytes = new Uint8Array(wkb.length / 2);
+            for (let i = 0; i < bytes.length; i++) {
+                bytes[i] = parseInt(wkb.substr(i * 2, 2), 16);
+            }
+        } else if (wkb instanceof ArrayBuffer) {
+            bytes = new Uint8Array(wkb);
+        } else if (wkb && wkb.buffer instanceof ArrayBuffer) {
+            bytes = wkb;
+        } else {
+            throw new Error('Invalid WKB: ' + wkb);
+        }
+        const reader = {
+            'view' : new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+            'pos' : 0,
+            'srid' : null
+        };
+        const geometry = readWKBGeometry(reader);
+        return {
+            'srid' : reader.srid,
+            'geometry' : geometry
+        };
+    }
+};
+
+export default WKT;
+
+function skipSpaces(reader) {
+    const text = reader.text;
+    while (reader.pos < text.length && /\s/.test(text.charAt(reader.pos))) {
+        reader.pos++;
+    }
+}
+
+function peek(reader) {
+    skipSpaces(reader);
+    return reader.text.charAt(reader.pos);
+}
+
+function expect(reader, ch) {
+    if (peek(reader) !== ch) {
+        throw new Error('Invalid WKT, expected "' + ch + '" at ' + reader.pos + ' of ' + reader.text);
+    }
+    reader.pos++;
+}
+
+function readWord(reader) {
+    skipSpaces(reader);
+    const match = /^[a-zA-Z]+/.exec(reader.text.substring(reader.pos));
+    if (!match) {
+        return null;
+    }
+    reader.pos += match[0].length;
+    return match[0].toUpperCase();
+}
+
+// read the word if it is the given one
+function readOptionalWord(reader, word) {
+    const pos = reader.pos;
+    if (readWord(reader) === word) {
+        return true;
+    }
+    reader.pos = pos;
+    return false;
+}
+
+function readCoordinate(reader) {
+    skipSpaces(reader);
+    const match = /^([-+]?[0-9.]+(e[-+]?\d+)?\s*)+/i.exec(reader.text.substring(reader.pos));
+    const values = match ? match[0].trim().split(/\s+/).map(Number) : [];
+    if (values.length < 2 || isNaN(values[0]) || isNaN(values[1])) {
+        throw new Error('Invalid WKT, invalid coordinate at ' + reader.pos + ' of ' + reader.text);
+    }
+    reader.pos += match[0].length;
+    //z and m are ignored
+    return [values[0], values[1]];
+}
+
+// read items separated by commas in parentheses
+function readList(reader, readItem) {
+    const list = [];
+    expect(reader, '(');
+    list.push(readItem(reader));
+    while (peek(reader) === ',') {
+        reader.pos++;
+        list.push(readItem(reader));
+    }
+    expect(reader, ')');
+    return list;
+}
+
+function readCoordinates(reader) {
+    return readList(reader, readCoordinate);
+}
+
+function readRings(reader) {
+    return readList(reader, readCoordinates);
+}
+
+// points of MultiPoint can be with or without parentheses, e.g. MULTIPOINT ((10 40), (40 30)) or MULTIPOINT (10 40, 40 30)
+function readMultiPointItem(reader) {
+    if (peek(reader) === '(') {
+        reader.pos++;
+        const c = readCoordinate(reader);
+        expect(reader, ')');
+        return c;
+    }
+    return readCoordinate(reader);
+}
+
+function readWKTGeometry(reader) {
+    const word = readWord(reader);
+    //dimensions of Z, M or ZM are ignored, e.g. POINT Z (1 2 3) or POINTZ (1 2 3)
+    const type = word ? getWKTType(word) || getWKTType(word.replace(/(ZM|Z|M)$/, '')) : null;
+    if (!type) {
+        throw new Error('Invalid WKT, unsupported geometry type: ' + word);
+    }
+    const pos = reader.pos;
+    if (['Z', 'M', 'ZM'].indexOf(readWord(reader)) < 0) {
+        reader.pos = pos;
+    }
+    const isEmpty = readOptionalWord(reader, 'EMPTY');
+    if (type === 'GeometryCollection') {
+        return {
+            'type' : type,
+            'geometries' : isEmpty ? [] : readList(reader, readWKTGeometry)
+        };
+    }
+    let coordinates;
+    if (isEmpty) {
+        coordinates = type === 'Point' ? null : [];
+    } else if (type === 'Point') {
+        expect(reader, '(');
+        coordinates = readCoordinate(reader);
+        expect(reader, ')');
+    } else if (type === 'LineString') {
+        coordinates = readCoordinates(reader);
+    } else if (type === 'Polygon' || type === 'MultiLineString') {
+        coordinates = readRings(reader);
+    } else if (type === 'MultiPoint') {
+        coordinates = readList(reader, readMultiPointItem);
+    } else if (type === 'MultiPolygon') {
+        coordinates = readList(reader, readRings);
+    }
+    return {
+        'type' : type,
+        'coordinates' : coordinates
+    };
+}
+
+function getWKTType(word) {
+    for (const p in WKB_TYPES) {
+        if (p.toUpperCase() === word) {
+            return p;
+        }
+    }
+    return null;
+}
+
+function writeCoordinate(c) {
+    return c[0] + ' ' + c[1];
+}
+
+function writeCoordinates(coordinates) {
+    return '(' + coordinates.map(writeCoordinate).join(', ') + ')';
+}
+
+function writeRings(rings) {
+    return '(' + rings.map(writeCoordinates).join(', ') + ')';
+}
+
+function writeWKTGeometry(geoJSON) {
+    const type = geoJSON['type'];
+    if (!WKB_TYPES[type]) {
+        throw new Error('Unsupported geometry type to write WKT: ' + type);
+    }
+    const name = type.toUpperCase();
+    if (type === 'GeometryCollection') {
+        const geometries = geoJSON['geometries'];
+        return isArrayHasData(geometries) ? name + ' (' + geometries.map(writeWKTGeometry).join(', ') + ')' : name + ' EMPTY';
+    }
+    const coordinates = geoJSON['coordinates'];
+    if (!isArrayHasData(coordinates)) {
+        return name + ' EMPTY';
+    }
+    let body;
+    if (type === 'Point') {
+        body = '(' + writeCoordinate(coordinates) + ')';
+    } else if (type === 'LineString') {
+        body = writeCoordinates(coordinates);
+    } else if (type === 'Polygon' || type === 'MultiLineString') {
+        body = writeRings(coordinates);
+    } else if (type === 'MultiPoint') {
+        body = '(' + coordinates.map(c => '(' + writeCoordinate(c) + ')').join(', ') + ')';
+    } else if (type === 'MultiPolygon') {
+        body = '(' + coordinates.map(writeRings).join(', ') + ')';
+    }
+    return name + ' ' + body;
+}
+
+function readWKBGeometry(reader) {
+    const view = reader.view;
+    if (reader.pos + 5 > view.byteLength) {
+        throw new Error('Invalid WKB, unexpected end of data');
+    }
+    const littleEndian = view.getUint8(reader.pos) === 1;
+    let code = view.getUint32(reader.pos + 1, littleEndian);
+    reader.pos += 5;
+    //EWKB flags
+    let dims = 2 + ((code & WKB_Z) ? 1 : 0) + ((code & WKB_M) ? 1 : 0);
+    if (code & WKB_SRID) {
+        reader.srid = view.getUint32(reader.pos, littleEndian);
+        reader.pos += 4;
+    }
+    code = code & 0x0fffffff;
+    //ISO WKB types, e.g. 1001 for Point Z, 2001 for Point M and 3001 for Point ZM
+    if (code > 1000) {
+        const iso = Math.floor(code / 1000);
+        dims = iso === 3 ? 4 : 3;
+        code = code % 1000;
+    }
+    let type = null;
+    for (const p in WKB_TYPES) {
+        if (WKB_TYPES[p] === code) {
+            type = p;
+        }
+    }
+    const readCoord = () => {
+        const c = [view.getFloat64(reader.pos, littleEndian), view.getFloat64(reader.pos + 8, littleEndian)];
+        reader.pos += 8 * dims;
+        return c;
+    };
+    const readCoords = () => {
+        const count = view.getUint32(reader.pos, littleEndian);
+        reader.pos += 4;
+        const coords = [];
+        for (let i = 0; i < count; i++) {
+            coords.push(readCoord());
+        }
+        return coords;
+    };
+    const readRings = () => {
+        const count = view.getUint32(reader.pos, littleEndian);
+        reader.pos += 4;
+        const rings = [];
+        for (let i = 0; i < count; i++) {
+            rings.push(readCoords());
+        }
+        return rings;
+    };
+    if (type === 'Point') {
+        const c = readCoord();
+        //POINT EMPTY is written as NaN coordinates
+        return {
+            'type' : type,
+            'coordinates' : isNaN(c[0]) && isNaN(c[1]) ? null : c
+        };
+    } else if (type === 'LineString') {
+        return { 'type' : type, 'coordinates' : readCoords() };
+    } else if (type === 'Polygon') {
+        return { 'type' : type, 'coordinates' : readRings() };
+    } else if (type) {
+        //multi geometries and collections are written with WKB of each member
+        const count = view.getUint32(reader.pos, littleEndian);
+        reader.pos += 4;
+        const members = [];
+        for (let i = 0; i < count; i++) {
+            members.push(readWKBGeometry(reader));
+        }
+        if (type === 'GeometryCollection') {
+            return { 'type' : type, 'geometries' : members };
+        }
+        return { 'type' : type, 'coordinates' : members.map(m => m['coordinates']) };
+    }
+    throw new Error('Invalid WKB, unsupported geometry type: ' + code);
+}
+
+// scratch view to write numbers as bytes
+const scratch = new DataView(new ArrayBuffer(8));
+
+function writeUint32(bytes, n) {
+    scratch.setUint32(0, n, true);
+    for (let i = 0; i < 4; i++) {
+        bytes.push(scratch.getUint8(i));
+    }
+}
+
+function writeFloat64(bytes, n) {
+    scratch.setFloat64(0, n, true);
+    for (let i = 0; i < 8; i++) {
+        bytes.push(scratch.getUint8(i));
+    }
+}
+
+function writeWKBCoordinates(bytes, coordinates) {
+    writeUint32(bytes, coordinates.length);
+    for (let i = 0; i < coordinates.length; i++) {
+        writeFloat64(bytes, coordinates[i][0]);
+        writeFloat64(bytes, coordinates[i][1]);
+    }
+}
+
+function writeWKBGeometry(bytes, geoJSON, srid) {
+    const type = geoJSON['type'];
+    const code = WKB_TYPES[type];
+    if (!code) {
+        throw new Error('Unsupported geometry type to write WKB: ' + type);
+    }
+    //little endian
+    bytes.push(1);
+    if (isNil(srid)) {
+        writeUint32(bytes, code);
+    } else {
+        writeUint32(bytes, (code | WKB_SRID) >>> 0);
+        writeUint32(bytes, srid);
+    }
+    const coordinates = geoJSON['coordinates'];
+    if (type === 'Point') {
+        const empty = !isArrayHasData(coordinates);
+        writeFloat64(bytes, empty ? NaN : coordinates[0]);
+        writeFloat64(bytes, empty ? NaN : coordinates[1]);
+    } else if (type === 'LineString') {
+        writeWKBCoordinates(bytes, coordinates || []);
+    } else if (type === 'Polygon') {
+        const rings = coordinates || [];
+        writeUint32(bytes, rings.length);
+        for (let i = 0; i < rings.length; i++) {
+            writeWKBCoordinates(bytes, rings[i]);
+        }
+    } else {
+        const memberType = type === 'GeometryCollection' ? null : type.substring(5);
+        const members = (memberType ? coordinates : geoJSON['geometries']) || [];
+        writeUint32(bytes, members.length);
+        for (let i = 0; i < members.length; i++) {
+            writeWKBGeometry(bytes, memberType ? { 'type' : memberType, 'coordinates' : members[i] } : members[i]);
+        }
+    }
+}
@@ -1,5 +1,6 @@
 import { INTERNAL_LAYER_PREFIX } from 'core/Constants';
-import { isNil, isNumber, sign, isArrayHasData, removeFromArray, UID } from 'core/util';
+import { extend, isNil, isNumber, sign, isArrayHasData, removeFromArray, UID } from 'core/util';
+import { addDomEvent, removeDomEvent, preventDefault } from 'core/util/dom';
 import { lowerSymbolOpacity } from 'core/util/style';
 import Class from 'core/Class';
 import Eventable from 'core/Eventable';
@@ -7,9 +8,13 @@ import Point from 'geo/Point';
 import { Marker, TextMarker, LineString, Polygon, Circle, Ellipse, Sector, Rectangle } from 'geometry';
 import VectorLayer from 'layer/VectorLayer';
 import * as Symbolizers from 'renderer/geometry/symbolizers';
+import Snapper from './Snapper';
 
 const EDIT_STAGE_LAYER_PREFIX = INTERNAL_LAYER_PREFIX + '_edit_stage_';
 
+//shape properties besides coordinates recorded in edit history
+const SHAPE_PROPERTIES = ['Radius', 'Width', 'Height', 'StartAngle', 'EndAngle'];
+
 function createHandleSymbol(markerType, opacity) {
     return {
         'markerType': markerType,
@@ -30,7 +35,11 @@ const options = {
     //symbols of edit handles
     'centerHandleSymbol' : createHandleSymbol('ellipse', 1),
     'vertexHandleSymbol' : createHandleSymbol('square', 1),
-    'newVertexHandleSymbol' : createHandleSymbol('square', 0.4)
+    'newVertexHandleSymbol' : createHandleSymbol('square', 0.4),
+    //undo and redo by ctrl+z and ctrl+y (or ctrl+shift+z)
+    'historyShortcuts' : false,
+    //snap vertices and center to geometries nearby, true or options of Snapper
+    'snap' : false
 };
 
 /**
@@ -46,6 +55,8 @@ class GeometryEditor extends Eventable(Class) {
      * @param {Geometry} geometry geometry to edit
      * @param {Object} [opts=null] options
      * @param {Object} [opts.symbol=null] symbol of being edited.
+     * @param {Boolean} [opts.historyShortcuts=false] whether to undo and redo by keyboard shortcuts ctrl+z and ctrl+y (or ctrl+shift+z)
+     * @param {Boolean|Object} [opts.snap=false] whether to snap vertices and center to geometries nearby, or options defined in [Snapper]{@link Snapper#options}
      */
     constructor(geometry, opts) {
         super(opts);
@@ -136,6 +147,9 @@ class GeometryEditor extends Eventable(Class) {
         } else {
             shadow.config('draggable', true);
             shadow.on('dragend', this._onShadowDragEnd, this);
+            if (this.options['snap']) {
+                shadow.on('dragging', this._onShadowDragging, this);
+            }
         }
         if (geometry instanceof Marker) {
             this.createMarkerEditor();
@@ -151,6 +165,11 @@ class GeometryEditor extends Eventable(Class) {
             (geometry instanceof LineString)) {
             this.createPolygonEditor();
         }
+        if (this.options['historyShortcuts'] && typeof document !== 'undefined') {
+            addDomEvent(document, 'keydown', this._onHistoryKeyDown, this);
+        }
+        this._history = [this._takeSnapshot()];
+        this._historyIndex = 0;
     }
 
     /**
@@ -158,6 +177,9 @@ class GeometryEditor extends Eventable(Class) {
      */
     stop() {
         this._switchGeometryEvents('off');
+        if (this.options['historyShortcuts'] && typeof document !== 'undefined') {
+            removeDomEvent(document, 'keydown', this._onHistoryKeyDown);
+        }
         const map = this.getMap();
         if (!map) {
             return;
@@ -172,7 +194,12 @@ class GeometryEditor extends Eventable(Class) {
         delete this._geometryDraggble;
         this._geometry.show();
 
+        if (this._snapper) {
+            this._snapper.hidePreview();
+            delete this._snapper;
+        }
         this._editStageLayer.remove();
+        delete this._editOutline;
         if (isArrayHasData(this._eventListeners)) {
             for (let i = this._eventListeners.length - 1; i >= 0; i--) {
                 const listener = this._eventListeners[i];
@@ -185,6 +212,8 @@ class GeometryEditor extends Eventable(Class) {
             this._geometry.setSymbol(this._originalSymbol);
             delete this._originalSymbol;
         }
+        delete this._history;
+        delete this._historyIndex;
         this.editing = false;
     }
 
@@ -199,6 +228,142 @@ class GeometryEditor extends Eventable(Class) {
         return this.editing;
     }
 
+    /**
+     * Undo the last edit operation of the session
+     * @return {Boolean} whether undone
+     */
+    undo() {
+        if (!this.canUndo()) {
+            return false;
+        }
+        this._applySnapshot(this._history[--this._historyIndex]);
+        return true;
+    }
+
+    /**
+     * Redo the last undone edit operation
+     * @return {Boolean} whether redone
+     */
+    redo() {
+        if (!this.canRedo()) {
+            return false;
+        }
+        this._applySnapshot(this._history[++this._historyIndex]);
+        return true;
+    }
+
+    /**
+     * Whether there is any edit operation to undo
+     * @return {Boolean}
+     */
+    canUndo() {
+        return !!this._history && this._historyIndex > 0;
+    }
+
+    /**
+     * Whether there is any undone edit operation to redo
+     * @return {Boolean}
+     */
+    canRedo() {
+        return !!this._history && this._historyIndex < this._history.length - 1;
+    }
+
+    /**
+     * Record current shape of the geometry after an edit operation, undone operations are discarded.
+     * @private
+     */
+    _recordHistory() {
+        if (!this._history || !this._shadow) {
+            return;
+        }
+        this._update();
+        this._history.splice(this._historyIndex + 1);
+        this._history.push(this._takeSnapshot());
+        this._historyIndex = this._history.length - 1;
+        /**
+         * editrecord event, fired when an edit operation is recorded in the history of the editing session.
+         *
+         * @event Geometry#editrecord
+         * @type {Object}
+         * @property {String} type - editrecord
+         * @property {Geometry} target - the geometry fires the event
+         */
+        this._geometry.fire('editrecord');
+    }
+
+    _takeSnapshot() {
+        const geometry = this._shadow || this._geometry;
+        const snapshot = {
+            'coordinates' : copyCoordinates(geometry.getCoordinates())
+        };
+        for (let i = 0; i < SHAPE_PROPERTIES.length; i++) {
+            const p = SHAPE_PROPERTIES[i];
+            if (geometry['get' + p]) {
+                snapshot[p] = geometry['get' + p]();
+            }
+        }
+        if (geometry instanceof TextMarker) {
+            snapshot['boxMinWidth'] = geometry.options['boxMinWidth'];
+            snapshot['boxMinHeight'] = geometry.options['boxMinHeight'];
+        } else if (geometry instanceof Marker) {
+            snapshot['symbol'] = copySymbol(geometry.getSymbol());
+        }
+        return snapshot;
+    }
+
+    /**
+     * Restore the geometry to the snapshot, handles are recreated as count of vertexes may be changed.
+     * @param  {Object} snapshot
+     * @private
+     */
+    _applySnapshot(snapshot) {
+        const geometry = this._geometry,
+            history = this._history,
+            historyIndex = this._historyIndex;
+        this.stop();
+        geometry.setCoordinates(copyCoordinates(snapshot['coordinates']));
+        for (let i = 0; i < SHAPE_PROPERTIES.length; i++) {
+            const p = SHAPE_PROPERTIES[i];
+            if (!isNil(snapshot[p])) {
+                geometry['set' + p](snapshot[p]);
+            }
+        }
+        if (geometry instanceof TextMarker) {
+            geometry.config({
+                'boxMinWidth' : snapshot['boxMinWidth'],
+                'boxMinHeight' : snapshot['boxMinHeight']
+            });
+        }
+        this.start();
+        if (snapshot['symbol']) {
+            // shadow's symbol is updated by geometry's symbolchange event
+            geometry.setSymbol(copySymbol(snapshot['symbol']));
+            this._refresh();
+        }
+        this._history = history;
+        this._historyIndex = historyIndex;
+    }
+
+    _onHistoryKeyDown(e) {
+        if (!(e.ctrlKey || e.metaKey)) {
+            return;
+        }
+        const key = e.keyCode;
+        let done = false;
+        if (key === 90 && !e.shiftKey) {
+            //ctrl + z
+            done = this.canUndo();
+            this._geometry.undoEdit();
+        } else if (key === 89 || (key === 90 && e.shiftKey)) {
+            //ctrl + y or ctrl + shift + z
+            done = this.canRedo();
+            this._geometry.redoEdit();
+        }
+        if (done) {
+            preventDefault(e);
+        }
+    }
+
     _getGeometryEvents() {
         return {
             'symbolchange': this._onGeometrySymbolChange
@@ -220,9 +385,21 @@ class GeometryEditor extends Eventable(Class) {
         }
     }
 
+    _onShadowDragging() {
+        this._snapViewPoint(this.getMap().coordinateToViewPoint(this._shadow.getCoordinates()));
+    }
+
     _onShadowDragEnd() {
+        if (this.options['snap']) {
+            const target = this._snapViewPoint(this.getMap().coordinateToViewPoint(this._shadow.getCoordinates()));
+            if (target) {
+                this._shadow.setCoordinates(target['coordinate']);
+            }
+            this._snapper.hidePreview();
+        }
         this._update();
         this._refresh();
+        this._recordHistory();
     }
 
     _update() {
@@ -299,8 +476,13 @@ class GeometryEditor extends Eventable(Class) {
                 shadow.setSymbol(symbol).addTo(this._editStageLayer);
             },
             onMove: (v, param) => {
-                const offset = param['coordOffset'];
+                let offset = param['coordOffset'];
                 if (shadow) {
+                    if (this.options['snap']) {
+                        //center follows the handle or the snap target
+                        const target = this._snapViewPoint(v);
+                        offset = (target ? target['coordinate'] : handle.getCoordinates()).sub(this._geometry.getCenter());
+                    }
                     shadow.translate(offset);
                     this._geometry.translate(offset);
                 }
@@ -354,9 +536,13 @@ class GeometryEditor extends Eventable(Class) {
         }
 
         function onHandleDragEnd(ev) {
+            if (me._snapper) {
+                me._snapper.hidePreview();
+            }
             if (opts.onUp) {
                 opts.onUp.call(me, ev);
             }
+            me._recordHistory();
         }
         handle.on('dragstart', onHandleDragstart, this);
         handle.on('dragging', onHandleDragging, this);
@@ -735,6 +921,14 @@ class GeometryEditor extends Eventable(Class) {
             return shadow._getPrjCoordinates();
         }
 
+        function getMiddleVertex(c1, c2) {
+            //new vertex on the great circle of geodesic paths
+            if (shadow._isGeodesic()) {
+                return shadow._getMeasurer().interpolate(c1, c2, 0.5);
+            }
+            return c1.add(c2).multi(1 / 2);
+        }
+
         function onVertexAddOrRemove() {
             //restore index property of each handles.
             for (let i = vertexHandles.length - 1; i >= 0; i--) {
@@ -771,11 +965,13 @@ class GeometryEditor extends Eventable(Class) {
             //add a new "new vertex" handle.
             newVertexHandles.splice(nextIndex, 0, createNewVertexHandle.call(me, nextIndex));
             onVertexAddOrRemove();
+            me._recordHistory();
         }
 
         function moveVertexHandle(handleViewPoint, index) {
             const vertice = getVertexPrjCoordinates();
-            const nVertex = map._viewPointToPrj(handleViewPoint);
+            const target = me._snapViewPoint(handleViewPoint);
+            const nVertex = target ? target['prjCoordinate'] : map._viewPointToPrj(handleViewPoint);
             const pVertex = vertice[index];
             pVertex.x = nVertex.x;
             pVertex.y = nVertex.y;
@@ -828,7 +1024,7 @@ class GeometryEditor extends Eventable(Class) {
             } else {
                 nextVertex = vertexCoordinates[index + 1];
             }
-            const vertex = vertexCoordinates[index].add(nextVertex).multi(1 / 2);
+            const vertex = getMiddleVertex(vertexCoordinates[index], nextVertex);
             const handle = me.createHandle(vertex, {
                 'symbol': me.options['newVertexHandleSymbol'],
                 'cursor': 'pointer',
@@ -873,7 +1069,7 @@ class GeometryEditor extends Eventable(Class) {
                     } else {
                         nextIndex = vertexIndex + 1;
                     }
-                    const refreshVertex = vertexCoordinates[vertexIndex].add(vertexCoordinates[nextIndex]).multi(1 / 2);
+                    const refreshVertex = getMiddleVertex(vertexCoordinates[vertexIndex], vertexCoordinates[nextIndex]);
                     handle.setCoordinates(refreshVertex);
                 }
             });
@@ -909,6 +1105,26 @@ class GeometryEditor extends Eventable(Class) {
         }
     }
 
+    /**
+     * Snap the view point of a handle to geometries nearby if snap is enabled, and preview the target on edit stage layer.
+     * @param  {Point} viewPoint - view point of the handle
+     * @return {Object} snap target, null if nothing to snap to
+     * @private
+     */
+    _snapViewPoint(viewPoint) {
+        const snap = this.options['snap'];
+        if (!snap) {
+            return null;
+        }
+        const map = this.getMap();
+        if (!this._snapper) {
+            this._snapper = new Snapper(map, snap === true ? null : snap);
+        }
+        const target = this._snapper.snap(map.viewPointToContainerPoint(viewPoint), [this._geometry]);
+        this._snapper.showPreview(target, this._editStageLayer);
+        return target;
+    }
+
     _hideContext() {
         if (this._geometry) {
             this._geometry.closeMenu();
@@ -939,3 +1155,17 @@ class GeometryEditor extends Eventable(Class) {
 GeometryEditor.mergeOptions(options);
 
 export default GeometryEditor;
+
+function copyCoordinates(coordinates) {
+    if (Array.isArray(coordinates)) {
+        return coordinates.map(copyCoordinates);
+    }
+    return coordinates.copy();
+}
+
+function copySymbol(symbol) {
+    if (Array.isArray(symbol)) {
+        return symbol.map(copySymbol);
+    }
+    return symbol ? extend({}, symbol) : symbol;
+}
@@ -0,0 +1,266 @@
+import { INTERNAL_LAYER_PREFIX } from 'core/Constants';
+import { isString } from 'core/util';
+import Class from 'core/Class';
+import Point from 'geo/Point';
+import Extent from 'geo/Extent';
+import { Marker, Polygon, Circle, Ellipse, Sector, GeometryCollection } from 'geometry';
+import OverlayLayer from 'layer/OverlayLayer';
+
+/**
+ * @property {Object}   options
+ * @property {Array}    [options.layers=null]   - layers or layer ids to snap to, all the visible vector layers on the map if not set
+ * @property {Number}   [options.tolerance=10]  - pixel distance to snap
+ * @property {Boolean}  [options.vertex=true]   - whether to snap to vertices
+ * @property {Boolean}  [options.midpoint=true] - whether to snap to midpoints of edges
+ * @property {Boolean}  [options.edge=true]     - whether to snap to edges
+ * @property {Object}   [options.symbol=null]   - symbol of the preview marker of the snap target
+ * @memberOf Snapper
+ * @instance
+ */
+const options = {
+    'layers' : null,
+    'tolerance' : 10,
+    'vertex' : true,
+    'midpoint' : true,
+    'edge' : true,
+    'symbol' : {
+        'markerType' : 'ellipse',
+        'markerFill' : '#f00',
+        'markerFillOpacity' : 0.6,
+        'markerLineColor' : '#fff',
+        'markerLineWidth' : 2,
+        'markerWidth' : 12,
+        'markerHeight' : 12
+    }
+};
+
+//vertices are preferred to midpoints and midpoints to edges in tolerance
+const PRIORITIES = {
+    'vertex' : 0,
+    'midpoint' : 1,
+    'edge' : 2
+};
+
+/**
+ * Snaps a container point to vertices, midpoints and edges of geometries nearby, used by DrawTool and GeometryEditor. <br>
+ * Geometries are searched by layers' spatial indexes and their projected coordinates.
+ * @category geometry
+ * @protected
+ * @extends Class
+ * @param {Map} map - map
+ * @param {Object} [options=null] - options defined in [Snapper]{@link Snapper#options}
+ */
+class Snapper extends Class {
+
+    constructor(map, options) {
+        super(options);
+        this._map = map;
+    }
+
+    /**
+     * Find the snap target of the container point.
+     * @param  {Point} containerPoint - container point to snap
+     * @param  {Geometry[]} [ignores=null] - geometries to ignore, e.g. the geometry being edited
+     * @return {Object} snap target with type ("vertex", "midpoint" or "edge"), coordinate, containerPoint and geometry, null if nothing to snap to
+     */
+    snap(containerPoint, ignores) {
+        const map = this._map;
+        if (!map || !containerPoint) {
+            return null;
+        }
+        const tolerance = this.options['tolerance'];
+        const extent = this._getSearchExtent(containerPoint, tolerance);
+        const layers = this._getLayers();
+        let target = null;
+        for (let i = 0; i < layers.length; i++) {
+            const geometries = layers[i]._getIndex() ? layers[i]._searchIndex(extent) : layers[i].getGeometries();
+            for (let ii = 0; ii < geometries.length; ii++) {
+                const geo = geometries[ii];
+                if (!geo.isVisible() || ignores && ignores.indexOf(geo) >= 0) {
+                    continue;
+                }
+                target = this._snapGeometry(geo, geo, containerPoint, tolerance, target);
+            }
+        }
+        if (!target) {
+            return null;
+        }
+        target['coordinate'] = map.getProjection().unproject(target['prjCoordinate']);
+        return target;
+    }
+
+    /**
+     * Show the snap target on the layer, or hide it if target is null.
+     * @param  {Object} target - snap target returned by snap
+     * @param  {VectorLayer} layer - layer to show the preview, e.g. draw tool's layer or editor's stage layer
+     * @return {Snapper} this
+     */
+    showPreview(target, layer) {
+        if (!target) {
+            return this.hidePreview();
+        }
+        if (!this._preview) {
+            this._preview = new Marker(target['coordinate'], {
+                'symbol' : this.options['symbol']
+            });
+        } else {
+            this._preview.setCoordinates(target['coordinate']);
+        }
+        if (this._preview.getLayer() !== layer) {
+            this._preview.remove();
+            layer.addGeometry(this._preview);
+        }
+        return this;
+    }
+
+    /**
+     * Remove the preview of snap target.
+     * @return {Snapper} this
+     */
+    hidePreview() {
+        if (this._preview) {
+            this._preview.remove();
+            delete this._preview;
+        }
+        return this;
+    }
+
+    /**
+     * Search extent of the tolerance around the container point in projected coordinates,
+     * corners are all converted as the map may be rotated or pitched.
+     * @private
+     */
+    _getSearchExtent(containerPoint, tolerance) {
+        const map = this._map;
+        const corners = [
+            containerPoint.add(-tolerance, -tolerance),
+            containerPoint.add(tolerance, -tolerance),
+            containerPoint.add(tolerance, tolerance),
+            containerPoint.add(-tolerance, tolerance)
+        ];
+        let extent = null;
+        for (let i = 0; i < corners.length; i++) {
+            const prj = map._containerPointToPrj(corners[i]);
+            const ext = new Extent(prj, prj);
+            extent = extent ? extent.combine(ext) : ext;
+        }
+        return extent;
+    }
+
+    _getLayers() {
+        const map = this._map;
+        let layers = this.options['layers'];
+        if (!layers) {
+            layers = map.getLayers(layer => layer instanceof OverlayLayer && layer.getId().indexOf(INTERNAL_LAYER_PREFIX) !== 0);
+        } else {
+            layers = layers.map(layer => isString(layer) ? map.getLayer(layer) : layer);
+        }
+        return layers.filter(layer => layer && layer instanceof OverlayLayer && layer.getMap() === map && layer.isVisible());
+    }
+
+    _snapGeometry(geo, owner, containerPoint, tolerance, target) {
+        if (geo instanceof GeometryCollection) {
+            const children = geo.getGeometries();
+            for (let i = 0; i < children.length; i++) {
+                target = this._snapGeometry(children[i], owner, containerPoint, tolerance, target);
+            }
+            return target;
+        }
+        const rings = getPrjRings(geo);
+        for (let i = 0; i < rings.length; i++) {
+            const ring = rings[i]['coordinates'];
+            if (!ring || !ring.length) {
+                continue;
+            }
+            const points = ring.map(c => this._map._prjToContainerPoint(c));
+            if (rings[i]['closed'] && points.length > 2 && !points[0].equals(points[points.length - 1])) {
+                points.push(points[0]);
+                ring.push(ring[0]);
+            }
+            if (this.options['vertex'] && rings[i]['vertex']) {
+                for (let ii = 0; ii < points.length; ii++) {
+                    target = compare(target, 'vertex', points[ii], ring[ii], containerPoint, tolerance, owner);
+                }
+            }
+            for (let ii = 0; ii < points.length - 1; ii++) {
+                const p0 = points[ii], p1 = points[ii + 1];
+                if (this.options['midpoint'] && rings[i]['vertex']) {
+                    const mid = ring[ii].add(ring[ii + 1]).multi(1 / 2);
+                    target = compare(target, 'midpoint', this._map._prjToContainerPoint(mid), mid, containerPoint, tolerance, owner);
+                }
+                if (this.options['edge']) {
+                    const t = projectToSegment(containerPoint, p0, p1);
+                    const c0 = ring[ii], c1 = ring[ii + 1];
+                    const nearest = c0.add(c1.sub(c0).multi(t));
+                    target = compare(target, 'edge', p0.add(p1.sub(p0).multi(t)), nearest, containerPoint, tolerance, owner);
+                }
+            }
+        }
+        return target;
+    }
+}
+
+Snapper.mergeOptions(options);
+
+export default Snapper;
+
+/**
+ * Projected coordinates to snap to of the geometry, reused from geometry's projection cache.
+ * Shells of circles, ellipses and sectors are only snapped as edges, their centers are the vertices.
+ * @private
+ */
+function getPrjRings(geo) {
+    const rings = [];
+    if (geo instanceof Marker) {
+        rings.push({ 'coordinates' : [geo._getPrjCoordinates()], 'vertex' : true });
+    } else if (geo instanceof Polygon) {
+        const isShape = geo instanceof Circle || geo instanceof Ellipse || geo instanceof Sector;
+        if (isShape) {
+            rings.push({ 'coordinates' : [geo._getPrjCoordinates()], 'vertex' : true });
+        }
+        const shell = geo._getPrjShell();
+        if (shell) {
+            rings.push({ 'coordinates' : shell.slice(0), 'closed' : true, 'vertex' : !isShape });
+        }
+        const holes = isShape ? null : geo._getPrjHoles();
+        if (holes) {
+            for (let i = 0; i < holes.length; i++) {
+                rings.push({ 'coordinates' : holes[i].slice(0), 'closed' : true, 'vertex' : true });
+            }
+        }
+    } else if (geo._getPrjCoordinates) {
+        rings.push({ 'coordinates' : geo._getPrjCoordinates().slice(0), 'vertex' : true });
+    }
+    return rings;
+}
+
+//ratio of the projection of p on segment p0-p1
+function projectToSegment(p, p0, p1) {
+    const dx = p1.x - p0.x, dy = p1.y - p0.y;
+    const len2 = dx * dx + dy * dy;
+    if (len2 === 0) {
+        return 0;
+    }
+    const t = ((p.x - p0.x) * dx + (p.y - p0.y) * dy) / len2;
+    return Math.max(0, Math.min(1, t));
+}
+
+function compare(target, type, point, prjCoordinate, containerPoint, tolerance, geometry) {
+    const distance = point.distanceTo(containerPoint);
+    if (distance > tolerance) {
+        return target;
+    }
+    if (target) {
+        const p0 = PRIORITIES[target['type']], p1 = PRIORITIES[type];
+        if (p0 < p1 || p0 === p1 && target['distance'] <= distance) {
+            return target;
+        }
+    }
+    return {
+        'type' : type,
+        'distance' : distance,
+        'containerPoint' : new Point(point.x, point.y),
+        'prjCoordinate' : prjCoordinate.copy(),
+        'geometry' : geometry
+    };
+}
@@ -3,6 +3,8 @@ import { extendSymbol } from 'core/util/style';
 import { Animation } from 'core/Animation';
 import Coordinate from 'geo/Coordinate';
 import Geometry from 'geometry/Geometry';
+import Marker from 'geometry/Marker';
+import LineString from 'geometry/LineString';
 
 Geometry.include(/** @lends Geometry.prototype */ {
     /**
@@ -159,17 +161,143 @@ Geometry.include(/** @lends Geometry.prototype */ {
         return stylesToAnimate;
     },
 
-    _fireAnimateEvent: function (playState) {
+    _fireAnimateEvent: function (playState, param) {
         if (playState === 'finished') {
             delete this._animationStarted;
-            this._fireEvent('animateend');
+            this._fireEvent('animateend', param);
         } else if (playState === 'running') {
             if (this._animationStarted) {
-                this._fireEvent('animating');
+                this._fireEvent('animating', param);
             } else {
-                this._fireEvent('animatestart');
+                this._fireEvent('animatestart', param);
                 this._animationStarted = true;
             }
         }
     }
 });
+
+Marker.include(/** @lends Marker.prototype */ {
+    /**
+     * Animate the marker along a path by geodesic distance measured by marker's measurer. <br>
+     * The returned player can be paused, seeked and reversed, progress is fired in animating events.
+     * @param  {LineString|Coordinate[]} path - path to move along
+     * @param  {Object}   [options=null]  - animation options
+     * @param  {Number}   [options.speed=null]        - speed in meter per second, duration is computed by path's length if set
+     * @param  {Number}   [options.duration=1000]     - duration in ms if speed is not set
+     * @param  {Boolean}  [options.rotateWithPath=false] - whether to set markerRotation to the direction of the path, marker's right side faces the direction
+     * @param  {Boolean}  [options.loop=false]        - whether to play again from the start when finished
+     * @param  {String}   [options.easing=linear]     - animation easing: in, out, inAndOut, linear, upAndDown
+     * @param  {Function} [step=null]  - step function during animation, animation frame as the parameter
+     * @return {animation.Player} animation player
+     * @fires Geometry#animatestart
+     * @fires Geometry#animating
+     * @fires Geometry#animateend
+     * @example
+     * var player = marker.animateAlong(route, {
+     *     speed : 50,
+     *     rotateWithPath : true
+     * });
+     * marker.on('animating', function (e) {
+     *     console.log(e.progress);
+     * });
+     * player.seek(player.duration / 2);
+     * player.reverse();
+     */
+    animateAlong(path, options, step) {
+        if (this._animPlayer) {
+            this._animPlayer.finish();
+        }
+        if (isFunction(options)) {
+            step = options;
+            options = null;
+        }
+        options = options || {};
+        const coordinates = path instanceof LineString ? path.getCoordinates() : Coordinate.toCoordinates(path || []);
+        if (coordinates.length < 2) {
+            throw new Error('A path with at least 2 coordinates is required to animate along.');
+        }
+        const measurer = this._getMeasurer();
+        const distances = [0];
+        for (let i = 1; i < coordinates.length; i++) {
+            distances.push(distances[i - 1] + measurer.measureLength(coordinates[i - 1], coordinates[i]));
+        }
+        const length = distances[distances.length - 1];
+        const animOptions = {
+            'easing' : options['easing'],
+            'repeat' : options['loop']
+        };
+        if (options['speed'] > 0) {
+            animOptions['duration'] = Math.max(length / options['speed'] * 1000, 1);
+        } else if (options['duration']) {
+            animOptions['duration'] = options['duration'];
+        }
+        const map = this.getMap();
+        if (map) {
+            const renderer = map._getRenderer();
+            animOptions['framer'] = function (fn) {
+                renderer.callInNextFrame(fn);
+            };
+        }
+        delete this._animationStarted;
+        const player = Animation.animate({
+            'distance' : [0, length]
+        }, animOptions, frame => {
+            if (map && map.isRemoved()) {
+                player.finish();
+                return;
+            }
+            const distance = frame.styles['distance'];
+            const i = getSegmentAt(distances, distance);
+            const from = coordinates[i], to = coordinates[i + 1],
+                segLen = distances[i + 1] - distances[i],
+                r = segLen ? (distance - distances[i]) / segLen : 0;
+            this.setCoordinates(new Coordinate(from.x + (to.x - from.x) * r, from.y + (to.y - from.y) * r));
+            if (options['rotateWithPath']) {
+                this.updateSymbol({
+                    'markerRotation' : this._getRotationOfPath(from, to, player.isReversed())
+                });
+            }
+            this._fireAnimateEvent(player.playState, {
+                'distance' : distance,
+                'progress' : length ? distance / length : 1
+            });
+            if (step) {
+                step(frame);
+            }
+        });
+        this._animPlayer = player;
+        return player.play();
+    },
+
+    /**
+     * Rotation in degree of the segment from one coordinate to another on the screen, clockwise from east as markerRotation.
+     * @private
+     */
+    _getRotationOfPath(from, to, reversed) {
+        const projection = this._getProjection();
+        if (projection) {
+            from = projection.project(from);
+            to = projection.project(to);
+        }
+        //y axis of projected coordinates is upward while screen's is downward
+        let degree = Math.atan2(from.y - to.y, to.x - from.x) * 180 / Math.PI;
+        if (reversed) {
+            degree += 180;
+        }
+        return degree;
+    }
+});
+
+// index of the path's segment at the distance
+function getSegmentAt(distances, distance) {
+    let lo = 0, hi = distances.length - 2;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (distances[mid] <= distance) {
+            lo = mid;
+        } else {
+            hi = mid - 1;
+        }
+    }
+    return lo;
+}
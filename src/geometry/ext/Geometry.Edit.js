@@ -6,6 +6,8 @@ Geometry.include(/** @lends Geometry.prototype */ {
      * Start to edit
      * @param {Object} [options=null]        - edit options
      * @param {Object} [options.symbol=null] - symbol for the geometry during editing
+     * @param {Boolean} [options.historyShortcuts=false] - whether to undo and redo by keyboard shortcuts ctrl+z and ctrl+y (or ctrl+shift+z)
+     * @param {Boolean|Object} [options.snap=false] - whether to snap vertices and center to vertices, midpoints and edges of geometries nearby, or options defined in [Snapper]{@link Snapper#options}
      * @return {Geometry} this
      */
     startEdit(opts) {
@@ -32,6 +34,46 @@ Geometry.include(/** @lends Geometry.prototype */ {
         return this;
     },
 
+    /**
+     * Undo the last edit operation, such as moving a vertex, inserting or removing a vertex, resizing or dragging by center, in current editing session.
+     * @return {Geometry} this
+     * @fires Geometry#undoedit
+     */
+    undoEdit() {
+        if (this._editor && this._editor.undo()) {
+            /**
+             * undoedit event, fired when an edit operation is undone.
+             *
+             * @event Geometry#undoedit
+             * @type {Object}
+             * @property {String} type - undoedit
+             * @property {Geometry} target - the geometry fires the event
+             */
+            this.fire('undoedit');
+        }
+        return this;
+    },
+
+    /**
+     * Redo the last undone edit operation in current editing session.
+     * @return {Geometry} this
+     * @fires Geometry#redoedit
+     */
+    redoEdit() {
+        if (this._editor && this._editor.redo()) {
+            /**
+             * redoedit event, fired when an undone edit operation is redone.
+             *
+             * @event Geometry#redoedit
+             * @type {Object}
+             * @property {String} type - redoedit
+             * @property {Geometry} target - the geometry fires the event
+             */
+            this.fire('redoedit');
+        }
+        return this;
+    },
+
     /**
      * Whether the geometry is being edited.
      * @return {Boolean}
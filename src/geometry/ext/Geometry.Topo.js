@@ -0,0 +1,213 @@
+import polygonClipping from 'polygon-clipping';
+import { isNumber } from 'core/util';
+import Coordinate from 'geo/Coordinate';
+import Geometry from 'geometry/Geometry';
+import { Marker, Polygon, MultiPolygon, GeometryCollection } from 'geometry';
+
+//segments of round joins and caps in a full circle
+const DEFAULT_STEPS = 32;
+
+Geometry.include(/** @lends Geometry.prototype */ {
+    /**
+     * Compute the buffer of the geometry in meters, measured by geometry's measurer. <br>
+     * Marker, LineString, Polygon and their multi geometries and collections can be buffered. <br>
+     * A negative distance shrinks polygons.
+     * @param {Number} distance - buffer distance in meter
+     * @param {Object} [options=null] - options
+     * @param {Number} [options.steps=32] - segments of round joins and caps in a full circle
+     * @return {Polygon|MultiPolygon} buffer with geometry's properties, null if the buffer is empty
+     * @example
+     * var buffer = marker.buffer(500);
+     */
+    buffer(distance, options) {
+        if (!isNumber(distance)) {
+            throw new Error('Invalid buffer distance:' + distance);
+        }
+        const steps = options && options['steps'] || DEFAULT_STEPS;
+        const result = computeBuffer(this, distance, steps, this._getMeasurer());
+        return toGeometry(result, this);
+    },
+
+    /**
+     * Compute the intersection of the polygon and other polygons.
+     * @param {Polygon|MultiPolygon|Polygon[]} geometries - polygons or multipolygons to intersect with
+     * @return {Polygon|MultiPolygon} intersection with geometry's properties, null if the result is empty
+     * @example
+     * var intersection = polygon.intersection(other);
+     */
+    intersection(geometries) {
+        return clip(this, geometries, 'intersection');
+    },
+
+    /**
+     * Compute the union of the polygon and other polygons.
+     * @param {Polygon|MultiPolygon|Polygon[]} geometries - polygons or multipolygons to union with
+     * @return {Polygon|MultiPolygon} union with geometry's properties, null if the result is empty
+     */
+    union(geometries) {
+        return clip(this, geometries, 'union');
+    },
+
+    /**
+     * Compute the difference of the polygon subtracted by other polygons.
+     * @param {Polygon|MultiPolygon|Polygon[]} geometries - polygons or multipolygons to subtract
+     * @return {Polygon|MultiPolygon} difference with geometry's properties, null if the result is empty
+     */
+    difference(geometries) {
+        return clip(this, geometries, 'difference');
+    },
+
+    /**
+     * Compute the symmetric difference of the polygon and other polygons.
+     * @param {Polygon|MultiPolygon|Polygon[]} geometries - polygons or multipolygons
+     * @return {Polygon|MultiPolygon} symmetric difference with geometry's properties, null if the result is empty
+     */
+    xor(geometries) {
+        return clip(this, geometries, 'xor');
+    }
+});
+
+function clip(geometry, geometries, operation) {
+    if (!geometries) {
+        throw new Error('Geometries to compute ' + operation + ' are required.');
+    }
+    if (!Array.isArray(geometries)) {
+        geometries = [geometries];
+    }
+    const others = geometries.map(toClipPolygons);
+    const result = polygonClipping[operation].apply(polygonClipping, [toClipPolygons(geometry)].concat(others));
+    return toGeometry(result, geometry);
+}
+
+/**
+ * Convert Polygon or MultiPolygon to polygons in number arrays used by polygon-clipping
+ * @private
+ */
+function toClipPolygons(geometry) {
+    if (geometry instanceof MultiPolygon) {
+        return geometry.getGeometries().map(toClipRings);
+    } else if (geometry instanceof Polygon) {
+        return [toClipRings(geometry)];
+    }
+    throw new Error('Only Polygon and MultiPolygon are supported in clipping, but got ' + (geometry && geometry.getType ? geometry.getType() : geometry));
+}
+
+//closed rings of polygon's shell and holes
+function toClipRings(polygon) {
+    const rings = [polygon.getShell()].concat(polygon.getHoles());
+    return rings.map(ring => {
+        ring = Coordinate.toNumberArrays(ring);
+        const first = ring[0], last = ring[ring.length - 1];
+        if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+            ring.push(first);
+        }
+        return ring;
+    });
+}
+
+function toGeometry(polygons, geometry) {
+    if (!polygons || !polygons.length) {
+        return null;
+    }
+    const options = {
+        'properties' : geometry.getProperties()
+    };
+    if (polygons.length === 1) {
+        return new Polygon(polygons[0], options);
+    }
+    return new MultiPolygon(polygons, options);
+}
+
+/**
+ * Compute buffer polygons of the geometry in longitude and latitude.
+ * Buffers are computed in a local plane in meters around geometry's center.
+ * @private
+ */
+function computeBuffer(geometry, distance, steps, measurer) {
+    if (geometry instanceof GeometryCollection) {
+        const buffers = geometry.getGeometries()
+            .map(geo => computeBuffer(geo, distance, steps, measurer))
+            .filter(buffer => buffer.length);
+        if (!buffers.length) {
+            return [];
+        }
+        return polygonClipping.union.apply(polygonClipping, buffers);
+    }
+    const origin = geometry.getCenter();
+    if (!origin) {
+        return [];
+    }
+    const radius = Math.abs(distance);
+    let result;
+    if (geometry instanceof Marker) {
+        result = distance > 0 ? [[createCircle([0, 0], radius, steps)]] : [];
+    } else if (geometry instanceof Polygon) {
+        const rings = toClipRings(geometry).map(ring => ring.map(c => toLocal(measurer, origin, c)));
+        if (!distance) {
+            result = [rings];
+        } else {
+            const edges = [];
+            for (let i = 0; i < rings.length; i++) {
+                pushSegmentBuffers(edges, rings[i], radius, steps);
+            }
+            result = distance > 0 ? polygonClipping.union.apply(polygonClipping, [rings].concat(edges)) :
+                polygonClipping.difference.apply(polygonClipping, [rings].concat(edges));
+        }
+    } else if (geometry.getCoordinates) {
+        const path = Coordinate.toNumberArrays(geometry.getCoordinates()).map(c => toLocal(measurer, origin, c));
+        const segments = [];
+        if (distance > 0) {
+            pushSegmentBuffers(segments, path, radius, steps);
+        }
+        result = segments.length ? polygonClipping.union.apply(polygonClipping, segments) : [];
+    } else {
+        throw new Error('Geometry of ' + geometry.getType() + ' can not be buffered.');
+    }
+    return result.map(polygon => polygon.map(ring => ring.map(p => fromLocal(measurer, origin, p))));
+}
+
+// x is measured along the parallel of the coordinate and y along the meridian of the origin, as Measurer.locate does reversely.
+function toLocal(measurer, origin, c) {
+    const x = measurer.measureLength(new Coordinate(origin.x, c[1]), new Coordinate(c[0], c[1]));
+    const y = measurer.measureLength(origin, new Coordinate(origin.x, c[1]));
+    return [c[0] < origin.x ? -x : x, c[1] < origin.y ? -y : y];
+}
+
+function fromLocal(measurer, origin, p) {
+    const c = measurer.locate(origin, p[0], p[1]);
+    return [c.x, c.y];
+}
+
+function createCircle(center, radius, steps) {
+    const ring = [];
+    for (let i = 0; i < steps; i++) {
+        const rad = 2 * Math.PI * i / steps;
+        ring.push([center[0] + radius * Math.cos(rad), center[1] + radius * Math.sin(rad)]);
+    }
+    ring.push(ring[0]);
+    return ring;
+}
+
+//push round caps of the vertices and rectangles of the segments in the path
+function pushSegmentBuffers(buffers, path, radius, steps) {
+    for (let i = 0; i < path.length; i++) {
+        buffers.push([createCircle(path[i], radius, steps)]);
+        if (i === path.length - 1) {
+            break;
+        }
+        const p0 = path[i], p1 = path[i + 1];
+        const dx = p1[0] - p0[0], dy = p1[1] - p0[1];
+        const len = Math.sqrt(dx * dx + dy * dy);
+        if (!len) {
+            continue;
+        }
+        const nx = -dy / len * radius, ny = dx / len * radius;
+        buffers.push([[
+            [p0[0] + nx, p0[1] + ny],
+            [p1[0] + nx, p1[1] + ny],
+            [p1[0] - nx, p1[1] - ny],
+            [p0[0] - nx, p0[1] - ny],
+            [p0[0] + nx, p0[1] + ny]
+        ]]);
+    }
+}
@@ -0,0 +1,30 @@
+import Geometry from 'geometry/Geometry';
+import WKT from 'geometry/WKT';
+
+Geometry.include(/** @lends Geometry.prototype */ {
+    /**
+     * Export the geometry as a [WKT]{@link https://en.wikipedia.org/wiki/Well-known_text} string, or an EWKT string if srid is given.
+     * @param {Object} [options=null] - options
+     * @param {Number} [options.srid=null] - srid to write as EWKT, e.g. 4326
+     * @return {String}
+     * @example
+     * // LINESTRING (30 10, 10 30, 40 40)
+     * var wkt = new maptalks.LineString([[30, 10], [10, 30], [40, 40]]).toWKT();
+     */
+    toWKT(options) {
+        return WKT.fromGeometry(this, options);
+    }
+});
+
+/**
+ * Create a geometry from a WKT or EWKT string, the SRID of EWKT is ignored.
+ * @param  {String} wkt - WKT string
+ * @return {Geometry}
+ * @static
+ * @function
+ * @example
+ * var polygon = maptalks.Geometry.fromWKT('POLYGON ((30 10, 40 40, 20 40, 10 20, 30 10))');
+ */
+Geometry.fromWKT = function (wkt) {
+    return WKT.toGeometry(wkt);
+};
@@ -7,6 +7,7 @@ import MultiLineString from './MultiLineString';
 import MultiPolygon from './MultiPolygon';
 import GeometryCollection from './GeometryCollection';
 import GeoJSON from './GeoJSON';
+import WKT from './WKT';
 import Circle from './Circle';
 import Ellipse from './Ellipse';
 import Rectangle from './Rectangle';
@@ -41,5 +42,6 @@ export {
     Rectangle,
     Sector,
     TextBox,
-    TextMarker
+    TextMarker,
+    WKT
 };
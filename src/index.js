@@ -25,6 +25,7 @@ export * from 'map';
 export { MapTool, DrawTool, AreaTool, DistanceTool } from 'map/tool';
 export { default as SpatialReference } from 'map/spatial-reference/SpatialReference';
 import 'map/spatial-reference/SpatialReference.Arc';
+import 'map/spatial-reference/SpatialReference.WMTS';
 
 // maptalks.ui.*
 import * as ui from 'ui';
@@ -44,6 +45,8 @@ import 'geometry/ext/Geometry.Drag';
 import 'geometry/ext/Geometry.Edit';
 import 'geometry/ext/Geometry.Events';
 import 'geometry/ext/Geometry.InfoWindow';
+import 'geometry/ext/Geometry.Topo';
+import 'geometry/ext/Geometry.WKT';
 
 /**
  * @namespace
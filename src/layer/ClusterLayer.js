@@ -0,0 +1,154 @@
+import { isNil } from 'core/util';
+import Geometry from 'geometry/Geometry';
+import Marker from 'geometry/Marker';
+import VectorLayer from './VectorLayer';
+
+/**
+ * @property {Object}  options - ClusterLayer's options
+ * @property {Number}  [options.maxClusterRadius=160]  - size in pixel of the grid cell to group markers into a cluster
+ * @property {Number}  [options.maxClusterZoom=null]   - markers won't be clustered when map's zoom is greater than it, null to cluster on all the zooms
+ * @property {Object}  [options.symbol=null]           - symbol of the clusters, merged with the default symbol, function types with "count" property can be used to symbolize clusters by the count of the markers.
+ * @property {Boolean} [options.drawClusterText=true]  - whether to draw count of the markers on the clusters
+ * @property {Object}  [options.textSymbol=null]       - text symbol of the clusters, merged with the default text symbol.
+ * @property {Boolean} [options.zoomOnClick=true]      - whether to zoom in to expand the cluster when it is clicked
+ * @property {Boolean} [options.animation=true]        - whether to animate clusters when they split or merge after zooming
+ * @property {Number}  [options.animationDuration=450] - duration of the animation in milliseconds
+ * @memberOf ClusterLayer
+ * @instance
+ */
+const options = {
+    'maxClusterRadius' : 160,
+    'maxClusterZoom' : null,
+    'symbol' : null,
+    'drawClusterText' : true,
+    'textSymbol' : null,
+    'zoomOnClick' : true,
+    'animation' : true,
+    'animationDuration' : 450
+};
+
+/**
+ * @classdesc
+ * A VectorLayer to group markers into clusters on each zoom. <br>
+ * Markers are grouped by a grid with cells in the size of options.maxClusterRadius, on each zoom, the clusters split into the ones of the next zoom. <br>
+ * A cluster is rendered as a marker with "count" property, which is the count of its markers. <br>
+ * Only markers can be added into a ClusterLayer.
+ * @category layer
+ * @extends VectorLayer
+ * @param {String|Number} id - layer's id
+ * @param {Marker|Marker[]} [markers=null] - markers to add
+ * @param {Object}  [options=null]          - construct options defined in [ClusterLayer]{@link ClusterLayer#options}
+ * @example
+ * var layer = new ClusterLayer('cluster', markers, {
+ *     maxClusterRadius : 120,
+ *     symbol : {
+ *         'markerFill' : { property : 'count', type : 'interval', stops : [[0, '#87c4f0'], [9, '#1bbc9b'], [99, '#d87395']] }
+ *     },
+ *     textSymbol : {
+ *         'textFill' : '#000'
+ *     }
+ * }).addTo(map);
+ */
+class ClusterLayer extends VectorLayer {
+
+    /**
+     * Get clusters of current zoom, each cluster contains: <br>
+     * 1. center : center of the cluster <br>
+     * 2. count : count of the markers <br>
+     * 3. children : markers in the cluster
+     * @return {Object[]} clusters, null if markers are not clustered on current zoom.
+     */
+    getClusters() {
+        const renderer = this._getRenderer();
+        if (!renderer || !renderer.isClustering()) {
+            return null;
+        }
+        return renderer.getClusters().map(cluster => {
+            return {
+                'center' : cluster['center'].copy(),
+                'count' : cluster['count'],
+                'children' : cluster['children'].slice(0)
+            };
+        });
+    }
+
+    /**
+     * Identify the clusters or markers on the given coordinate. <br>
+     * If markers are clustered on current zoom, a cluster is identified as a marker with "count" property.
+     * @param  {Coordinate} coordinate   - coordinate to identify
+     * @param  {Object} [options=null]  - options
+     * @return {Marker[]} clusters or markers identified
+     */
+    identify(coordinate, options = {}) {
+        const renderer = this._getRenderer();
+        if (renderer && renderer.isClustering()) {
+            return renderer.identify(coordinate, options);
+        }
+        return super.identify(coordinate, options);
+    }
+
+    /**
+     * Whether the geometry is a marker of a cluster, which is identified or fired geometry events.
+     * @param  {Geometry}  geometry - geometry to check
+     * @return {Boolean}
+     */
+    isCluster(geometry) {
+        return !!(geometry && geometry['_cluster'] && geometry.getLayer() === this);
+    }
+
+    _add(geo, extent, i) {
+        if (!(geo instanceof Marker)) {
+            throw new Error('Only Marker can be added into ClusterLayer(' + this.getId() + '), at index:' + i);
+        }
+        super._add(geo, extent, i);
+    }
+
+    _onGeometryEvent(param) {
+        // markers of clusters are not in the layer's geometries
+        if (!param || !param['target'] || param['target']['_cluster']) {
+            return;
+        }
+        super._onGeometryEvent(param);
+    }
+
+    onConfig(conf) {
+        const renderer = this._getRenderer();
+        if (renderer) {
+            renderer.onClusterConfig(conf);
+        }
+    }
+
+    /**
+     * Reproduce a ClusterLayer from layer's JSON.
+     * @param  {Object} layerJSON - layer's JSON
+     * @return {ClusterLayer}
+     * @static
+     * @private
+     * @function
+     */
+    static fromJSON(json) {
+        if (!json || json['type'] !== 'ClusterLayer') {
+            return null;
+        }
+        const layer = new ClusterLayer(json['id'], json['options']);
+        const geoJSONs = json['geometries'];
+        const markers = [];
+        for (let i = 0; i < geoJSONs.length; i++) {
+            const geo = Geometry.fromJSON(geoJSONs[i]);
+            if (geo) {
+                markers.push(geo);
+            }
+        }
+        layer.addGeometry(markers);
+        if (!isNil(json['style'])) {
+            layer.setStyle(json['style']);
+        }
+        return layer;
+    }
+}
+
+ClusterLayer.mergeOptions(options);
+
+ClusterLayer.registerJSONType('ClusterLayer');
+
+export default ClusterLayer;
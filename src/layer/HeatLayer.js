@@ -0,0 +1,321 @@
+import { isNil, isNumber } from 'core/util';
+import Canvas2D from 'core/Canvas';
+import Coordinate from 'geo/Coordinate';
+import PointExtent from 'geo/PointExtent';
+import CanvasLayer from './CanvasLayer';
+
+/**
+ * @property {Object} options                - HeatLayer's options
+ * @property {Number} [options.max=1]        - the maximum weight, a point with the maximum weight is drawn with full intensity
+ * @property {Number} [options.radius=25]    - radius of each point in pixel
+ * @property {Number} [options.blur=15]      - blur of each point in pixel
+ * @property {Number} [options.minOpacity=0.05] - the minimum opacity the heat will start at
+ * @property {Object} [options.gradient={0.4: 'blue', 0.6: 'cyan', 0.7: 'lime', 0.8: 'yellow', 1.0: 'red'}] - color gradient of the heat, keys are the stops from 0 to 1.
+ * @memberOf HeatLayer
+ * @instance
+ */
+const options = {
+    'max' : 1,
+    'radius' : 25,
+    'blur' : 15,
+    'minOpacity' : 0.05,
+    'gradient' : {
+        0.4: 'blue',
+        0.6: 'cyan',
+        0.7: 'lime',
+        0.8: 'yellow',
+        1.0: 'red'
+    }
+};
+
+/**
+ * @classdesc
+ * A layer to visualize density of weighted coordinates as a heatmap. <br>
+ * Each point is drawn as a blurred circle on an offscreen canvas, whose intensity is then colorized by the gradient.
+ * @category layer
+ * @extends CanvasLayer
+ * @param {String|Number} id - layer's id
+ * @param {Array[]} [data=null] - heat data, an array of [x, y, weight] or coordinates, weight is 1 if omitted.
+ * @param {Object} [options=null] - options defined in [HeatLayer]{@link HeatLayer#options}
+ * @example
+ * var layer = new HeatLayer('heat', [[118.84, 32.04, 0.5], [118.85, 32.03, 1]], {
+ *     radius : 20,
+ *     gradient : { 0.2 : 'blue', 0.5 : 'lime', 1.0 : 'red' }
+ * }).addTo(map);
+ */
+class HeatLayer extends CanvasLayer {
+
+    constructor(id, data, options) {
+        if (!Array.isArray(data)) {
+            options = data;
+            data = null;
+        }
+        super(id, options);
+        this._heats = data || [];
+    }
+
+    /**
+     * Get heat data of the layer
+     * @return {Array[]} heat data
+     */
+    getData() {
+        return this._heats;
+    }
+
+    /**
+     * Replace layer's heat data
+     * @param {Array[]} data - heat data, an array of [x, y, weight] or coordinates
+     * @return {HeatLayer} this
+     */
+    setData(data) {
+        this._heats = data || [];
+        delete this._prjHeats;
+        return this.redraw();
+    }
+
+    /**
+     * Add one or more points to the heat data
+     * @param {Array|Array[]|Coordinate|Coordinate[]} heat - a point of [x, y, weight] or a coordinate, or an array of them
+     * @return {HeatLayer} this
+     */
+    addPoint(heat) {
+        if (!heat) {
+            return this;
+        }
+        if (isHeatPoint(heat)) {
+            heat = [heat];
+        }
+        const map = this.getMap();
+        const projection = map ? map.getProjection() : null;
+        for (let i = 0, l = heat.length; i < l; i++) {
+            this._heats.push(heat[i]);
+            if (this._prjHeats && projection) {
+                this._prjHeats.push(projectHeat(projection, heat[i]));
+            }
+        }
+        return this.redraw();
+    }
+
+    /**
+     * Remove all the heat data
+     * @return {HeatLayer} this
+     */
+    clear() {
+        return this.setData([]);
+    }
+
+    /**
+     * Whether the layer has any heat data
+     * @return {Boolean}
+     */
+    isEmpty() {
+        return !this._heats.length;
+    }
+
+    onConfig(conf) {
+        if (conf['gradient']) {
+            delete this._palette;
+        }
+        if (!isNil(conf['radius']) || !isNil(conf['blur'])) {
+            delete this._kernel;
+        }
+        this.redraw();
+    }
+
+    draw(context) {
+        const map = this.getMap();
+        const size = map.getSize();
+        if (!this._heatCanvas) {
+            this._heatCanvas = Canvas2D.createCanvas(size['width'], size['height'], map.CanvasClass);
+        } else if (this._heatCanvas.width !== size['width'] || this._heatCanvas.height !== size['height']) {
+            this._heatCanvas.width = size['width'];
+            this._heatCanvas.height = size['height'];
+        }
+        const heatContext = this._heatCanvas.getContext('2d');
+        heatContext.clearRect(0, 0, size['width'], size['height']);
+        const points = this._getPointsToDraw(size);
+        if (!points.length) {
+            return;
+        }
+        const kernel = this._getKernel(),
+            r = kernel.width / 2,
+            max = this.options['max'],
+            minOpacity = this.options['minOpacity'];
+        for (let i = 0, l = points.length; i < l; i++) {
+            const p = points[i];
+            heatContext.globalAlpha = Math.min(Math.max(p[2] / max, minOpacity), 1);
+            heatContext.drawImage(kernel, p[0] - r, p[1] - r);
+        }
+        heatContext.globalAlpha = 1;
+        this._colorize(heatContext, size);
+        context.drawImage(this._heatCanvas, 0, 0, size['width'], size['height']);
+    }
+
+    drawOnInteracting(context) {
+        this.draw(context);
+    }
+
+    onRemove() {
+        delete this._heatCanvas;
+        delete this._prjHeats;
+    }
+
+    /**
+     * Export the HeatLayer's JSON.
+     * @return {Object} layer's JSON
+     */
+    toJSON() {
+        return {
+            'type' : this.getJSONType(),
+            'id' : this.getId(),
+            'options' : this.config(),
+            'data' : this.getData().map(heat => heat instanceof Coordinate ? heat.toArray() : heat)
+        };
+    }
+
+    /**
+     * Reproduce a HeatLayer from layer's JSON.
+     * @param  {Object} json - layer's JSON
+     * @return {HeatLayer}
+     * @static
+     * @private
+     * @function
+     */
+    static fromJSON(json) {
+        if (!json || json['type'] !== 'HeatLayer') {
+            return null;
+        }
+        return new HeatLayer(json['id'], json['data'], json['options']);
+    }
+
+    /**
+     * Get container points to draw, points close to each other are merged in a grid of radius / 2.
+     * @param  {Size} size - map's size
+     * @return {Array[]} an array of [x, y, weight]
+     * @private
+     */
+    _getPointsToDraw(size) {
+        const map = this.getMap(),
+            projection = map.getProjection();
+        if (!this._prjHeats || this._projCode !== projection.code) {
+            this._prjHeats = this._heats.map(heat => projectHeat(projection, heat));
+            this._projCode = projection.code;
+        }
+        const r = this.options['radius'] + this.options['blur'],
+            extent = new PointExtent(-r, -r, size['width'] + r, size['height'] + r),
+            cellSize = Math.max(this.options['radius'] / 2, 1),
+            grid = {},
+            points = [];
+        for (let i = 0, l = this._prjHeats.length; i < l; i++) {
+            const heat = this._prjHeats[i],
+                weight = heat[1];
+            if (!weight) {
+                continue;
+            }
+            const cp = map._prjToContainerPoint(heat[0]);
+            if (!extent.contains(cp)) {
+                continue;
+            }
+            const key = Math.floor(cp.x / cellSize) + '_' + Math.floor(cp.y / cellSize);
+            let cell = grid[key];
+            if (!cell) {
+                cell = grid[key] = [0, 0, 0];
+                points.push(cell);
+            }
+            cell[0] += cp.x * weight;
+            cell[1] += cp.y * weight;
+            cell[2] += weight;
+        }
+        for (let i = 0, l = points.length; i < l; i++) {
+            const cell = points[i];
+            cell[0] = Math.round(cell[0] / cell[2]);
+            cell[1] = Math.round(cell[1] / cell[2]);
+        }
+        return points;
+    }
+
+    /**
+     * Get the offscreen canvas of a blurred circle to draw each point.
+     * @return {HTMLCanvasElement}
+     * @private
+     */
+    _getKernel() {
+        if (!this._kernel) {
+            const radius = this.options['radius'],
+                blur = this.options['blur'],
+                r = radius + blur;
+            const kernel = this._kernel = Canvas2D.createCanvas(r * 2, r * 2, this.getMap().CanvasClass);
+            const ctx = kernel.getContext('2d');
+            // draw the circle out of the canvas, only its blurred shadow is drawn on the canvas
+            ctx.shadowOffsetX = ctx.shadowOffsetY = r * 2;
+            ctx.shadowBlur = blur;
+            ctx.shadowColor = 'black';
+            ctx.beginPath();
+            ctx.arc(-r, -r, radius, 0, Math.PI * 2, true);
+            ctx.closePath();
+            ctx.fill();
+        }
+        return this._kernel;
+    }
+
+    /**
+     * Get colors of the gradient in 256 steps
+     * @return {Uint8ClampedArray} rgba of the colors
+     * @private
+     */
+    _getPalette() {
+        if (!this._palette) {
+            const gradient = this.options['gradient'];
+            const canvas = Canvas2D.createCanvas(1, 256, this.getMap().CanvasClass);
+            const ctx = canvas.getContext('2d');
+            const grad = ctx.createLinearGradient(0, 0, 0, 256);
+            for (const stop in gradient) {
+                if (gradient.hasOwnProperty(stop)) {
+                    grad.addColorStop(+stop, gradient[stop]);
+                }
+            }
+            ctx.fillStyle = grad;
+            ctx.fillRect(0, 0, 1, 256);
+            this._palette = ctx.getImageData(0, 0, 1, 256).data;
+        }
+        return this._palette;
+    }
+
+    _colorize(ctx, size) {
+        const palette = this._getPalette();
+        const image = ctx.getImageData(0, 0, size['width'], size['height']),
+            pixels = image.data;
+        for (let i = 0, l = pixels.length; i < l; i += 4) {
+            // the alpha is the intensity of the heat
+            const j = pixels[i + 3] * 4;
+            if (j) {
+                pixels[i] = palette[j];
+                pixels[i + 1] = palette[j + 1];
+                pixels[i + 2] = palette[j + 2];
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+    }
+}
+
+HeatLayer.mergeOptions(options);
+
+HeatLayer.registerJSONType('HeatLayer');
+
+export default HeatLayer;
+
+function isHeatPoint(heat) {
+    return heat instanceof Coordinate || isNumber(heat[0]);
+}
+
+function projectHeat(projection, heat) {
+    let coordinate, weight;
+    if (heat instanceof Coordinate) {
+        coordinate = heat;
+        weight = 1;
+    } else {
+        coordinate = new Coordinate(heat[0], heat[1]);
+        weight = isNil(heat[2]) ? 1 : heat[2];
+    }
+    return [projection.project(coordinate), weight];
+}
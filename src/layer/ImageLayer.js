@@ -0,0 +1,210 @@
+import { isNil } from 'core/util';
+import Coordinate from 'geo/Coordinate';
+import Extent from 'geo/Extent';
+import Layer from './Layer';
+
+/**
+ * @property {Object}  options                 - ImageLayer's options
+ * @property {String}  [options.crossOrigin=null] - image's corssOrigin
+ * @property {Number}  [options.meshSize=8]    - images are divided into meshSize x meshSize cells to draw when map is pitched or image's corners are not a parallelogram.
+ * @memberOf ImageLayer
+ * @instance
+ */
+const options = {
+    'crossOrigin' : null,
+    'meshSize' : 8
+};
+
+/**
+ * @classdesc
+ * A layer to drape georeferenced images over the map, e.g. scanned plans or orthophotos. <br>
+ * Each image is positioned by its extent, or by coordinates of its four corners (top left, top right, bottom right and bottom left). <br>
+ * Images are drawn by a canvas renderer with map's bearing and pitch, and loaded with layer's crossOrigin option.
+ * @category layer
+ * @extends Layer
+ * @param {String|Number} id - layer's id
+ * @param {Object[]} [images=null] - images of the layer, each one is an object: <br>
+ *                                  { url : url, extent : extent, opacity : 1 } or { url : url, coordinates : [tl, tr, br, bl], opacity : 1 }
+ * @param {Object} [options=null] - options defined in [ImageLayer]{@link ImageLayer#options}
+ * @example
+ * var layer = new ImageLayer('images', [
+ *     {
+ *         url : 'plan.png',
+ *         extent : [118.84, 32.04, 118.85, 32.05],
+ *         opacity : 0.8
+ *     },
+ *     {
+ *         url : 'ortho.jpg',
+ *         coordinates : [[118.86, 32.05], [118.87, 32.051], [118.871, 32.04], [118.861, 32.039]]
+ *     }
+ * ]).addTo(map);
+ */
+class ImageLayer extends Layer {
+
+    constructor(id, images, options) {
+        if (images && !Array.isArray(images)) {
+            options = images;
+            images = null;
+        }
+        super(id, options);
+        this._images = images || [];
+        this._checkImages();
+    }
+
+    /**
+     * Get images of the layer
+     * @return {Object[]}
+     */
+    getImages() {
+        return this._images;
+    }
+
+    /**
+     * Replace layer's images
+     * @param {Object[]} images - images to set
+     * @return {ImageLayer} this
+     */
+    setImages(images) {
+        this._images = images || [];
+        this._checkImages();
+        return this._redraw();
+    }
+
+    /**
+     * Add an image or images to the layer
+     * @param {Object|Object[]} image - image or images to add
+     * @return {ImageLayer} this
+     */
+    addImage(image) {
+        if (!image) {
+            return this;
+        }
+        this._images = this._images.concat(image);
+        this._checkImages();
+        return this._redraw();
+    }
+
+    /**
+     * Remove all the images
+     * @return {ImageLayer} this
+     */
+    clear() {
+        return this.setImages([]);
+    }
+
+    /**
+     * Whether the layer has any image
+     * @return {Boolean}
+     */
+    isEmpty() {
+        return !this._images.length;
+    }
+
+    /**
+     * Get the extent of all the images
+     * @return {Extent}
+     */
+    getExtent() {
+        let extent = null;
+        for (let i = 0; i < this._images.length; i++) {
+            const corners = getImageCorners(this._images[i]);
+            for (let ii = 0; ii < corners.length; ii++) {
+                const e = new Extent(corners[ii], corners[ii]);
+                extent = extent ? extent._combine(e) : e;
+            }
+        }
+        return extent;
+    }
+
+    onConfig(conf) {
+        if (!isNil(conf['meshSize'])) {
+            this._redraw();
+        }
+    }
+
+    /**
+     * Export the ImageLayer's JSON.
+     * @return {Object} layer's JSON
+     */
+    toJSON() {
+        return {
+            'type' : this.getJSONType(),
+            'id' : this.getId(),
+            'options' : this.config(),
+            'images' : this._images.map(image => {
+                const json = {};
+                for (const p in image) {
+                    if (p === 'extent') {
+                        json[p] = new Extent(image[p]).toJSON();
+                    } else if (p === 'coordinates') {
+                        json[p] = image[p].map(c => new Coordinate(c).toArray());
+                    } else {
+                        json[p] = image[p];
+                    }
+                }
+                return json;
+            })
+        };
+    }
+
+    /**
+     * Reproduce an ImageLayer from layer's JSON.
+     * @param  {Object} json - layer's JSON
+     * @return {ImageLayer}
+     * @static
+     * @private
+     * @function
+     */
+    static fromJSON(json) {
+        if (!json || json['type'] !== 'ImageLayer') {
+            return null;
+        }
+        return new ImageLayer(json['id'], json['images'], json['options']);
+    }
+
+    /**
+     * Get coordinates of image's four corners: top left, top right, bottom right and bottom left
+     * @param  {Object} image - image of the layer
+     * @return {Coordinate[]}
+     * @private
+     */
+    _getImageCorners(image) {
+        return getImageCorners(image);
+    }
+
+    _checkImages() {
+        for (let i = 0; i < this._images.length; i++) {
+            const image = this._images[i];
+            if (!image || !image['url'] || (!image['extent'] && !(image['coordinates'] && image['coordinates'].length === 4))) {
+                throw new Error('Invalid image of ImageLayer, url and extent or 4 corner coordinates are required: ' + JSON.stringify(image));
+            }
+        }
+    }
+
+    _redraw() {
+        const renderer = this._getRenderer();
+        if (renderer) {
+            renderer.setToRedraw();
+        }
+        return this;
+    }
+}
+
+ImageLayer.mergeOptions(options);
+
+ImageLayer.registerJSONType('ImageLayer');
+
+export default ImageLayer;
+
+function getImageCorners(image) {
+    if (image['coordinates']) {
+        return image['coordinates'].map(c => new Coordinate(c));
+    }
+    const extent = new Extent(image['extent']);
+    return [
+        new Coordinate(extent['xmin'], extent['ymax']),
+        new Coordinate(extent['xmax'], extent['ymax']),
+        new Coordinate(extent['xmax'], extent['ymin']),
+        new Coordinate(extent['xmin'], extent['ymin'])
+    ];
+}
@@ -18,6 +18,7 @@ import CanvasRenderer from 'renderer/layer/CanvasRenderer';
  *                                                    This is necessary when layer's drawing is wrapped with another frame requested by RAF.
  * @property {String}   [options.globalCompositeOperation=null] - (Only for layer rendered with [CanvasRenderer]{@link renderer.CanvasRenderer}) globalCompositeOperation of layer's canvas 2d context.
  * @property {String}   [options.debugOutline='#0f0']  - debug outline's color.
+ * @property {String}   [options.attribution=null]  - attribution of the layer's data, HTML format, displayed by [Attribution]{@link control.Attribution} control when layer is visible.
  * @memberOf Layer
  * @instance
  */
@@ -30,7 +31,8 @@ const options = {
     // context.globalCompositeOperation, 'source-over' in default
     'globalCompositeOperation': null,
     'renderer': 'canvas',
-    'debugOutline' : '#0f0'
+    'debugOutline' : '#0f0',
+    'attribution' : null
 };
 
 /**
@@ -1,10 +1,16 @@
 import { GEOJSON_TYPES } from 'core/Constants';
 import { isNil, UID, isObject } from 'core/util';
+import rbush from 'rbush';
+import Coordinate from 'geo/Coordinate';
 import Extent from 'geo/Extent';
+import PointExtent from 'geo/PointExtent';
 import { Geometry, GeometryCollection, LineString } from 'geometry';
 import Layer from './Layer';
 import GeoJSON from 'geometry/GeoJSON';
 
+// minimum tolerance in pixel of hit testing, the same as LineString's
+const HIT_TOLERANCE = 2;
+
 /**
  * @classdesc
  * Base class of all the layers that can add/remove geometries. <br>
@@ -22,6 +28,8 @@ class OverlayLayer extends Layer {
         }
         super(id, options);
         this._initCache();
+        // sizes of markers may be changed after images are loaded
+        this.on('resourceload', this._clearIndexPadding, this);
         if (geometries) {
             this.addGeometry(geometries);
         }
@@ -114,6 +122,34 @@ class OverlayLayer extends Layer {
         return extent;
     }
 
+    /**
+     * Get the geometries whose extents intersect with the given extent. <br>
+     * Geometries are queried from layer's spatial index if the layer is added to a map.
+     * @param  {Extent} extent - extent to query
+     * @return {Geometry[]} geometries in the same order with the layer's
+     * @example
+     * var geometries = layer.getGeometriesInExtent(map.getExtent());
+     */
+    getGeometriesInExtent(extent) {
+        if (!extent) {
+            return [];
+        }
+        extent = new Extent(extent);
+        if (!extent.isValid()) {
+            return [];
+        }
+        const index = this._getIndex();
+        if (!index) {
+            return this.getGeometries(geo => {
+                const geoExtent = geo.getExtent();
+                return geoExtent && extent.intersects(geoExtent);
+            });
+        }
+        const projection = this.getMap().getProjection();
+        const prjExtent = new Extent(projection.project(extent.getMin()), projection.project(extent.getMax()));
+        return this._searchIndex(prjExtent);
+    }
+
     /**
      * Executes the provided callback once for each geometry present in the layer in order.
      * @param  {Function} fn - a callback function
@@ -238,6 +274,8 @@ class OverlayLayer extends Layer {
         if (geo.onAdd) {
             geo.onAdd();
         }
+        this._indexGeometry(geo);
+        this._clearIndexPadding();
         if (extent) {
             extent._combine(geo.getExtent());
         }
@@ -295,6 +333,7 @@ class OverlayLayer extends Layer {
         this.forEach(geo => {
             geo.remove();
         });
+        this._clearIndex();
         this._geoMap = {};
         const old = this._geoList;
         this._geoList = [];
@@ -337,6 +376,7 @@ class OverlayLayer extends Layer {
         if (idx >= 0) {
             this._geoList.splice(idx, 1);
         }
+        this._unindexGeometry(geometry);
         if (this._getRenderer()) {
             this._getRenderer().onGeometryRemove([geometry]);
         }
@@ -357,7 +397,23 @@ class OverlayLayer extends Layer {
      * @return {Geometry[]} geometries identified
      */
     identify(coordinate, options = {}) {
-        return this._hitGeos(this._geoList, coordinate, options);
+        const candidates = this._getHitCandidates(coordinate);
+        return this._hitGeos(candidates || this._geoList, coordinate, options);
+    }
+
+    /**
+     * Get the candidate geometries to hit test on the coordinate from the spatial index.
+     * @param  {Coordinate} coordinate - coordinate to identify
+     * @return {Geometry[]} candidate geometries, null if spatial index can't be used in current map view.
+     * @private
+     */
+    _getHitCandidates(coordinate) {
+        const map = this.getMap();
+        if (!map) {
+            return null;
+        }
+        const point = map.coordinateToPoint(new Coordinate(coordinate));
+        return this._searchIndex2D(new PointExtent(point, point), HIT_TOLERANCE);
     }
 
     _hitGeos(geometries, coordinate, options = {}) {
@@ -397,6 +453,151 @@ class OverlayLayer extends Layer {
         }
     }
 
+    /**
+     * Get layer's spatial index, an R-tree of geometries' projected extents. <br>
+     * The index is built lazily, and rebuilt if map's projection is changed.
+     * @return {rbush} spatial index, null if the layer isn't on a map.
+     * @private
+     */
+    _getIndex() {
+        const map = this.getMap();
+        const projection = map ? map.getProjection() : null;
+        if (!projection) {
+            return null;
+        }
+        if (!this._index || this._indexProjCode !== projection.code) {
+            const items = [];
+            for (let i = 0, l = this._geoList.length; i < l; i++) {
+                const item = this._createIndexItem(this._geoList[i]);
+                if (item) {
+                    items.push(item);
+                }
+            }
+            this._index = rbush();
+            this._index.load(items);
+            this._indexProjCode = projection.code;
+            delete this._indexPadding;
+        }
+        return this._index;
+    }
+
+    _createIndexItem(geo) {
+        const extent = geo._getPrjExtent();
+        if (!extent || !extent.isValid()) {
+            delete geo._indexItem;
+            return null;
+        }
+        geo._indexItem = {
+            'minX' : extent['xmin'],
+            'minY' : extent['ymin'],
+            'maxX' : extent['xmax'],
+            'maxY' : extent['ymax'],
+            'geometry' : geo
+        };
+        return geo._indexItem;
+    }
+
+    _indexGeometry(geo) {
+        if (!this._index) {
+            // index is not built yet
+            return;
+        }
+        if (!this.getMap()) {
+            this._clearIndex();
+            return;
+        }
+        if (geo._indexItem) {
+            this._index.remove(geo._indexItem);
+        }
+        const item = this._createIndexItem(geo);
+        if (item) {
+            this._index.insert(item);
+        }
+    }
+
+    _unindexGeometry(geo) {
+        if (this._index && geo._indexItem) {
+            this._index.remove(geo._indexItem);
+        }
+        delete geo._indexItem;
+    }
+
+    _clearIndex() {
+        if (this._geoList) {
+            for (let i = 0, l = this._geoList.length; i < l; i++) {
+                delete this._geoList[i]._indexItem;
+            }
+        }
+        delete this._index;
+        delete this._indexPadding;
+    }
+
+    /**
+     * Search the spatial index with a projected extent
+     * @param  {Extent} prjExtent - projected extent
+     * @return {Geometry[]} geometries sorted in layer's order
+     * @private
+     */
+    _searchIndex(prjExtent) {
+        const items = this._getIndex().search({
+            'minX' : prjExtent['xmin'],
+            'minY' : prjExtent['ymin'],
+            'maxX' : prjExtent['xmax'],
+            'maxY' : prjExtent['ymax']
+        });
+        const geometries = [];
+        for (let i = 0, l = items.length; i < l; i++) {
+            geometries.push(items[i]['geometry']);
+        }
+        return geometries.sort((a, b) => this._compare(a, b));
+    }
+
+    /**
+     * Search the spatial index with a 2d point extent of current zoom, expanded by geometries' max pixel size of markers and line widths.
+     * @param  {PointExtent} extent2D - 2d point extent of current zoom
+     * @param  {Number} [tolerance=0] - additional tolerance in pixel
+     * @return {Geometry[]} geometries sorted in layer's order, null if the index can't be used in current map view.
+     * @private
+     */
+    _searchIndex2D(extent2D, tolerance) {
+        const map = this.getMap();
+        // pixel sizes of markers can't be converted to 2d points when pitching, or geometries are drawn with heights.
+        if (!map || map.getPitch() || this.options['enableHeight'] || !this._getRenderer() || !this._getIndex()) {
+            return null;
+        }
+        const padding = this._getIndexPadding() + (tolerance || 0);
+        const extent = extent2D.expand(padding);
+        return this._searchIndex(new Extent(map._pointToPrj(extent.getMin()), map._pointToPrj(extent.getMax())));
+    }
+
+    /**
+     * Get the max pixel distance between geometries' projected extents and what is painted, e.g. markers, texts and line widths.
+     * @return {Number}
+     * @private
+     */
+    _getIndexPadding() {
+        const zoom = this.getMap().getZoom();
+        if (this._indexPadding !== undefined && this._indexPaddingZoom === zoom) {
+            return this._indexPadding;
+        }
+        const resources = this._getRenderer().resources;
+        let padding = 0;
+        for (let i = 0, l = this._geoList.length; i < l; i++) {
+            const geo = this._geoList[i];
+            if (!geo._indexItem || !geo.isVisible()) {
+                continue;
+            }
+            padding = Math.max(padding, getPixelPadding(geo, resources));
+        }
+        this._indexPadding = padding;
+        this._indexPaddingZoom = zoom;
+        return padding;
+    }
+
+    _clearIndexPadding() {
+        delete this._indexPadding;
+    }
+
     _sortGeometries() {
         this._geoList.sort((a, b) => {
             return this._compare(a, b);
@@ -484,18 +685,21 @@ class OverlayLayer extends Layer {
     }
 
     _onGeometryPositionChange(param) {
+        this._indexGeometry(param['target']);
         if (this._getRenderer()) {
             this._getRenderer().onGeometryPositionChange(param);
         }
     }
 
     _onGeometryShapeChange(param) {
+        this._indexGeometry(param['target']);
         if (this._getRenderer()) {
             this._getRenderer().onGeometryShapeChange(param);
         }
     }
 
     _onGeometrySymbolChange(param) {
+        this._clearIndexPadding();
         if (this._getRenderer()) {
             this._getRenderer().onGeometrySymbolChange(param);
         }
@@ -520,4 +724,20 @@ class OverlayLayer extends Layer {
     }
 }
 
+function getPixelPadding(geo, resources) {
+    let padding = geo._hitTestTolerance ? geo._hitTestTolerance() : 0;
+    const painter = geo._getPainter();
+    if (!painter || !painter.getFixedExtent) {
+        return padding;
+    }
+    const extent = painter.getFixedExtent(resources);
+    if (extent && extent.isValid()) {
+        // use the distance to the farthest corner as marker may be rotated with the map
+        const dx = Math.max(Math.abs(extent['xmin']), Math.abs(extent['xmax'])),
+            dy = Math.max(Math.abs(extent['ymin']), Math.abs(extent['ymax']));
+        padding += Math.sqrt(dx * dx + dy * dy);
+    }
+    return padding;
+}
+
 export default OverlayLayer;
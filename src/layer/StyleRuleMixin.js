@@ -0,0 +1,61 @@
+import { extend } from 'core/util';
+
+/**
+ * Common methods for layers styled by rules, e.g. VectorLayer and VectorTileLayer, to show or hide the features of a rule.
+ * @mixin StyleRuleMixin
+ */
+export default function (Base) {
+    return class extends Base {
+
+        /**
+         * Show or hide geometries styled by a rule of layer's style, e.g. by toggles in a [Legend]{@link control.Legend}.
+         * @param {Number} index - index of the rule in layer's style
+         * @param {Boolean} visible - whether to show the geometries
+         * @returns {Layer} this
+         * @fires StyleRuleMixin#stylerulechange
+         * @function StyleRuleMixin.setStyleRuleVisible
+         */
+        setStyleRuleVisible(index, visible) {
+            if (this.isStyleRuleVisible(index) === !!visible) {
+                return this;
+            }
+            // replaced instead of updated, tile renderers check it by reference to restyle
+            const hidden = extend({}, this._hiddenStyleRules);
+            if (visible) {
+                delete hidden[index];
+            } else {
+                hidden[index] = true;
+            }
+            this._hiddenStyleRules = hidden;
+            const renderer = this._getRenderer();
+            if (renderer) {
+                renderer.setToRedraw();
+            }
+            /**
+             * stylerulechange event, fired when geometries styled by a rule are shown or hidden.
+             *
+             * @event StyleRuleMixin#stylerulechange
+             * @type {Object}
+             * @property {String} type - stylerulechange
+             * @property {Layer} target - layer
+             * @property {Number} index - index of the rule
+             * @property {Boolean} visible - whether geometries of the rule are visible
+             */
+            this.fire('stylerulechange', {
+                'index' : index,
+                'visible' : !!visible
+            });
+            return this;
+        }
+
+        /**
+         * Whether geometries styled by a rule of layer's style are visible.
+         * @param {Number} index - index of the rule in layer's style
+         * @returns {Boolean}
+         * @function StyleRuleMixin.isStyleRuleVisible
+         */
+        isStyleRuleVisible(index) {
+            return !this._hiddenStyleRules || !this._hiddenStyleRules[index];
+        }
+    };
+}
@@ -1,8 +1,10 @@
-import { extend, isNil } from 'core/util';
-import { getFilterFeature, compileStyle } from 'core/mapbox';
+import { extend, isNil, toTime } from 'core/util';
+import { createFilter, getFilterFeature, compileStyle } from 'core/mapbox';
 import Extent from 'geo/Extent';
+import SVGContext from 'core/SVGContext';
 import Geometry from 'geometry/Geometry';
 import OverlayLayer from './OverlayLayer';
+import StyleRuleMixin from './StyleRuleMixin';
 
 /**
  * @property {Object}  options - VectorLayer's options
@@ -14,6 +16,10 @@ import OverlayLayer from './OverlayLayer';
  * @property {Boolean} [options.enableHeight=false]  - whether to enable render geometry with height, false by default
  * @property {Boolean} [options.heightProperty=height] - geometry's height property name, if enableHeight is true, "height" by default
  * @property {Boolean} [options.debug=false]         - whether the geometries on the layer is in debug mode.
+ * @property {Boolean} [options.collision=false]     - whether to hide or move texts and markers colliding with others, priority is defined by symbol's collisionPriority or geometry's zIndex
+ * @property {Number}  [options.collisionBuffer=0]   - buffer in pixel around texts and markers in collision detection
+ * @property {String}  [options.startTimeProperty=null] - geometry's property name of start time, geometries are filtered by map's time range if set, time is a timestamp, a Date or a date string, e.g. ISO string
+ * @property {String}  [options.endTimeProperty=null]   - geometry's property name of end time, geometries are filtered by map's time range if set
  * @memberOf VectorLayer
  * @instance
  */
@@ -25,7 +31,11 @@ const options = {
     'cacheVectorOnCanvas': true,
     'cacheSvgOnCanvas': false,
     'enableHeight' : false,
-    'heightProperty' : 'height'
+    'heightProperty' : 'height',
+    'collision' : false,
+    'collisionBuffer' : 0,
+    'startTimeProperty' : null,
+    'endTimeProperty' : null
 };
 
 /**
@@ -33,8 +43,9 @@ const options = {
  * A layer for managing and rendering geometries.
  * @category layer
  * @extends OverlayLayer
+ * @mixes StyleRuleMixin
  */
-class VectorLayer extends OverlayLayer {
+class VectorLayer extends StyleRuleMixin(OverlayLayer) {
 
     /**
      * @param {String|Number} id - layer's id
@@ -84,6 +95,7 @@ class VectorLayer extends OverlayLayer {
     setStyle(style) {
         this._style = style;
         this._cookedStyles = compileStyle(style);
+        delete this._hiddenStyleRules;
         this.forEach(function (geometry) {
             this._styleGeometry(geometry);
         }, this);
@@ -113,7 +125,9 @@ class VectorLayer extends OverlayLayer {
         }
         delete this._style;
         delete this._cookedStyles;
+        delete this._hiddenStyleRules;
         this.forEach(function (geometry) {
+            delete geometry._styleRuleIndex;
             geometry._setExternSymbol(null);
         }, this);
         /**
@@ -135,6 +149,68 @@ class VectorLayer extends OverlayLayer {
         }
     }
 
+    onConfig(conf) {
+        if (conf['collision'] !== undefined || conf['collisionBuffer'] !== undefined ||
+            conf['startTimeProperty'] !== undefined || conf['endTimeProperty'] !== undefined) {
+            const renderer = this._getRenderer();
+            if (renderer) {
+                renderer.setToRedraw();
+            }
+        }
+    }
+
+    /**
+     * Whether geometry's time defined by its properties overlaps map's time range. <br>
+     * Geometries without the time properties are regarded as unbounded in time.
+     * @param  {Geometry} geometry - geometry to test
+     * @return {Boolean}
+     * @private
+     */
+    _isInTimeRange(geometry) {
+        const filter = this._getTimeFilter();
+        return !filter || filter(this._getTimeFeature(geometry));
+    }
+
+    /**
+     * Get the filter of map's time range compiled as style filters, null if layer or map has no time. <br>
+     * It is cached until the time range or time properties change.
+     * @private
+     */
+    _getTimeFilter() {
+        const map = this.getMap(),
+            range = map ? map.getTimeRange() : null,
+            startProp = this.options['startTimeProperty'],
+            endProp = this.options['endTimeProperty'];
+        if (!range || (!startProp && !endProp)) {
+            return null;
+        }
+        const key = range.join() + ',' + startProp + ',' + endProp;
+        if (!this._timeFilter || this._timeFilter['key'] !== key) {
+            this._timeFilter = {
+                'key' : key,
+                'filter' : createFilter(getTimeFilterExpression(startProp, endProp, range))
+            };
+        }
+        return this._timeFilter['filter'];
+    }
+
+    /**
+     * Get the feature to test by the time filter, time properties of dates or date strings (e.g. ISO string) are converted to timestamps.
+     * @private
+     */
+    _getTimeFeature(geometry) {
+        const properties = geometry.getProperties(),
+            timeProps = {};
+        if (properties) {
+            [this.options['startTimeProperty'], this.options['endTimeProperty']].forEach(prop => {
+                if (prop && !isNil(properties[prop])) {
+                    timeProps[prop] = toTime(properties[prop]);
+                }
+            });
+        }
+        return { 'properties' : timeProps };
+    }
+
     _styleGeometry(geometry) {
         if (!this._cookedStyles) {
             return false;
@@ -142,22 +218,63 @@ class VectorLayer extends OverlayLayer {
         const g = getFilterFeature(geometry);
         for (let i = 0, len = this._cookedStyles.length; i < len; i++) {
             if (this._cookedStyles[i]['filter'](g) === true) {
+                geometry._styleRuleIndex = i;
                 geometry._setExternSymbol(this._cookedStyles[i]['symbol']);
                 return true;
             }
         }
+        delete geometry._styleRuleIndex;
         return false;
     }
 
+    /**
+     * Whether the style rule of the geometry is visible
+     * @param  {Geometry} geometry - geometry to test
+     * @return {Boolean}
+     * @private
+     */
+    _isInVisibleStyleRule(geometry) {
+        return this.isStyleRuleVisible(geometry._styleRuleIndex);
+    }
+
     identify(coordinate, options = {}) {
         const renderer = this._getRenderer();
         // only iterate drawn geometries when onlyVisible is true.
         if (options['onlyVisible'] && renderer) {
             return renderer.identify(coordinate, options);
         }
+        // geometries of hidden style rules or out of map's time range are not drawn, neither identified
+        const filter = options['filter'];
+        options = extend({}, options, {
+            'filter' : geo => this._isInVisibleStyleRule(geo) && this._isInTimeRange(geo) && (!filter || filter(geo))
+        });
         return super.identify(coordinate, options);
     }
 
+    /**
+     * Export geometries in map's current view as a SVG document, painted by geometries' painters with their symbols. <br>
+     * Paths, polygons with holes, ellipses, sectors, vector markers, image markers and texts are exported as SVG elements.
+     * Resources of image markers should be loaded, e.g. after layer's layerload event.
+     * @return {String} svg document, null if layer is not on a map
+     * @example
+     * layer.once('layerload', function () {
+     *     var svg = layer.toSVG();
+     * });
+     */
+    toSVG() {
+        const map = this.getMap();
+        const renderer = this._getRenderer();
+        if (!map || !renderer || !renderer.paintOn) {
+            return null;
+        }
+        const size = map.getSize();
+        const ctx = new SVGContext(size['width'], size['height'], map.CanvasClass);
+        ctx.beginGroup({ 'id' : this.getId(), 'opacity' : this.options['opacity'] < 1 ? this.options['opacity'] : null });
+        renderer.paintOn(ctx);
+        ctx.endGroup();
+        return ctx.toSVG();
+    }
+
     /**
      * Export the VectorLayer's JSON. <br>
      * @param  {Object} [options=null] - export options
@@ -233,6 +350,18 @@ class VectorLayer extends OverlayLayer {
 
 VectorLayer.mergeOptions(options);
 
+// filter expression of time overlapping the range, time properties absent are unbounded
+function getTimeFilterExpression(startProp, endProp, range) {
+    const filter = ['all'];
+    if (startProp) {
+        filter.push(['any', ['!has', startProp], ['<=', startProp, range[1]]]);
+    }
+    if (endProp) {
+        filter.push(['any', ['!has', endProp], ['>=', endProp, range[0]]]);
+    }
+    return filter;
+}
+
 VectorLayer.registerJSONType('VectorLayer');
 
 export default VectorLayer;
@@ -1,23 +1,39 @@
 import Layer from './Layer';
 import TileLayer from './tile/TileLayer';
 import WMSTileLayer from './tile/WMSTileLayer';
+import WMTSTileLayer from './tile/WMTSTileLayer';
 import CanvasTileLayer from './tile/CanvasTileLayer';
+import VectorTileLayer from './tile/VectorTileLayer';
 import OverlayLayer from './OverlayLayer';
 import VectorLayer from './VectorLayer';
+import ClusterLayer from './ClusterLayer';
 import CanvasLayer from './CanvasLayer';
 import ParticleLayer from './ParticleLayer';
+import HeatLayer from './HeatLayer';
+import ImageLayer from './ImageLayer';
 import TileSystem from './tile/tileinfo/TileSystem';
 import TileConfig from './tile/tileinfo/TileConfig';
+import TileStore from './tile/store/TileStore';
+import MemoryTileStore from './tile/store/MemoryTileStore';
+import IndexedDBTileStore from './tile/store/IndexedDBTileStore';
 
 export {
     Layer,
     TileLayer,
     WMSTileLayer,
+    WMTSTileLayer,
     CanvasTileLayer,
+    VectorTileLayer,
     OverlayLayer,
     VectorLayer,
+    ClusterLayer,
     CanvasLayer,
     ParticleLayer,
+    HeatLayer,
+    ImageLayer,
     TileSystem,
-    TileConfig
+    TileConfig,
+    TileStore,
+    MemoryTileStore,
+    IndexedDBTileStore
 };
@@ -1,6 +1,8 @@
-import { isNil, IS_NODE, isArrayHasData, isFunction, isInteger } from 'core/util';
+import { isNil, IS_NODE, isArrayHasData, isFunction, isInteger, isString, extend } from 'core/util';
+import Ajax from 'core/Ajax';
 import Point from 'geo/Point';
 import Size from 'geo/Size';
+import Extent from 'geo/Extent';
 import PointExtent from 'geo/PointExtent';
 import TileConfig from './tileinfo/TileConfig';
 import TileSystem from './tileinfo/TileSystem';
@@ -16,6 +18,12 @@ import Layer from '../Layer';
  * @property {Number[]}            [options.tileSize=[256, 256]] - size of the tile image, [width, height]
  * @property {Number[]}            [options.tileSystem=null]   - tile system number arrays
  * @property {Boolean}             [options.debug=false]       - if set to true, tiles will have borders and a title of its coordinates.
+ * @property {Number}              [options.tileRetries=0]     - times to retry loading a failed tile.
+ * @property {Number}              [options.tileRetryDelay=500] - milliseconds before the first retry, doubled for every next retry.
+ * @property {Number}              [options.tileTimeout=0]     - milliseconds before a loading tile fails, 0 means no timeout.
+ * @property {Boolean}             [options.parentTileFallback=true] - draw the nearest loaded parent tile, scaled and clipped, for a tile loading or failed.
+ * @property {TileStore}           [options.tileStore=null]    - a [TileStore]{@link TileStore} to load tiles from before the network and to store prefetched tiles.
+ * @property {Number}              [options.maxPrefetchTiles=10000] - max number of tiles to download in a [prefetch]{@link TileLayer#prefetch}.
  * @memberOf TileLayer
  * @instance
  */
@@ -42,6 +50,14 @@ const options = {
 
     'cacheTiles': true,
 
+    'tileRetries': 0,
+    'tileRetryDelay': 500,
+    'tileTimeout': 0,
+    'parentTileFallback': true,
+
+    'tileStore': null,
+    'maxPrefetchTiles': 10000,
+
     'keepBuffer': null,
 
     'container' : 'back',
@@ -51,6 +67,8 @@ const options = {
     })()
 };
 
+// number of tiles downloaded at the same time in prefetching
+const PREFETCH_CONCURRENCY = 4;
 
 /**
  * @classdesc
@@ -126,14 +144,261 @@ class TileLayer extends Layer {
      * @return {Object} layer's profile JSON
      */
     toJSON() {
+        const options = this.config();
+        delete options['tileStore'];
         const profile = {
             'type': this.getJSONType(),
             'id': this.getId(),
-            'options': this.config()
+            'options': options
         };
         return profile;
     }
 
+    /**
+     * Get the tile store of the layer
+     * @return {TileStore}
+     */
+    getTileStore() {
+        return this.options['tileStore'];
+    }
+
+    /**
+     * Set a tile store to load tiles from before the network and to store prefetched tiles.
+     * @param {TileStore} tileStore - tile store, e.g. a [IndexedDBTileStore]{@link IndexedDBTileStore}
+     * @return {TileLayer} this
+     */
+    setTileStore(tileStore) {
+        this.options['tileStore'] = tileStore;
+        return this;
+    }
+
+    /**
+     * Download tiles in the extent from minZoom to maxZoom and save them in the layer's tile store for offline use. <br>
+     * Tiles already in the store are skipped, and the previous prefetching is cancelled. <br>
+     * Tiles are downloaded by XMLHttpRequest, so tile servers on other domains must allow CORS, or each tile fails with a prefetcherror event.
+     * @param {Extent|Number[]} extent - extent to prefetch, in map's coordinates
+     * @param {Number} minZoom - min zoom to prefetch
+     * @param {Number} maxZoom - max zoom to prefetch
+     * @param {Function} [cb=null] - callback function with (err, stats) when completed, stats is { total, loaded, errors }
+     * @return {TileLayer} this
+     * @fires TileLayer#prefetchprogress
+     * @fires TileLayer#prefetcherror
+     * @fires TileLayer#prefetchend
+     * @example
+     * layer.on('prefetcherror', function (e) {
+     *     console.warn('failed to prefetch', e.url, e.error);
+     * });
+     * layer.on('prefetchprogress', function (e) {
+     *     console.log(e.loaded + e.errors + '/' + e.total);
+     * });
+     * layer.prefetch(map.getExtent(), 12, 16, function (err, stats) {
+     *     console.log('prefetched', stats.loaded);
+     * });
+     */
+    prefetch(extent, minZoom, maxZoom, cb) {
+        if (!this.getTileStore()) {
+            throw new Error('A tileStore is required to prefetch tiles.');
+        }
+        if (!this.getMap()) {
+            throw new Error('TileLayer must be added to a map before prefetching tiles.');
+        }
+        const urls = this._getPrefetchUrls(new Extent(extent), minZoom, maxZoom);
+        if (urls.length > this.options['maxPrefetchTiles']) {
+            throw new Error('Too many tiles to prefetch: ' + urls.length + ', more than maxPrefetchTiles ' + this.options['maxPrefetchTiles'] + '.');
+        }
+        this.cancelPrefetch();
+        const task = this._prefetchTask = {
+            'urls' : urls,
+            'next' : 0,
+            'callback' : cb,
+            'stats' : {
+                'total' : urls.length,
+                'loaded' : 0,
+                'errors' : 0
+            }
+        };
+        if (!urls.length) {
+            this._onPrefetchEnd(task);
+            return this;
+        }
+        for (let i = 0; i < PREFETCH_CONCURRENCY; i++) {
+            this._prefetchNext(task);
+        }
+        return this;
+    }
+
+    /**
+     * Cancel the prefetching in progress.
+     * @return {TileLayer} this
+     */
+    cancelPrefetch() {
+        if (this._prefetchTask) {
+            this._prefetchTask['cancelled'] = true;
+            delete this._prefetchTask;
+        }
+        return this;
+    }
+
+    _prefetchNext(task) {
+        if (task['cancelled'] || task['next'] >= task['urls'].length) {
+            return;
+        }
+        const store = this.getTileStore(),
+            url = task['urls'][task['next']++];
+        store.get(url, (err, record) => {
+            if (err || record) {
+                this._onTilePrefetched(task, url, err);
+                return;
+            }
+            Ajax.getArrayBuffer(url, (err, data) => {
+                if (err || task['cancelled']) {
+                    this._onTilePrefetched(task, url, err);
+                    return;
+                }
+                store.put(url, data, err => this._onTilePrefetched(task, url, err));
+            });
+        });
+    }
+
+    _onTilePrefetched(task, url, err) {
+        if (task['cancelled']) {
+            return;
+        }
+        const stats = task['stats'];
+        stats[err ? 'errors' : 'loaded']++;
+        if (err) {
+            /**
+             * prefetcherror event, fired when a tile failed to prefetch, e.g. tile server doesn't allow CORS.
+             *
+             * @event TileLayer#prefetcherror
+             * @type {Object}
+             * @property {String} type - prefetcherror
+             * @property {TileLayer} target - tile layer
+             * @property {String} url - url of the tile
+             * @property {Error|String} error - error of the tile store or the request
+             */
+            this.fire('prefetcherror', {
+                'url' : url,
+                'error' : err
+            });
+        }
+        /**
+         * prefetchprogress event, fired when a tile is prefetched or failed.
+         *
+         * @event TileLayer#prefetchprogress
+         * @type {Object}
+         * @property {String} type - prefetchprogress
+         * @property {TileLayer} target - tile layer
+         * @property {Number} total - number of tiles to prefetch
+         * @property {Number} loaded - number of tiles prefetched
+         * @property {Number} errors - number of tiles failed
+         */
+        this.fire('prefetchprogress', extend({}, stats));
+        if (stats['loaded'] + stats['errors'] === stats['total']) {
+            this._onPrefetchEnd(task);
+        } else {
+            this._prefetchNext(task);
+        }
+    }
+
+    _onPrefetchEnd(task) {
+        if (this._prefetchTask === task) {
+            delete this._prefetchTask;
+        }
+        /**
+         * prefetchend event, fired when prefetching completes.
+         *
+         * @event TileLayer#prefetchend
+         * @type {Object}
+         * @property {String} type - prefetchend
+         * @property {TileLayer} target - tile layer
+         * @property {Number} total - number of tiles to prefetch
+         * @property {Number} loaded - number of tiles prefetched
+         * @property {Number} errors - number of tiles failed
+         */
+        this.fire('prefetchend', extend({}, task['stats']));
+        if (task['callback']) {
+            task['callback'](null, extend({}, task['stats']));
+        }
+    }
+
+    /**
+     * Get urls of tiles in the extent from minZoom to maxZoom
+     * @private
+     */
+    _getPrefetchUrls(extent, minZoom, maxZoom) {
+        const map = this.getMap(),
+            tileConfig = this._getTileConfig(),
+            projection = map.getProjection();
+        let prjExtent = extent.convertTo(c => projection.project(c));
+        const fullExtent = new Extent(tileConfig.fullExtent);
+        prjExtent = prjExtent.intersection(fullExtent);
+        if (!prjExtent) {
+            return [];
+        }
+        const urls = [];
+        minZoom = Math.max(Math.round(minZoom), map.getMinZoom());
+        maxZoom = Math.min(Math.round(maxZoom), map.getMaxZoom());
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const res = map._getResolution(z);
+            // shrink by 0.01 pixel to exclude tiles next to the extent's edges
+            const d = Math.min(res * 1E-2, prjExtent.getWidth() / 4, prjExtent.getHeight() / 4);
+            const min = prjExtent.getMin()._add(d, d), max = prjExtent.getMax()._sub(d, d);
+            const t1 = tileConfig.getCenterTile(min, res),
+                t2 = tileConfig.getCenterTile(max, res);
+            const xmin = Math.min(t1['x'], t2['x']), xmax = Math.max(t1['x'], t2['x']),
+                ymin = Math.min(t1['y'], t2['y']), ymax = Math.max(t1['y'], t2['y']);
+            for (let x = xmin; x <= xmax; x++) {
+                for (let y = ymin; y <= ymax; y++) {
+                    urls.push(this.getTileUrl(x, y, z));
+                }
+                if (urls.length > this.options['maxPrefetchTiles']) {
+                    return urls;
+                }
+            }
+        }
+        return urls;
+    }
+
+    /**
+     * Resolve a tile's url from the tile store before the network, a blob url is returned if tile is stored.
+     * @param {String} url - tile's url
+     * @param {Function} cb - callback function with the resolved url
+     * @private
+     */
+    _resolveTileUrl(url, cb) {
+        const store = this.getTileStore();
+        if (!store || !url) {
+            cb(url);
+            return;
+        }
+        store.get(url, (err, record) => {
+            if (err || !record) {
+                cb(url);
+                return;
+            }
+            const data = record['data'];
+            if (isString(data)) {
+                cb(data);
+            } else if (typeof URL !== 'undefined' && URL.createObjectURL && typeof Blob !== 'undefined') {
+                cb(URL.createObjectURL(data instanceof Blob ? data : new Blob([data])));
+            } else {
+                cb(url);
+            }
+        });
+    }
+
+    /**
+     * Release a tile's url resolved by _resolveTileUrl when tile is loaded
+     * @param {String} url - resolved url
+     * @private
+     */
+    _releaseTileUrl(url) {
+        if (url && url.indexOf('blob:') === 0) {
+            URL.revokeObjectURL(url);
+        }
+    }
+
     _getTileZoom() {
         const map = this.getMap();
         let zoom = map.getZoom();
@@ -254,6 +519,29 @@ class TileLayer extends Layer {
         this._switchEvents('on', this._renderer);
     }
 
+    /**
+     * Get ids of tile's parent tiles from the nearest. <br>
+     * Parent tiles are available only when resolution is halved at each zoom, which makes a tile's parent at z - k contain 2^k x 2^k tiles.
+     * @param  {Object} tile - tile
+     * @return {String[]} ids of parent tiles
+     * @private
+     */
+    _getParentTileIds(tile) {
+        const map = this.getMap(),
+            z = tile['z'],
+            res = map._getResolution(z),
+            xyz = tile['id'].split('__');
+        const ids = [];
+        for (let pz = z - 1, scale = 2; pz >= map.getMinZoom(); pz--, scale *= 2) {
+            const ratio = map._getResolution(pz) / res;
+            if (!(Math.abs(ratio - scale) <= 1E-6 * scale)) {
+                break;
+            }
+            ids.push([Math.floor(xyz[0] / scale), Math.floor(xyz[1] / scale), pz].join('__'));
+        }
+        return ids;
+    }
+
     /**
      * initialize [tileConfig]{@link TileConfig} for the tilelayer
      * @private
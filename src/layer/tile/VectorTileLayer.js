@@ -0,0 +1,199 @@
+import { compileStyle } from 'core/mapbox';
+import Coordinate from 'geo/Coordinate';
+import OverlayLayer from '../OverlayLayer';
+import StyleRuleMixin from '../StyleRuleMixin';
+import TileLayer from './TileLayer';
+
+/**
+ * @property {Object}  options - VectorTileLayer's options
+ * @property {String}  [options.renderer=canvas]          - renderer type, only canvas is supported.
+ * @property {String}  [options.baseLayerRenderer=canvas] - renderer type when the layer is the map's base layer.
+ * @property {Boolean} [options.geometryEvents=true]      - enable/disable firing events of the geometries decoded from tiles.
+ * @property {Boolean} [options.enableSimplify=true]      - whether to simplify geometries before rendering.
+ * @property {Boolean} [options.defaultIconSize=[20,20]]  - default size of a marker's icon
+ * @property {Boolean} [options.enableHeight=false]       - whether to enable render geometry with height, false by default
+ * @property {Boolean} [options.heightProperty=height]    - geometry's height property name, if enableHeight is true, "height" by default
+ * @memberOf VectorTileLayer
+ * @instance
+ */
+const options = {
+    'renderer'  : 'canvas',
+    'baseLayerRenderer' : 'canvas',
+    'geometryEvents': true,
+    'enableSimplify': true,
+    'defaultIconSize': [20, 20],
+    'cacheVectorOnCanvas': true,
+    'cacheSvgOnCanvas': false,
+    'enableHeight' : false,
+    'heightProperty' : 'height'
+};
+
+/**
+ * @classdesc
+ * A layer to load and render [Mapbox Vector Tiles]{@link https://github.com/mapbox/vector-tile-spec} (PBF). <br>
+ * Tiles are addressed by TileConfig as a TileLayer, features in the tiles are decoded into geometries
+ * and symbolized by the layer's style, which is the same as VectorLayer's. <br>
+ * Besides properties, the filter can also check feature's source layer by "$layer" and feature's type by "$type".
+ * @category layer
+ * @extends TileLayer
+ * @mixes StyleRuleMixin
+ * @param {String|Number} id - tile layer's id
+ * @param {Object} [options=null] - options defined in [VectorTileLayer]{@link VectorTileLayer#options}
+ * @param {Object|Object[]} [options.style=null] - layer's style
+ * @example
+ * new VectorTileLayer("vt", {
+ *     urlTemplate : 'http://localhost:8080/tiles/{z}/{x}/{y}.pbf',
+ *     style : [
+ *         {
+ *             'filter' : ['==', '$layer', 'water'],
+ *             'symbol' : { 'polygonFill' : '#8ac' }
+ *         },
+ *         {
+ *             'filter' : ['all', ['==', '$layer', 'road'], ['==', 'kind', 'highway']],
+ *             'symbol' : { 'lineColor' : '#f80', 'lineWidth' : 2 }
+ *         }
+ *     ]
+ * });
+ */
+class VectorTileLayer extends StyleRuleMixin(TileLayer) {
+
+    constructor(id, options) {
+        super(id, options);
+        const style = this.options['style'];
+        delete this.options['style'];
+        if (style) {
+            this.setStyle(style);
+        }
+    }
+
+    /**
+     * Gets layer's style.
+     * @return {Object|Object[]} layer's style
+     */
+    getStyle() {
+        if (!this._style) {
+            return null;
+        }
+        return this._style;
+    }
+
+    /**
+     * Sets style to the layer, styling the features satisfying the condition with style's symbol. <br>
+     * Features not satisfying any condition will not be rendered.
+     * @param {Object|Object[]} style - layer's style
+     * @returns {VectorTileLayer} this
+     * @fires VectorTileLayer#setstyle
+     */
+    setStyle(style) {
+        this._style = style;
+        this._cookedStyles = compileStyle(style);
+        delete this._hiddenStyleRules;
+        const renderer = this._getRenderer();
+        if (renderer) {
+            renderer.setToRedraw();
+        }
+        /**
+         * setstyle event.
+         *
+         * @event VectorTileLayer#setstyle
+         * @type {Object}
+         * @property {String} type - setstyle
+         * @property {VectorTileLayer} target - layer
+         * @property {Object|Object[]}       style - style to set
+         */
+        this.fire('setstyle', {
+            'style': style
+        });
+        return this;
+    }
+
+    /**
+     * Removes layers' style, all the features will be rendered with default symbols.
+     * @returns {VectorTileLayer} this
+     * @fires VectorTileLayer#removestyle
+     */
+    removeStyle() {
+        if (!this._style) {
+            return this;
+        }
+        delete this._style;
+        delete this._cookedStyles;
+        delete this._hiddenStyleRules;
+        const renderer = this._getRenderer();
+        if (renderer) {
+            renderer.setToRedraw();
+        }
+        /**
+         * removestyle event.
+         *
+         * @event VectorTileLayer#removestyle
+         * @type {Object}
+         * @property {String} type - removestyle
+         * @property {VectorTileLayer} target - layer
+         */
+        this.fire('removestyle');
+        return this;
+    }
+
+    /**
+     * Identify the rendered geometries on the given coordinate, only features in the loaded tiles containing the coordinate are checked.
+     * @param  {Coordinate} coordinate   - coordinate to identify
+     * @param  {Object} [options=null]  - options
+     * @param  {Function} [options.filter=null] - filter function of the result geometries, return false to exclude.
+     * @param  {Number} [options.count=null]    - limit of the result count.
+     * @return {Geometry[]} geometries identified
+     */
+    identify(coordinate, options = {}) {
+        const renderer = this._getRenderer();
+        if (!renderer || !coordinate) {
+            return [];
+        }
+        return renderer.identify(new Coordinate(coordinate), options);
+    }
+
+    _hitGeos() {
+        return OverlayLayer.prototype._hitGeos.apply(this, arguments);
+    }
+
+    /**
+     * Export the VectorTileLayer's json. <br>
+     * It can be used to reproduce the instance by [fromJSON]{@link Layer#fromJSON} method
+     * @return {Object} layer's JSON
+     */
+    toJSON() {
+        const profile = {
+            'type': this.getJSONType(),
+            'id': this.getId(),
+            'options': this.config()
+        };
+        if (this.getStyle()) {
+            profile['style'] = this.getStyle();
+        }
+        return profile;
+    }
+
+    /**
+     * Reproduce a VectorTileLayer from layer's JSON.
+     * @param  {Object} layerJSON - layer's JSON
+     * @return {VectorTileLayer}
+     * @static
+     * @private
+     * @function
+     */
+    static fromJSON(layerJSON) {
+        if (!layerJSON || layerJSON['type'] !== 'VectorTileLayer') {
+            return null;
+        }
+        const layer = new VectorTileLayer(layerJSON['id'], layerJSON['options']);
+        if (layerJSON['style']) {
+            layer.setStyle(layerJSON['style']);
+        }
+        return layer;
+    }
+}
+
+VectorTileLayer.registerJSONType('VectorTileLayer');
+
+VectorTileLayer.mergeOptions(options);
+
+export default VectorTileLayer;
@@ -0,0 +1,197 @@
+import { isNil, isString } from 'core/util';
+import SpatialReference from 'map/spatial-reference/SpatialReference';
+import 'map/spatial-reference/SpatialReference.WMTS';
+import TileConfig from './tileinfo/TileConfig';
+import TileLayer from './TileLayer';
+
+/**
+ * @property {Object}          options                        - WMTSTileLayer's options
+ * @property {String|Document} options.capabilities           - url of GetCapabilities, capabilities XML or the parsed XML document
+ * @property {String}          [options.layer=null]           - identifier of the WMTS layer, the first layer if omitted
+ * @property {String}          [options.tileMatrixSet=null]   - identifier of the TileMatrixSet, the first one linked with the layer if omitted
+ * @property {String}          [options.style=null]           - identifier of the style, the default style if omitted
+ * @property {String}          [options.format=null]          - format of the tile images, e.g. image/png
+ * @property {String}          [options.requestEncoding=null] - "KVP" or "REST", RESTful is preferred if the layer has a ResourceURL
+ * @memberOf WMTSTileLayer
+ * @instance
+ */
+const options = {
+    'capabilities' : null,
+    'layer' : null,
+    'tileMatrixSet' : null,
+    'style' : null,
+    'format' : null,
+    'requestEncoding' : null
+};
+
+/**
+ * @classdesc
+ * Used to display [WMTS]{@link http://www.opengeospatial.org/standards/wmts} services as tile layers on the map. <br>
+ * Tile size, tile system and url template are derived from the capabilities if not set in options. <br>
+ * If it's map's base layer, map's spatial reference is changed to the resolutions and full extent of the TileMatrixSet.
+ * @category layer
+ * @extends TileLayer
+ * @param {String|Number} id - tile layer's id
+ * @param {Object} [options=null] - options defined in [WMTSTileLayer]{@link WMTSTileLayer#options}
+ * @example
+ * var layer = new maptalks.WMTSTileLayer('wmts', {
+ *     'capabilities' : 'http://demo.geo-solutions.it/geoserver/gwc/service/wmts?REQUEST=GetCapabilities',
+ *     'layer' : 'ne:ne',
+ *     'tileMatrixSet' : 'EPSG:900913',
+ *     'requestEncoding' : 'KVP'
+ * });
+ */
+class WMTSTileLayer extends TileLayer {
+
+    constructor(id, options) {
+        super(id, options);
+        const capabilities = this.options['capabilities'];
+        if (capabilities && !isCapabilitiesUrl(capabilities)) {
+            SpatialReference.loadWMTS(capabilities, this._getWMTSOptions(), (err, conf) => {
+                if (err) {
+                    throw err;
+                }
+                this._setCapabilities(conf);
+            });
+        }
+    }
+
+    /**
+     * Whether the capabilities is loaded and parsed
+     * @return {Boolean}
+     */
+    isCapabilitiesLoaded() {
+        return !!this._wmts;
+    }
+
+    /**
+     * Get spatial reference settings of the TileMatrixSet, null if capabilities is not loaded yet.
+     * @return {Object} spatial reference with projection, resolutions and fullExtent
+     */
+    getSpatialReference() {
+        if (!this._wmts) {
+            return null;
+        }
+        const spatialRef = this._wmts['spatialReference'];
+        return {
+            'projection' : spatialRef['projection'],
+            'resolutions' : spatialRef['resolutions'].slice(0),
+            'fullExtent' : spatialRef['fullExtent']
+        };
+    }
+
+    onLoad() {
+        if (this._wmts) {
+            this._updateMapSpatialReference();
+            return true;
+        }
+        if (!this._loadingCapabilities) {
+            this._loadingCapabilities = true;
+            SpatialReference.loadWMTS(this.options['capabilities'], this._getWMTSOptions(), (err, conf) => {
+                delete this._loadingCapabilities;
+                if (err) {
+                    /**
+                     * capabilitieserror event, fired when failed to load or parse WMTS capabilities.
+                     *
+                     * @event WMTSTileLayer#capabilitieserror
+                     * @type {Object}
+                     * @property {String} type - capabilitieserror
+                     * @property {WMTSTileLayer} target - tile layer
+                     * @property {Object} error - error
+                     */
+                    this.fire('capabilitieserror', { 'error' : err });
+                    return;
+                }
+                this._setCapabilities(conf);
+                this.load();
+                /**
+                 * capabilitiesload event, fired when WMTS capabilities is loaded from the url and parsed.
+                 *
+                 * @event WMTSTileLayer#capabilitiesload
+                 * @type {Object}
+                 * @property {String} type - capabilitiesload
+                 * @property {WMTSTileLayer} target - tile layer
+                 */
+                this.fire('capabilitiesload');
+            });
+        }
+        return false;
+    }
+
+    getTileUrl(x, y, z) {
+        const ids = this._tileMatrixIds;
+        return super.getTileUrl(x, y, ids && !isNil(ids[z]) ? ids[z] : z);
+    }
+
+    /**
+     * Reproduce a WMTSTileLayer from layer's JSON.
+     * @param  {Object} layerJSON - layer's JSON
+     * @return {WMTSTileLayer}
+     * @static
+     * @private
+     * @function
+     */
+    static fromJSON(layerJSON) {
+        if (!layerJSON || layerJSON['type'] !== 'WMTSTileLayer') {
+            return null;
+        }
+        return new WMTSTileLayer(layerJSON['id'], layerJSON['options']);
+    }
+
+    _initTileConfig() {
+        super._initTileConfig();
+        // tile system of the WMTS is used instead of base layer's
+        if (this.options['tileSystem']) {
+            this._tileConfig = new TileConfig(this.options['tileSystem'], this.getMap().getFullExtent(), this.getTileSize());
+        }
+    }
+
+    _getWMTSOptions() {
+        const opts = this.options;
+        return {
+            'layer' : opts['layer'],
+            'tileMatrixSet' : opts['tileMatrixSet'],
+            'style' : opts['style'],
+            'format' : opts['format'],
+            'requestEncoding' : opts['requestEncoding']
+        };
+    }
+
+    _setCapabilities(conf) {
+        this._wmts = conf;
+        this._tileMatrixIds = conf['tileMatrixIds'];
+        // options set by user have higher priority
+        const keys = ['urlTemplate', 'tileSystem', 'tileSize'];
+        for (let i = 0; i < keys.length; i++) {
+            if (!this.options.hasOwnProperty(keys[i]) || !this.options[keys[i]]) {
+                this.options[keys[i]] = conf[keys[i]];
+            }
+        }
+        delete this._defaultTileConfig;
+        delete this._tileConfig;
+    }
+
+    _updateMapSpatialReference() {
+        const map = this.getMap();
+        if (!map || map.getBaseLayer() !== this) {
+            return;
+        }
+        const spatialRef = this.getSpatialReference(),
+            current = map.getSpatialReference();
+        if (current.getProjection().code === spatialRef['projection'] &&
+            current.getResolutions().join() === spatialRef['resolutions'].join()) {
+            return;
+        }
+        map.setSpatialReference(spatialRef);
+    }
+}
+
+WMTSTileLayer.registerJSONType('WMTSTileLayer');
+
+WMTSTileLayer.mergeOptions(options);
+
+export default WMTSTileLayer;
+
+function isCapabilitiesUrl(capabilities) {
+    return isString(capabilities) && capabilities.replace(/^\s+/, '').charAt(0) !== '<';
+}
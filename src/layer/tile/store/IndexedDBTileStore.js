@@ -0,0 +1,204 @@
+import TileStore from './TileStore';
+
+/**
+ * @property {Object} options - options, and options defined in [TileStore]{@link TileStore#options}
+ * @property {String} [options.dbName='maptalks-tiles'] - name of the IndexedDB database
+ * @property {String} [options.storeName='tiles'] - name of the object store in the database
+ * @memberOf IndexedDBTileStore
+ * @instance
+ */
+// index of [time, size] on tile records, to read sizes and times of tiles by a key cursor without loading tile data
+const META_INDEX = 'meta';
+
+const options = {
+    'dbName': 'maptalks-tiles',
+    'storeName': 'tiles'
+};
+
+/**
+ * @classdesc
+ * A tile store in browser's IndexedDB, tiles are kept after page is reloaded for offline use.
+ * @category layer
+ * @extends TileStore
+ * @param {Object} [options=null] - options defined in [IndexedDBTileStore]{@link IndexedDBTileStore#options}
+ * @example
+ * var layer = new maptalks.TileLayer('tile', {
+ *     urlTemplate : 'http://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+ *     subdomains : ['a', 'b', 'c'],
+ *     tileStore : new maptalks.IndexedDBTileStore({ dbName : 'osm' })
+ * }).addTo(map);
+ * layer.prefetch(extent, 10, 14);
+ */
+class IndexedDBTileStore extends TileStore {
+
+    /**
+     * Whether IndexedDB is supported by the environment
+     * @return {Boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Close the database
+     * @return {IndexedDBTileStore} this
+     */
+    close() {
+        if (this._db) {
+            this._db.close();
+            delete this._db;
+        }
+        return this;
+    }
+
+    _open(cb) {
+        if (this._db) {
+            cb(null, this._db);
+            return;
+        }
+        if (this._opening) {
+            this._opening.push(cb);
+            return;
+        }
+        if (!IndexedDBTileStore.isSupported()) {
+            cb(new Error('IndexedDB is not supported.'));
+            return;
+        }
+        this._opening = [cb];
+        this._openDB();
+    }
+
+    // open the database at its current version, and reopen it with a new version to create the object store or its index if missing,
+    // e.g. a new storeName in an existing database
+    _openDB(version) {
+        const dbName = this.options['dbName'],
+            storeName = this.options['storeName'];
+        const request = version ? indexedDB.open(dbName, version) : indexedDB.open(dbName);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const store = db.objectStoreNames.contains(storeName) ? request.transaction.objectStore(storeName) : db.createObjectStore(storeName);
+            if (!store.indexNames.contains(META_INDEX)) {
+                store.createIndex(META_INDEX, ['time', 'size']);
+            }
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            if (!hasStore(db, storeName)) {
+                db.close();
+                if (version) {
+                    this._onOpen(new Error('Failed to create object store or index of ' + storeName + ' in IndexedDB ' + dbName));
+                } else {
+                    this._openDB(db.version + 1);
+                }
+                return;
+            }
+            // close to let other stores in the same database upgrade it
+            db.onversionchange = () => {
+                db.close();
+                if (this._db === db) {
+                    delete this._db;
+                }
+            };
+            this._db = db;
+            this._onOpen(null, db);
+        };
+        request.onerror = () => {
+            this._onOpen(request.error);
+        };
+    }
+
+    _onOpen(err, db) {
+        const callbacks = this._opening;
+        delete this._opening;
+        callbacks.forEach(cb => cb(err, db));
+    }
+
+    // run fn with the object store in a transaction, cb is called once when transaction completes or fails
+    _transaction(mode, fn, cb) {
+        this._open((err, db) => {
+            if (err) {
+                cb(err);
+                return;
+            }
+            let result = null,
+                finished = false;
+            const finish = error => {
+                // a failed request fires both error and abort on the transaction
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                cb(error, error ? undefined : result);
+            };
+            let tx;
+            try {
+                tx = db.transaction(this.options['storeName'], mode);
+            } catch (error) {
+                // e.g. InvalidStateError if the database is closed
+                cb(error);
+                return;
+            }
+            tx.oncomplete = () => finish(null);
+            tx.onerror = tx.onabort = e => finish(tx.error || e.target.error || new Error('IndexedDB transaction is aborted.'));
+            fn(tx.objectStore(this.options['storeName']), r => {
+                result = r;
+            });
+        });
+    }
+
+    _read(key, cb) {
+        this._transaction('readonly', (store, setResult) => {
+            const request = store.get(key);
+            request.onsuccess = () => setResult(request.result || null);
+        }, cb);
+    }
+
+    _write(key, record, cb) {
+        this._transaction('readwrite', store => {
+            store.put(record, key);
+        }, cb);
+    }
+
+    _delete(keys, cb) {
+        this._transaction('readwrite', store => {
+            keys.forEach(key => store.delete(key));
+        }, cb);
+    }
+
+    _clear(cb) {
+        this._transaction('readwrite', store => {
+            store.clear();
+        }, cb);
+    }
+
+    _keys(cb) {
+        const keys = [];
+        this._transaction('readonly', (store, setResult) => {
+            const request = store.index(META_INDEX).openKeyCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    keys.push({
+                        'key' : cursor.primaryKey,
+                        'time' : cursor.key[0],
+                        'size' : cursor.key[1]
+                    });
+                    cursor.continue();
+                } else {
+                    setResult(keys);
+                }
+            };
+        }, cb);
+    }
+}
+
+IndexedDBTileStore.mergeOptions(options);
+
+function hasStore(db, storeName) {
+    if (!db.objectStoreNames.contains(storeName)) {
+        return false;
+    }
+    return db.transaction(storeName, 'readonly').objectStore(storeName).indexNames.contains(META_INDEX);
+}
+
+export default IndexedDBTileStore;
@@ -0,0 +1,58 @@
+import TileStore from './TileStore';
+
+/**
+ * @classdesc
+ * A tile store in memory, tiles are lost when page is reloaded. <br>
+ * It's a stand-in of [IndexedDBTileStore]{@link IndexedDBTileStore} for environments without IndexedDB, e.g. tests and node.
+ * @category layer
+ * @extends TileStore
+ * @param {Object} [options=null] - options defined in [TileStore]{@link TileStore#options}
+ * @example
+ * var layer = new maptalks.TileLayer('tile', {
+ *     urlTemplate : 'http://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+ *     subdomains : ['a', 'b', 'c'],
+ *     tileStore : new maptalks.MemoryTileStore({ maxSize : 10 * 1024 * 1024 })
+ * });
+ */
+class MemoryTileStore extends TileStore {
+
+    constructor(options) {
+        super(options);
+        this._records = {};
+    }
+
+    _read(key, cb) {
+        cb(null, this._records[key] || null);
+    }
+
+    _write(key, record, cb) {
+        this._records[key] = record;
+        cb(null);
+    }
+
+    _delete(keys, cb) {
+        keys.forEach(key => {
+            delete this._records[key];
+        });
+        cb(null);
+    }
+
+    _clear(cb) {
+        this._records = {};
+        cb(null);
+    }
+
+    _keys(cb) {
+        const keys = [];
+        for (const key in this._records) {
+            keys.push({
+                'key' : key,
+                'size' : this._records[key]['size'],
+                'time' : this._records[key]['time']
+            });
+        }
+        cb(null, keys);
+    }
+}
+
+export default MemoryTileStore;
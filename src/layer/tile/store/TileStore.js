@@ -0,0 +1,228 @@
+import { isNil, isString } from 'core/util';
+import Class from 'core/Class';
+
+/**
+ * @property {Object} options - options
+ * @property {Number} [options.maxSize=52428800] - max size in bytes of tiles in the store, the oldest tiles are evicted when exceeded, set to 0 to unlimit it.
+ * @property {Number} [options.maxAge=604800000] - milliseconds before a stored tile expires, 7 days in default, set to 0 to unlimit it.
+ * @memberOf TileStore
+ * @instance
+ */
+const options = {
+    'maxSize': 50 * 1024 * 1024,
+    'maxAge': 7 * 24 * 3600 * 1000
+};
+
+/**
+ * @classdesc
+ * Base class for persistent storages of tile data, used by [TileLayer]{@link TileLayer}'s tileStore option to load tiles offline. <br>
+ * Tiles are stored by their urls as records of { data, size, time }, expired tiles are removed when read, and the oldest tiles are evicted when stored tiles exceed maxSize. <br>
+ * Sub classes implement the storage by the following methods, all of them are asynchronous and call back with an error as the first argument:
+ * <ul>
+ *     <li>_read(key, callback) - call back with the record or null</li>
+ *     <li>_write(key, record, callback)</li>
+ *     <li>_delete(keys, callback)</li>
+ *     <li>_clear(callback)</li>
+ *     <li>_keys(callback) - call back with an array of { key, size, time }</li>
+ * </ul>
+ * It is abstract and not intended to be instantiated.
+ * @category layer
+ * @abstract
+ * @extends Class
+ */
+class TileStore extends Class {
+
+    /**
+     * Get a stored tile, null is returned if the tile is not stored or expired.
+     * @param {String} key - tile's key, the tile url
+     * @param {Function} cb - callback function with (err, record)
+     * @return {TileStore} this
+     */
+    get(key, cb) {
+        this._read(key, (err, record) => {
+            if (err || !record) {
+                cb(err, null);
+                return;
+            }
+            if (this._isExpired(record)) {
+                this.remove(key, () => cb(null, null));
+                return;
+            }
+            cb(null, record);
+        });
+        return this;
+    }
+
+    /**
+     * Store a tile's data
+     * @param {String} key - tile's key, the tile url
+     * @param {ArrayBuffer|Blob|String} data - tile's data
+     * @param {Function} [cb=null] - callback function with (err, record)
+     * @return {TileStore} this
+     */
+    put(key, data, cb) {
+        const record = {
+            'data' : data,
+            'size' : getDataSize(data),
+            'time' : Date.now()
+        };
+        this._loadIndex(err => {
+            if (err) {
+                callback(cb, err);
+                return;
+            }
+            this._write(key, record, err => {
+                if (err) {
+                    callback(cb, err);
+                    return;
+                }
+                this._setIndex(key, record);
+                this._evict(err => callback(cb, err, record));
+            });
+        });
+        return this;
+    }
+
+    /**
+     * Remove a stored tile
+     * @param {String} key - tile's key, the tile url
+     * @param {Function} [cb=null] - callback function with (err)
+     * @return {TileStore} this
+     */
+    remove(key, cb) {
+        this._delete([key], err => {
+            if (!err) {
+                this._setIndex(key, null);
+            }
+            callback(cb, err);
+        });
+        return this;
+    }
+
+    /**
+     * Remove all the stored tiles
+     * @param {Function} [cb=null] - callback function with (err)
+     * @return {TileStore} this
+     */
+    clear(cb) {
+        this._clear(err => {
+            if (!err) {
+                this._index = {};
+                this._size = 0;
+            }
+            callback(cb, err);
+        });
+        return this;
+    }
+
+    /**
+     * Get the count and total size in bytes of stored tiles
+     * @param {Function} cb - callback function with (err, { count, size })
+     * @return {TileStore} this
+     */
+    getStats(cb) {
+        this._loadIndex(err => {
+            if (err) {
+                cb(err);
+                return;
+            }
+            cb(null, {
+                'count' : Object.keys(this._index).length,
+                'size' : this._size
+            });
+        });
+        return this;
+    }
+
+    _isExpired(record) {
+        const maxAge = this.options['maxAge'];
+        return maxAge > 0 && Date.now() - record['time'] > maxAge;
+    }
+
+    // load keys, sizes and times of stored tiles for eviction
+    _loadIndex(cb) {
+        if (this._index) {
+            cb(null);
+            return;
+        }
+        this._keys((err, keys) => {
+            if (err) {
+                cb(err);
+                return;
+            }
+            if (!this._index) {
+                this._index = {};
+                this._size = 0;
+                keys.forEach(k => this._setIndex(k['key'], k));
+            }
+            cb(null);
+        });
+    }
+
+    _setIndex(key, record) {
+        if (!this._index) {
+            return;
+        }
+        const old = this._index[key];
+        if (old) {
+            this._size -= old['size'];
+            delete this._index[key];
+        }
+        if (record) {
+            this._index[key] = { 'size' : record['size'], 'time' : record['time'] };
+            this._size += record['size'];
+        }
+    }
+
+    // remove expired tiles, then the oldest tiles until total size is less than maxSize
+    _evict(cb) {
+        const maxSize = this.options['maxSize'];
+        const keys = Object.keys(this._index);
+        const expired = keys.filter(k => this._isExpired(this._index[k]));
+        let size = this._size;
+        expired.forEach(k => {
+            size -= this._index[k]['size'];
+        });
+        const toRemove = expired;
+        if (maxSize > 0 && size > maxSize) {
+            const sorted = keys.filter(k => expired.indexOf(k) < 0).sort((a, b) => this._index[a]['time'] - this._index[b]['time']);
+            for (let i = 0; i < sorted.length - 1 && size > maxSize; i++) {
+                size -= this._index[sorted[i]]['size'];
+                toRemove.push(sorted[i]);
+            }
+        }
+        if (!toRemove.length) {
+            cb(null);
+            return;
+        }
+        this._delete(toRemove, err => {
+            if (!err) {
+                toRemove.forEach(k => this._setIndex(k, null));
+            }
+            cb(err);
+        });
+    }
+}
+
+TileStore.mergeOptions(options);
+
+export default TileStore;
+
+function callback(cb, err, data) {
+    if (cb) {
+        cb(err || null, data);
+    }
+}
+
+function getDataSize(data) {
+    if (isNil(data)) {
+        return 0;
+    }
+    if (isString(data)) {
+        return data.length;
+    }
+    if (!isNil(data.byteLength)) {
+        return data.byteLength;
+    }
+    return data.size || 0;
+}
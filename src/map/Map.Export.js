@@ -0,0 +1,268 @@
+import { extend, isNil, isNumber, removeFromArray } from 'core/util';
+import Promise from 'core/Promise';
+import Canvas2D from 'core/Canvas';
+import SVGContext from 'core/SVGContext';
+import Extent from 'geo/Extent';
+import Map from './Map';
+
+//dpi of css pixels
+const CSS_DPI = 96;
+
+//default milliseconds to wait for layers of offscreen maps to load
+const OFFSCREEN_TIMEOUT = 60000;
+
+//options of offscreen maps, which are not animated or interactive
+const OFFSCREEN_OPTIONS = {
+    'zoomAnimation' : false,
+    'panAnimation' : false,
+    'centerCross' : false,
+    'hitDetect' : false,
+    'checkSize' : false,
+    'attributionControl' : false,
+    'zoomControl' : false,
+    'scaleControl' : false,
+    'overviewControl' : false,
+    'draggable' : false,
+    'scrollWheelZoom' : false,
+    'touchZoom' : false,
+    'doubleClickZoom' : false,
+    'boxZoom' : false,
+    'keyboard' : false,
+    'geometryEvents' : false
+};
+
+Map.include(/** @lends Map.prototype */ {
+    /**
+     * Export an image of the given extent rendered by an offscreen map, e.g. for printing. <br>
+     * Layers are copied by their JSON and the image is exported after all the layers are loaded, including tiles and images of markers. <br>
+     * The offscreen map is not rotated or pitched.
+     * @param {Object} [options=null] - options
+     * @param {Extent} [options.extent=null]   - extent to export, map's current extent by default
+     * @param {Number} [options.zoom=null]     - zoom to render, image size is computed by the extent and the zoom
+     * @param {Number} [options.width=null]    - image width in css pixel, zoom is computed to fit the extent if width or height is set
+     * @param {Number} [options.height=null]   - image height in css pixel
+     * @param {Number} [options.dpi=null]      - dpi of the image, 96 is the dpi of css pixels, map's device pixel ratio is used by default
+     * @param {String} [options.mimeType=image/png] - mime type of the data url
+     * @param {Boolean} [options.canvas=false] - whether to resolve with the canvas instead of data url
+     * @param {Number} [options.timeout=60000] - milliseconds to wait for the layers to load before the promise is rejected, set to 0 to wait forever
+     * @return {Promise} promise resolved with the data url or the canvas
+     * @example
+     * map.exportImage({
+     *     extent : new maptalks.Extent(120, 30, 121, 31),
+     *     width : 1920,
+     *     dpi : 300
+     * }).then(function (dataURL) {
+     *     img.src = dataURL;
+     * });
+     */
+    exportImage(options) {
+        options = options || {};
+        return new Promise((resolve, reject) => {
+            const extent = options['extent'] ? new Extent(options['extent']) : this.getExtent();
+            const view = this._getExportView(extent, options);
+            const r = options['dpi'] ? options['dpi'] / CSS_DPI : this.getDevicePixelRatio();
+            const canvas = Canvas2D.createCanvas(Math.round(view['width'] * r), Math.round(view['height'] * r), this.CanvasClass);
+
+            const profile = this.toJSON({ 'clipExtent' : extent });
+            profile['options'] = extend(profile['options'], {
+                'center' : extent.getCenter(),
+                'zoom' : view['zoom'],
+                'pitch' : 0,
+                'bearing' : 0,
+                'devicePixelRatio' : r
+            });
+            if (profile['options']['spatialReference']) {
+                //custom projection object of the map is not registered by its code in the profile
+                profile['options']['spatialReference'] = extend({}, profile['options']['spatialReference'], {
+                    'projection' : this.getProjection()
+                });
+            }
+            renderOffscreen(canvas, profile, () => {
+                return options['canvas'] ? canvas : canvas.toDataURL(options['mimeType'] || 'image/png');
+            }, options['timeout'], resolve, reject);
+        });
+    },
+
+    /**
+     * Export map's current view as a SVG document. <br>
+     * Geometries of vector layers are exported as SVG elements by their painters with symbols,
+     * tile layers and other canvas layers are embedded as raster image elements. <br>
+     * Each visible layer is exported in a group element with layer's id and opacity. Map's rotation and pitch are not supported. <br>
+     * Layers failed to export are skipped, e.g. canvas tile layers tainted by cross-origin tiles loaded without crossOrigin option.
+     * @return {String} svg document
+     * @example
+     * map.once('frameend', function () {
+     *     var svg = map.toSVG();
+     * });
+     */
+    toSVG() {
+        const size = this.getSize();
+        const ctx = new SVGContext(size['width'], size['height'], this.CanvasClass);
+        const layers = this._getLayers(layer => layer.isVisible());
+        for (let i = 0; i < layers.length; i++) {
+            const renderer = layers[i]._getRenderer();
+            if (!renderer || !renderer.paintOn) {
+                continue;
+            }
+            const opacity = layers[i].options['opacity'];
+            ctx.beginGroup({ 'id' : layers[i].getId(), 'opacity' : opacity < 1 ? opacity : null });
+            try {
+                renderer.paintOn(ctx);
+            } catch (error) {
+                // usually a SecurityError of a canvas tainted by images from other domains, e.g. tiles loaded without crossOrigin
+                if (console) {
+                    console.warn('layer ' + layers[i].getId() + ' is skipped in svg, failed to export it:\n', error);
+                }
+                ctx.cancelGroup();
+                continue;
+            }
+            ctx.endGroup();
+        }
+        return ctx.toSVG();
+    },
+
+    /**
+     * Zoom and size in css pixel of the offscreen map to export
+     * @private
+     */
+    _getExportView(extent, options) {
+        const projection = this.getProjection();
+        const prjExtent = extent.convertTo(c => projection.project(c));
+        const prjWidth = prjExtent.getWidth(),
+            prjHeight = prjExtent.getHeight();
+        let zoom = options['zoom'],
+            width = options['width'],
+            height = options['height'];
+        if (isNumber(width) || isNumber(height)) {
+            if (!isNumber(height)) {
+                height = width * prjHeight / prjWidth;
+            } else if (!isNumber(width)) {
+                width = height * prjWidth / prjHeight;
+            }
+            zoom = this.getZoomFromRes(Math.max(prjWidth / width, prjHeight / height));
+        } else {
+            if (!isNumber(zoom)) {
+                zoom = this.getZoom();
+            }
+            const res = this._getResolution(zoom);
+            width = prjWidth / res;
+            height = prjHeight / res;
+        }
+        width = Math.round(width);
+        height = Math.round(height);
+        if (!(width > 0) || !(height > 0)) {
+            throw new Error('Invalid size to export image: ' + width + ',' + height);
+        }
+        return {
+            'zoom' : zoom,
+            'width' : width,
+            'height' : height
+        };
+    }
+});
+
+/**
+ * Render a static map image of a map profile headlessly, e.g. to produce thumbnails on the server in node with [node-canvas]{@link https://github.com/Automattic/node-canvas}. <br>
+ * The image is output after all the layers are loaded, including tiles and images of markers. <br>
+ * In node, images are created by the Image class of the canvas class (e.g. Canvas.Image of node-canvas),
+ * which loads local files and data urls, remote images can be loaded by a custom loader of maptalks.Util.loadImage.node.
+ * @param {Object} profile - map's profile exported by [Map.toJSON]{@link Map#toJSON}
+ * @param {Object} options - options
+ * @param {Number} options.width  - width of the image in css pixel
+ * @param {Number} options.height - height of the image in css pixel
+ * @param {Number} [options.devicePixelRatio=1] - device pixel ratio of the image
+ * @param {Function} [options.canvasClass=null] - canvas class to create canvas and images, required in node, e.g. require('canvas')
+ * @param {String} [options.mimeType=image/png] - mime type of the buffer or the data url
+ * @param {Boolean} [options.canvas=false] - whether to resolve with the canvas instead of the buffer or data url
+ * @param {Number} [options.timeout=60000] - milliseconds to wait for the layers to load before the promise is rejected, set to 0 to wait forever
+ * @return {Promise} promise resolved with the buffer if canvas has toBuffer method (e.g. node-canvas), or the data url, or the canvas
+ * @static
+ * @function
+ * @example
+ * var Canvas = require('canvas');
+ * maptalks.Map.renderStatic(map.toJSON(), {
+ *     width : 400,
+ *     height : 300,
+ *     canvasClass : Canvas
+ * }).then(function (buffer) {
+ *     fs.writeFileSync('thumbnail.png', buffer);
+ * });
+ */
+Map.renderStatic = function (profile, options) {
+    return new Promise((resolve, reject) => {
+        if (!profile || !profile['options']) {
+            throw new Error('Invalid map profile to render: ' + profile);
+        }
+        options = options || {};
+        const width = options['width'], height = options['height'];
+        if (!(width > 0) || !(height > 0)) {
+            throw new Error('Invalid size to render static map: ' + width + ',' + height);
+        }
+        const r = options['devicePixelRatio'] || 1;
+        const w = Math.round(width * r), h = Math.round(height * r),
+            canvasClass = options['canvasClass'];
+        const canvas = canvasClass ? new canvasClass(w, h) : Canvas2D.createCanvas(w, h);
+        profile = extend({}, profile);
+        profile['options'] = extend({}, profile['options'], {
+            'devicePixelRatio' : r
+        });
+        renderOffscreen(canvas, profile, () => {
+            if (options['canvas']) {
+                return canvas;
+            }
+            const mimeType = options['mimeType'] || 'image/png';
+            return canvas.toBuffer ? canvas.toBuffer(mimeType) : canvas.toDataURL(mimeType);
+        }, options['timeout'], resolve, reject);
+    });
+};
+
+/**
+ * Render the profile on an offscreen map with the canvas, and resolve the output after all the layers are loaded.
+ * Rejected and the offscreen map is removed if layers are not loaded in time.
+ * @private
+ */
+function renderOffscreen(canvas, profile, output, timeout, resolve, reject) {
+    profile['options'] = extend({}, profile['options'], OFFSCREEN_OPTIONS);
+    const map = Map.fromJSON(canvas, profile);
+    const layers = map._getLayers(layer => layer.isVisible());
+    let finished = false, timer;
+    const onLoad = () => {
+        finished = true;
+        clearTimeout(timer);
+        let result;
+        try {
+            result = output();
+        } catch (error) {
+            //e.g. canvas tainted by images from other domains
+            reject(error);
+            return;
+        } finally {
+            map.remove();
+        }
+        resolve(result);
+    };
+    if (!layers.length) {
+        onLoad();
+        return;
+    }
+    const loading = layers.slice(0);
+    const onLayerLoad = e => {
+        removeFromArray(e.target, loading);
+        if (!finished && !loading.length) {
+            onLoad();
+        }
+    };
+    for (let i = 0; i < layers.length; i++) {
+        layers[i].once('layerload', onLayerLoad);
+    }
+    if (isNil(timeout)) {
+        timeout = OFFSCREEN_TIMEOUT;
+    }
+    if (timeout > 0) {
+        timer = setTimeout(() => {
+            finished = true;
+            map.remove();
+            reject(new Error('Timeout to render offscreen map, layers not loaded: ' + loading.map(layer => layer.getId()).join(',')));
+        }, timeout);
+    }
+}
@@ -0,0 +1,76 @@
+import { isNil, isNumber, toTime } from 'core/util';
+import Map from './Map';
+
+Map.include(/** @lends Map.prototype */ {
+    /**
+     * Set map's time to a moment, only geometries whose time covers the moment are drawn. <br>
+     * Time of geometries is defined by the properties named by layer's startTimeProperty and endTimeProperty options.
+     * @param {Number|Date|String} time - a timestamp, a Date object or a date string, e.g. ISO string
+     * @return {Map} this
+     * @fires Map#timechange
+     * @example
+     * map.setTime(new Date(2017, 6, 1));
+     */
+    setTime(time) {
+        return this.setTimeRange(time, time);
+    },
+
+    /**
+     * Set map's time range, only geometries whose time overlaps the range are drawn. <br>
+     * Range is cleared if both start and end are null. <br>
+     * Time range is saved in map's timeRange option as timestamps, and serialized in map's profile.
+     * @param {Number|Date|String} start - start of the range
+     * @param {Number|Date|String} end   - end of the range
+     * @return {Map} this
+     * @fires Map#timechange
+     * @example
+     * map.setTimeRange(Date.UTC(2017, 0, 1), Date.UTC(2017, 1, 1));
+     */
+    setTimeRange(start, end) {
+        let range = null;
+        if (!isNil(start) || !isNil(end)) {
+            range = [toTime(start), toTime(end)];
+            if (isNil(range[0]) || isNil(range[1])) {
+                throw new Error('Both start and end of time range are required.');
+            }
+            if (!isNumber(range[0]) || !isNumber(range[1])) {
+                throw new Error('Invalid time range: ' + start + ',' + end);
+            }
+            if (range[0] > range[1]) {
+                throw new Error('Start of time range is later than end: ' + start + ',' + end);
+            }
+        }
+        const old = this.getTimeRange();
+        this.options['timeRange'] = range;
+        /**
+         * timechange event, fired when map's time range is changed by setTime or setTimeRange.
+         *
+         * @event Map#timechange
+         * @type {Object}
+         * @property {String} type - timechange
+         * @property {Map} target - the map fires event
+         * @property {Number[]} from - time range before the change
+         * @property {Number[]} to   - time range after the change
+         */
+        this._fireEvent('timechange', { 'from' : old, 'to' : this.getTimeRange() });
+        return this;
+    },
+
+    /**
+     * Clear map's time range, all the geometries are drawn regardless of time.
+     * @return {Map} this
+     * @fires Map#timechange
+     */
+    clearTime() {
+        return this.setTimeRange(null, null);
+    },
+
+    /**
+     * Get map's time range
+     * @return {Number[]} [start, end], null if not set
+     */
+    getTimeRange() {
+        const range = this.options['timeRange'];
+        return range ? range.slice(0) : null;
+    }
+});
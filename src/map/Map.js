@@ -5,7 +5,6 @@ import {
     IS_NODE,
     isNil,
     isString,
-    isFunction,
     isNumber
 } from 'core/util';
 import Class from 'core/Class';
@@ -49,6 +48,10 @@ import SpatialReference from './spatial-reference/SpatialReference';
  * @property {Boolean} [options.doublClickZoom=true]                    - whether to allow map to zoom by double click events.
  * @property {Boolean} [options.scrollWheelZoom=true]                   - whether to allow map to zoom by scroll wheel events.
  * @property {Boolean} [options.touchZoom=true]                         - whether to allow map to zoom by touch events.
+ * @property {Boolean} [options.keyboard=false]                         - whether to allow map to pan by arrow keys, zoom by +/-, rotate and pitch by shift + arrow keys when container is focused, container is made focusable with tabindex, role and aria-label.
+ * @property {Number}  [options.keyboardPanOffset=80]                   - offset in pixel to pan by an arrow key.
+ * @property {Number}  [options.keyboardRotateDelta=15]                 - degrees to rotate or pitch by shift + arrow keys.
+ * @property {String}  [options.keyboardAriaLabel=Map]                  - aria-label of the container if it has none.
  * @property {Boolean} [options.geometryEvents=true]                    - enable/disable firing geometry events
  *
  * @property {Boolean}        [options.control=true]                    - whether allow map to add controls.
@@ -57,6 +60,8 @@ import SpatialReference from './spatial-reference/SpatialReference';
  * @property {Boolean|Object} [options.scaleControl=false]              - display the scale control on the map if set to true or a object as the control construct option.
  * @property {Boolean|Object} [options.overviewControl=false]           - display the overview control on the map if set to true or a object as the control construct option.
  *
+ * @property {Number} [options.devicePixelRatio=null]           - device pixel ratio to render the map, 2 on retina screens and 1 on others by default. If set, size of a canvas container is in device pixels.
+ * @property {Number[]} [options.timeRange=null]                - time range [start, end] to filter geometries of layers with time properties, updated by [setTimeRange]{@link Map#setTimeRange}
  * @property {String} [options.renderer=canvas]                 - renderer type. Don't change it if you are not sure about it. About renderer, see [TODO]{@link tutorial.renderer}.
  * @memberOf Map
  * @instance
@@ -99,6 +104,10 @@ const options = {
 
     'checkSize': true,
 
+    'devicePixelRatio' : null,
+
+    'timeRange' : null,
+
     'renderer': 'canvas'
 };
 
@@ -285,10 +294,13 @@ class Map extends Handlerable(Eventable(Renderable(Class))) {
         this._center = this.getCenter();
         this.options['spatialReference'] = ref;
         this._spatialReference = new SpatialReference(ref);
-        if (this.options['spatialReference'] && isFunction(this.options['spatialReference']['projection'])) {
-            const projection = this._spatialReference.getProjection();
-            //save projection code for map profiling (toJSON/fromJSON)
-            this.options['spatialReference']['projection'] = projection['code'];
+        if (this.options['spatialReference'] && this.options['spatialReference']['projection'] && !isString(this.options['spatialReference']['projection'])) {
+            const code = this._spatialReference.getProjection()['code'];
+            if (code) {
+                //save projection code for map profiling (toJSON/fromJSON)
+                //a custom projection object is kept in map's spatial reference, not registered for other maps
+                this.options['spatialReference']['projection'] = code;
+            }
         }
         this._resetMapStatus();
         /**
@@ -435,6 +447,14 @@ class Map extends Handlerable(Eventable(Renderable(Class))) {
         return new Size(this.width, this.height);
     }
 
+    /**
+     * Get device pixel ratio to render the map, defined by devicePixelRatio option or the screen.
+     * @return {Number}
+     */
+    getDevicePixelRatio() {
+        return this.options['devicePixelRatio'] || (Browser.retina ? 2 : 1);
+    }
+
     /**
      * Get container extent of the map
      * @return {PointExtent}
@@ -1742,10 +1762,11 @@ class Map extends Handlerable(Eventable(Renderable(Class))) {
         if (!isNil(containerDOM.width) && !isNil(containerDOM.height)) {
             width = containerDOM.width;
             height = containerDOM.height;
-            if (Browser.retina && containerDOM['layer']) {
-                //is a canvas tile of CanvasTileLayer
-                width /= 2;
-                height /= 2;
+            const r = this.getDevicePixelRatio();
+            if (r !== 1 && (containerDOM['layer'] || this.options['devicePixelRatio'])) {
+                //is a canvas tile of CanvasTileLayer or a canvas in device pixels
+                width /= r;
+                height /= r;
             }
         } else if (!isNil(containerDOM.clientWidth) && !isNil(containerDOM.clientHeight)) {
             width = parseInt(containerDOM.clientWidth, 0);
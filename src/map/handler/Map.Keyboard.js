@@ -0,0 +1,167 @@
+import { isNil } from 'core/util';
+import { addDomEvent, removeDomEvent, preventDefault, addClass, removeClass } from 'core/util/dom';
+import Handler from 'handler/Handler';
+import Map from '../Map';
+import DrawTool from '../tool/DrawTool';
+
+//key codes of arrows, +/- (including numpad and firefox's) and escape
+const KEYS = {
+    'left' : [37],
+    'up' : [38],
+    'right' : [39],
+    'down' : [40],
+    'zoomIn' : [187, 107, 61, 171],
+    'zoomOut' : [189, 109, 173],
+    'escape' : [27]
+};
+
+const FOCUS_CLASS = 'maptalks-keyboard-focus';
+
+class MapKeyboardHandler extends Handler {
+    addHooks() {
+        const dom = this.target._containerDOM;
+        if (!dom.setAttribute) {
+            return;
+        }
+        //save attributes to restore when the handler is disabled
+        this._attributes = {};
+        const attributes = {
+            'tabindex' : '0',
+            'role' : 'application',
+            'aria-roledescription' : 'map',
+            'aria-label' : this.target.options['keyboardAriaLabel']
+        };
+        for (const p in attributes) {
+            const value = dom.getAttribute(p);
+            this._attributes[p] = value;
+            if (isNil(value)) {
+                dom.setAttribute(p, attributes[p]);
+            }
+        }
+        addDomEvent(dom, 'keydown', this._onKeyDown, this);
+        addDomEvent(dom, 'focus', this._onFocus, this);
+        addDomEvent(dom, 'blur', this._onBlur, this);
+    }
+
+    removeHooks() {
+        const dom = this.target._containerDOM;
+        if (!dom.setAttribute) {
+            return;
+        }
+        removeDomEvent(dom, 'keydown', this._onKeyDown);
+        removeDomEvent(dom, 'focus', this._onFocus);
+        removeDomEvent(dom, 'blur', this._onBlur);
+        for (const p in this._attributes) {
+            if (isNil(this._attributes[p])) {
+                dom.removeAttribute(p);
+            }
+        }
+        delete this._attributes;
+        removeClass(dom, FOCUS_CLASS);
+    }
+
+    _onFocus() {
+        addClass(this.target._containerDOM, FOCUS_CLASS);
+    }
+
+    _onBlur() {
+        removeClass(this.target._containerDOM, FOCUS_CLASS);
+    }
+
+    _onKeyDown(e) {
+        const map = this.target;
+        if (!map.options['keyboard'] || e.altKey || e.ctrlKey || e.metaKey || isInput(e.target)) {
+            return;
+        }
+        const key = e.keyCode;
+        if (KEYS['escape'].indexOf(key) >= 0) {
+            if (this._cancel()) {
+                preventDefault(e);
+            }
+            return;
+        }
+        const dx = getDirection(key, 'right', 'left'),
+            dy = getDirection(key, 'down', 'up');
+        if (dx || dy) {
+            if (e.shiftKey) {
+                //shift + arrows to rotate and pitch
+                const delta = map.options['keyboardRotateDelta'];
+                if (dx && map.options['dragRotate']) {
+                    map.setBearing(map.getBearing() + dx * delta);
+                }
+                if (dy && map.options['dragPitch']) {
+                    map.setPitch(map.getPitch() - dy * delta);
+                }
+            } else if (map.options['draggable'] && map.options['dragPan']) {
+                const offset = map.options['keyboardPanOffset'];
+                //arrow moves the view, so the map is panned to the opposite direction
+                map.panBy([-dx * offset, -dy * offset]);
+            }
+        } else if (KEYS['zoomIn'].indexOf(key) >= 0) {
+            map.zoomIn();
+        } else if (KEYS['zoomOut'].indexOf(key) >= 0) {
+            map.zoomOut();
+        } else {
+            return;
+        }
+        preventDefault(e);
+    }
+
+    /**
+     * Cancel geometry being drawn by the draw tool and end editing geometries
+     * @return {Boolean} whether anything is cancelled
+     * @private
+     */
+    _cancel() {
+        const map = this.target;
+        let cancelled = false;
+        const tool = map['_map_tool'];
+        if (tool instanceof DrawTool && tool.isEnabled() && tool.isDrawing()) {
+            tool.cancel();
+            cancelled = true;
+        }
+        const layers = map._getLayers(layer => !!layer.getGeometries);
+        for (let i = 0; i < layers.length; i++) {
+            const editing = layers[i].getGeometries(isEditing);
+            for (let ii = 0; ii < editing.length; ii++) {
+                editing[ii].endEdit();
+                cancelled = true;
+            }
+        }
+        return cancelled;
+    }
+}
+
+Map.mergeOptions({
+    'keyboard' : false,
+    'keyboardPanOffset' : 80,
+    'keyboardRotateDelta' : 15,
+    'keyboardAriaLabel' : 'Map'
+});
+
+Map.addOnLoadHook('addHandler', 'keyboard', MapKeyboardHandler);
+
+export default MapKeyboardHandler;
+
+// -1, 0 or 1 of the key's direction on an axis
+function getDirection(key, positive, negative) {
+    if (KEYS[positive].indexOf(key) >= 0) {
+        return 1;
+    } else if (KEYS[negative].indexOf(key) >= 0) {
+        return -1;
+    }
+    return 0;
+}
+
+function isEditing(geo) {
+    return geo.isEditing();
+}
+
+// whether key events come from a text input, e.g. text editor of labels or inputs in controls
+function isInput(el) {
+    if (!el || !el.tagName) {
+        return false;
+    }
+    const tag = el.tagName.toLowerCase();
+    return tag === 'input' || tag === 'textarea' || tag === 'select' || !!el.isContentEditable;
+}
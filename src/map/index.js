@@ -6,14 +6,17 @@ import './handler/Map.GeometryEvents';
 import './handler/Map.ScrollWheelZoom';
 import './handler/Map.TouchZoom';
 import './handler/Map.BoxZoom';
+import './handler/Map.Keyboard';
 
 import './Map.Anim';
 import './Map.DomEvents';
 import './Map.FullScreen';
 import './Map.Pan';
 import './Map.Profile';
+import './Map.Export';
 import './Map.Topo';
 import './Map.Zoom';
 import './Map.Camera';
+import './Map.Time';
 
 export { Map };
@@ -0,0 +1,344 @@
+import { isString, isNil } from 'core/util';
+import Ajax from 'core/Ajax';
+import { getProjection, EPSG4326 } from 'geo/projection';
+import SpatialReference from './SpatialReference';
+
+// meters per unit of degree, to compute resolutions from scale denominators
+const METERS_PER_DEGREE = 2 * Math.PI * 6378137 / 360;
+// standardized rendering pixel size of 0.28mm defined by WMTS
+const PIXEL_SIZE = 0.00028;
+// meters per unit of proj4 units
+const PROJ4_UNITS = {
+    'm' : 1,
+    'km' : 1000,
+    'ft' : 0.3048,
+    'us-ft' : 1200 / 3937
+};
+
+function getChildren(node, name) {
+    const children = [];
+    if (!node) {
+        return children;
+    }
+    const nodes = node.childNodes;
+    for (let i = 0, l = nodes.length; i < l; i++) {
+        if (nodes[i].nodeType === 1 && getLocalName(nodes[i]) === name) {
+            children.push(nodes[i]);
+        }
+    }
+    return children;
+}
+
+function getChild(node, name) {
+    return getChildren(node, name)[0] || null;
+}
+
+function getChildText(node, name) {
+    const child = getChild(node, name);
+    return child ? child.textContent.trim() : null;
+}
+
+function getLocalName(node) {
+    const name = node.localName || node.nodeName;
+    const idx = name.indexOf(':');
+    return idx >= 0 ? name.substring(idx + 1) : name;
+}
+
+// find descendants by a path of local names, e.g. ['Contents', 'Layer']
+function findByPath(node, path) {
+    let nodes = [node];
+    for (let i = 0; i < path.length; i++) {
+        let next = [];
+        for (let ii = 0; ii < nodes.length; ii++) {
+            next = next.concat(getChildren(nodes[ii], path[i]));
+        }
+        nodes = next;
+    }
+    return nodes;
+}
+
+/**
+ * Convert a WMTS CRS identifier to a projection code,
+ * e.g. urn:ogc:def:crs:EPSG:6.18.3:3857 to EPSG:3857, urn:ogc:def:crs:OGC:1.3:CRS84 to EPSG:4326
+ * @param  {String} crs - SupportedCRS of the TileMatrixSet
+ * @return {String} projection code
+ * @private
+ */
+function getProjectionCode(crs) {
+    if (/CRS:?84$/i.test(crs)) {
+        return 'EPSG:4326';
+    }
+    const matched = crs.match(/EPSG:(?:[\d.]*:)*(\d+)$/i);
+    if (!matched) {
+        return crs;
+    }
+    const code = matched[1];
+    if (code === '900913' || code === '3785' || code === '102100' || code === '102113') {
+        return 'EPSG:3857';
+    }
+    return 'EPSG:' + code;
+}
+
+/**
+ * Get meters per unit of the CRS by the unit of its registered projection,
+ * e.g. degrees of EPSG:4326, or of EPSG:4490 registered by a proj4 definition of "+proj=longlat".
+ * @param  {String} crs - SupportedCRS of the TileMatrixSet
+ * @return {Number}
+ * @private
+ */
+function getMetersPerUnit(crs) {
+    const code = getProjectionCode(crs),
+        projection = getProjection(code);
+    if (!projection) {
+        throw new Error('Projection ' + code + ' of WMTS is not registered, register it by maptalks.projection.registerProjection before loading.');
+    }
+    if (projection === EPSG4326) {
+        return METERS_PER_DEGREE;
+    }
+    const def = projection['proj4'];
+    if (!isString(def)) {
+        return 1;
+    }
+    if (/\+proj=longlat\b/.test(def) || /^\s*GEOGCS\[/i.test(def)) {
+        return METERS_PER_DEGREE;
+    }
+    const toMeter = def.match(/\+to_meter=(\S+)/);
+    if (toMeter) {
+        return +toMeter[1];
+    }
+    const units = def.match(/\+units=(\S+)/);
+    if (units && PROJ4_UNITS[units[1]]) {
+        return PROJ4_UNITS[units[1]];
+    }
+    // unit of a projected CRS in WKT is the last UNIT, after the one of its GEOGCS, e.g. UNIT["US survey foot",0.3048006096012192]
+    const wktUnits = def.match(/UNIT\["[^"]*",\s*[\d.eE+-]+/g);
+    return wktUnits ? +wktUnits[wktUnits.length - 1].split(',')[1] : 1;
+}
+
+// whether the axis order of the CRS is latitude, longitude, e.g. geographic CRS of EPSG but not CRS84
+function isLatLngOrder(crs, metersPerUnit) {
+    return metersPerUnit === METERS_PER_DEGREE && !/CRS:?84$/i.test(crs);
+}
+
+// whether tile matrices have the same origin and tile size, as the tile system and tile size of a tile layer
+function isSameGrid(a, b) {
+    const tolerance = 1E-6 * Math.max(1, Math.abs(a['origin'][0]), Math.abs(a['origin'][1]));
+    return Math.abs(a['origin'][0] - b['origin'][0]) <= tolerance && Math.abs(a['origin'][1] - b['origin'][1]) <= tolerance &&
+        a['tileSize'][0] === b['tileSize'][0] && a['tileSize'][1] === b['tileSize'][1];
+}
+
+function parseDocument(capabilities) {
+    if (!isString(capabilities)) {
+        return capabilities;
+    }
+    if (typeof DOMParser === 'undefined') {
+        throw new Error('DOMParser is required to parse WMTS capabilities, or provide a parsed XML document instead.');
+    }
+    return new DOMParser().parseFromString(capabilities, 'text/xml');
+}
+
+function getKVPEndpoint(root) {
+    const operations = findByPath(root, ['OperationsMetadata', 'Operation']);
+    for (let i = 0; i < operations.length; i++) {
+        if (operations[i].getAttribute('name') !== 'GetTile') {
+            continue;
+        }
+        const gets = findByPath(operations[i], ['DCP', 'HTTP', 'Get']);
+        for (let ii = 0; ii < gets.length; ii++) {
+            const href = gets[ii].getAttributeNS('http://www.w3.org/1999/xlink', 'href') || gets[ii].getAttribute('xlink:href');
+            const encodings = findByPath(gets[ii], ['Constraint', 'AllowedValues', 'Value']).map(v => v.textContent.trim());
+            if (!encodings.length || encodings.indexOf('KVP') >= 0) {
+                return href;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse WMTS capabilities into settings of spatial reference, tile system, tile size and url template.
+ * @param  {Document|String} capabilities - capabilities XML
+ * @param  {Object} options - options to choose the layer, tileMatrixSet, style, format and requestEncoding
+ * @return {Object}
+ * @private
+ */
+function parse(capabilities, options) {
+    options = options || {};
+    const doc = parseDocument(capabilities);
+    const root = doc.documentElement || doc;
+    const contents = getChild(root, 'Contents');
+    if (!contents) {
+        throw new Error('Invalid WMTS capabilities without Contents.');
+    }
+    const layers = getChildren(contents, 'Layer');
+    let layer = layers[0];
+    if (options['layer']) {
+        layer = layers.filter(l => getChildText(l, 'Identifier') === options['layer'])[0];
+    }
+    if (!layer) {
+        throw new Error('Layer ' + options['layer'] + ' is not found in WMTS capabilities.');
+    }
+    const layerId = getChildText(layer, 'Identifier');
+
+    const matrixSetIds = getChildren(layer, 'TileMatrixSetLink').map(link => getChildText(link, 'TileMatrixSet'));
+    const matrixSetId = options['tileMatrixSet'] || matrixSetIds[0];
+    if (matrixSetIds.indexOf(matrixSetId) < 0) {
+        throw new Error('TileMatrixSet ' + matrixSetId + ' is not supported by WMTS layer ' + layerId + '.');
+    }
+    const matrixSet = getChildren(contents, 'TileMatrixSet').filter(s => getChildText(s, 'Identifier') === matrixSetId)[0];
+    if (!matrixSet) {
+        throw new Error('TileMatrixSet ' + matrixSetId + ' is not found in WMTS capabilities.');
+    }
+
+    const styles = getChildren(layer, 'Style');
+    let style = options['style'];
+    if (isNil(style)) {
+        const defaultStyle = styles.filter(s => s.getAttribute('isDefault') === 'true')[0] || styles[0];
+        style = defaultStyle ? getChildText(defaultStyle, 'Identifier') : '';
+    }
+
+    const crs = getChildText(matrixSet, 'SupportedCRS'),
+        metersPerUnit = getMetersPerUnit(crs),
+        swapAxis = isLatLngOrder(crs, metersPerUnit);
+    const matrices = getChildren(matrixSet, 'TileMatrix').map(matrix => {
+        const corner = getChildText(matrix, 'TopLeftCorner').split(/\s+/).map(Number);
+        return {
+            'id' : getChildText(matrix, 'Identifier'),
+            'resolution' : +getChildText(matrix, 'ScaleDenominator') * PIXEL_SIZE / metersPerUnit,
+            'origin' : swapAxis ? [corner[1], corner[0]] : corner,
+            'tileSize' : [+getChildText(matrix, 'TileWidth'), +getChildText(matrix, 'TileHeight')],
+            'matrixSize' : [+getChildText(matrix, 'MatrixWidth'), +getChildText(matrix, 'MatrixHeight')]
+        };
+    });
+    if (!matrices.length) {
+        throw new Error('No TileMatrix in TileMatrixSet ' + matrixSetId + '.');
+    }
+    // tile matrices are sorted from the largest resolution to the smallest one
+    matrices.sort((a, b) => b['resolution'] - a['resolution']);
+
+    const first = matrices[0],
+        origin = first['origin'],
+        tileSize = first['tileSize'];
+    for (let i = 1; i < matrices.length; i++) {
+        if (!isSameGrid(first, matrices[i])) {
+            throw new Error('TileMatrix ' + matrices[i]['id'] + ' has a different TopLeftCorner or tile size from others in TileMatrixSet ' + matrixSetId + ', which is not supported.');
+        }
+    }
+    const fullExtent = {
+        'left' : origin[0],
+        'top' : origin[1],
+        'right' : origin[0] + first['matrixSize'][0] * tileSize[0] * first['resolution'],
+        'bottom' : origin[1] - first['matrixSize'][1] * tileSize[1] * first['resolution']
+    };
+
+    const formats = getChildren(layer, 'Format').map(f => f.textContent.trim());
+    const resourceURLs = getChildren(layer, 'ResourceURL').filter(r => r.getAttribute('resourceType') === 'tile');
+    const format = options['format'] || (resourceURLs[0] ? resourceURLs[0].getAttribute('format') : formats[0]);
+    let encoding = options['requestEncoding'];
+    if (!encoding) {
+        encoding = resourceURLs.length ? 'REST' : 'KVP';
+    }
+    let urlTemplate;
+    if (encoding.toUpperCase() === 'REST') {
+        const resource = resourceURLs.filter(r => r.getAttribute('format') === format)[0] || resourceURLs[0];
+        if (!resource) {
+            throw new Error('No RESTful ResourceURL of WMTS layer ' + layerId + '.');
+        }
+        urlTemplate = resource.getAttribute('template')
+            .replace(/\{Style\}/gi, style)
+            .replace(/\{TileMatrixSet\}/gi, matrixSetId)
+            .replace(/\{TileMatrix\}/gi, '{z}')
+            .replace(/\{TileRow\}/gi, '{y}')
+            .replace(/\{TileCol\}/gi, '{x}');
+    } else {
+        const endpoint = getKVPEndpoint(root);
+        if (!endpoint) {
+            throw new Error('No KVP endpoint of GetTile in WMTS capabilities.');
+        }
+        const params = {
+            'SERVICE' : 'WMTS',
+            'REQUEST' : 'GetTile',
+            'VERSION' : root.getAttribute('version') || '1.0.0',
+            'LAYER' : layerId,
+            'STYLE' : style,
+            'TILEMATRIXSET' : matrixSetId,
+            'FORMAT' : format
+        };
+        const query = [];
+        for (const p in params) {
+            query.push(p + '=' + encodeURIComponent(params[p]));
+        }
+        urlTemplate = endpoint + (endpoint.indexOf('?') < 0 ? '?' : (/[?&]$/.test(endpoint) ? '' : '&')) +
+            query.join('&') + '&TILEMATRIX={z}&TILEROW={y}&TILECOL={x}';
+    }
+
+    return {
+        'spatialReference' : {
+            'projection' : getProjectionCode(crs),
+            'resolutions' : matrices.map(m => m['resolution']),
+            'fullExtent' : fullExtent
+        },
+        'tileSystem' : [1, -1, origin[0], origin[1]],
+        'tileSize' : tileSize,
+        'urlTemplate' : urlTemplate,
+        'tileMatrixIds' : matrices.map(m => m['id'])
+    };
+}
+
+/**
+ * Load and parse WMTS capabilities into settings for map's spatial reference and tile layer: <br>
+ * 1. spatialReference : projection, resolutions and fullExtent of the TileMatrixSet <br>
+ * 2. tileSystem : tile system with the origin of the tile matrices <br>
+ * 3. tileSize : tile size of the tile matrices <br>
+ * 4. urlTemplate : url template of tiles in KVP or RESTful encoding, {z} is replaced by tile matrix's identifier <br>
+ * 5. tileMatrixIds : identifiers of the tile matrices from zoom 0
+ * @param  {String|Document} capabilities - url of GetCapabilities, capabilities XML, or the parsed XML document
+ * @param  {Object} [options=null] - options to choose layer, tileMatrixSet, style, format and requestEncoding ("KVP" or "REST")
+ * @param  {Function} cb - callback function with (err, settings)
+ * @param  {Object} [context=null] - context of the callback
+ * @return {SpatialReference}
+ * @static
+ * @example
+ * maptalks.SpatialReference.loadWMTS('http://demo.geo-solutions.it/geoserver/gwc/service/wmts?REQUEST=GetCapabilities', {
+ *     layer : 'ne:ne',
+ *     tileMatrixSet : 'EPSG:900913'
+ * }, function (err, conf) {
+ *     map.setSpatialReference(conf.spatialReference);
+ * });
+ */
+SpatialReference.loadWMTS = function (capabilities, options, cb, context) {
+    if (typeof options === 'function') {
+        context = cb;
+        cb = options;
+        options = null;
+    }
+    function callback(err, conf) {
+        if (context) {
+            cb.call(context, err, conf);
+        } else {
+            cb(err, conf);
+        }
+    }
+    function parseAndCallback(xml) {
+        let conf;
+        try {
+            conf = parse(xml, options);
+        } catch (e) {
+            callback(e);
+            return;
+        }
+        callback(null, conf);
+    }
+    if (isString(capabilities) && capabilities.replace(/^\s+/, '').charAt(0) !== '<') {
+        Ajax.get(capabilities, function (err, xml) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            parseAndCallback(xml);
+        });
+    } else {
+        parseAndCallback(capabilities);
+    }
+    return this;
+};
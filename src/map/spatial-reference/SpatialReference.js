@@ -1,4 +1,4 @@
-import { extend, isNil, isString, isInteger, hasOwn } from 'core/util';
+import { extend, isNil, isString, isInteger } from 'core/util';
 import Coordinate from 'geo/Coordinate';
 import Extent from 'geo/Extent';
 import * as projections from 'geo/projection';
@@ -58,6 +58,8 @@ const DefaultSpatialRef = {
         }
     }
 };
+DefaultSpatialRef['GCJ02'] = DefaultSpatialRef['EPSG:3857'];
+DefaultSpatialRef['BD09'] = DefaultSpatialRef['BAIDU'];
 
 export default class SpatialReference {
     constructor(options = {}) {
@@ -69,15 +71,16 @@ export default class SpatialReference {
         let projection = this.options['projection'];
         if (projection) {
             if (isString(projection)) {
-                for (const p in projections) {
-                    if (hasOwn(projections, p)) {
-                        const regName = projections[p]['code'];
-                        if (regName && regName.toLowerCase() === projection.toLowerCase()) {
-                            projection = projections[p];
-                            break;
-                        }
-                    }
+                const code = projection;
+                projection = projections.getProjection(code);
+                if (!projection && projections.isProj4Definition(code)) {
+                    // a proj4 definition is used directly as the projection's code
+                    projection = projections.registerProjection(code, code);
                 }
+            } else if (projection['type'] === 'proj4' && projection['properties']) {
+                // a proj4 CRS created by CRS.createProj4
+                const def = projection['properties']['proj'];
+                projection = projections.getProjection(def) || projections.registerProjection(def, def);
             }
         } else {
             projection = projections.DEFAULT;
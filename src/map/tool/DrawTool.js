@@ -1,5 +1,5 @@
 import { INTERNAL_LAYER_PREFIX } from 'core/Constants';
-import { isNil } from 'core/util';
+import { isNil, extend } from 'core/util';
 import { extendSymbol } from 'core/util/style';
 import { getExternalResources } from 'core/util/resource';
 import { stopPropagation } from 'core/util/dom';
@@ -15,6 +15,7 @@ import ArcCurve from 'geometry/ArcCurve';
 import CubicBezierCurve from 'geometry/CubicBezierCurve';
 import QuadBezierCurve from 'geometry/QuadBezierCurve';
 import VectorLayer from 'layer/VectorLayer';
+import Snapper from 'geometry/editor/Snapper';
 import MapTool from './MapTool';
 
 /**
@@ -22,6 +23,7 @@ import MapTool from './MapTool';
  * @property {String} [options.mode=null]   - mode of the draw tool
  * @property {Object} [options.symbol=null] - symbol of the geometries drawn
  * @property {Boolean} [options.once=null]  - whether disable immediately once drawn a geometry.
+ * @property {Boolean|Object} [options.snap=false]  - whether to snap to vertices, midpoints and edges of geometries nearby, or options defined in [Snapper]{@link Snapper#options}
  * @memberOf DrawTool
  * @instance
  */
@@ -36,7 +38,8 @@ const options = {
     'doubleClickZoom' : false,
     'mode': null,
     'once': false,
-    'ignoreMouseleave' : true
+    'ignoreMouseleave' : true,
+    'snap' : false
 };
 
 const registeredMode = {};
@@ -98,6 +101,7 @@ class DrawTool extends MapTool {
      * @param {String} [options.mode=null]   - mode of the draw tool
      * @param {Object} [options.symbol=null] - symbol of the geometries drawn
      * @param {Boolean} [options.once=null]  - whether disable immediately once drawn a geometry.
+     * @param {Boolean|Object} [options.snap=false]  - whether to snap to geometries nearby, or options of the snapping
      */
     constructor(options) {
         super(options);
@@ -164,10 +168,35 @@ class DrawTool extends MapTool {
         return this;
     }
 
+    /**
+     * Whether a geometry is being drawn
+     * @return {Boolean}
+     */
+    isDrawing() {
+        return !!this._geometry;
+    }
+
+    /**
+     * Cancel drawing, the geometry being drawn is discarded without drawend event.
+     * @returns {DrawTool} this
+     */
+    cancel() {
+        if (this._geometry && !this._ending) {
+            this._clearStage();
+        }
+        return this;
+    }
+
     onAdd() {
         this._checkMode();
     }
 
+    onConfig(conf) {
+        if (conf['snap'] !== undefined) {
+            this._removeSnapper();
+        }
+    }
+
     onEnable() {
         const map = this.getMap();
         this._mapDoubleClickZoom = map.options['doubleClickZoom'];
@@ -202,6 +231,7 @@ class DrawTool extends MapTool {
         delete this._mapDraggable;
         delete this._mapDoubleClickZoom;
         this._endDraw();
+        this._removeSnapper();
         if (this._map) {
             map.removeLayer(this._getDrawLayer());
         }
@@ -241,11 +271,13 @@ class DrawTool extends MapTool {
             };
         } else if (action === 'click') {
             return {
-                'click': this._clickForPoint
+                'click': this._clickForPoint,
+                'mousemove': this._mousemoveForSnap
             };
         } else if (action === 'drag') {
             return {
-                'mousedown': this._mousedownToDraw
+                'mousedown': this._mousedownToDraw,
+                'mousemove': this._mousemoveForSnap
             };
         }
         return null;
@@ -257,6 +289,7 @@ class DrawTool extends MapTool {
     }
 
     _clickForPoint(param) {
+        param = this._snap(param);
         const registerMode = this._getRegisterMode();
         this._geometry = registerMode['create'](param['coordinate'], param);
         if (this.options['symbol'] && this.options.hasOwnProperty('symbol')) {
@@ -266,6 +299,7 @@ class DrawTool extends MapTool {
     }
 
     _clickForPath(param) {
+        param = this._snap(param);
         const registerMode = this._getRegisterMode();
         const coordinate = param['coordinate'];
         const symbol = this.getSymbol();
@@ -312,7 +346,11 @@ class DrawTool extends MapTool {
 
     _mousemoveForPath(param) {
         const map = this.getMap();
-        if (!this._geometry || !map || map.isInteracting()) {
+        if (!map || map.isInteracting()) {
+            return;
+        }
+        param = this._snap(param);
+        if (!this._geometry) {
             return;
         }
         const containerPoint = this._getMouseContainerPoint(param);
@@ -346,6 +384,7 @@ class DrawTool extends MapTool {
         if (!this._geometry) {
             return;
         }
+        param = this._snap(param);
         const containerPoint = this._getMouseContainerPoint(param);
         if (!this._isValidContainerPoint(containerPoint)) {
             return;
@@ -376,6 +415,7 @@ class DrawTool extends MapTool {
     }
 
     _mousedownToDraw(param) {
+        param = this._snap(param);
         const registerMode = this._getRegisterMode();
         const me = this,
             firstPoint = this._getMouseContainerPoint(param);
@@ -400,6 +440,7 @@ class DrawTool extends MapTool {
             if (!this._geometry) {
                 return false;
             }
+            evt = this._snap(evt);
             const current = this._getMouseContainerPoint(evt);
             if (!this._isValidContainerPoint(current)) {
                 return false;
@@ -412,6 +453,7 @@ class DrawTool extends MapTool {
             if (!this._geometry) {
                 return false;
             }
+            evt = this._snap(evt);
             const current = this._getMouseContainerPoint(evt);
             if (this._isValidContainerPoint(current)) {
                 genGeometry(evt);
@@ -467,6 +509,49 @@ class DrawTool extends MapTool {
         delete this._ending;
     }
 
+    _mousemoveForSnap(param) {
+        const map = this.getMap();
+        if (this._geometry || !map || map.isInteracting()) {
+            return;
+        }
+        this._snap(param);
+    }
+
+    /**
+     * Snap the event to geometries nearby if snap is enabled, and preview the snap target on draw layer.
+     * @param  {Object} param - map's mouse event
+     * @return {Object} a copy of the event with snapped coordinate, containerPoint and viewPoint, or the event itself if nothing is snapped.
+     * @private
+     */
+    _snap(param) {
+        if (!this.options['snap'] || !param['containerPoint']) {
+            return param;
+        }
+        if (!this._snapper) {
+            const snap = this.options['snap'];
+            this._snapper = new Snapper(this._map, snap === true ? null : snap);
+        }
+        const target = this._snapper.snap(param['containerPoint']);
+        this._snapper.showPreview(target, this._getDrawLayer());
+        if (!target) {
+            return param;
+        }
+        const containerPoint = target['containerPoint'];
+        return extend({}, param, {
+            'coordinate' : target['coordinate'],
+            'containerPoint' : containerPoint,
+            'viewPoint' : this._map.containerPointToViewPoint(containerPoint),
+            'snapTarget' : target
+        });
+    }
+
+    _removeSnapper() {
+        if (this._snapper) {
+            this._snapper.hidePreview();
+            delete this._snapper;
+        }
+    }
+
     _clearStage() {
         this._getDrawLayer().clear();
         delete this._geometry;
@@ -30,12 +30,12 @@ export default class CollectionPainter extends Class {
         }
     }
 
-    paint(extent) {
+    paint(extent, context) {
         if (!this.geometry) {
             return;
         }
         this._eachPainter(painter => {
-            painter.paint(extent);
+            painter.paint(extent, context);
         });
     }
 
@@ -47,6 +47,14 @@ export default class CollectionPainter extends Class {
         return extent;
     }
 
+    getFixedExtent(resources) {
+        const extent = new PointExtent();
+        this._eachPainter(painter => {
+            extent._combine(painter.getFixedExtent(resources));
+        });
+        return extent;
+    }
+
     getContainerExtent() {
         let extent = new PointExtent();
         this._eachPainter(painter => {
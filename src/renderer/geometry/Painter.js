@@ -100,9 +100,12 @@ export default class Painter extends Class {
 
     /**
      * for strokeAndFillSymbolizer
+     * @param  {Number} [dx=0] - x offset of the container points
+     * @param  {Number} [dy=0] - y offset of the container points
+     * @param  {Boolean} [ignoreClip=false] - whether not to clip the points by map's container extent, e.g. to lay texts along the whole path
      * @return {Object[]} resources to render vector
      */
-    getPaintParams(dx, dy) {
+    getPaintParams(dx, dy, ignoreClip) {
         const map = this.getMap(),
             zoom = map.getZoom(),
             pitched = (map.getPitch() !== 0),
@@ -131,11 +134,14 @@ export default class Painter extends Class {
             tPaintParams = [], // transformed params
             points = paintParams[0];
 
-        const containerPoints = this._getContainerPoints(points, dx, dy);
+        const containerPoints = this._getContainerPoints(points, dx, dy, ignoreClip);
 
         tPaintParams.push(containerPoints);
         for (let i = 1, len = paintParams.length; i < len; i++) {
-            if (isNumber(paintParams[i]) || (paintParams[i] instanceof Size)) {
+            if (isPoints(paintParams[i])) {
+                // other points, e.g. vertexes of a geodesic path to place arrows
+                tPaintParams.push(this._getContainerPoints(paintParams[i], dx, dy, true));
+            } else if (isNumber(paintParams[i]) || (paintParams[i] instanceof Size)) {
                 if (isNumber(paintParams[i])) {
                     tPaintParams.push(paintParams[i] / zoomScale);
                 } else {
@@ -148,7 +154,7 @@ export default class Painter extends Class {
         return tPaintParams;
     }
 
-    _getContainerPoints(points, dx, dy) {
+    _getContainerPoints(points, dx, dy, ignoreClip) {
         const map = this.getMap(),
             lineWidth = this.getSymbol()['lineWidth'] || 2,
             maxZoom = map.getMaxNativeZoom(),
@@ -161,7 +167,7 @@ export default class Painter extends Class {
         //convert view points to container points needed by canvas
         if (Array.isArray(points)) {
             let clipPoints = points;
-            if (!this.getContainerExtent().within(containerExtent) && this.geometry.options['clipToPaint']) {
+            if (!ignoreClip && !this.getContainerExtent().within(containerExtent) && this.geometry.options['clipToPaint']) {
                 if (this.geometry.getJSONType() === 'Polygon') {
                     // clip the polygon to draw less and improve performance
                     if (!Array.isArray(points[0])) {
@@ -208,20 +214,30 @@ export default class Painter extends Class {
         return this.geometry._getInternalSymbol();
     }
 
-    paint(extent) {
+    /**
+     * Paint the geometry on renderer's context or the given context, e.g. a SVGContext to export
+     * @param  {PointExtent} [extent=null] - extent to paint in, geometries out of the extent are ignored
+     * @param  {CanvasRenderingContext2D} [context=null] - context to paint on, renderer's context by default
+     */
+    paint(extent, context) {
         if (!this.symbolizers) {
             return;
         }
         const renderer = this.getLayer()._getRenderer();
-        if (!renderer || !renderer.context) {
+        const ctx = context || (renderer ? renderer.context : null);
+        if (!renderer || !ctx) {
             return;
         }
         if (extent && !extent.intersects(this.get2DExtent(renderer.resources))) {
             return;
         }
-        const contexts = [renderer.context, renderer.resources];
-        this._prepareShadow(renderer.context);
+        const contexts = [ctx, renderer.resources];
+        this._prepareShadow(ctx);
         for (let i = this.symbolizers.length - 1; i >= 0; i--) {
+            //texts and markers hidden by collision detection
+            if (this.symbolizers[i]._collisionHidden) {
+                continue;
+            }
             this.symbolizers[i].symbolize.apply(this.symbolizers[i], contexts);
         }
         this._painted = true;
@@ -320,6 +336,16 @@ export default class Painter extends Class {
         return this._extent2D.add(this._markerExtent);
     }
 
+    /**
+     * Get pixel extent of markers and texts relative to their render points, which won't be scaled with zoom.
+     * @param  {ResourceCache} resources
+     * @return {PointExtent}
+     */
+    getFixedExtent(resources) {
+        this.get2DExtent(resources);
+        return this._markerExtent;
+    }
+
     getContainerExtent() {
         this._verifyProjection();
         const map = this.getMap();
@@ -444,3 +470,12 @@ export default class Painter extends Class {
         this._projCode = projection.code;
     }
 }
+
+// whether it's an array of points or of point arrays (e.g. paths split by anti-meridian)
+function isPoints(param) {
+    if (!Array.isArray(param) || !param.length) {
+        return false;
+    }
+    const first = Array.isArray(param[0]) ? param[0][0] : param[0];
+    return first instanceof Point;
+}
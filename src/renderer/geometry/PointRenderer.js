@@ -50,7 +50,7 @@ const PolyRenderer = {
         const maxZoom = map.getMaxNativeZoom();
         let points, rotations = null;
         if (placement === 'vertex') {
-            points = this._getPath2DPoints(this._getPrjCoordinates(), false, maxZoom);
+            points = this._getPath2DPoints(this._getPrjCoordinates(), false, maxZoom, true);
             if (points && points.length > 0 && Array.isArray(points[0])) {
                 //anti-meridian
                 points = points[0].concat(points[1]);
@@ -58,7 +58,7 @@ const PolyRenderer = {
         } else if (placement === 'line') {
             points = [];
             rotations = [];
-            const vertice = this._getPath2DPoints(this._getPrjCoordinates(), false, maxZoom),
+            const vertice = this._getPath2DPoints(this._getPrjCoordinates(), false, maxZoom, true),
                 isSplitted =  vertice.length > 0 && Array.isArray(vertice[0]);
             if (isSplitted) {
                 //anti-meridian splitted
@@ -139,14 +139,17 @@ LineString.include({
     },
 
     _getPaintParams() {
-        const prjVertexes = this._getPrjCoordinates();
-        const points = this._getPath2DPoints(prjVertexes, false, this.getMap().getMaxNativeZoom());
-        return [points];
+        const prjVertexes = this._getPrjCoordinates(),
+            maxZoom = this.getMap().getMaxNativeZoom();
+        const points = this._getPath2DPoints(prjVertexes, false, maxZoom);
+        // arrows are placed on the vertexes instead of the points densified along great circles
+        const vertexes = this._isGeodesic() ? this._getPath2DPoints(prjVertexes, false, maxZoom, true) : null;
+        return [points, vertexes];
     },
 
-    _paintOn(ctx, points, lineOpacity, fillOpacity, dasharray) {
+    _paintOn(ctx, points, vertexes, lineOpacity, fillOpacity, dasharray) {
         Canvas.path(ctx, points, lineOpacity, null, dasharray);
-        this._paintArrow(ctx, points, lineOpacity);
+        this._paintArrow(ctx, vertexes || points, lineOpacity);
     },
 
     _getArrowPlacement() {
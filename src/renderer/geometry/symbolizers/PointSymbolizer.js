@@ -49,8 +49,12 @@ export default class PointSymbolizer extends CanvasSymbolizer {
         }
         const map = this.getMap();
         const maxZoom = map.getMaxNativeZoom();
-        const dxdy = this.getDxDy(),
-            height = this.painter.getHeight(),
+        let dxdy = this.getDxDy();
+        if (this._collisionOffset) {
+            //moved to a candidate position by collision detection
+            dxdy = dxdy.add(this._collisionOffset);
+        }
+        const height = this.painter.getHeight(),
             layerPoint = map._pointToContainerPoint(this.geometry.getLayer()._getRenderer()._northWest);
         const containerPoints = mapArrayRecursively(points, point =>
             map._pointToContainerPoint(point, maxZoom, height)._add(dxdy)._sub(layerPoint)
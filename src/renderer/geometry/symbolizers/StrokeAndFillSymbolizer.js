@@ -67,8 +67,10 @@ export default class StrokeAndFillSymbolizer extends CanvasSymbolizer {
                     this._createGradient(ctx, points[i], style['lineColor']);
                 }
                 const params = [ctx, points[i]];
-                if (paintParams.length > 1) {
-                    params.push.apply(params, paintParams.slice(1));
+                for (let ii = 1; ii < paintParams.length; ii++) {
+                    // other points split the same way, e.g. vertexes of a geodesic path
+                    const param = paintParams[ii];
+                    params.push(Array.isArray(param) && Array.isArray(param[0]) && param.length === points.length ? param[i] : param);
                 }
                 params.push(style['lineOpacity'], style['polygonOpacity'], style['lineDasharray']);
                 this.geometry._paintOn.apply(this.geometry, params);
@@ -136,7 +138,16 @@ export default class StrokeAndFillSymbolizer extends CanvasSymbolizer {
     }
 
     translate() {
-        const s = this.symbol;
+        return StrokeAndFillSymbolizer.translate(this.symbol, this.geometry.type);
+    }
+
+    /**
+     * Translate a line and fill symbol to a style with default values
+     * @param  {Object} s - symbol
+     * @param  {String} geometryType - type of the geometry to draw, e.g. LineString, Polygon
+     * @return {Object} style
+     */
+    static translate(s, geometryType) {
         const result = {
             'lineColor': getValueOrDefault(s['lineColor'], '#000'),
             'lineWidth': getValueOrDefault(s['lineWidth'], 2),
@@ -155,7 +166,7 @@ export default class StrokeAndFillSymbolizer extends CanvasSymbolizer {
             result['lineOpacity'] = 0;
         }
         // fill of arrow
-        if ((this.geometry.type === 'LineString') && !result['polygonFill']) {
+        if ((geometryType === 'LineString') && !result['polygonFill']) {
             result['polygonFill'] = result['lineColor'];
         }
         return result;
@@ -43,6 +43,10 @@ export default class TextMarkerSymbolizer extends PointSymbolizer {
         if (this.style['textSize'] === 0 || this.style['textOpacity'] === 0) {
             return;
         }
+        if (this._isAlongLine()) {
+            this._symbolizeAlongLine(ctx, resources);
+            return;
+        }
         const cookedPoints = this._getRenderContainerPoints();
         if (!isArrayHasData(cookedPoints)) {
             return;
@@ -91,6 +95,11 @@ export default class TextMarkerSymbolizer extends PointSymbolizer {
         const dxdy = this.getDxDy(),
             style = this.style,
             size = this.textDesc['size'];
+        if (this._isAlongLine()) {
+            // glyphs are laid on the path, rotated in any direction
+            const h = size['height'];
+            return new PointExtent(dxdy.add(-h, -h), dxdy.add(h, h));
+        }
         const alignPoint = getAlignPoint(size, style['textHorizontalAlignment'], style['textVerticalAlignment']);
         const alignW = alignPoint.x,
             alignH = alignPoint.y;
@@ -127,7 +136,8 @@ export default class TextMarkerSymbolizer extends PointSymbolizer {
             'textVerticalAlignment': getValueOrDefault(s['textVerticalAlignment'], 'middle'), // top | middle | bottom | auto
             'textAlign': getValueOrDefault(s['textAlign'], 'center'), //left | right | center | auto
 
-            'textRotation' : getValueOrDefault(s['textRotation'], 0)
+            'textRotation' : getValueOrDefault(s['textRotation'], 0),
+            'textSpacing' : getValueOrDefault(s['textSpacing'], 250)
         };
 
         return result;
@@ -146,6 +156,90 @@ export default class TextMarkerSymbolizer extends PointSymbolizer {
         };
     }
 
+    _getRenderPoints() {
+        if (this._isAlongLine()) {
+            // texts along lines are within the extent of line's vertexes
+            return this.getPainter().getRenderPoints('vertex');
+        }
+        return super._getRenderPoints();
+    }
+
+    /**
+     * Whether to lay glyphs along the path of LineString or Polygon, when textPlacement is line.
+     * @private
+     */
+    _isAlongLine() {
+        if (this.getPlacement() !== 'line') {
+            return false;
+        }
+        const type = this.geometry.getJSONType();
+        return type === 'LineString' || type === 'Polygon';
+    }
+
+    /**
+     * Draw the text along the paths, repeated with textSpacing and kept upright to the screen.
+     * Labels longer than the path are not drawn.
+     * @private
+     */
+    _symbolizeAlongLine(ctx, resources) {
+        const style = this.style;
+        const dxdy = this.getDxDy();
+        const params = this.getPainter().getPaintParams(dxdy.x, dxdy.y, true);
+        if (!params) {
+            return;
+        }
+        const paths = getPaths(params[0], this.geometry.getJSONType() === 'Polygon');
+        if (!paths.length) {
+            return;
+        }
+        const textContent = replaceVariable(style['textName'], this.geometry.getProperties());
+        this._descText(textContent);
+        this._prepareContext(ctx);
+        Canvas.prepareCanvas(ctx, this.strokeAndFill, resources);
+        Canvas.prepareCanvasFont(ctx, style);
+        const text = this.textDesc['rows'].map(row => row['text']).join(' ');
+        const glyphs = [];
+        let textWidth = 0;
+        for (let i = 0; i < text.length; i++) {
+            const width = ctx.measureText(text[i]).width;
+            glyphs.push({ 'text' : text[i], 'offset' : textWidth, 'width' : width });
+            textWidth += width;
+        }
+        const height = this.textDesc['rawSize']['height'];
+        for (let i = 0; i < paths.length; i++) {
+            const path = paths[i],
+                distances = getDistances(path),
+                length = distances[distances.length - 1];
+            if (!textWidth || length < textWidth) {
+                continue;
+            }
+            const spacing = Math.max(style['textSpacing'] || 0, textWidth);
+            const count = style['textSpacing'] > 0 ? Math.floor((length - textWidth) / spacing) + 1 : 1;
+            const first = (length - (count - 1) * spacing) / 2;
+            for (let ii = 0; ii < count; ii++) {
+                const center = first + ii * spacing;
+                this._drawGlyphsAt(ctx, glyphs, path, distances, center - textWidth / 2, center + textWidth / 2, height);
+            }
+        }
+    }
+
+    _drawGlyphsAt(ctx, glyphs, path, distances, start, end, height) {
+        const style = this.style;
+        // reverse the glyphs if the text is upside down
+        const reversed = getPointAt(path, distances, end)[0].x < getPointAt(path, distances, start)[0].x;
+        for (let i = 0; i < glyphs.length; i++) {
+            const glyph = glyphs[i],
+                d = glyph['offset'] + glyph['width'] / 2;
+            const pos = getPointAt(path, distances, reversed ? end - d : start + d);
+            ctx.save();
+            ctx.translate(pos[0].x, pos[0].y);
+            ctx.rotate(reversed ? pos[1] + Math.PI : pos[1]);
+            Canvas._textOnLine(ctx, glyph['text'], new Point(-glyph['width'] / 2, -height / 2),
+                style['textHaloRadius'], style['textHaloFill'], style['textHaloOpacity']);
+            ctx.restore();
+        }
+    }
+
     _descText(textContent) {
         if (this._dynamic) {
             this.textDesc = splitTextToRow(textContent, this.style);
@@ -185,3 +279,46 @@ function genCacheKey(textContent, style) {
     }
     return key.join('-');
 }
+
+// flatten container points of LineString or Polygon to paths, rings of polygons are closed
+function getPaths(points, closed) {
+    if (!isArrayHasData(points)) {
+        return [];
+    }
+    if (!Array.isArray(points[0])) {
+        const path = points.slice(0);
+        if (closed && path.length > 2 && !path[0].equals(path[path.length - 1])) {
+            path.push(path[0]);
+        }
+        return path.length > 1 ? [path] : [];
+    }
+    let paths = [];
+    for (let i = 0; i < points.length; i++) {
+        paths = paths.concat(getPaths(points[i], closed));
+    }
+    return paths;
+}
+
+// accumulated distances of the path's vertexes
+function getDistances(path) {
+    const distances = [0];
+    for (let i = 1; i < path.length; i++) {
+        distances.push(distances[i - 1] + path[i].distanceTo(path[i - 1]));
+    }
+    return distances;
+}
+
+// point and rotation in radian at the distance along the path
+function getPointAt(path, distances, distance) {
+    let i = 1;
+    while (i < path.length - 1 && distances[i] < distance) {
+        i++;
+    }
+    const p0 = path[i - 1], p1 = path[i];
+    const len = distances[i] - distances[i - 1];
+    const t = len ? (distance - distances[i - 1]) / len : 0;
+    return [
+        new Point(p0.x + (p1.x - p0.x) * t, p0.y + (p1.y - p0.y) * t),
+        Math.atan2(p1.y - p0.y, p1.x - p0.x)
+    ];
+}
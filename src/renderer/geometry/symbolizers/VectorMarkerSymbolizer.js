@@ -45,6 +45,7 @@ export default class VectorMarkerSymbolizer extends PointSymbolizer {
         if (this.getPainter().isSpriting() ||
             this.geometry.getLayer().getMask() === this.geometry ||
             this._dynamic ||
+            ctx.isVector ||
             this.geometry.getLayer().options['cacheVectorOnCanvas'] === false) {
             this._drawMarkers(ctx, cookedPoints, resources);
         } else {
@@ -164,11 +165,7 @@ export default class VectorMarkerSymbolizer extends PointSymbolizer {
     _drawVectorMarker(ctx, point, resources) {
         const style = this.style,
             strokeAndFill = this.strokeAndFill,
-            markerType = style['markerType'].toLowerCase(),
-            vectorArray = VectorMarkerSymbolizer._getVectorPoints(markerType, style['markerWidth'], style['markerHeight']),
-            lineOpacity = strokeAndFill['lineOpacity'],
-            fillOpacity = strokeAndFill['polygonOpacity'];
-        const gradient = isGradient(strokeAndFill['lineColor']) || isGradient(strokeAndFill['polygonFill']);
+            gradient = isGradient(strokeAndFill['lineColor']) || isGradient(strokeAndFill['polygonFill']);
         if (gradient) {
             let gradientExtent;
             if (isGradient(strokeAndFill['lineColor'])) {
@@ -183,51 +180,7 @@ export default class VectorMarkerSymbolizer extends PointSymbolizer {
             }
             Canvas.prepareCanvas(ctx, strokeAndFill, resources);
         }
-
-
-        const width = style['markerWidth'],
-            height = style['markerHeight'],
-            hLineWidth = style['markerLineWidth'] / 2;
-        if (markerType === 'ellipse') {
-            //ellipse default
-            Canvas.ellipse(ctx, point, width / 2, height / 2, lineOpacity, fillOpacity);
-        } else if (markerType === 'cross' || markerType === 'x') {
-            for (let j = vectorArray.length - 1; j >= 0; j--) {
-                vectorArray[j]._add(point);
-            }
-            //线类型
-            Canvas.path(ctx, vectorArray.slice(0, 2), lineOpacity);
-            Canvas.path(ctx, vectorArray.slice(2, 4), lineOpacity);
-        } else if (markerType === 'diamond' || markerType === 'bar' || markerType === 'square' || markerType === 'rectangle' || markerType === 'triangle') {
-            if (markerType === 'bar') {
-                point = point.add(0, -hLineWidth);
-            } else if (markerType === 'rectangle') {
-                point = point.add(hLineWidth, hLineWidth);
-            }
-            for (let j = vectorArray.length - 1; j >= 0; j--) {
-                vectorArray[j]._add(point);
-            }
-            //面类型
-            Canvas.polygon(ctx, vectorArray, lineOpacity, fillOpacity);
-        } else if (markerType === 'pin') {
-            point = point.add(0, -hLineWidth);
-            for (let j = vectorArray.length - 1; j >= 0; j--) {
-                vectorArray[j]._add(point);
-            }
-            const lineCap = ctx.lineCap;
-            ctx.lineCap = 'round'; //set line cap to round to close the pin bottom
-            Canvas.bezierCurveAndFill(ctx, vectorArray, lineOpacity, fillOpacity);
-            ctx.lineCap = lineCap;
-        } else if (markerType === 'pie') {
-            point = point.add(0, -hLineWidth);
-            const angle = Math.atan(width / 2 / height) * 180 / Math.PI;
-            const lineCap = ctx.lineCap;
-            ctx.lineCap = 'round';
-            Canvas.sector(ctx, point, height, [90 - angle, 90 + angle], lineOpacity, fillOpacity);
-            ctx.lineCap = lineCap;
-        } else {
-            throw new Error('unsupported markerType: ' + markerType);
-        }
+        VectorMarkerSymbolizer.drawVectorMarker(ctx, point, style, strokeAndFill);
     }
 
     getPlacement() {
@@ -269,7 +222,15 @@ export default class VectorMarkerSymbolizer extends PointSymbolizer {
     }
 
     translate() {
-        const s = this.symbol;
+        return VectorMarkerSymbolizer.translate(this.symbol);
+    }
+
+    /**
+     * Translate a vector marker symbol to a style with default values
+     * @param  {Object} s - symbol
+     * @return {Object} style
+     */
+    static translate(s) {
         const result = {
             'markerType': getValueOrDefault(s['markerType'], 'ellipse'), //<----- ellipse | cross | x | triangle | diamond | square | bar | pin等,默认ellipse
             'markerFill': getValueOrDefault(s['markerFill'], '#00f'), //blue as cartoCSS
@@ -297,6 +258,63 @@ export default class VectorMarkerSymbolizer extends PointSymbolizer {
         return result;
     }
 
+    /**
+     * Draw a vector marker's shape on the canvas, context's stroke and fill styles should be prepared by strokeAndFill.
+     * @param  {CanvasRenderingContext2D} ctx - canvas context
+     * @param  {Point} point - marker's anchor point
+     * @param  {Object} style - marker's style translated by VectorMarkerSymbolizer.translate
+     * @param  {Object} strokeAndFill - line and fill style translated by VectorMarkerSymbolizer.translateLineAndFill
+     */
+    static drawVectorMarker(ctx, point, style, strokeAndFill) {
+        const markerType = style['markerType'].toLowerCase(),
+            vectorArray = VectorMarkerSymbolizer._getVectorPoints(markerType, style['markerWidth'], style['markerHeight']),
+            lineOpacity = strokeAndFill['lineOpacity'],
+            fillOpacity = strokeAndFill['polygonOpacity'];
+        const width = style['markerWidth'],
+            height = style['markerHeight'],
+            hLineWidth = style['markerLineWidth'] / 2;
+        if (markerType === 'ellipse') {
+            //ellipse default
+            Canvas.ellipse(ctx, point, width / 2, height / 2, lineOpacity, fillOpacity);
+        } else if (markerType === 'cross' || markerType === 'x') {
+            for (let j = vectorArray.length - 1; j >= 0; j--) {
+                vectorArray[j]._add(point);
+            }
+            //线类型
+            Canvas.path(ctx, vectorArray.slice(0, 2), lineOpacity);
+            Canvas.path(ctx, vectorArray.slice(2, 4), lineOpacity);
+        } else if (markerType === 'diamond' || markerType === 'bar' || markerType === 'square' || markerType === 'rectangle' || markerType === 'triangle') {
+            if (markerType === 'bar') {
+                point = point.add(0, -hLineWidth);
+            } else if (markerType === 'rectangle') {
+                point = point.add(hLineWidth, hLineWidth);
+            }
+            for (let j = vectorArray.length - 1; j >= 0; j--) {
+                vectorArray[j]._add(point);
+            }
+            //面类型
+            Canvas.polygon(ctx, vectorArray, lineOpacity, fillOpacity);
+        } else if (markerType === 'pin') {
+            point = point.add(0, -hLineWidth);
+            for (let j = vectorArray.length - 1; j >= 0; j--) {
+                vectorArray[j]._add(point);
+            }
+            const lineCap = ctx.lineCap;
+            ctx.lineCap = 'round'; //set line cap to round to close the pin bottom
+            Canvas.bezierCurveAndFill(ctx, vectorArray, lineOpacity, fillOpacity);
+            ctx.lineCap = lineCap;
+        } else if (markerType === 'pie') {
+            point = point.add(0, -hLineWidth);
+            const angle = Math.atan(width / 2 / height) * 180 / Math.PI;
+            const lineCap = ctx.lineCap;
+            ctx.lineCap = 'round';
+            Canvas.sector(ctx, point, height, [90 - angle, 90 + angle], lineOpacity, fillOpacity);
+            ctx.lineCap = lineCap;
+        } else {
+            throw new Error('unsupported markerType: ' + markerType);
+        }
+    }
+
     static translateLineAndFill(s) {
         const result = {
             'lineColor': s['markerLineColor'],
@@ -6,6 +6,7 @@ export { default as CanvasRenderer } from './layer/CanvasRenderer';
 export * from './layer/tilelayer';
 export * from './layer/vectorlayer';
 export * from './layer/canvaslayer';
+export * from './layer/imagelayer';
 export { default as MapRenderer } from './map/MapRenderer';
 export { default as MapCanvasRenderer } from './map/MapCanvasRenderer';
 
@@ -204,6 +204,20 @@ class CanvasRenderer extends Class {
         };
     }
 
+    /**
+     * Paint layer's canvas on the given context, e.g. a SVGContext to export the map as SVG.
+     * @param  {CanvasRenderingContext2D} ctx - context to paint on
+     */
+    paintOn(ctx) {
+        const map = this.getMap();
+        if (!map || !this.canvas || !this._extent2D || this._renderZoom !== map.getZoom() || this.isBlank()) {
+            return;
+        }
+        const point = map._pointToContainerPoint(this._northWest),
+            size = this._extent2D.getSize();
+        ctx.drawImage(this.canvas, point.x, point.y, size['width'], size['height']);
+    }
+
     /**
      * Clear canvas
      */
@@ -333,13 +347,13 @@ class CanvasRenderer extends Class {
         }
         const map = this.getMap();
         const size = map.getSize();
-        const r = Browser.retina ? 2 : 1;
+        const r = map.getDevicePixelRatio();
         this.canvas = Canvas2D.createCanvas(r * size['width'], r * size['height'], map.CanvasClass);
         this.context = this.canvas.getContext('2d');
         if (this.layer.options['globalCompositeOperation']) {
             this.context.globalCompositeOperation = this.layer.options['globalCompositeOperation'];
         }
-        if (Browser.retina) {
+        if (r !== 1) {
             this.context.scale(r, r);
         }
         if (this.onCanvasCreate) {
@@ -355,21 +369,21 @@ class CanvasRenderer extends Class {
         if (!this.canvas) {
             return;
         }
+        const map = this.getMap();
         let size;
         if (!canvasSize) {
-            const map = this.getMap();
             size = map.getSize();
         } else {
             size = canvasSize;
         }
-        const r = Browser.retina ? 2 : 1;
+        const r = map.getDevicePixelRatio();
         if (this.canvas.width === r * size['width'] && this.canvas.height === r * size['height']) {
             return;
         }
         //retina support
         this.canvas.height = r * size['height'];
         this.canvas.width = r * size['width'];
-        if (Browser.retina) {
+        if (r !== 1) {
             this.context.scale(r, r);
         }
     }
@@ -601,13 +615,15 @@ class CanvasRenderer extends Class {
 
     _promiseResource(url) {
         const me = this, resources = this.resources,
-            crossOrigin = this.layer.options['crossOrigin'];
+            crossOrigin = this.layer.options['crossOrigin'],
+            map = this.getMap(),
+            canvasClass = map ? map.CanvasClass : null;
         return function (resolve) {
             if (resources.isResourceLoaded(url, true)) {
                 resolve(url);
                 return;
             }
-            const img = new Image();
+            const img = Canvas2D.createImage(canvasClass);
             if (crossOrigin) {
                 img['crossOrigin'] = crossOrigin;
             }
@@ -0,0 +1,171 @@
+import Point from 'geo/Point';
+import ImageLayer from 'layer/ImageLayer';
+import CanvasRenderer from '../CanvasRenderer';
+
+/**
+ * @classdesc
+ * Renderer class based on HTML5 Canvas2D for ImageLayers. <br>
+ * Each image is divided into a mesh of triangles by its corners, and every triangle is drawn with an affine transform,
+ * so images are warped correctly when map is rotated or pitched.
+ * @protected
+ * @memberOf renderer
+ * @name ImageLayerCanvasRenderer
+ * @extends renderer.CanvasRenderer
+ * @param {ImageLayer} layer - layer to render
+ */
+class ImageLayerCanvasRenderer extends CanvasRenderer {
+
+    checkResources() {
+        const images = this.layer.getImages(),
+            resources = [];
+        for (let i = 0, l = images.length; i < l; i++) {
+            const url = [images[i]['url']];
+            if (!this.resources.isResourceLoaded(url)) {
+                resources.push(url);
+            }
+        }
+        return resources;
+    }
+
+    draw() {
+        this.prepareCanvas();
+        this._drawImages();
+        this.completeRender();
+    }
+
+    drawOnInteracting() {
+        this._drawImages();
+    }
+
+    _drawImages() {
+        const map = this.getMap(),
+            projection = map.getProjection();
+        const images = this.layer.getImages();
+        const ctx = this.context;
+        for (let i = 0, l = images.length; i < l; i++) {
+            const img = this.resources.getImage([images[i]['url']]);
+            if (!img || !img.width || !img.height) {
+                continue;
+            }
+            const prjCorners = this.layer._getImageCorners(images[i]).map(c => projection.project(c));
+            const corners = prjCorners.map(c => map._prjToContainerPoint(c));
+            if (!this._isInView(corners)) {
+                continue;
+            }
+            const opacity = images[i]['opacity'];
+            ctx.globalAlpha = opacity >= 0 && opacity < 1 ? opacity : 1;
+            if (isParallelogram(corners)) {
+                //a parallelogram is transformed from the image's rectangle by a single affine transform
+                drawTriangle(ctx, img, [0, 0], [img.width, 0], [0, img.height], corners[0], corners[1], corners[3], false);
+            } else {
+                this._drawMesh(ctx, img, prjCorners);
+            }
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Draw image in a mesh of triangles, vertices of the mesh are interpolated in projected coordinates.
+     * @private
+     */
+    _drawMesh(ctx, img, prjCorners) {
+        const map = this.getMap(),
+            n = Math.max(1, Math.round(this.layer.options['meshSize'])),
+            w = img.width, h = img.height;
+        const vertices = [];
+        for (let j = 0; j <= n; j++) {
+            const row = [];
+            for (let i = 0; i <= n; i++) {
+                const prj = bilinear(prjCorners, i / n, j / n);
+                row.push(map._prjToContainerPoint(prj));
+            }
+            vertices.push(row);
+        }
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < n; i++) {
+                const x0 = i / n * w, x1 = (i + 1) / n * w,
+                    y0 = j / n * h, y1 = (j + 1) / n * h;
+                const tl = vertices[j][i], tr = vertices[j][i + 1],
+                    br = vertices[j + 1][i + 1], bl = vertices[j + 1][i];
+                drawTriangle(ctx, img, [x0, y0], [x1, y0], [x0, y1], tl, tr, bl, true);
+                drawTriangle(ctx, img, [x1, y1], [x0, y1], [x1, y0], br, bl, tr, true);
+            }
+        }
+    }
+
+    /**
+     * Whether the bounding box of image's corners in container points intersects the view
+     * @private
+     */
+    _isInView(corners) {
+        const size = this.getMap().getSize();
+        let xmin = Infinity, ymin = Infinity, xmax = -Infinity, ymax = -Infinity;
+        for (let i = 0; i < 4; i++) {
+            xmin = Math.min(xmin, corners[i].x);
+            ymin = Math.min(ymin, corners[i].y);
+            xmax = Math.max(xmax, corners[i].x);
+            ymax = Math.max(ymax, corners[i].y);
+        }
+        return xmax >= 0 && ymax >= 0 && xmin <= size['width'] && ymin <= size['height'];
+    }
+}
+
+ImageLayer.registerRenderer('canvas', ImageLayerCanvasRenderer);
+
+export default ImageLayerCanvasRenderer;
+
+// whether corners are a parallelogram, tl + br = tr + bl, e.g. an extent on a map without pitch
+function isParallelogram(corners) {
+    const dx = corners[0].x + corners[2].x - corners[1].x - corners[3].x,
+        dy = corners[0].y + corners[2].y - corners[1].y - corners[3].y;
+    return Math.abs(dx) < 0.5 && Math.abs(dy) < 0.5;
+}
+
+// interpolate a point in the quad of corners (tl, tr, br, bl) by u (left to right) and v (top to bottom)
+function bilinear(corners, u, v) {
+    const top = corners[0].multi(1 - u).add(corners[1].multi(u)),
+        bottom = corners[3].multi(1 - u).add(corners[2].multi(u));
+    return top.multi(1 - v).add(bottom.multi(v));
+}
+
+/**
+ * Draw a triangle of the image by the affine transform from source points (s0, s1, s2) in image to container points (d0, d1, d2).
+ * The triangle is clipped and expanded a little to hide seams between triangles if clip is true.
+ * @private
+ */
+function drawTriangle(ctx, img, s0, s1, s2, d0, d1, d2, clip) {
+    const ux = s1[0] - s0[0], uy = s1[1] - s0[1],
+        vx = s2[0] - s0[0], vy = s2[1] - s0[1];
+    const det = ux * vy - vx * uy;
+    if (!det) {
+        return;
+    }
+    const dux = d1.x - d0.x, duy = d1.y - d0.y,
+        dvx = d2.x - d0.x, dvy = d2.y - d0.y;
+    const a = (dux * vy - dvx * uy) / det,
+        b = (duy * vy - dvy * uy) / det,
+        c = (dvx * ux - dux * vx) / det,
+        d = (dvy * ux - duy * vx) / det;
+    const e = d0.x - a * s0[0] - c * s0[1],
+        f = d0.y - b * s0[0] - d * s0[1];
+    ctx.save();
+    if (clip) {
+        const center = new Point((d0.x + d1.x + d2.x) / 3, (d0.y + d1.y + d2.y) / 3);
+        ctx.beginPath();
+        [d0, d1, d2].forEach((p, i) => {
+            const offset = p.sub(center);
+            const len = offset.mag();
+            const q = len ? p.add(offset.multi(0.5 / len)) : p;
+            if (i === 0) {
+                ctx.moveTo(q.x, q.y);
+            } else {
+                ctx.lineTo(q.x, q.y);
+            }
+        });
+        ctx.closePath();
+        ctx.clip();
+    }
+    ctx.transform(a, b, c, d, e, f);
+    ctx.drawImage(img, 0, 0);
+    ctx.restore();
+}
@@ -0,0 +1 @@
+export { default as ImageLayerCanvasRenderer } from './ImageLayerCanvasRenderer';
@@ -1,12 +1,10 @@
-import {
-    IS_NODE,
-    loadImage
-} from 'core/util';
+import { IS_NODE } from 'core/util';
 import PointExtent from 'geo/PointExtent';
 import Canvas2D from 'core/Canvas';
 import TileLayer from 'layer/tile/TileLayer';
 import CanvasRenderer from 'renderer/layer/CanvasRenderer';
 import TileCache from './TileCache';
+import TileLoader from './TileLoader';
 import Point from 'geo/Point';
 
 /**
@@ -30,6 +28,7 @@ export default class TileLayerRenderer extends CanvasRenderer {
             this._tileCache = new TileCache();
         }
         this._tileQueue = {};
+        this._tileLoader = new TileLoader(layer);
     }
 
     draw() {
@@ -90,7 +89,11 @@ export default class TileLayerRenderer extends CanvasRenderer {
                 this._drawTile(tile['point'], cached);
                 this._tileRended[tileId] = cached;
             } else {
-
+                //draw the nearest parent tile in cache before the tile is loaded
+                const parent = layer.options['parentTileFallback'] ? this._findParentTile(tile, tileRended) : null;
+                if (parent) {
+                    this._drawParentTile(tile['point'], parent);
+                }
                 this._tileToLoadCounter++;
                 this._tileQueue[tileId + '@' + tile['point'].toString()] = tile;
             }
@@ -167,21 +170,98 @@ export default class TileLayerRenderer extends CanvasRenderer {
     _loadTile(tileId, tile, onTileLoad, onTileError) {
         const crossOrigin = this.layer.options['crossOrigin'];
         const tileSize = this.layer.getTileSize();
-        const tileImage = new Image();
+        const tileImage = Canvas2D.createImage(this.getMap().CanvasClass);
         tileImage.width = tileSize['width'];
         tileImage.height = tileSize['height'];
         tileImage[this.propertyOfTileId] = tileId;
         tileImage[this.propertyOfPointOnTile] = tile['point'];
         tileImage[this.propertyOfTileZoom] = tile['z'];
-        tileImage.onload = onTileLoad;
-        tileImage.onabort = onTileError;
-        tileImage.onerror = onTileError;
         if (crossOrigin) {
             tileImage.crossOrigin = crossOrigin;
         }
-        loadImage(tileImage, [tile['url']]);
+        const layer = this.layer;
+        this._tileLoader.load(tileImage, tile, function (err) {
+            if (err) {
+                /**
+                 * tileerror event, fired when a tile errors after retries
+                 *
+                 * @event TileLayer#tileerror
+                 * @type {Object}
+                 * @property {String} type - tileerror
+                 * @property {TileLayer} target - tile layer
+                 * @property {String} err  - error message
+                 * @property {Object} tile - tile
+                 */
+                layer.fire('tileerror', {
+                    error: err,
+                    tile: tile
+                });
+                onTileError.call(this);
+            } else {
+                /**
+                 * tileload event, fired when a tile is loaded
+                 *
+                 * @event TileLayer#tileload
+                 * @type {Object}
+                 * @property {String} type - tileload
+                 * @property {TileLayer} target - tile layer
+                 * @property {Object} tile - tile
+                 */
+                layer.fire('tileload', {
+                    tile: tile
+                });
+                onTileLoad.call(this);
+            }
+        });
+    }
+
+    /**
+     * Find the nearest parent tile of the tile in rendered tiles or tile cache
+     * @param  {Object} tile - tile
+     * @param  {Object} tileRended - tiles rendered
+     * @return {Image} parent tile image
+     */
+    _findParentTile(tile, tileRended) {
+        const ids = this.layer._getParentTileIds(tile);
+        for (let i = 0; i < ids.length; i++) {
+            const parent = tileRended[ids[i]] || (this._tileCache ? this._tileCache.get(ids[i]) : null);
+            if (parent) {
+                return parent;
+            }
+        }
+        return null;
     }
 
+    /**
+     * Draw a parent tile scaled to the tile's zoom and clipped by the tile's area
+     * @param  {Point} point - tile's 2d point at the tile zoom
+     * @param  {Image} parentImage - parent tile image
+     */
+    _drawParentTile(point, parentImage) {
+        const map = this.getMap(),
+            tileSize = this.layer.getTileSize(),
+            ctx = this.context,
+            parentZoom = parentImage[this.propertyOfTileZoom],
+            parentPoint = parentImage[this.propertyOfPointOnTile],
+            cp = map._pointToContainerPoint(parentPoint, parentZoom)._round(),
+            bearing = map.getBearing(),
+            // ratio to convert 2d points at tile zoom to parent zoom
+            ratio = map._getResolution(this._tileZoom) / map._getResolution(parentZoom),
+            scale = map._getResolution(parentZoom) / map._getResolution();
+        // tile's area in parent tile
+        const offset = point.multi(ratio)._sub(parentPoint);
+        ctx.save();
+        ctx.translate(cp.x, cp.y);
+        if (bearing) {
+            ctx.rotate(-bearing * Math.PI / 180);
+        }
+        ctx.scale(scale, scale);
+        ctx.beginPath();
+        ctx.rect(offset.x, offset.y, tileSize['width'] * ratio, tileSize['height'] * ratio);
+        ctx.clip();
+        Canvas2D.image(ctx, parentImage, 0, 0, tileSize['width'], tileSize['height']);
+        ctx.restore();
+    }
 
     _drawTile(point, tileImage) {
         if (!point || !this.getMap()) {
@@ -265,6 +345,7 @@ export default class TileLayerRenderer extends CanvasRenderer {
     }
 
     _onTileLoadComplete() {
+        this._tileLoader.fireStats();
         this.completeRender();
     }
 
@@ -290,6 +371,7 @@ export default class TileLayerRenderer extends CanvasRenderer {
     }
 
     onRemove() {
+        this._tileLoader.remove();
         delete this._mapRender;
         delete this._tileCache;
         delete this._tileRended;
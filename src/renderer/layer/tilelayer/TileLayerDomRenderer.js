@@ -12,7 +12,6 @@ import {
 } from 'core/util';
 import * as mat4 from 'core/util/mat4';
 import {
-    on,
     createEl,
     setTransformMatrix,
     removeTransform,
@@ -25,6 +24,8 @@ import {
 import Class from 'core/Class';
 import Browser from 'core/Browser';
 import TileLayer from 'layer/tile/TileLayer';
+import TileCache from './TileCache';
+import TileLoader from './TileLoader';
 
 
 const POSITION0 = 'position:absolute;';
@@ -47,6 +48,9 @@ export default class TileLayerDomRenderer extends Class {
         this.layer = layer;
         this._tiles = {};
         this._fadeAnimated = true;
+        this._tileLoader = new TileLoader(layer);
+        // loaded tiles to find parent tiles for tiles loading or failed
+        this._loadedTiles = new TileCache();
     }
 
     getMap() {
@@ -72,6 +76,7 @@ export default class TileLayerDomRenderer extends Class {
 
     remove() {
         this._abortLoading();
+        this._tileLoader.remove();
         delete this._tiles;
         delete this.layer;
         this._removeLayerContainer();
@@ -92,6 +97,28 @@ export default class TileLayerDomRenderer extends Class {
     prepareRender() {
     }
 
+    /**
+     * Paint loaded tile images of current zoom on the given context, e.g. a SVGContext to export the map as SVG.
+     * Tiles are painted in container points without map's rotation and pitch.
+     * @param  {CanvasRenderingContext2D} ctx - context to paint on
+     */
+    paintOn(ctx) {
+        const map = this.getMap();
+        if (!map || !this._tiles) {
+            return;
+        }
+        const tileSize = this.layer.getTileSize();
+        for (const id in this._tiles) {
+            const tile = this._tiles[id];
+            if (tile['z'] !== this._tileZoom || !tile.loaded || !tile['el'] || tile['el'].style.display === 'none') {
+                continue;
+            }
+            const point = map._pointToContainerPoint(tile['point'], tile['z']),
+                scale = map._getResolution(tile['z']) / map._getResolution();
+            ctx.drawImage(tile['el'], point.x, point.y, tileSize['width'] * scale, tileSize['height'] * scale);
+        }
+    }
+
     render() {
         this._renderTiles();
     }
@@ -220,7 +247,12 @@ export default class TileLayerDomRenderer extends Class {
         if (queue.length > 0) {
             const container = this._getTileContainer(tileGrid['zoom']);
             const fragment = document.createDocumentFragment();
+            const parentTileFallback = this.layer.options['parentTileFallback'];
             for (let i = 0, l = queue.length; i < l; i++) {
+                const parentEl = parentTileFallback ? this._createParentTile(queue[i]) : null;
+                if (parentEl) {
+                    fragment.appendChild(parentEl);
+                }
                 fragment.appendChild(this._loadTile(queue[i]));
             }
             container.tile.appendChild(fragment);
@@ -436,9 +468,6 @@ export default class TileLayerDomRenderer extends Class {
         tile['size'] = tileSize;
         tile['pos'] = tile['viewPoint'];
 
-        on(tileImage, 'load', this._tileOnLoad.bind(this, done, tile));
-        on(tileImage, 'error', this._tileOnError.bind(this, done, tile));
-
         if (this.layer.options['crossOrigin']) {
             tileImage.crossOrigin = this.layer.options['crossOrigin'];
         }
@@ -458,11 +487,70 @@ export default class TileLayerDomRenderer extends Class {
             tileImage.style[CSSFILTER] = this.layer.options['cssFilter'];
         }
 
-        tileImage.src = tile['url'];
+        this._tileLoader.load(tileImage, tile, err => {
+            if (err) {
+                this._tileOnError(done, tile);
+            } else {
+                this._tileOnLoad(done, tile);
+            }
+        });
 
         return tileImage;
     }
 
+    /**
+     * Create a dom of the nearest loaded parent tile, scaled to tile's zoom and clipped by tile's area.
+     * @param  {Object} tile - tile
+     * @return {HTMLElement} dom of the parent tile
+     */
+    _createParentTile(tile) {
+        const ids = this.layer._getParentTileIds(tile);
+        let parent;
+        for (let i = 0; i < ids.length; i++) {
+            parent = this._loadedTiles.get(ids[i]);
+            if (parent) {
+                break;
+            }
+        }
+        if (!parent) {
+            return null;
+        }
+        const map = this.getMap(),
+            tileSize = this.layer.getTileSize(),
+            scale = map._getResolution(parent['z']) / map._getResolution(tile['z']),
+            offset = tile['point'].sub(parent['point'].multi(scale));
+        const container = createEl('div');
+        container.style.cssText = POSITION0 + 'overflow:hidden;width:' + tileSize['width'] + 'px;height:' + tileSize['height'] + 'px;';
+        this._posTileImage(container, tile['viewPoint']);
+        const parentImage = createEl('img');
+        parentImage.style.cssText = POSITION0 + 'max-width:none;max-height:none;left:' + (-offset.x) + 'px;top:' + (-offset.y) + 'px;';
+        parentImage.alt = '';
+        parentImage.width = tileSize['width'] * scale;
+        parentImage.height = tileSize['height'] * scale;
+        if (this.layer.options['cssFilter']) {
+            parentImage.style[CSSFILTER] = this.layer.options['cssFilter'];
+        }
+        // resolved from the tile store first, e.g. when offline
+        const layer = this.layer;
+        layer._resolveTileUrl(parent['url'], url => {
+            parentImage.onload = parentImage.onerror = () => {
+                parentImage.onload = parentImage.onerror = null;
+                layer._releaseTileUrl(url);
+            };
+            parentImage.src = url;
+        });
+        container.appendChild(parentImage);
+        tile['parentEl'] = container;
+        return container;
+    }
+
+    _removeParentTile(tile) {
+        if (tile['parentEl']) {
+            removeDomNode(tile['parentEl']);
+            delete tile['parentEl'];
+        }
+    }
+
     _tileReady(err, tile) {
         if (!this.layer) {
             return;
@@ -495,6 +583,9 @@ export default class TileLayerDomRenderer extends Class {
         } else {
             setOpacity(tile.el, 1);
             tile.active = true;
+            if (!err) {
+                this._removeParentTile(tile);
+            }
         }
 
         /**
@@ -511,6 +602,7 @@ export default class TileLayerDomRenderer extends Class {
         });
 
         if (this._noTilesToLoad()) {
+            this._tileLoader.fireStats();
             if (this._pruneTimeout) {
                 clearTimeout(this._pruneTimeout);
             }
@@ -528,6 +620,11 @@ export default class TileLayerDomRenderer extends Class {
     }
 
     _tileOnLoad(done, tile) {
+        this._loadedTiles.add(tile['id'], {
+            'url' : tile['url'],
+            'point' : tile['point'],
+            'z' : tile['z']
+        });
         // For https://github.com/Leaflet/Leaflet/issues/3332
         if (Browser.ielt9) {
             setTimeout(done.bind(this, null, tile), 0);
@@ -541,7 +638,10 @@ export default class TileLayerDomRenderer extends Class {
             return;
         }
         const errorUrl = this.layer.options['errorTileUrl'];
-        if (errorUrl) {
+        if (tile['parentEl']) {
+            // parent tile is displayed instead
+            tile['el'].style.display = 'none';
+        } else if (errorUrl) {
             tile['el'].src = errorUrl;
         } else {
             tile['el'].style.display = 'none';
@@ -575,6 +675,9 @@ export default class TileLayerDomRenderer extends Class {
                 nextFrame = true;
             } else {
                 tile.active = true;
+                if (tile.el.style.display !== 'none') {
+                    this._removeParentTile(tile);
+                }
             }
         }
 
@@ -640,6 +743,7 @@ export default class TileLayerDomRenderer extends Class {
         }
 
         removeDomNode(tile.el);
+        this._removeParentTile(tile);
 
         delete this._tiles[key];
 
@@ -804,6 +908,7 @@ export default class TileLayerDomRenderer extends Class {
                 this._tiles[i].abort = true;
                 const tile = this._tiles[i].el;
 
+                this._tileLoader.abort(tile);
                 tile.onload = falseFn;
                 tile.onerror = falseFn;
 
@@ -0,0 +1,147 @@
+import { loadImage, emptyImageUrl } from 'core/util';
+
+/**
+ * Loads tile images for tile layer renderers, and it:
+ * 1. resolves tile url from layer's tile store before the network
+ * 2. fails a tile if it isn't loaded in layer's tileTimeout
+ * 3. retries a failed tile for tileRetries times, the delay is doubled for every retry
+ * 4. counts loaded, failed, retried and timeout tiles and fires them in tilestats event
+ * @private
+ */
+export default class TileLoader {
+    constructor(layer) {
+        this.layer = layer;
+        this._resetStats();
+    }
+
+    /**
+     * Load a tile image
+     * @param  {Image} img   - tile image
+     * @param  {Object} tile - tile to load
+     * @param  {Function} done - callback function with (err) when tile is loaded or failed after retries.
+     */
+    load(img, tile, done) {
+        const state = { retries : 0 };
+        this.layer._resolveTileUrl(tile['url'], url => {
+            this._load(img, tile, url, state, done);
+        });
+    }
+
+    /**
+     * Stop timeout and retry of a tile image
+     * @param {Image} img - tile image
+     */
+    abort(img) {
+        if (img._tileTimer) {
+            clearTimeout(img._tileTimer);
+            delete img._tileTimer;
+        }
+    }
+
+    /**
+     * Fire stats of loaded tiles since last time in a tilestats event, and reset the stats.
+     */
+    fireStats() {
+        const stats = this._stats;
+        if (!this.layer || !stats['loaded'] && !stats['errors']) {
+            return;
+        }
+        this._resetStats();
+        /**
+         * tilestats event, fired when tiles in view are loaded or failed, with statistics of tile loading.
+         *
+         * @event TileLayer#tilestats
+         * @type {Object}
+         * @property {String} type - tilestats
+         * @property {TileLayer} target - tile layer
+         * @property {Number} loaded - number of loaded tiles
+         * @property {Number} errors - number of failed tiles
+         * @property {Number} retries - number of retries
+         * @property {Number} timeouts - number of timeout tiles
+         */
+        this.layer.fire('tilestats', stats);
+    }
+
+    remove() {
+        delete this.layer;
+    }
+
+    _load(img, tile, url, state, done) {
+        const layer = this.layer;
+        if (!layer || tile.abort) {
+            return;
+        }
+        // stats may be reset by fireStats before the tile is loaded
+        const finish = err => {
+            this.abort(img);
+            img.onload = img.onerror = img.onabort = null;
+            layer._releaseTileUrl(url);
+            if (!this.layer || tile.abort) {
+                return;
+            }
+            if (!err) {
+                this._stats['loaded']++;
+                done.call(img, null);
+                return;
+            }
+            if (url !== tile['url']) {
+                //stored tile is broken, load it from the network instead
+                this._load(img, tile, tile['url'], state, done);
+                return;
+            }
+            if (state.retries < layer.options['tileRetries']) {
+                const delay = layer.options['tileRetryDelay'] * Math.pow(2, state.retries);
+                state.retries++;
+                this._stats['retries']++;
+                /**
+                 * tileretry event, fired when a tile failed and will be loaded again.
+                 *
+                 * @event TileLayer#tileretry
+                 * @type {Object}
+                 * @property {String} type - tileretry
+                 * @property {TileLayer} target - tile layer
+                 * @property {Object} tile - tile
+                 * @property {String} error - error of the last loading
+                 * @property {Number} retries - times of retry
+                 * @property {Number} delay - milliseconds before retrying
+                 */
+                layer.fire('tileretry', {
+                    'tile' : tile,
+                    'error' : err,
+                    'retries' : state.retries,
+                    'delay' : delay
+                });
+                img._tileTimer = setTimeout(() => {
+                    delete img._tileTimer;
+                    this._load(img, tile, url, state, done);
+                }, delay);
+                return;
+            }
+            this._stats['errors']++;
+            done.call(img, err);
+        };
+        img.onload = () => finish(null);
+        img.onerror = img.onabort = () => finish('error');
+        const timeout = layer.options['tileTimeout'];
+        if (timeout > 0) {
+            img._tileTimer = setTimeout(() => {
+                delete img._tileTimer;
+                this._stats['timeouts']++;
+                img.onload = img.onerror = img.onabort = null;
+                //stop loading the tile
+                img.src = emptyImageUrl;
+                finish('timeout');
+            }, timeout);
+        }
+        loadImage(img, [url]);
+    }
+
+    _resetStats() {
+        this._stats = {
+            'loaded' : 0,
+            'errors' : 0,
+            'retries' : 0,
+            'timeouts' : 0
+        };
+    }
+}
@@ -0,0 +1,363 @@
+import Pbf from 'pbf';
+import { VectorTile } from '@mapbox/vector-tile';
+import Ajax from 'core/Ajax';
+import { isNil, now } from 'core/util';
+import { getExternalResources } from 'core/util/resource';
+import PointExtent from 'geo/PointExtent';
+import Marker from 'geometry/Marker';
+import LineString from 'geometry/LineString';
+import Polygon from 'geometry/Polygon';
+import MultiPoint from 'geometry/MultiPoint';
+import MultiLineString from 'geometry/MultiLineString';
+import MultiPolygon from 'geometry/MultiPolygon';
+import VectorTileLayer from 'layer/tile/VectorTileLayer';
+import CanvasRenderer from 'renderer/layer/CanvasRenderer';
+import TileCache from './TileCache';
+
+/**
+ * @classdesc
+ * Renderer class based on HTML5 Canvas2D for VectorTileLayers. <br>
+ * Features of loaded tiles are decoded into geometries, which are painted on the layer's canvas as VectorLayer's.
+ * @class
+ * @protected
+ * @memberOf renderer
+ * @extends {renderer.CanvasRenderer}
+ * @param {VectorTileLayer} layer - VectorTileLayer to render
+ */
+export default class VectorTileLayerRenderer extends CanvasRenderer {
+
+    constructor(layer) {
+        super(layer);
+        this._tileCache = new TileCache();
+        this._tileLoading = {};
+        this._tileErrors = {};
+    }
+
+    checkResources() {
+        const resources = [];
+        let style = this.layer.getStyle();
+        if (style) {
+            if (!Array.isArray(style)) {
+                style = [style];
+            }
+            style.forEach(s => {
+                const res = getExternalResources(s['symbol'], true);
+                for (let i = 0, l = res.length; i < l; i++) {
+                    if (!this.resources.isResourceLoaded(res[i])) {
+                        resources.push(res[i]);
+                    }
+                }
+            });
+        }
+        return resources;
+    }
+
+    draw() {
+        const map = this.getMap();
+        if (!map) {
+            return;
+        }
+        const tileGrid = this.layer._getTiles();
+        if (!tileGrid) {
+            this.completeRender();
+            return;
+        }
+        const mask2DExtent = this.prepareCanvas();
+        if (mask2DExtent && !mask2DExtent.intersects(this._extent2D)) {
+            this.completeRender();
+            return;
+        }
+        this._displayExtent = mask2DExtent ? this._extent2D.intersection(mask2DExtent) : this._extent2D;
+
+        const tiles = tileGrid['tiles'];
+        this._tileZoom = tileGrid['zoom'];
+        this._tilesToDraw = [];
+        let toLoad = 0;
+        for (let i = 0, l = tiles.length; i < l; i++) {
+            const tile = tiles[i],
+                key = this._getTileKey(tile),
+                cached = this._tileCache.get(key);
+            if (cached) {
+                this._tilesToDraw.push(cached);
+            } else if (!this._isTileFailed(key)) {
+                toLoad++;
+                this._loadTile(key, tile);
+            }
+        }
+        this._drawTiles();
+        if (toLoad === 0) {
+            this.completeRender();
+        }
+    }
+
+    drawOnInteracting() {
+        if (!this._geosToDraw) {
+            return;
+        }
+        this._displayExtent = this._extent2D;
+        for (let i = 0, l = this._geosToDraw.length; i < l; i++) {
+            this._geosToDraw[i]._paint(this._displayExtent);
+        }
+    }
+
+    /**
+     * Identify the drawn geometries of the tiles containing the coordinate.
+     * @param  {Coordinate} coordinate - coordinate to identify
+     * @param  {Object} [options={}]  - identify options
+     * @return {Geometry[]}
+     */
+    identify(coordinate, options = {}) {
+        const map = this.getMap();
+        if (!map || !this._tilesToDraw) {
+            return [];
+        }
+        const point = map.coordinateToPoint(coordinate, this._tileZoom),
+            tileSize = this.layer.getTileSize().toPoint(),
+            geometries = [];
+        for (let i = 0, l = this._tilesToDraw.length; i < l; i++) {
+            const tileData = this._tilesToDraw[i],
+                tilePoint = tileData['tile']['point'];
+            if (new PointExtent(tilePoint, tilePoint.add(tileSize)).contains(point)) {
+                geometries.push.apply(geometries, this._getStyledGeometries(tileData));
+            }
+        }
+        if (!geometries.length) {
+            return [];
+        }
+        return this.layer._hitGeos(geometries, coordinate, options);
+    }
+
+    onZoomEnd() {
+        delete this._extent2D;
+        super.onZoomEnd.apply(this, arguments);
+    }
+
+    onSpatialReferenceChange() {
+        this._tileCache = new TileCache();
+        this._tileLoading = {};
+        this._tileErrors = {};
+        delete this._tilesToDraw;
+        delete this._geosToDraw;
+        this.setToRedraw();
+    }
+
+    onRemove() {
+        delete this._tileCache;
+        delete this._tileLoading;
+        delete this._tileErrors;
+        delete this._tilesToDraw;
+        delete this._geosToDraw;
+        delete this._tileZoom;
+    }
+
+    _getTileKey(tile) {
+        return tile['id'] + '@' + tile['point'].toString();
+    }
+
+    _drawTiles() {
+        const geos = this._geosToDraw = [];
+        for (let i = 0, l = this._tilesToDraw.length; i < l; i++) {
+            const styled = this._getStyledGeometries(this._tilesToDraw[i]);
+            for (let ii = 0, ll = styled.length; ii < ll; ii++) {
+                const geo = styled[ii];
+                if (!geo.isVisible()) {
+                    continue;
+                }
+                const extent2D = geo._getPainter().get2DExtent(this.resources);
+                if (extent2D && extent2D.intersects(this._displayExtent)) {
+                    geos.push(geo);
+                }
+            }
+        }
+        for (let i = 0, l = geos.length; i < l; i++) {
+            geos[i]._paint(this._displayExtent);
+        }
+    }
+
+    _loadTile(key, tile) {
+        if (this._tileLoading[key]) {
+            return;
+        }
+        this._tileLoading[key] = 1;
+        Ajax.getArrayBuffer(tile['url'], (err, data) => {
+            if (!this.getMap() || !this._tileLoading || !this._tileLoading[key]) {
+                // layer is removed or spatial reference is changed
+                return;
+            }
+            delete this._tileLoading[key];
+            if (err) {
+                // failed tiles are not cached, and loaded again in redraws after tileRetryDelay
+                this._tileErrors[key] = now();
+                /**
+                 * tileerror event, fired when a tile fails to load.
+                 *
+                 * @event VectorTileLayer#tileerror
+                 * @type {Object}
+                 * @property {String} type - tileerror
+                 * @property {VectorTileLayer} target - layer
+                 * @property {Object} tile - tile's description
+                 * @property {String} error - error message
+                 */
+                this.layer.fire('tileerror', {
+                    'tile' : tile,
+                    'error' : err
+                });
+            } else {
+                delete this._tileErrors[key];
+                this._tileCache.add(key, this._createTileData(tile, new VectorTile(new Pbf(data))));
+            }
+            this.setToRedraw();
+        });
+    }
+
+    _isTileFailed(key) {
+        const time = this._tileErrors[key];
+        return !isNil(time) && now() - time < this.layer.options['tileRetryDelay'];
+    }
+
+    /**
+     * Decode the features of a vector tile into geometries.
+     * @param  {Object} tile - tile's description
+     * @param  {VectorTile} vt - decoded vector tile
+     * @return {Object} tile data with geometries and their filter features
+     * @private
+     */
+    _createTileData(tile, vt) {
+        const tileData = {
+            'tile' : tile,
+            'geometries' : [],
+            'features' : []
+        };
+        const map = this.getMap(),
+            tileSize = this.layer.getTileSize(),
+            origin = tile['point'],
+            z = tile['z'];
+        for (const layerName in vt.layers) {
+            if (!vt.layers.hasOwnProperty(layerName)) {
+                continue;
+            }
+            const vtLayer = vt.layers[layerName],
+                sx = tileSize['width'] / vtLayer.extent,
+                sy = tileSize['height'] / vtLayer.extent;
+            const toCoordinates = ring => ring.map(p => map.pointToCoordinate(origin.add(p.x * sx, p.y * sy), z));
+            for (let i = 0; i < vtLayer.length; i++) {
+                const feature = vtLayer.feature(i),
+                    geometry = createGeometry(feature.type, feature.loadGeometry().map(toCoordinates));
+                if (!geometry) {
+                    continue;
+                }
+                geometry.setProperties(feature.properties);
+                if (feature.id !== undefined) {
+                    geometry.setId(feature.id);
+                }
+                geometry._bindLayer(this.layer);
+                tileData['geometries'].push(geometry);
+                tileData['features'].push({
+                    'type' : feature.type,
+                    'layer' : layerName,
+                    'id' : feature.id,
+                    'properties' : feature.properties
+                });
+            }
+        }
+        return tileData;
+    }
+
+    /**
+     * Get tile's geometries satisfying the layer's visible style rules, tile is restyled if layer's style or visible rules are changed.
+     * @param  {Object} tileData - tile data
+     * @return {Geometry[]}
+     * @private
+     */
+    _getStyledGeometries(tileData) {
+        const styles = this.layer._cookedStyles,
+            hidden = this.layer._hiddenStyleRules;
+        if (tileData['styled'] && tileData['styles'] === styles && tileData['hidden'] === hidden) {
+            return tileData['styled'];
+        }
+        const geometries = tileData['geometries'],
+            features = tileData['features'];
+        const styled = [];
+        for (let i = 0, l = geometries.length; i < l; i++) {
+            if (!styles) {
+                geometries[i]._setExternSymbol(null);
+                styled.push(geometries[i]);
+                continue;
+            }
+            for (let ii = 0, ll = styles.length; ii < ll; ii++) {
+                if (styles[ii]['filter'](features[i]) === true) {
+                    if (!hidden || !hidden[ii]) {
+                        geometries[i]._setExternSymbol(styles[ii]['symbol']);
+                        styled.push(geometries[i]);
+                    }
+                    break;
+                }
+            }
+        }
+        tileData['styles'] = styles;
+        tileData['hidden'] = hidden;
+        tileData['styled'] = styled;
+        return styled;
+    }
+}
+
+VectorTileLayer.registerRenderer('canvas', VectorTileLayerRenderer);
+
+function createGeometry(type, coordinates) {
+    if (!coordinates.length) {
+        return null;
+    }
+    if (type === 1) {
+        const points = [];
+        for (let i = 0; i < coordinates.length; i++) {
+            points.push.apply(points, coordinates[i]);
+        }
+        return points.length === 1 ? new Marker(points[0]) : new MultiPoint(points);
+    } else if (type === 2) {
+        return coordinates.length === 1 ? new LineString(coordinates[0]) : new MultiLineString(coordinates);
+    } else if (type === 3) {
+        const polygons = classifyRings(coordinates);
+        if (!polygons.length) {
+            return null;
+        }
+        return polygons.length === 1 ? new Polygon(polygons[0]) : new MultiPolygon(polygons);
+    }
+    return null;
+}
+
+// group rings into polygons by their winding order, as defined in vector tile spec.
+function classifyRings(rings) {
+    const polygons = [];
+    let polygon, ccw;
+    for (let i = 0; i < rings.length; i++) {
+        const area = signedArea(rings[i]);
+        if (area === 0) {
+            continue;
+        }
+        if (ccw === undefined) {
+            ccw = area < 0;
+        }
+        if (ccw === area < 0) {
+            if (polygon) {
+                polygons.push(polygon);
+            }
+            polygon = [rings[i]];
+        } else if (polygon) {
+            polygon.push(rings[i]);
+        }
+    }
+    if (polygon) {
+        polygons.push(polygon);
+    }
+    return polygons;
+}
+
+function signedArea(ring) {
+    let sum = 0;
+    for (let i = 0, len = ring.length, j = len - 1; i < len; j = i++) {
+        const p1 = ring[i],
+            p2 = ring[j];
+        sum += (p2.x - p1.x) * (p1.y + p2.y);
+    }
+    return sum;
+}
@@ -1,9 +1,11 @@
 import TileLayerDomRenderer from './TileLayerDomRenderer';
 import TileLayerCanvasRenderer from './TileLayerCanvasRenderer';
 import CanvasTileLayerRenderer from './CanvasTileLayerRenderer';
+import VectorTileLayerCanvasRenderer from './VectorTileLayerCanvasRenderer';
 
 export {
     TileLayerDomRenderer,
     TileLayerCanvasRenderer,
-    CanvasTileLayerRenderer
+    CanvasTileLayerRenderer,
+    VectorTileLayerCanvasRenderer
 };
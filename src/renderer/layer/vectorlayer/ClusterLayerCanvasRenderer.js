@@ -0,0 +1,341 @@
+import { now, extend, isNil } from 'core/util';
+import { getExternalResources } from 'core/util/resource';
+import Coordinate from 'geo/Coordinate';
+import Point from 'geo/Point';
+import Marker from 'geometry/Marker';
+import ClusterLayer from 'layer/ClusterLayer';
+import VectorLayerCanvasRenderer from './VectorLayerCanvasRenderer';
+
+const defaultSymbol = {
+    'markerType' : 'ellipse',
+    'markerFill' : { property : 'count', type : 'interval', stops : [[0, 'rgb(135, 196, 240)'], [9, '#1bbc9b'], [99, 'rgb(216, 115, 149)']] },
+    'markerFillOpacity' : 0.7,
+    'markerLineOpacity' : 1,
+    'markerLineWidth' : 3,
+    'markerLineColor' : '#fff',
+    'markerWidth' : { property : 'count', type : 'interval', stops : [[0, 40], [9, 60], [99, 80]] },
+    'markerHeight' : { property : 'count', type : 'interval', stops : [[0, 40], [9, 60], [99, 80]] }
+};
+
+const defaultTextSymbol = {
+    'textName' : '{count}',
+    'textFaceName' : 'monospace',
+    'textSize' : 14,
+    'textFill' : '#fff',
+    'textHorizontalAlignment' : 'middle',
+    'textVerticalAlignment' : 'middle'
+};
+
+/**
+ * @classdesc
+ * Renderer class based on HTML5 Canvas2D for ClusterLayers
+ * @protected
+ * @memberOf renderer
+ * @name ClusterLayerCanvasRenderer
+ * @extends renderer.VectorLayerCanvasRenderer
+ * @param {ClusterLayer} layer - layer to render
+ */
+class ClusterLayerRenderer extends VectorLayerCanvasRenderer {
+
+    constructor(layer) {
+        super(layer);
+        this._clusterCache = {};
+    }
+
+    checkResources() {
+        const resources = super.checkResources.apply(this, arguments);
+        const res = getExternalResources(this._getClusterSymbol(), true);
+        for (let i = 0, l = res.length; i < l; i++) {
+            if (!this.resources.isResourceLoaded(res[i])) {
+                resources.push(res[i]);
+            }
+        }
+        return resources;
+    }
+
+    needToRedraw() {
+        if (this._animFrom) {
+            return true;
+        }
+        return super.needToRedraw();
+    }
+
+    /**
+     * Whether markers are clustered on current zoom
+     * @return {Boolean}
+     */
+    isClustering() {
+        const map = this.getMap();
+        if (!map) {
+            return false;
+        }
+        const maxClusterZoom = this.layer.options['maxClusterZoom'];
+        return isNil(maxClusterZoom) || this._getClusterZoom() <= maxClusterZoom;
+    }
+
+    /**
+     * Get clusters of current zoom
+     * @return {Object[]}
+     */
+    getClusters() {
+        return this._getClusters(this._getClusterZoom());
+    }
+
+    drawGeos() {
+        if (!this.isClustering()) {
+            delete this._clusterZoom;
+            delete this._animFrom;
+            super.drawGeos();
+            return;
+        }
+        this._getDisplayExtent();
+        this.prepareToDraw();
+
+        const zoom = this._getClusterZoom();
+        if (!isNil(this._clusterZoom) && this._clusterZoom !== zoom && this.layer.options['animation']) {
+            this._animFrom = {
+                'zoom' : this._clusterZoom,
+                'time' : now()
+            };
+        }
+        this._clusterZoom = zoom;
+
+        const clusters = this._getClusters(zoom);
+        if (this._animFrom) {
+            const t = (now() - this._animFrom['time']) / this.layer.options['animationDuration'];
+            if (t >= 1) {
+                delete this._animFrom;
+            } else {
+                this._drawAnimation(clusters, t * (2 - t));
+            }
+        }
+        if (!this._animFrom) {
+            for (let i = 0, l = clusters.length; i < l; i++) {
+                const cluster = clusters[i];
+                if (cluster['count'] === 1) {
+                    this.checkGeo(cluster['children'][0]);
+                } else {
+                    this.checkGeo(this._getClusterMarker(cluster, cluster['center']));
+                }
+            }
+        }
+        for (let i = 0, len = this._geosToDraw.length; i < len; i++) {
+            this._geosToDraw[i]._paint(this._displayExtent);
+        }
+    }
+
+    onGeometryAdd() {
+        this._clearClusters();
+        super.onGeometryAdd.apply(this, arguments);
+    }
+
+    onGeometryRemove() {
+        this._clearClusters();
+        super.onGeometryRemove.apply(this, arguments);
+    }
+
+    onGeometryPositionChange() {
+        this._clearClusters();
+        super.onGeometryPositionChange.apply(this, arguments);
+    }
+
+    onGeometryShow() {
+        this._clearClusters();
+        super.onGeometryShow.apply(this, arguments);
+    }
+
+    onGeometryHide() {
+        this._clearClusters();
+        super.onGeometryHide.apply(this, arguments);
+    }
+
+    onSpatialReferenceChange() {
+        this._clearClusters();
+        super.onSpatialReferenceChange.apply(this, arguments);
+    }
+
+    onClusterConfig(conf) {
+        if (conf['symbol'] || conf['textSymbol'] || !isNil(conf['drawClusterText'])) {
+            // symbol of clusters is changed, check resources again
+            delete this._resourceChecked;
+        }
+        this._clearClusters();
+        this.setToRedraw();
+    }
+
+    onRemove() {
+        this._clearClusters();
+        delete this._clusterZoom;
+        delete this._animFrom;
+        super.onRemove.apply(this, arguments);
+    }
+
+    /**
+     * Draw clusters moving from the clusters of the previous zoom when splitting,
+     * or the previous clusters moving to the current ones when merging.
+     * @param  {Object[]} clusters - clusters of current zoom
+     * @param  {Number} t - progress of the animation
+     * @private
+     */
+    _drawAnimation(clusters, t) {
+        const anim = this._animFrom,
+            fromClusters = this._getClusters(anim['zoom']),
+            split = anim['zoom'] < this._clusterZoom;
+        // split: clusters start from the center of their parents
+        // merge: previous clusters move to the center of their parents
+        const moving = split ? clusters : fromClusters;
+        if (!anim['parents']) {
+            anim['parents'] = indexClusters(split ? fromClusters : clusters);
+        }
+        for (let i = 0, l = moving.length; i < l; i++) {
+            const cluster = moving[i],
+                parent = anim['parents'][cluster['children'][0]._getInternalId()];
+            if (!parent || cluster['count'] === 1) {
+                // single markers are drawn when animation ends
+                continue;
+            }
+            const from = split ? parent['center'] : cluster['center'],
+                to = split ? cluster['center'] : parent['center'];
+            const coordinate = new Coordinate(from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t);
+            this.checkGeo(this._getClusterMarker(cluster, coordinate));
+        }
+    }
+
+    _getClusterZoom() {
+        return Math.round(this.getMap().getZoom());
+    }
+
+    _getClusters(zoom) {
+        if (!this._clusterCache[zoom]) {
+            this._clusterCache[zoom] = this._computeClusters(zoom);
+        }
+        return this._clusterCache[zoom];
+    }
+
+    /**
+     * Group visible markers by a grid on the given zoom
+     * @param  {Number} zoom - zoom to cluster
+     * @return {Object[]} clusters
+     * @private
+     */
+    _computeClusters(zoom) {
+        const map = this.getMap(),
+            size = this.layer.options['maxClusterRadius'],
+            grid = {},
+            clusters = [];
+        this.layer.forEach(marker => {
+            if (!marker.isVisible() || !marker.getCoordinates()) {
+                return;
+            }
+            const point = map._prjToPoint(marker._getPrjCoordinates(), zoom),
+                key = Math.floor(point.x / size) + '_' + Math.floor(point.y / size);
+            let cluster = grid[key];
+            if (!cluster) {
+                cluster = grid[key] = {
+                    'key' : key,
+                    'sum' : new Point(0, 0),
+                    'children' : []
+                };
+                clusters.push(cluster);
+            }
+            cluster['sum']._add(point);
+            cluster['children'].push(marker);
+        });
+        for (let i = 0, l = clusters.length; i < l; i++) {
+            const cluster = clusters[i],
+                count = cluster['children'].length;
+            cluster['count'] = count;
+            cluster['zoom'] = zoom;
+            cluster['center'] = map.pointToCoordinate(cluster['sum'].multi(1 / count), zoom);
+            delete cluster['sum'];
+        }
+        return clusters;
+    }
+
+    /**
+     * Get the zoom to split the cluster into smaller ones
+     * @param  {Object} cluster - cluster
+     * @return {Number} zoom
+     * @private
+     */
+    _getExpansionZoom(cluster) {
+        const map = this.getMap(),
+            maxClusterZoom = this.layer.options['maxClusterZoom'],
+            maxZoom = isNil(maxClusterZoom) ? map.getMaxZoom() : Math.min(maxClusterZoom + 1, map.getMaxZoom()),
+            id = cluster['children'][0]._getInternalId();
+        for (let z = cluster['zoom'] + 1; z < maxZoom; z++) {
+            const parent = indexClusters(this._getClusters(z))[id];
+            if (!parent || parent['count'] < cluster['count']) {
+                return z;
+            }
+        }
+        return maxZoom;
+    }
+
+    _getClusterMarker(cluster, coordinate) {
+        let marker = cluster['marker'];
+        if (!marker) {
+            marker = cluster['marker'] = new Marker(coordinate, {
+                'properties' : {
+                    'count' : cluster['count']
+                },
+                'symbol' : this._getClusterSymbol()
+            });
+            marker['_cluster'] = cluster;
+            marker._bindLayer(this.layer);
+            marker.on('click', this._onClusterClick, this);
+        } else if (!marker.getCoordinates().equals(coordinate)) {
+            marker.setCoordinates(coordinate);
+        }
+        return marker;
+    }
+
+    _getClusterSymbol() {
+        const options = this.layer.options;
+        const symbol = extend({}, defaultSymbol, options['symbol']);
+        if (!options['drawClusterText']) {
+            return symbol;
+        }
+        return [symbol, extend({}, defaultTextSymbol, options['textSymbol'])];
+    }
+
+    _onClusterClick(e) {
+        const map = this.getMap();
+        const cluster = e.target['_cluster'];
+        if (!map || !this.layer.options['zoomOnClick'] || !cluster) {
+            return;
+        }
+        map.animateTo({
+            'center' : cluster['center'],
+            'zoom' : this._getExpansionZoom(cluster)
+        });
+    }
+
+    _clearClusters() {
+        for (const z in this._clusterCache) {
+            const clusters = this._clusterCache[z];
+            for (let i = 0, l = clusters.length; i < l; i++) {
+                if (clusters[i]['marker']) {
+                    clusters[i]['marker'].off('click', this._onClusterClick, this);
+                }
+            }
+        }
+        this._clusterCache = {};
+    }
+}
+
+ClusterLayer.registerRenderer('canvas', ClusterLayerRenderer);
+
+export default ClusterLayerRenderer;
+
+// index the clusters by their markers' internal ids
+function indexClusters(clusters) {
+    const index = {};
+    for (let i = 0, l = clusters.length; i < l; i++) {
+        const children = clusters[i]['children'];
+        for (let ii = 0, ll = children.length; ii < ll; ii++) {
+            index[children[ii]._getInternalId()] = clusters[i];
+        }
+    }
+    return index;
+}
@@ -1,5 +1,12 @@
+import rbush from 'rbush';
+import { isNumber } from 'core/util';
 import { getExternalResources } from 'core/util/resource';
+import Point from 'geo/Point';
+import PointExtent from 'geo/PointExtent';
+import TextMarker from 'geometry/TextMarker';
 import VectorLayer from 'layer/VectorLayer';
+import CollectionPainter from 'renderer/geometry/CollectionPainter';
+import { PointSymbolizer, TextMarkerSymbolizer } from 'renderer/geometry/symbolizers';
 import OverlayLayerCanvasRenderer from './OverlayLayerCanvasRenderer';
 
 /**
@@ -98,16 +105,65 @@ class VectorLayerRenderer extends OverlayLayerCanvasRenderer {
         this.layer.forEach(fn, context);
     }
 
+    /**
+     * Iterate the geometries may be in the given 2d extent, queried from layer's spatial index if possible.
+     * @param  {PointExtent} extent2D - 2d extent of current zoom
+     * @param  {Function} fn      - callback function
+     * @param  {*} [context=null] - callback's context
+     */
+    forEachGeoInExtent(extent2D, fn, context) {
+        const geos = extent2D && this.layer._searchIndex2D ? this.layer._searchIndex2D(extent2D) : null;
+        if (!geos) {
+            this.forEachGeo(fn, context);
+            return;
+        }
+        for (let i = 0, l = geos.length; i < l; i++) {
+            fn.call(context, geos[i], i);
+        }
+    }
+
     drawGeos() {
         this._getDisplayExtent();
         this.prepareToDraw();
 
-        this.forEachGeo(this.checkGeo, this);
+        this.forEachGeoInExtent(this._displayExtent, this.checkGeo, this);
+        this._updateCollision();
         for (let i = 0, len = this._geosToDraw.length; i < len; i++) {
             this._geosToDraw[i]._paint(this._displayExtent);
         }
     }
 
+    /**
+     * Paint geometries in current view on the given context instead of layer's canvas, e.g. a SVGContext to export layer as SVG.
+     * Geometries are painted in container points.
+     * @param  {CanvasRenderingContext2D} ctx - context to paint on
+     */
+    paintOn(ctx) {
+        const map = this.getMap();
+        if (!map || !this.layer.isVisible() || this.layer.isEmpty()) {
+            return;
+        }
+        if (this._renderZoom !== map.getZoom() || !this._extent2D || !this._extent2D.equals(map._get2DExtent())) {
+            // layer is not drawn in current view yet
+            this.prepareRender();
+            this.setToRedraw();
+        }
+        this._getDisplayExtent();
+        if (!this._displayExtent) {
+            return;
+        }
+        this.prepareToDraw();
+        this.forEachGeoInExtent(this._displayExtent, this.checkGeo, this);
+        this._updateCollision();
+        const layerPoint = map._pointToContainerPoint(this._northWest);
+        ctx.save();
+        ctx.translate(layerPoint.x, layerPoint.y);
+        for (let i = 0, len = this._geosToDraw.length; i < len; i++) {
+            this._geosToDraw[i]._getPainter().paint(this._displayExtent, ctx);
+        }
+        ctx.restore();
+    }
+
     prepareToDraw() {
         this._hasPoint = false;
         this._geosToDraw = [];
@@ -115,7 +171,8 @@ class VectorLayerRenderer extends OverlayLayerCanvasRenderer {
 
     checkGeo(geo) {
         if (!geo || !geo.isVisible() || !geo.getMap() ||
-            !geo.getLayer() || (!geo.getLayer().isCanvasRender())) {
+            !geo.getLayer() || (!geo.getLayer().isCanvasRender()) || !this.layer._isInTimeRange(geo) ||
+            !this.layer._isInVisibleStyleRule(geo)) {
             return;
         }
         const painter = geo._getPainter(),
@@ -129,12 +186,25 @@ class VectorLayerRenderer extends OverlayLayerCanvasRenderer {
         this._geosToDraw.push(geo);
     }
 
+    getEvents() {
+        const events = super.getEvents();
+        events['_timechange'] = this.onTimeChange;
+        return events;
+    }
+
+    onTimeChange() {
+        if (this.layer.options['startTimeProperty'] || this.layer.options['endTimeProperty']) {
+            this.setToRedraw();
+        }
+    }
+
     onZoomEnd() {
         delete this._extent2D;
         super.onZoomEnd.apply(this, arguments);
     }
 
     onRemove() {
+        this._resetCollision();
         this.forEachGeo(function (g) {
             g.onHide();
         });
@@ -160,6 +230,54 @@ class VectorLayerRenderer extends OverlayLayerCanvasRenderer {
         this._displayExtent = extent2D;
     }
 
+    /**
+     * Detect collisions of texts and markers in screen space if layer's collision option is on. <br>
+     * Geometries are placed in order of priority, defined by symbol's collisionPriority or geometry's zIndex. <br>
+     * A marker colliding with placed ones is hidden with its texts,
+     * a text is moved to the first candidate position without collision defined by symbol's textCollisionCandidates, or hidden if there is none. <br>
+     * It runs when layer is drawn, not during map's zooming or rotating, so collisions are recomputed at zoom end and rotation end.
+     * @private
+     */
+    _updateCollision() {
+        this._resetCollision();
+        if (!this.layer.options['collision']) {
+            return;
+        }
+        const items = [];
+        for (let i = 0, len = this._geosToDraw.length; i < len; i++) {
+            const geo = this._geosToDraw[i];
+            const painters = getPainters(geo._getPainter());
+            for (let ii = 0; ii < painters.length; ii++) {
+                items.push({
+                    'geometry' : geo,
+                    'painter' : painters[ii],
+                    'priority' : getCollisionPriority(painters[ii], geo),
+                    'order' : items.length
+                });
+            }
+        }
+        // geometries drawn later are on top and placed first if priorities are the same
+        items.sort((a, b) => b['priority'] - a['priority'] || b['order'] - a['order']);
+        const index = rbush();
+        const collided = this._collidedSymbolizers = [];
+        const buffer = this.layer.options['collisionBuffer'] || 0;
+        for (let i = 0, len = items.length; i < len; i++) {
+            placePainter(items[i], index, buffer, this.resources, collided);
+        }
+    }
+
+    _resetCollision() {
+        const collided = this._collidedSymbolizers;
+        if (!collided) {
+            return;
+        }
+        for (let i = 0, len = collided.length; i < len; i++) {
+            delete collided[i]._collisionHidden;
+            delete collided[i]._collisionOffset;
+        }
+        delete this._collidedSymbolizers;
+    }
+
     identify(coordinate, options = {}) {
         const geometries = this._geosToDraw;
         if (!geometries) {
@@ -172,3 +290,159 @@ class VectorLayerRenderer extends OverlayLayerCanvasRenderer {
 VectorLayer.registerRenderer('canvas', VectorLayerRenderer);
 
 export default VectorLayerRenderer;
+
+function getPainters(painter) {
+    if (!painter) {
+        return [];
+    }
+    if (painter instanceof CollectionPainter) {
+        const painters = [];
+        painter._eachPainter(p => {
+            painters.push(p);
+        });
+        return painters;
+    }
+    return [painter];
+}
+
+function getCollisionPriority(painter, geo) {
+    let priority = null;
+    const symbolizers = painter.symbolizers || [];
+    for (let i = 0; i < symbolizers.length; i++) {
+        const p = symbolizers[i].symbol ? symbolizers[i].symbol['collisionPriority'] : null;
+        if (isNumber(p) && (priority === null || p > priority)) {
+            priority = p;
+        }
+    }
+    return priority === null ? geo.getZIndex() : priority;
+}
+
+/**
+ * Place the texts and markers of the painter, hide or move them if they collide with boxes placed before.
+ * Boxes of the same geometry don't collide with each other.
+ * @private
+ */
+function placePainter(item, index, buffer, resources, collided) {
+    const painter = item['painter'],
+        geo = item['geometry'],
+        symbolizers = painter.symbolizers || [];
+    const markers = [], texts = [];
+    for (let i = 0; i < symbolizers.length; i++) {
+        const symbolizer = symbolizers[i];
+        if (!(symbolizer instanceof PointSymbolizer) || symbolizer.symbol['ignoreCollision']) {
+            continue;
+        }
+        // only texts and markers placed at a single point, e.g. not the ones along lines
+        const points = symbolizer._getRenderPoints()[0];
+        if (!points || points.length !== 1) {
+            continue;
+        }
+        if (symbolizer instanceof TextMarkerSymbolizer) {
+            texts.push(symbolizer);
+        } else {
+            markers.push(symbolizer);
+        }
+    }
+    if (!markers.length && !texts.length) {
+        return;
+    }
+    const boxes = [];
+    let markerExtent = null;
+    for (let i = 0; i < markers.length; i++) {
+        const extent = markers[i].getMarkerExtent(resources);
+        const box = createBox(getAnchor(markers[i]), extent, buffer, geo);
+        if (collides(index, box)) {
+            // hide the marker with all its texts
+            const hidden = markers.concat(texts);
+            for (let ii = 0; ii < hidden.length; ii++) {
+                hidden[ii]._collisionHidden = true;
+                collided.push(hidden[ii]);
+            }
+            return;
+        }
+        boxes.push(box);
+        markerExtent = markerExtent ? markerExtent.combine(extent) : extent;
+    }
+    for (let i = 0; i < texts.length; i++) {
+        const text = texts[i],
+            extent = text.getMarkerExtent(),
+            anchor = getAnchor(text);
+        // texts of TextBox and Label are not moved out of their boxes
+        const candidates = !(geo instanceof TextMarker) && text.symbol['textCollisionCandidates'] || ['center'];
+        let placed = false;
+        for (let ii = 0; ii < candidates.length; ii++) {
+            const offset = getCandidateOffset(candidates[ii], extent, markerExtent);
+            const box = createBox(anchor.add(offset), extent, buffer, geo);
+            if (!collides(index, box)) {
+                if (offset.x || offset.y) {
+                    text._collisionOffset = offset;
+                    collided.push(text);
+                }
+                boxes.push(box);
+                placed = true;
+                break;
+            }
+        }
+        if (!placed) {
+            text._collisionHidden = true;
+            collided.push(text);
+        }
+    }
+    for (let i = 0; i < boxes.length; i++) {
+        index.insert(boxes[i]);
+    }
+}
+
+// container point of the render point without symbol's dx and dy
+function getAnchor(symbolizer) {
+    return symbolizer._getRenderContainerPoints()[0].sub(symbolizer.getDxDy());
+}
+
+function createBox(anchor, extent, buffer, geo) {
+    return {
+        'minX' : anchor.x + extent['xmin'] - buffer,
+        'minY' : anchor.y + extent['ymin'] - buffer,
+        'maxX' : anchor.x + extent['xmax'] + buffer,
+        'maxY' : anchor.y + extent['ymax'] + buffer,
+        'geometry' : geo
+    };
+}
+
+function collides(index, box) {
+    const hits = index.search(box);
+    for (let i = 0; i < hits.length; i++) {
+        if (hits[i]['geometry'] !== box['geometry']) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Offset of a text candidate position, relative to the markers of the same geometry, or to the render point if there is no marker.
+ * @param  {String|Number[]} candidate - center, top, right, bottom, left or [dx, dy]
+ * @param  {PointExtent} textExtent   - extent of the text relative to the render point
+ * @param  {PointExtent} markerExtent - extent of the markers relative to the render point
+ * @return {Point}
+ * @private
+ */
+function getCandidateOffset(candidate, textExtent, markerExtent) {
+    if (Array.isArray(candidate)) {
+        return new Point(candidate[0] || 0, candidate[1] || 0);
+    }
+    const marker = markerExtent || new PointExtent(0, 0, 0, 0);
+    const center = textExtent.getCenter(),
+        markerCenter = marker.getCenter();
+    switch (candidate) {
+    case 'top':
+        return new Point(markerCenter.x - center.x, marker['ymin'] - textExtent['ymax']);
+    case 'bottom':
+        return new Point(markerCenter.x - center.x, marker['ymax'] - textExtent['ymin']);
+    case 'left':
+        return new Point(marker['xmin'] - textExtent['xmax'], markerCenter.y - center.y);
+    case 'right':
+        return new Point(marker['xmax'] - textExtent['xmin'], markerCenter.y - center.y);
+    default:
+        return new Point(0, 0);
+    }
+}
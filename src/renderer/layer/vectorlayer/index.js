@@ -1,7 +1,9 @@
 import OverlayLayerCanvasRenderer from './OverlayLayerCanvasRenderer';
 import VectorLayerCanvasRenderer from './VectorLayerCanvasRenderer';
+import ClusterLayerCanvasRenderer from './ClusterLayerCanvasRenderer';
 
 export {
     OverlayLayerCanvasRenderer,
-    VectorLayerCanvasRenderer
+    VectorLayerCanvasRenderer,
+    ClusterLayerCanvasRenderer
 };
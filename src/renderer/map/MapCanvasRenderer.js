@@ -531,7 +531,7 @@ export default class MapCanvasRenderer extends MapRenderer {
 
     _drawLayerCanvasImage(layer, layerImage) {
         const ctx = this.context;
-        const point = layerImage['point'].multi(Browser.retina ? 2 : 1);
+        const point = layerImage['point'].multi(this.map.getDevicePixelRatio());
         const canvasImage = layerImage['image'];
         if (point.x + canvasImage.width <= 0 || point.y + canvasImage.height <= 0) {
             return;
@@ -622,7 +622,7 @@ export default class MapCanvasRenderer extends MapRenderer {
         const map = this.map,
             mapSize = map.getSize(),
             canvas = this.canvas,
-            r = Browser.retina ? 2 : 1;
+            r = map.getDevicePixelRatio();
         if (mapSize['width'] * r === canvas.width && mapSize['height'] * r === canvas.height) {
             return false;
         }
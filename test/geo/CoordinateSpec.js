@@ -102,8 +102,54 @@ describe('#Coordinate', function () {
         });
     });
 
+    describe('convert between WGS84, GCJ02 and BD09', function () {
+        // reference coordinates in Shanghai
+        var wgs84 = new maptalks.Coordinate(121.5272106, 31.1774276);
+        var gcj02 = new maptalks.Coordinate(121.531541859215, 31.17530398364597);
+
+        it('wgs84 to gcj02', function () {
+            var c = maptalks.Coordinate.convert(wgs84, 'WGS84', 'GCJ02');
+            expect(c.x).to.be.approx(gcj02.x, 1E-9);
+            expect(c.y).to.be.approx(gcj02.y, 1E-9);
+        });
+
+        it('gcj02 to wgs84', function () {
+            var c = maptalks.Coordinate.convert(gcj02, maptalks.CRS.GCJ02, maptalks.CRS.WGS84);
+            expect(c.x).to.be.approx(wgs84.x, 1E-8);
+            expect(c.y).to.be.approx(wgs84.y, 1E-8);
+        });
 
+        it('round trip through bd09', function () {
+            var bd09 = maptalks.Coordinate.convert(wgs84, 'WGS84', 'BD09');
+            expect(bd09.x).to.be.approx(121.5380157, 1E-6);
+            expect(bd09.y).to.be.approx(31.1813286, 1E-6);
+            var c = maptalks.Coordinate.convert(bd09, 'BD09LL', 'GCJ02');
+            expect(c.x).to.be.approx(gcj02.x, 1E-8);
+            expect(c.y).to.be.approx(gcj02.y, 1E-8);
+            c = maptalks.Coordinate.convert(bd09, 'BD09', 'EPSG:4326');
+            expect(c.x).to.be.approx(wgs84.x, 1E-8);
+            expect(c.y).to.be.approx(wgs84.y, 1E-8);
+        });
 
+        it('convert arrays of coordinates', function () {
+            var converted = maptalks.Coordinate.convert([wgs84, [wgs84.toArray()]], 'WGS84', 'GCJ02');
+            expect(converted[0]).to.be.a(maptalks.Coordinate);
+            expect(converted[1][0].x).to.be.approx(gcj02.x, 1E-9);
+            expect(converted[1][0].y).to.be.approx(gcj02.y, 1E-9);
+            var c = maptalks.Coordinate.convert(wgs84.toArray(), 'WGS84', 'GCJ02');
+            expect(c).to.be.a(maptalks.Coordinate);
+            expect(c.x).to.be.approx(gcj02.x, 1E-9);
+        });
 
-});
+        it('coordinates out of China are not offset', function () {
+            var c = new maptalks.Coordinate(2.35, 48.85);
+            expect(maptalks.Coordinate.convert(c, 'WGS84', 'GCJ02').toArray()).to.be.eql(c.toArray());
+        });
 
+        it('throw error with unsupported crs', function () {
+            expect(function () {
+                maptalks.Coordinate.convert(wgs84, 'WGS84', 'EPSG:3857');
+            }).to.throwException();
+        });
+    });
+});
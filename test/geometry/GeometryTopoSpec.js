@@ -0,0 +1,105 @@
+describe('#GeometryTopo', function () {
+    var square1 = [[[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]]];
+    var square2 = [[[1, 1], [3, 1], [3, 3], [1, 3], [1, 1]]];
+
+    describe('clipping', function () {
+        it('intersection', function () {
+            var polygon = new maptalks.Polygon(square1, { properties : { 'foo' : 1 }});
+            var result = polygon.intersection(new maptalks.Polygon(square2));
+            expect(result).to.be.a(maptalks.Polygon);
+            expect(result.getProperties()).to.be.eql({ 'foo' : 1 });
+            expect(result.getCoordinates()[0].map(function (c) { return c.toArray(); })).to.be.eql([[1, 1], [2, 1], [2, 2], [1, 2], [1, 1]]);
+        });
+
+        it('union', function () {
+            var polygon = new maptalks.Polygon(square1);
+            var result = polygon.union(new maptalks.Polygon(square2));
+            expect(result).to.be.a(maptalks.Polygon);
+            expect(result.getCoordinates()[0]).to.have.length(9);
+            var far = new maptalks.Polygon([[[10, 10], [11, 10], [11, 11], [10, 10]]]);
+            expect(polygon.union([far])).to.be.a(maptalks.MultiPolygon);
+        });
+
+        it('difference', function () {
+            var polygon = new maptalks.Polygon(square1);
+            var result = polygon.difference(new maptalks.Polygon(square2));
+            expect(result).to.be.a(maptalks.Polygon);
+            expect(result.getCoordinates()[0]).to.have.length(7);
+            expect(polygon.difference(new maptalks.Polygon(square1))).not.to.be.ok();
+        });
+
+        it('xor', function () {
+            var polygon = new maptalks.Polygon(square1);
+            var result = polygon.xor(new maptalks.Polygon(square2));
+            expect(result).to.be.a(maptalks.MultiPolygon);
+            expect(result.getGeometries()).to.have.length(2);
+        });
+
+        it('multipolygon and polygon shapes', function () {
+            var multiPolygon = new maptalks.MultiPolygon([square1, [[[10, 10], [11, 10], [11, 11], [10, 10]]]]);
+            var result = multiPolygon.intersection(new maptalks.Polygon(square2));
+            expect(result).to.be.a(maptalks.Polygon);
+            var circle = new maptalks.Circle([0, 0], 1000);
+            expect(circle.intersection(new maptalks.Polygon(square1))).to.be.a(maptalks.Polygon);
+        });
+
+        it('empty intersection', function () {
+            var polygon = new maptalks.Polygon(square1);
+            var far = new maptalks.Polygon([[[10, 10], [11, 10], [11, 11], [10, 10]]]);
+            expect(polygon.intersection(far)).not.to.be.ok();
+        });
+
+        it('throw exception with geometries other than polygons', function () {
+            var polygon = new maptalks.Polygon(square1);
+            var line = new maptalks.LineString([[0, 0], [1, 1]]);
+            expect(function () {
+                polygon.intersection(line);
+            }).to.throwException();
+            expect(function () {
+                line.union(polygon);
+            }).to.throwException();
+        });
+    });
+
+    describe('buffer', function () {
+        it('buffer a marker', function () {
+            var marker = new maptalks.Marker([120, 30], { properties : { 'foo' : 1 }});
+            var buffer = marker.buffer(1000);
+            expect(buffer).to.be.a(maptalks.Polygon);
+            expect(buffer.getProperties()).to.be.eql({ 'foo' : 1 });
+            expect(buffer.getArea()).to.be.approx(Math.PI * 1000 * 1000, Math.PI * 1000 * 1000 * 0.01);
+            expect(marker.buffer(0)).not.to.be.ok();
+        });
+
+        it('buffer a linestring', function () {
+            var line = new maptalks.LineString([[120, 30], [120.01, 30]]);
+            var buffer = line.buffer(100, { steps : 64 });
+            expect(buffer).to.be.a(maptalks.Polygon);
+            var expected = line.getLength() * 200 + Math.PI * 100 * 100;
+            expect(buffer.getArea()).to.be.approx(expected, expected * 0.01);
+        });
+
+        it('buffer and shrink a polygon', function () {
+            var polygon = new maptalks.Polygon([[[120, 30], [120.01, 30], [120.01, 30.01], [120, 30.01]]]);
+            var area = polygon.getArea(), length = polygon.getLength();
+            var expected = area + length * 100 + Math.PI * 100 * 100;
+            expect(polygon.buffer(100).getArea()).to.be.approx(expected, expected * 0.01);
+            var side = length / 4;
+            expected = (side - 200) * (side - 200);
+            expect(polygon.buffer(-100).getArea()).to.be.approx(expected, expected * 0.01);
+        });
+
+        it('buffer multi geometries', function () {
+            var multiPoint = new maptalks.MultiPoint([[120, 30], [120.1, 30]]);
+            expect(multiPoint.buffer(100)).to.be.a(maptalks.MultiPolygon);
+            expect(multiPoint.buffer(10000)).to.be.a(maptalks.Polygon);
+        });
+
+        it('throw exception with an invalid distance', function () {
+            var marker = new maptalks.Marker([120, 30]);
+            expect(function () {
+                marker.buffer('foo');
+            }).to.throwException();
+        });
+    });
+});
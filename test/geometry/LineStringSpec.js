@@ -213,6 +213,78 @@ describe('#LineString', function () {
         });
     });
 
+    describe('geodesic', function () {
+        var london = new maptalks.Coordinate(-0.1, 51.5),
+            tokyo = new maptalks.Coordinate(139.7, 35.7);
+
+        it('extent contains the great circle', function () {
+            var polyline = new maptalks.LineString([london, tokyo], { geodesic : true });
+            layer.addGeometry(polyline);
+            var extent = polyline.getExtent();
+            expect(extent['ymax']).to.be.above(70);
+            expect(extent['ymin']).to.be.approx(35.7);
+        });
+
+        it('containsPoint on the great circle', function () {
+            map.setCenterAndZoom([90, 60], 2);
+            var mid = map.getProjection().interpolate(london, tokyo, 0.5);
+            var geodesic = new maptalks.LineString([london, tokyo], { geodesic : true });
+            var straight = new maptalks.LineString([london, tokyo]);
+            layer.addGeometry(geodesic, straight);
+            var point = map.coordinateToContainerPoint(mid);
+            expect(geodesic.containsPoint(point)).to.be.ok();
+            expect(straight.containsPoint(point)).not.to.be.ok();
+        });
+
+        it('split at anti-meridian', function () {
+            var polyline = new maptalks.LineString([tokyo, [-122.4, 37.8]], { geodesic : true, antiMeridian : 'split' });
+            layer.addGeometry(polyline);
+            var parts = polyline._getPath2DPoints(polyline._getPrjCoordinates(), true);
+            expect(parts).to.have.length(2);
+            var end = map.pointToCoordinate(parts[0][parts[0].length - 1]),
+                start = map.pointToCoordinate(parts[1][0]);
+            expect(end.x).to.be.approx(180);
+            expect(start.x).to.be.approx(-180);
+            expect(end.y).to.be.approx(start.y);
+        });
+
+        it('markers and arrows are placed on vertexes', function () {
+            var polyline = new maptalks.LineString([london, tokyo], {
+                geodesic : true,
+                arrowStyle : 'classic',
+                arrowPlacement : 'point',
+                symbol : [
+                    { lineColor : '#000', lineWidth : 2 },
+                    { markerType : 'ellipse', markerPlacement : 'vertex', markerWidth : 10, markerHeight : 10 }
+                ]
+            });
+            layer.addGeometry(polyline);
+            var maxZoom = map.getMaxNativeZoom();
+            var vertexes = polyline._getRenderPoints('vertex')[0];
+            expect(vertexes).to.have.length(2);
+            expect(vertexes[0].equals(map.coordinateToPoint(london, maxZoom))).to.be.ok();
+            expect(vertexes[1].equals(map.coordinateToPoint(tokyo, maxZoom))).to.be.ok();
+            expect(polyline._getRenderPoints('line')[0]).to.have.length(1);
+            // stroked along the great circle, arrows on the vertexes
+            var params = polyline._getPaintParams();
+            expect(params[0].length).to.be.above(2);
+            expect(params[1]).to.have.length(2);
+            expect(polyline._getArrows(params[1], 3)).to.have.length(1);
+        });
+
+        it('new vertex handles on the great circle', function () {
+            var polyline = new maptalks.LineString([london, tokyo], { geodesic : true });
+            layer.addGeometry(polyline);
+            polyline.startEdit();
+            var mid = map.getProjection().interpolate(london, tokyo, 0.5);
+            var handles = polyline._editor._editStageLayer.getGeometries(function (geo) {
+                return geo.getCoordinates().equals && geo.getCoordinates().equals(mid);
+            });
+            expect(handles).to.have.length(1);
+            polyline.endEdit();
+        });
+    });
+
     describe('animateShow', function () {
         it('animateShow', function (done) {
             layer = new maptalks.VectorLayer('id2');
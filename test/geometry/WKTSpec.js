@@ -0,0 +1,76 @@
+describe('#WKT', function () {
+    var wkts = [
+        'POINT (30 10)',
+        'LINESTRING (30 10, 10 30, 40 40)',
+        'POLYGON ((35 10, 45 45, 15 40, 10 20, 35 10), (20 30, 35 35, 30 20, 20 30))',
+        'MULTIPOINT ((10 40), (40 30), (20 20), (30 10))',
+        'MULTILINESTRING ((10 10, 20 20, 10 40), (40 40, 30 30, 40 20, 30 10))',
+        'MULTIPOLYGON (((40 40, 20 45, 45 30, 40 40)), ((20 35, 10 30, 10 10, 30 5, 45 20, 20 35), (30 20, 20 15, 20 25, 30 20)))',
+        'GEOMETRYCOLLECTION (POINT (40 10), LINESTRING (10 10, 20 20, 10 40), POLYGON ((40 40, 20 45, 45 30, 40 40)))'
+    ];
+    var types = [maptalks.Marker, maptalks.LineString, maptalks.Polygon, maptalks.MultiPoint,
+        maptalks.MultiLineString, maptalks.MultiPolygon, maptalks.GeometryCollection];
+
+    describe('WKT', function () {
+        it('read and write geometries', function () {
+            for (var i = 0; i < wkts.length; i++) {
+                var geometry = maptalks.Geometry.fromWKT(wkts[i]);
+                expect(geometry).to.be.a(types[i]);
+                expect(geometry.toWKT()).to.be.eql(wkts[i]);
+            }
+            var polygon = maptalks.Geometry.fromWKT(wkts[2]);
+            expect(polygon.getHoles()).to.have.length(1);
+        });
+
+        it('read variants', function () {
+            expect(maptalks.Geometry.fromWKT('multipoint(10 40,40 30)').toWKT()).to.be.eql('MULTIPOINT ((10 40), (40 30))');
+            expect(maptalks.Geometry.fromWKT('POINT Z (1 2 3)').toWKT()).to.be.eql('POINT (1 2)');
+            expect(maptalks.Geometry.fromWKT('LINESTRING EMPTY').getCoordinates()).to.have.length(0);
+            expect(maptalks.Geometry.fromWKT('GEOMETRYCOLLECTION EMPTY').isEmpty()).to.be.ok();
+        });
+
+        it('read and write EWKT', function () {
+            var parsed = maptalks.WKT.parse('SRID=4326;POINT (30 10)');
+            expect(parsed.srid).to.be.eql(4326);
+            expect(parsed.geometry).to.be.eql({ type : 'Point', coordinates : [30, 10] });
+            expect(maptalks.Geometry.fromWKT('SRID=4326;POINT (30 10)').getCoordinates().toArray()).to.be.eql([30, 10]);
+            expect(new maptalks.Marker([30, 10]).toWKT({ srid : 3857 })).to.be.eql('SRID=3857;POINT (30 10)');
+        });
+
+        it('throw exception with invalid WKT', function () {
+            ['POINT (1)', 'CURVE (1 2, 3 4)', 'POINT (1 2', 'POINT (1 2) foo', null].forEach(function (wkt) {
+                expect(function () {
+                    maptalks.Geometry.fromWKT(wkt);
+                }).to.throwException();
+            });
+        });
+    });
+
+    describe('WKB', function () {
+        it('read and write geometries in hex and binary', function () {
+            for (var i = 0; i < wkts.length; i++) {
+                var geometry = maptalks.Geometry.fromWKT(wkts[i]);
+                var hex = maptalks.WKT.toWKB(geometry);
+                expect(hex).to.be.a('string');
+                expect(maptalks.WKT.fromWKB(hex).toWKT()).to.be.eql(wkts[i]);
+                var binary = maptalks.WKT.toWKB(geometry, { hex : false });
+                expect(binary).to.be.a(Uint8Array);
+                expect(maptalks.WKT.fromWKB(binary.buffer).toWKT()).to.be.eql(wkts[i]);
+            }
+            expect(maptalks.WKT.toWKB(new maptalks.Marker([1, 2]))).to.be.eql('0101000000000000000000F03F0000000000000040');
+        });
+
+        it('read and write EWKB', function () {
+            var hex = maptalks.WKT.toWKB(new maptalks.Marker([1, 2]), { srid : 4326 });
+            expect(hex).to.be.eql('0101000020E6100000000000000000F03F0000000000000040');
+            var parsed = maptalks.WKT.parseWKB(hex);
+            expect(parsed.srid).to.be.eql(4326);
+            expect(parsed.geometry).to.be.eql({ type : 'Point', coordinates : [1, 2] });
+        });
+
+        it('read big endian and ISO Z WKB', function () {
+            expect(maptalks.WKT.fromWKB('00000000013FF00000000000004000000000000000').toWKT()).to.be.eql('POINT (1 2)');
+            expect(maptalks.WKT.fromWKB('01E9030000000000000000F03F00000000000000400000000000000840').toWKT()).to.be.eql('POINT (1 2)');
+        });
+    });
+});
@@ -179,6 +179,70 @@ describe('#GeometryAnimation', function () {
         });
     });
 
+    describe('animate a marker along a path', function () {
+        var path = [[0, 0], [0.01, 0], [0.01, 0.01]];
+
+        it('move along the path with rotation', function (done) {
+            var marker = new maptalks.Marker([100, 0]);
+            var line = new maptalks.LineString(path);
+            var progress = [];
+            marker.on('animating', function (e) {
+                progress.push(e.progress);
+            });
+            marker.animateAlong(line, {
+                duration : animSpeed,
+                rotateWithPath : true
+            }, function (frame) {
+                if (frame.state.playState !== 'finished') {
+                    return;
+                }
+                expect(marker.getCoordinates().toArray()).to.be.eql([0.01, 0.01]);
+                expect(marker.getSymbol().markerRotation).to.be.approx(-90);
+                for (var i = 1; i < progress.length; i++) {
+                    expect(progress[i]).not.to.be.below(progress[i - 1]);
+                }
+                done();
+            });
+        });
+
+        it('compute duration by speed', function () {
+            var marker = new maptalks.Marker([0, 0]);
+            var line = new maptalks.LineString(path);
+            var player = marker.animateAlong(line, { speed : 1000 });
+            player.pause();
+            expect(player.duration).to.be.approx(line.getLength());
+        });
+
+        it('seek and reverse', function (done) {
+            var marker = new maptalks.Marker([0, 0]);
+            var player = marker.animateAlong(path, {
+                duration : animSpeed,
+                rotateWithPath : true
+            }, function (frame) {
+                if (frame.state.playState !== 'finished') {
+                    return;
+                }
+                expect(marker.getCoordinates().toArray()).to.be.eql([0, 0]);
+                expect(marker.getSymbol().markerRotation).to.be.approx(180);
+                done();
+            });
+            player.pause();
+            player.seek(animSpeed * 3 / 4);
+            expect(marker.getCoordinates().x).to.be.approx(0.01);
+            expect(marker.getCoordinates().y).to.be.approx(0.005, 1E-4);
+            player.reverse();
+            expect(player.isReversed()).to.be.ok();
+            player.play();
+        });
+
+        it('throw exception with an invalid path', function () {
+            var marker = new maptalks.Marker([0, 0]);
+            expect(function () {
+                marker.animateAlong([[0, 0]]);
+            }).to.throwException();
+        });
+    });
+
     describe('animate a geometry on a map', function () {
         var container;
         var map;
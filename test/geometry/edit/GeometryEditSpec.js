@@ -252,5 +252,124 @@ describe('#GeometryEdit', function () {
         });
     });
 
+    describe('undo and redo', function () {
+        it('undo and redo changing a polygon vertex', function () {
+            var rect = new maptalks.Rectangle(map.getCenter(), 1000, 500).addTo(layer);
+            var polygon = new maptalks.Polygon(rect.getShell()).addTo(layer);
+            var o = polygon.toGeoJSON();
+            var events = [];
+            polygon.on('editrecord undoedit redoedit', function (e) {
+                events.push(e.type);
+            });
+            polygon.startEdit();
+            var size = polygon.getSize();
+            dragGeometry(polygon, new maptalks.Point(size.width / 2, size.height / 2));
+            var changed = polygon.toGeoJSON();
+            expect(changed).not.to.be.eqlGeoJSON(o);
+            polygon.undoEdit();
+            expect(polygon.toGeoJSON()).to.be.eqlGeoJSON(o);
+            polygon.redoEdit();
+            expect(polygon.toGeoJSON()).to.be.eqlGeoJSON(changed);
+            // nothing more to redo
+            polygon.redoEdit();
+            expect(events).to.be.eql(['editrecord', 'undoedit', 'redoedit']);
+            polygon.endEdit();
+            expect(polygon.toGeoJSON()).to.be.eqlGeoJSON(changed);
+        });
+
+        it('undo resizing and dragging by center', function () {
+            var circle = new maptalks.Circle(map.getCenter(), 1000).addTo(layer);
+            var center = circle.getCenter();
+            circle.startEdit();
+            var size = circle.getSize();
+            dragGeometry(circle, new maptalks.Point(size.width / 2, 0));
+            expect(circle.getRadius()).not.to.be.eql(1000);
+            dragGeometry(circle);
+            expect(circle.getCenter()).not.to.be.closeTo(center);
+            circle.undoEdit();
+            expect(circle.getCenter()).to.be.closeTo(center);
+            expect(circle.getRadius()).not.to.be.eql(1000);
+            circle.undoEdit();
+            expect(circle.getRadius()).to.be.eql(1000);
+            expect(circle.isEditing()).to.be.ok();
+            circle.endEdit();
+        });
+
+        it('discard undone operations after a new edit', function () {
+            var circle = new maptalks.Circle(map.getCenter(), 1000).addTo(layer);
+            circle.startEdit();
+            var size = circle.getSize();
+            dragGeometry(circle, new maptalks.Point(size.width / 2, 0));
+            circle.undoEdit();
+            dragGeometry(circle);
+            expect(circle._editor.canRedo()).not.to.be.ok();
+            circle.undoEdit();
+            expect(circle.getRadius()).to.be.eql(1000);
+            expect(circle._editor.canUndo()).not.to.be.ok();
+            circle.endEdit();
+        });
+
+        it('history is cleared when editing ends', function () {
+            var circle = new maptalks.Circle(map.getCenter(), 1000).addTo(layer);
+            circle.startEdit();
+            var size = circle.getSize();
+            dragGeometry(circle, new maptalks.Point(size.width / 2, 0));
+            var radius = circle.getRadius();
+            circle.endEdit();
+            circle.startEdit();
+            circle.undoEdit();
+            expect(circle.getRadius()).to.be.eql(radius);
+            circle.endEdit();
+        });
+
+        it('keyboard shortcuts', function () {
+            var circle = new maptalks.Circle(map.getCenter(), 1000).addTo(layer);
+            circle.startEdit();
+            var size = circle.getSize();
+            dragGeometry(circle, new maptalks.Point(size.width / 2, 0));
+            var radius = circle.getRadius();
+            // disabled by default
+            happen.keydown(document, { keyCode : 90, ctrlKey : true });
+            expect(circle.getRadius()).to.be.eql(radius);
+            circle.endEdit();
+
+            circle.startEdit({ 'historyShortcuts' : true });
+            dragGeometry(circle, new maptalks.Point(circle.getSize().width / 2, 0));
+            var resized = circle.getRadius();
+            happen.keydown(document, { keyCode : 90, ctrlKey : true });
+            expect(circle.getRadius()).to.be.eql(radius);
+            happen.keydown(document, { keyCode : 89, ctrlKey : true });
+            expect(circle.getRadius()).to.be.eql(resized);
+            circle.endEdit();
+        });
+    });
 
+    describe('snap', function () {
+        it('snap a polygon vertex to a marker nearby', function () {
+            var rect = new maptalks.Rectangle(map.getCenter(), 1000, 500).addTo(layer);
+            var polygon = new maptalks.Polygon(rect.getShell()).addTo(layer);
+            var vertex = polygon.getShell()[2];
+            var target = map.containerPointToCoordinate(map.coordinateToContainerPoint(vertex).add(11, 11));
+            var marker = new maptalks.Marker(target);
+            new maptalks.VectorLayer('snap', marker).addTo(map);
+            polygon.startEdit({ 'snap' : { 'layers' : ['snap'], 'tolerance' : 10 }});
+            var size = polygon.getSize();
+            dragGeometry(polygon, new maptalks.Point(size.width / 2, size.height / 2));
+            expect(polygon.getShell()[2]).to.be.closeTo(target);
+            polygon.endEdit();
+        });
+
+        it('snap to nothing out of tolerance', function () {
+            var rect = new maptalks.Rectangle(map.getCenter(), 1000, 500).addTo(layer);
+            var polygon = new maptalks.Polygon(rect.getShell()).addTo(layer);
+            var vertex = polygon.getShell()[2];
+            var target = map.containerPointToCoordinate(map.coordinateToContainerPoint(vertex).add(30, 30));
+            new maptalks.VectorLayer('snap', new maptalks.Marker(target)).addTo(map);
+            polygon.startEdit({ 'snap' : { 'layers' : ['snap'], 'tolerance' : 10 }});
+            var size = polygon.getSize();
+            dragGeometry(polygon, new maptalks.Point(size.width / 2, size.height / 2));
+            expect(polygon.getShell()[2]).not.to.be.closeTo(target);
+            polygon.endEdit();
+        });
+    });
 });
@@ -199,5 +199,69 @@ describe('PointSymbolSpec', function () {
         });
     });
 
+    describe('text along line', function () {
+        function createLine(from, to, symbol) {
+            var p = map.coordinateToContainerPoint(map.getCenter());
+            return new maptalks.LineString([
+                map.containerPointToCoordinate(p.add(from, 0)),
+                map.containerPointToCoordinate(p.add(to, 0))
+            ], {
+                'symbol' : maptalks.Util.extend({
+                    'lineOpacity' : 0,
+                    'textName' : 'ROAD',
+                    'textSize' : 20,
+                    'textHaloFill' : '#f00',
+                    'textHaloRadius' : 4,
+                    'textPlacement' : 'line'
+                }, symbol)
+            });
+        }
+
+        it('lay text along line', function () {
+            var v = new maptalks.VectorLayer('v', { 'drawImmediate' : true, 'enableSimplify':false }).addTo(map);
+            v.addGeometry(createLine(-100, 100));
+            expect(v).to.be.painted(0, 0);
+            expect(v).not.to.be.painted(0, -40);
+            expect(v).not.to.be.painted(-80, 0);
+        });
+
+        it('keep text upright', function () {
+            var v = new maptalks.VectorLayer('v', { 'drawImmediate' : true, 'enableSimplify':false }).addTo(map);
+            var rotate = CanvasRenderingContext2D.prototype.rotate;
+            var angles = [];
+            CanvasRenderingContext2D.prototype.rotate = function (angle) {
+                angles.push(angle);
+                return rotate.apply(this, arguments);
+            };
+            try {
+                // a line from right to left
+                v.addGeometry(createLine(100, -100));
+            } finally {
+                CanvasRenderingContext2D.prototype.rotate = rotate;
+            }
+            expect(v).to.be.painted(0, 0);
+            expect(v).not.to.be.painted(0, -40);
+            // glyphs are rotated by PI along the line, and turned by another PI to be upright
+            expect(angles.length).to.be.above(3);
+            for (var i = 0; i < angles.length; i++) {
+                expect(Math.cos(angles[i])).to.be.approx(1, 1E-6);
+            }
+        });
+
+        it('repeat text with spacing', function () {
+            var v = new maptalks.VectorLayer('v', { 'drawImmediate' : true, 'enableSimplify':false }).addTo(map);
+            v.addGeometry(createLine(-300, 300, { 'textSpacing' : 200 }));
+            expect(v).to.be.painted(-200, 0);
+            expect(v).to.be.painted(0, 0);
+            expect(v).to.be.painted(200, 0);
+            expect(v).not.to.be.painted(-100, 0);
+        });
+
+        it('drop text longer than line', function () {
+            var v = new maptalks.VectorLayer('v', { 'drawImmediate' : true, 'enableSimplify':false }).addTo(map);
+            v.addGeometry(createLine(-10, 10));
+            expect(v).not.to.be.painted(0, 0);
+        });
+    });
 
 });
@@ -0,0 +1,138 @@
+describe('ClusterLayer', function () {
+
+    var container;
+    var map;
+    var center = new maptalks.Coordinate(118.846825, 32.046534);
+
+    function genMarkers(count) {
+        var markers = [];
+        for (var i = 0; i < count; i++) {
+            markers.push(new maptalks.Marker(center.add((i % 10 - 5) * 0.001, (Math.floor(i / 10) - 5) * 0.001), {
+                properties : { 'idx' : i }
+            }));
+        }
+        return markers;
+    }
+
+    beforeEach(function () {
+        container = document.createElement('div');
+        container.style.width = '800px';
+        container.style.height = '600px';
+        document.body.appendChild(container);
+        var option = {
+            zoom: 14,
+            center: center
+        };
+        map = new maptalks.Map(container, option);
+    });
+
+    afterEach(function () {
+        map.remove();
+        REMOVE_CONTAINER(container);
+    });
+
+    it('only markers can be added', function () {
+        var layer = new maptalks.ClusterLayer('c');
+        expect(function () {
+            layer.addGeometry(new maptalks.Circle(center, 100));
+        }).to.throwException();
+        layer.addGeometry(new maptalks.Marker(center));
+        expect(layer.getCount()).to.be.eql(1);
+    });
+
+    it('cluster markers', function (done) {
+        var layer = new maptalks.ClusterLayer('c', genMarkers(100));
+        layer.once('layerload', function () {
+            expect(layer).to.be.painted();
+            var clusters = layer.getClusters();
+            expect(clusters.length).to.be.within(1, 99);
+            var count = 0;
+            clusters.forEach(function (c) {
+                count += c.count;
+                expect(c.children.length).to.be.eql(c.count);
+            });
+            expect(count).to.be.eql(100);
+            done();
+        });
+        map.addLayer(layer);
+    });
+
+    it('clusters split when zooming in', function (done) {
+        var layer = new maptalks.ClusterLayer('c', genMarkers(100), { animation : false });
+        layer.once('layerload', function () {
+            var count = layer.getClusters().length;
+            map.setZoom(map.getZoom() + 3, { animation : false });
+            expect(layer.getClusters().length).to.be.above(count);
+            done();
+        });
+        map.addLayer(layer);
+    });
+
+    it('no clusters when zoom is greater than maxClusterZoom', function (done) {
+        var layer = new maptalks.ClusterLayer('c', genMarkers(100), { maxClusterZoom : 13 });
+        layer.once('layerload', function () {
+            expect(layer.getClusters()).not.to.be.ok();
+            var geos = layer.identify(center);
+            expect(geos.length).to.be.above(0);
+            expect(layer.isCluster(geos[0])).not.to.be.ok();
+            done();
+        });
+        map.addLayer(layer);
+    });
+
+    it('identify clusters', function (done) {
+        var layer = new maptalks.ClusterLayer('c', genMarkers(100));
+        layer.once('layerload', function () {
+            var cluster = layer.getClusters().sort(function (a, b) {
+                return b.count - a.count;
+            })[0];
+            var geos = layer.identify(cluster.center);
+            expect(geos.length).to.be.eql(1);
+            expect(layer.isCluster(geos[0])).to.be.ok();
+            expect(geos[0].getProperties().count).to.be.eql(cluster.count);
+            done();
+        });
+        map.addLayer(layer);
+    });
+
+    it('zoom in when clicking a cluster', function (done) {
+        var layer = new maptalks.ClusterLayer('c', genMarkers(100));
+        var zoom = map.getZoom();
+        layer.once('layerload', function () {
+            var cluster = layer.getClusters().sort(function (a, b) {
+                return b.count - a.count;
+            })[0];
+            map.once('zoomend', function () {
+                expect(map.getZoom()).to.be.above(zoom);
+                done();
+            });
+            layer.identify(cluster.center)[0].fire('click');
+        });
+        map.addLayer(layer);
+    });
+
+    it('update clusters when markers are removed', function (done) {
+        var markers = genMarkers(100);
+        var layer = new maptalks.ClusterLayer('c', markers);
+        layer.once('layerload', function () {
+            layer.removeGeometry(markers.slice(0, 50));
+            var count = 0;
+            layer.getClusters().forEach(function (c) {
+                count += c.count;
+            });
+            expect(count).to.be.eql(50);
+            done();
+        });
+        map.addLayer(layer);
+    });
+
+    it('json', function () {
+        var layer = new maptalks.ClusterLayer('c', genMarkers(10), { maxClusterRadius : 100 });
+        var json = layer.toJSON();
+        expect(json.type).to.be.eql('ClusterLayer');
+        var copy = maptalks.Layer.fromJSON(json);
+        expect(copy).to.be.a(maptalks.ClusterLayer);
+        expect(copy.getCount()).to.be.eql(10);
+        expect(copy.options.maxClusterRadius).to.be.eql(100);
+    });
+});
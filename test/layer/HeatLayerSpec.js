@@ -0,0 +1,85 @@
+describe('HeatLayer', function () {
+
+    var container;
+    var map;
+    var center = new maptalks.Coordinate(118.846825, 32.046534);
+
+    beforeEach(function () {
+        container = document.createElement('div');
+        container.style.width = '400px';
+        container.style.height = '300px';
+        document.body.appendChild(container);
+        var option = {
+            zoom: 17,
+            center: center
+        };
+        map = new maptalks.Map(container, option);
+    });
+
+    afterEach(function () {
+        map.remove();
+        REMOVE_CONTAINER(container);
+    });
+
+    it('draw heat data', function (done) {
+        var layer = new maptalks.HeatLayer('heat', [[center.x, center.y, 1]]);
+        layer.once('layerload', function () {
+            expect(layer).to.be.painted();
+            expect(layer).not.to.be.painted(150, 0);
+            done();
+        });
+        map.addLayer(layer);
+    });
+
+    it('add points', function (done) {
+        var layer = new maptalks.HeatLayer('heat');
+        expect(layer.isEmpty()).to.be.ok();
+        layer.addPoint([center.x, center.y, 0.5]);
+        layer.addPoint([center.add(0.001, 0), center.add(0.002, 0).toArray()]);
+        expect(layer.getData().length).to.be.eql(3);
+        layer.once('layerload', function () {
+            expect(layer).to.be.painted();
+            layer.addPoint([center.x, center.y + 0.0005]);
+            expect(layer.getData().length).to.be.eql(4);
+            done();
+        });
+        map.addLayer(layer);
+    });
+
+    it('set data', function (done) {
+        var layer = new maptalks.HeatLayer('heat', [[center.x, center.y, 1]]);
+        layer.once('layerload', function () {
+            expect(layer).to.be.painted();
+            layer.once('layerload', function () {
+                expect(layer.isEmpty()).to.be.ok();
+                expect(layer).not.to.be.painted();
+                done();
+            });
+            layer.setData([]);
+        });
+        map.addLayer(layer);
+    });
+
+    it('redraw when map is pitched', function (done) {
+        var layer = new maptalks.HeatLayer('heat', [[center.x, center.y, 1]]);
+        layer.once('layerload', function () {
+            layer.once('layerload', function () {
+                expect(layer).to.be.painted();
+                done();
+            });
+            map.setPitch(60);
+        });
+        map.addLayer(layer);
+    });
+
+    it('json', function () {
+        var layer = new maptalks.HeatLayer('heat', [[center.x, center.y, 1], center], { radius : 10 });
+        var json = layer.toJSON();
+        expect(json.type).to.be.eql('HeatLayer');
+        expect(json.data).to.be.eql([[center.x, center.y, 1], center.toArray()]);
+        var copy = maptalks.Layer.fromJSON(json);
+        expect(copy).to.be.a(maptalks.HeatLayer);
+        expect(copy.getData().length).to.be.eql(2);
+        expect(copy.options.radius).to.be.eql(10);
+    });
+});
@@ -0,0 +1,99 @@
+describe('ImageLayer', function () {
+
+    var container;
+    var map;
+    var center = new maptalks.Coordinate(118.846825, 32.046534);
+    var extent = [center.x - 0.001, center.y - 0.001, center.x + 0.001, center.y + 0.001];
+
+    beforeEach(function () {
+        container = document.createElement('div');
+        container.style.width = '400px';
+        container.style.height = '300px';
+        document.body.appendChild(container);
+        var option = {
+            zoom: 17,
+            center: center
+        };
+        map = new maptalks.Map(container, option);
+    });
+
+    afterEach(function () {
+        map.remove();
+        REMOVE_CONTAINER(container);
+    });
+
+    it('draw image by extent', function (done) {
+        var layer = new maptalks.ImageLayer('image', [{
+            url : '/resources/tile.png',
+            extent : extent
+        }]);
+        layer.once('layerload', function () {
+            expect(layer).to.be.painted();
+            expect(layer).not.to.be.painted(190, 0);
+            done();
+        });
+        map.addLayer(layer);
+    });
+
+    it('draw image by corners with bearing and pitch', function (done) {
+        map.setBearing(30);
+        map.setPitch(40);
+        var layer = new maptalks.ImageLayer('image', [{
+            url : '/resources/tile.png',
+            coordinates : [
+                [center.x - 0.001, center.y + 0.001],
+                [center.x + 0.0012, center.y + 0.0008],
+                [center.x + 0.001, center.y - 0.001],
+                [center.x - 0.001, center.y - 0.0012]
+            ]
+        }]);
+        layer.once('layerload', function () {
+            expect(layer).to.be.painted();
+            expect(layer).not.to.be.painted(-190, -140);
+            done();
+        });
+        map.addLayer(layer);
+    });
+
+    it('set and add images', function (done) {
+        var layer = new maptalks.ImageLayer('image', { crossOrigin : 'anonymous' });
+        expect(layer.isEmpty()).to.be.ok();
+        layer.addImage({ url : '/resources/tile.png', extent : extent, opacity : 0.5 });
+        expect(layer.getImages().length).to.be.eql(1);
+        expect(layer.getExtent().toJSON()).to.be.eql(new maptalks.Extent(extent).toJSON());
+        layer.once('layerload', function () {
+            expect(layer).to.be.painted();
+            layer.once('layerload', function () {
+                expect(layer).not.to.be.painted();
+                done();
+            });
+            layer.clear();
+        });
+        map.addLayer(layer);
+    });
+
+    it('throw exception with invalid images', function () {
+        expect(function () {
+            new maptalks.ImageLayer('image', [{ url : '/resources/tile.png' }]);
+        }).to.throwException();
+        expect(function () {
+            new maptalks.ImageLayer('image', [{ url : '/resources/tile.png', coordinates : [[0, 0], [1, 1]] }]);
+        }).to.throwException();
+    });
+
+    it('toJSON and fromJSON', function () {
+        var layer = new maptalks.ImageLayer('image', [
+            { url : '/resources/tile.png', extent : new maptalks.Extent(extent), opacity : 0.5 },
+            { url : '/resources/tile.png', coordinates : [center.add(-0.001, 0.001), center.add(0.001, 0.001), center.add(0.001, -0.001), center.add(-0.001, -0.001)] }
+        ], { crossOrigin : 'anonymous' });
+        var json = layer.toJSON();
+        expect(json.type).to.be.eql('ImageLayer');
+        expect(json.images[0].extent).to.be.eql(new maptalks.Extent(extent).toJSON());
+        expect(json.images[1].coordinates[0]).to.be.eql(center.add(-0.001, 0.001).toArray());
+        var copy = maptalks.Layer.fromJSON(json);
+        expect(copy).to.be.a(maptalks.ImageLayer);
+        expect(copy.getId()).to.be.eql('image');
+        expect(copy.options['crossOrigin']).to.be.eql('anonymous');
+        expect(copy.toJSON()).to.be.eql(json);
+    });
+});
@@ -503,4 +503,81 @@ describe('#OverlayLayer', function () {
         });
     });
 
+
+    describe('spatial index', function () {
+
+        it('getGeometriesInExtent', function () {
+            var layer = new maptalks.VectorLayer('id').addTo(map);
+            var marker1 = new maptalks.Marker(center, { id : 'm1' });
+            var marker2 = new maptalks.Marker(center.add(1, 1), { id : 'm2' });
+            var line = new maptalks.LineString([center.add(-1, -1), center.add(-0.5, -0.5)], { id : 'l1' });
+            layer.addGeometry([marker1, marker2, line]);
+            var extent = new maptalks.Extent(center.add(-0.1, -0.1), center.add(0.1, 0.1));
+            var geos = layer.getGeometriesInExtent(extent);
+            expect(geos).to.have.length(1);
+            expect(geos[0]).to.be(marker1);
+
+            geos = layer.getGeometriesInExtent(new maptalks.Extent(center.add(-2, -2), center.add(2, 2)));
+            expect(geos).to.have.length(3);
+        });
+
+        it('getGeometriesInExtent without map', function () {
+            var layer = new maptalks.VectorLayer('id');
+            var marker1 = new maptalks.Marker(center);
+            var marker2 = new maptalks.Marker(center.add(1, 1));
+            layer.addGeometry([marker1, marker2]);
+            var geos = layer.getGeometriesInExtent(new maptalks.Extent(center.add(-0.1, -0.1), center.add(0.1, 0.1)));
+            expect(geos).to.have.length(1);
+            expect(geos[0]).to.be(marker1);
+        });
+
+        it('index is updated when geometry changes', function () {
+            var layer = new maptalks.VectorLayer('id').addTo(map);
+            var marker = new maptalks.Marker(center);
+            layer.addGeometry(marker);
+            var extent = new maptalks.Extent(center.add(0.9, 0.9), center.add(1.1, 1.1));
+            expect(layer.getGeometriesInExtent(extent)).to.be.empty();
+            marker.setCoordinates(center.add(1, 1));
+            expect(layer.getGeometriesInExtent(extent)).to.have.length(1);
+            marker.remove();
+            expect(layer.getGeometriesInExtent(extent)).to.be.empty();
+            layer.addGeometry(new maptalks.Marker(center.add(1, 1)));
+            expect(layer.getGeometriesInExtent(extent)).to.have.length(1);
+            layer.clear();
+            expect(layer.getGeometriesInExtent(extent)).to.be.empty();
+        });
+
+        it('identify with index in the order of zIndex', function () {
+            var layer = new maptalks.VectorLayer('id').addTo(map);
+            var marker1 = new maptalks.Marker(center, { zIndex : 2 });
+            var marker2 = new maptalks.Marker(center, { zIndex : 1 });
+            var far = new maptalks.Marker(center.add(1, 1));
+            layer.addGeometry([marker1, marker2, far]);
+            var hits = layer.identify(center);
+            expect(hits).to.have.length(2);
+            expect(hits[0]).to.be(marker1);
+            expect(hits[1]).to.be(marker2);
+
+            marker1.setCoordinates(center.add(1, 1));
+            hits = layer.identify(center);
+            expect(hits).to.have.length(1);
+            expect(hits[0]).to.be(marker2);
+        });
+
+        it('identify markers with large symbols', function () {
+            var layer = new maptalks.VectorLayer('id').addTo(map);
+            var marker = new maptalks.Marker(center, {
+                symbol : {
+                    'markerType' : 'ellipse',
+                    'markerWidth' : 100,
+                    'markerHeight' : 100,
+                    'markerDx' : 60
+                }
+            });
+            layer.addGeometry(marker);
+            var coordinate = map.containerPointToCoordinate(map.coordinateToContainerPoint(center).add(100, -10));
+            expect(layer.identify(coordinate)).to.have.length(1);
+        });
+    });
+
 });
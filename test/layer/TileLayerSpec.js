@@ -304,4 +304,180 @@ describe('#TileLayer', function () {
         });
     });
 
+    describe('retry and fallback', function () {
+        it('retry failed tiles and fire stats', function (done) {
+            var tile = new maptalks.TileLayer('tile', {
+                urlTemplate : '/resources/not-exist.png',
+                renderer : 'canvas',
+                tileRetries : 2,
+                tileRetryDelay : 10
+            });
+            var retries = 0, errors = 0;
+            tile.on('tileretry', function (e) {
+                retries++;
+                expect(e.retries).to.be.within(1, 2);
+            });
+            tile.on('tileerror', function () {
+                errors++;
+            });
+            tile.once('tilestats', function (e) {
+                expect(e.loaded).to.be.eql(0);
+                expect(e.errors).to.be.eql(errors);
+                expect(e.retries).to.be.eql(retries);
+                expect(retries).to.be.eql(errors * 2);
+                done();
+            });
+            map.addLayer(tile);
+        });
+
+        it('count tiles loaded after stats are fired', function (done) {
+            var tile = new maptalks.TileLayer('tile', {
+                urlTemplate : '/resources/tile.png',
+                renderer : 'canvas'
+            });
+            tile.once('layerload', function () {
+                var loader = tile._getRenderer()._tileLoader;
+                loader.load(new Image(), { url : '/resources/tile.png?stats' }, function (err) {
+                    expect(err).not.to.be.ok();
+                    expect(loader._stats.loaded).to.be.eql(1);
+                    done();
+                });
+                // stats are reset before the tile is loaded
+                loader._resetStats();
+            });
+            map.addLayer(tile);
+        });
+
+        it('draw parent tiles for failed tiles', function (done) {
+            var tile = new maptalks.TileLayer('tile', {
+                urlTemplate : '/resources/tile.png',
+                renderer : 'canvas'
+            });
+            tile.once('layerload', function () {
+                expect(tile).to.be.painted();
+                tile.config('urlTemplate', '/resources/not-exist.png');
+                tile.once('layerload', function () {
+                    expect(tile).to.be.painted();
+                    done();
+                });
+                map.setZoom(map.getZoom() + 1, { animation : false });
+            });
+            map.addLayer(tile);
+        });
+
+        it('not draw parent tiles if parentTileFallback is false', function (done) {
+            var tile = new maptalks.TileLayer('tile', {
+                urlTemplate : '/resources/tile.png',
+                renderer : 'canvas',
+                parentTileFallback : false
+            });
+            tile.once('layerload', function () {
+                tile.config('urlTemplate', '/resources/not-exist.png');
+                tile.once('layerload', function () {
+                    expect(tile).not.to.be.painted();
+                    done();
+                });
+                map.setZoom(map.getZoom() + 1, { animation : false });
+            });
+            map.addLayer(tile);
+        });
+
+        describe('dom renderer', function () {
+            function getParentTiles(tile) {
+                var tiles = tile._getRenderer()._tiles, parents = [];
+                for (var p in tiles) {
+                    if (tiles[p].parentEl) {
+                        parents.push(tiles[p].parentEl);
+                    }
+                }
+                return parents;
+            }
+
+            it('retry failed tiles and fire stats', function (done) {
+                var tile = new maptalks.TileLayer('tile', {
+                    urlTemplate : '/resources/not-exist.png',
+                    renderer : 'dom',
+                    tileRetries : 2,
+                    tileRetryDelay : 10
+                });
+                var retries = 0, errors = 0;
+                tile.on('tileretry', function () {
+                    retries++;
+                });
+                tile.on('tileerror', function () {
+                    errors++;
+                });
+                tile.once('tilestats', function (e) {
+                    expect(e.loaded).to.be.eql(0);
+                    expect(e.errors).to.be.above(0);
+                    expect(e.errors).to.be.eql(errors);
+                    expect(retries).to.be.eql(errors * 2);
+                    done();
+                });
+                map.addLayer(tile);
+            });
+
+            it('display parent tiles for failed tiles', function (done) {
+                var tile = new maptalks.TileLayer('tile', {
+                    urlTemplate : '/resources/tile.png',
+                    renderer : 'dom'
+                });
+                tile.once('layerload', function () {
+                    expect(getParentTiles(tile)).to.be.empty();
+                    tile.config('urlTemplate', '/resources/not-exist.png');
+                    tile.once('layerload', function () {
+                        var parents = getParentTiles(tile);
+                        expect(parents).not.to.be.empty();
+                        expect(parents[0].firstChild.src).to.contain('/resources/tile.png');
+                        done();
+                    });
+                    map.setZoom(map.getZoom() + 1, { animation : false });
+                });
+                map.addLayer(tile);
+            });
+
+            it('not display parent tiles if parentTileFallback is false', function (done) {
+                var tile = new maptalks.TileLayer('tile', {
+                    urlTemplate : '/resources/tile.png',
+                    renderer : 'dom',
+                    parentTileFallback : false
+                });
+                tile.once('layerload', function () {
+                    tile.config('urlTemplate', '/resources/not-exist.png');
+                    tile.once('layerload', function () {
+                        expect(getParentTiles(tile)).to.be.empty();
+                        done();
+                    });
+                    map.setZoom(map.getZoom() + 1, { animation : false });
+                });
+                map.addLayer(tile);
+            });
+
+            it('load parent tiles from tile store', function (done) {
+                var store = new maptalks.MemoryTileStore();
+                var tile = new maptalks.TileLayer('tile', {
+                    urlTemplate : '/resources/not-exist.png?z={z}',
+                    renderer : 'dom',
+                    tileStore : store
+                });
+                maptalks.Ajax.getArrayBuffer('/resources/tile.png', function (err, data) {
+                    expect(err).not.to.be.ok();
+                    // only tiles of current zoom are stored, parent tiles can't be loaded from the network
+                    store.put('/resources/not-exist.png?z=' + map.getZoom(), data, function () {
+                        tile.once('layerload', function () {
+                            tile.once('layerload', function () {
+                                var parents = getParentTiles(tile);
+                                expect(parents).not.to.be.empty();
+                                expect(parents[0].firstChild.src.indexOf('blob:')).to.be.eql(0);
+                                done();
+                            });
+                            map.setZoom(map.getZoom() + 1, { animation : false });
+                        });
+                        map.addLayer(tile);
+                    });
+                });
+            });
+        });
+    });
+
 });
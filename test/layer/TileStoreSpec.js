@@ -0,0 +1,289 @@
+describe('#TileStore', function () {
+
+    var container;
+    var map;
+    var center = new maptalks.Coordinate(118.846825, 32.046534);
+
+    beforeEach(function () {
+        container = document.createElement('div');
+        container.style.width = '300px';
+        container.style.height = '300px';
+        document.body.appendChild(container);
+        var option = {
+            zoom: 17,
+            center: center
+        };
+        map = new maptalks.Map(container, option);
+    });
+
+    afterEach(function () {
+        map.remove();
+        REMOVE_CONTAINER(container);
+    });
+
+    describe('MemoryTileStore', function () {
+        it('put, get and remove', function (done) {
+            var store = new maptalks.MemoryTileStore();
+            store.put('a', new ArrayBuffer(10), function (err, record) {
+                expect(err).not.to.be.ok();
+                expect(record.size).to.be.eql(10);
+                store.get('a', function (err, record) {
+                    expect(err).not.to.be.ok();
+                    expect(record.data.byteLength).to.be.eql(10);
+                    store.remove('a', function () {
+                        store.get('a', function (err, record) {
+                            expect(err).not.to.be.ok();
+                            expect(record).to.be.eql(null);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+
+        it('evict oldest tiles exceeding maxSize', function (done) {
+            var store = new maptalks.MemoryTileStore({ maxSize : 25 });
+            store.put('a', new ArrayBuffer(10));
+            store.put('b', new ArrayBuffer(10));
+            store.put('c', new ArrayBuffer(10), function () {
+                store.getStats(function (err, stats) {
+                    expect(err).not.to.be.ok();
+                    expect(stats).to.be.eql({ count : 2, size : 20 });
+                    store.get('a', function (err, record) {
+                        expect(err).not.to.be.ok();
+                        expect(record).to.be.eql(null);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('expire tiles by maxAge', function (done) {
+            var store = new maptalks.MemoryTileStore({ maxAge : 1 });
+            store.put('a', new ArrayBuffer(10), function () {
+                setTimeout(function () {
+                    store.get('a', function (err, record) {
+                        expect(err).not.to.be.ok();
+                        expect(record).to.be.eql(null);
+                        done();
+                    });
+                }, 10);
+            });
+        });
+    });
+
+    describe('IndexedDBTileStore', function () {
+        var dbName = 'maptalks-test-tiles';
+        var store, store2;
+
+        afterEach(function (done) {
+            store.close();
+            if (store2) {
+                store2.close();
+                store2 = null;
+            }
+            var request = indexedDB.deleteDatabase(dbName);
+            request.onsuccess = request.onerror = function () {
+                done();
+            };
+        });
+
+        it('put, get and remove', function (done) {
+            store = new maptalks.IndexedDBTileStore({ dbName : dbName });
+            store.put('a', new ArrayBuffer(10), function (err, record) {
+                expect(err).not.to.be.ok();
+                expect(record.size).to.be.eql(10);
+                store.get('a', function (err, record) {
+                    expect(err).not.to.be.ok();
+                    expect(record.data.byteLength).to.be.eql(10);
+                    store.remove('a', function () {
+                        store.get('a', function (err, record) {
+                            expect(err).not.to.be.ok();
+                            expect(record).to.be.eql(null);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+
+        it('evict oldest tiles exceeding maxSize', function (done) {
+            store = new maptalks.IndexedDBTileStore({ dbName : dbName, maxSize : 25 });
+            store.put('a', new ArrayBuffer(10), function () {
+                store.put('b', new ArrayBuffer(10), function () {
+                    store.put('c', new ArrayBuffer(10), function () {
+                        store.getStats(function (err, stats) {
+                            expect(err).not.to.be.ok();
+                            expect(stats).to.be.eql({ count : 2, size : 20 });
+                            store.get('a', function (err, record) {
+                                expect(err).not.to.be.ok();
+                                expect(record).to.be.eql(null);
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+
+        it('keep tiles after reopened', function (done) {
+            store = new maptalks.IndexedDBTileStore({ dbName : dbName });
+            store.put('a', new ArrayBuffer(10), function () {
+                store.close();
+                store = new maptalks.IndexedDBTileStore({ dbName : dbName });
+                store.get('a', function (err, record) {
+                    expect(err).not.to.be.ok();
+                    expect(record.size).to.be.eql(10);
+                    done();
+                });
+            });
+        });
+
+        it('read stats of tiles stored in a database without index', function (done) {
+            var request = indexedDB.open(dbName, 1);
+            request.onupgradeneeded = function () {
+                request.result.createObjectStore('tiles');
+            };
+            request.onsuccess = function () {
+                var db = request.result;
+                var tx = db.transaction('tiles', 'readwrite');
+                tx.objectStore('tiles').put({ data : new ArrayBuffer(10), size : 10, time : Date.now() }, 'a');
+                tx.oncomplete = function () {
+                    db.close();
+                    store = new maptalks.IndexedDBTileStore({ dbName : dbName });
+                    store.getStats(function (err, stats) {
+                        expect(err).not.to.be.ok();
+                        expect(stats).to.be.eql({ count : 1, size : 10 });
+                        done();
+                    });
+                };
+            };
+        });
+
+        it('create a new object store in an existing database', function (done) {
+            store = new maptalks.IndexedDBTileStore({ dbName : dbName });
+            store.put('a', new ArrayBuffer(10), function () {
+                store2 = new maptalks.IndexedDBTileStore({ dbName : dbName, storeName : 'tiles2' });
+                store2.put('b', new ArrayBuffer(20), function (err) {
+                    expect(err).not.to.be.ok();
+                    store2.get('b', function (err, record) {
+                        expect(err).not.to.be.ok();
+                        expect(record.size).to.be.eql(20);
+                        store.get('a', function (err, record) {
+                            expect(err).not.to.be.ok();
+                            expect(record.size).to.be.eql(10);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+
+        it('call back with the error when failed to create a transaction', function (done) {
+            store = new maptalks.IndexedDBTileStore({ dbName : dbName });
+            store._open(function (err, db) {
+                expect(err).not.to.be.ok();
+                db.close();
+                store._transaction('readonly', function () {
+                    expect().fail('should not run without a transaction');
+                }, function (err) {
+                    expect(err).to.be.ok();
+                    done();
+                });
+            });
+        });
+
+        it('call back once when a transaction fails', function (done) {
+            store = new maptalks.IndexedDBTileStore({ dbName : dbName });
+            var called = 0;
+            // adding a key twice fails the request, firing both error and abort on the transaction
+            store._transaction('readwrite', function (objectStore) {
+                objectStore.add({}, 'a');
+                objectStore.add({}, 'a');
+            }, function (err) {
+                expect(err).to.be.ok();
+                called++;
+            });
+            setTimeout(function () {
+                expect(called).to.be.eql(1);
+                done();
+            }, 100);
+        });
+    });
+
+    describe('prefetch', function () {
+        it('prefetch tiles into tile store', function (done) {
+            var store = new maptalks.MemoryTileStore();
+            var layer = new maptalks.TileLayer('tile', {
+                urlTemplate : '/resources/tile.png?{z}-{x}-{y}',
+                tileStore : store
+            }).addTo(map);
+            var progress = 0;
+            layer.on('prefetchprogress', function (e) {
+                progress++;
+                expect(e.total).to.be.eql(21);
+            });
+            layer.prefetch([-180, -85, 180, 85], 0, 2, function (err, stats) {
+                expect(err).not.to.be.ok();
+                expect(stats).to.be.eql({ total : 21, loaded : 21, errors : 0 });
+                expect(progress).to.be.eql(21);
+                store.get('/resources/tile.png?2-3-3', function (err, record) {
+                    expect(err).not.to.be.ok();
+                    expect(record.size).to.be.above(0);
+                    done();
+                });
+            });
+        });
+
+        it('fire prefetcherror for failed tiles', function (done) {
+            var layer = new maptalks.TileLayer('tile', {
+                urlTemplate : '/resources/not-exist.png?{z}-{x}-{y}',
+                tileStore : new maptalks.MemoryTileStore()
+            }).addTo(map);
+            var urls = [];
+            layer.on('prefetcherror', function (e) {
+                expect(e.error).to.be.ok();
+                urls.push(e.url);
+            });
+            layer.prefetch([-180, -85, 180, 85], 0, 0, function (err, stats) {
+                expect(err).not.to.be.ok();
+                expect(stats).to.be.eql({ total : 1, loaded : 0, errors : 1 });
+                expect(urls).to.be.eql(['/resources/not-exist.png?0-0-0']);
+                done();
+            });
+        });
+
+        it('load tiles from tile store', function (done) {
+            var store = new maptalks.MemoryTileStore();
+            var layer = new maptalks.TileLayer('tile', {
+                urlTemplate : '/resources/not-exist.png',
+                renderer : 'canvas',
+                tileStore : store
+            });
+            maptalks.Ajax.getArrayBuffer('/resources/tile.png', function (err, data) {
+                expect(err).not.to.be.ok();
+                store.put('/resources/not-exist.png', data, function () {
+                    layer.once('layerload', function () {
+                        expect(layer).to.be.painted();
+                        done();
+                    });
+                    map.addLayer(layer);
+                });
+            });
+        });
+
+        it('throw exception without tile store or map', function () {
+            expect(function () {
+                new maptalks.TileLayer('tile', { urlTemplate : '/resources/tile.png' }).addTo(map).prefetch(map.getExtent(), 1, 2);
+            }).to.throwException();
+            expect(function () {
+                new maptalks.TileLayer('tile1', { urlTemplate : '/resources/tile.png', tileStore : new maptalks.MemoryTileStore() }).prefetch(map.getExtent(), 1, 2);
+            }).to.throwException();
+        });
+
+        it('exclude tileStore in JSON', function () {
+            var layer = new maptalks.TileLayer('tile', { urlTemplate : '/resources/tile.png', tileStore : new maptalks.MemoryTileStore() });
+            expect(layer.toJSON().options.tileStore).to.be.eql(undefined);
+        });
+    });
+});
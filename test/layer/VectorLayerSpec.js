@@ -490,6 +490,24 @@ describe('#VectorLayer', function () {
             expect(geometries[1].getSymbol()).not.to.be.ok();
             expect(geometries[1]._getInternalSymbol()).not.to.be.eql(styleSymbol);
         });
+
+        it('identify geometries of visible style rules', function () {
+            var marker1 = new maptalks.Marker(map.getCenter(), { properties : { type : 1 }});
+            var marker2 = new maptalks.Marker(map.getCenter(), { properties : { type : 2 }});
+            var vectors = new maptalks.VectorLayer('rules', [marker1, marker2], {
+                style : [
+                    { filter : ['==', 'type', 1], symbol : { markerType : 'ellipse', markerWidth : 20, markerHeight : 20 }},
+                    { filter : true, symbol : { markerType : 'square', markerWidth : 20, markerHeight : 20 }}
+                ]
+            }).addTo(map);
+            expect(vectors.identify(map.getCenter()).length).to.be(2);
+            vectors.setStyleRuleVisible(0, false);
+            var hits = vectors.identify(map.getCenter());
+            expect(hits.length).to.be(1);
+            expect(hits[0]).to.be(marker2);
+            vectors.setStyleRuleVisible(0, true);
+            expect(vectors.identify(map.getCenter()).length).to.be(2);
+        });
     });
 
     describe('render geometry with height', function () {
@@ -532,4 +550,157 @@ describe('#VectorLayer', function () {
         });
     });
 
+    describe('collision', function () {
+        function getSymbolizer(geo, type) {
+            return geo._getPainter().symbolizers.filter(function (s) {
+                return s instanceof maptalks.symbolizer[type];
+            })[0];
+        }
+
+        it('hide markers with lower priority', function (done) {
+            var red = new maptalks.Marker(map.getCenter(), {
+                symbol : {
+                    'markerType' : 'ellipse',
+                    'markerFill' : '#f00',
+                    'markerWidth' : 10,
+                    'markerHeight' : 10,
+                    'collisionPriority' : 1
+                }
+            });
+            var green = new maptalks.Marker(map.getCenter(), {
+                symbol : {
+                    'markerType' : 'ellipse',
+                    'markerFill' : '#0f0',
+                    'markerWidth' : 10,
+                    'markerHeight' : 10
+                }
+            });
+            layer.config('collision', true);
+            layer.addGeometry([red, green]);
+            layer.once('layerload', function () {
+                expect(layer).to.be.painted(0, 0, [255, 0, 0]);
+                expect(getSymbolizer(green, 'VectorMarkerSymbolizer')._collisionHidden).to.be.ok();
+                layer.once('layerload', function () {
+                    expect(layer).to.be.painted(0, 0, [0, 255, 0]);
+                    expect(getSymbolizer(green, 'VectorMarkerSymbolizer')._collisionHidden).not.to.be.ok();
+                    done();
+                });
+                layer.config('collision', false);
+            });
+            map.addLayer(layer);
+        });
+
+        it('move texts to candidate positions', function (done) {
+            var marker = new maptalks.Marker(map.getCenter(), {
+                symbol : [
+                    {
+                        'markerType' : 'ellipse',
+                        'markerWidth' : 10,
+                        'markerHeight' : 10
+                    },
+                    {
+                        'textName' : 'label',
+                        'textSize' : 12,
+                        'textCollisionCandidates' : ['top', 'right']
+                    }
+                ]
+            });
+            var above = map.containerPointToCoordinate(map.coordinateToContainerPoint(map.getCenter()).add(0, -15));
+            var blocker = new maptalks.Marker(above, {
+                symbol : {
+                    'markerType' : 'ellipse',
+                    'markerWidth' : 10,
+                    'markerHeight' : 10,
+                    'collisionPriority' : 1
+                }
+            });
+            layer.config('collision', true);
+            layer.addGeometry([marker, blocker]);
+            layer.once('layerload', function () {
+                expect(getSymbolizer(marker, 'VectorMarkerSymbolizer')._collisionHidden).not.to.be.ok();
+                var text = getSymbolizer(marker, 'TextMarkerSymbolizer');
+                expect(text._collisionHidden).not.to.be.ok();
+                expect(text._collisionOffset.x).to.be.above(5);
+                expect(text._collisionOffset.y).to.be.approx(0);
+                done();
+            });
+            map.addLayer(layer);
+        });
+
+        it('ignore collision', function (done) {
+            var text1 = new maptalks.Marker(map.getCenter(), {
+                symbol : {
+                    'textName' : 'text1',
+                    'collisionPriority' : 1
+                }
+            });
+            var text2 = new maptalks.Marker(map.getCenter(), {
+                symbol : {
+                    'textName' : 'text2',
+                    'ignoreCollision' : true
+                }
+            });
+            var text3 = new maptalks.Marker(map.getCenter(), {
+                symbol : {
+                    'textName' : 'text3'
+                }
+            });
+            layer.config('collision', true);
+            layer.addGeometry([text1, text2, text3]);
+            layer.once('layerload', function () {
+                expect(getSymbolizer(text2, 'TextMarkerSymbolizer')._collisionHidden).not.to.be.ok();
+                expect(getSymbolizer(text3, 'TextMarkerSymbolizer')._collisionHidden).to.be.ok();
+                done();
+            });
+            map.addLayer(layer);
+        });
+    });
+
+    describe('toSVG', function () {
+        it('export geometries as svg elements', function (done) {
+            var polygon = new maptalks.Polygon([
+                [[118.84, 32.04], [118.85, 32.04], [118.85, 32.05], [118.84, 32.05]],
+                [[118.845, 32.045], [118.847, 32.045], [118.847, 32.047], [118.845, 32.047]]
+            ], {
+                symbol : {
+                    'lineColor' : 'rgba(255, 0, 0, 0.5)',
+                    'lineDasharray' : [5, 5],
+                    'polygonFill' : '#0f0'
+                }
+            });
+            var text = new maptalks.Marker(map.getCenter(), {
+                symbol : {
+                    'textName' : 'a<b',
+                    'textHaloRadius' : 2,
+                    'textHaloFill' : '#fff'
+                }
+            });
+            var image = new maptalks.Marker(map.getCenter(), {
+                symbol : {
+                    'markerFile' : '/resources/tile.png',
+                    'markerWidth' : 20,
+                    'markerHeight' : 20
+                }
+            });
+            layer.config('opacity', 0.5);
+            layer.addGeometry([polygon, text, image]);
+            layer.once('layerload', function () {
+                var svg = layer.toSVG();
+                expect(svg.indexOf('<svg ')).to.be.eql(0);
+                expect(svg).to.contain('<g id="id" opacity="0.5">');
+                expect(svg).to.contain('fill-rule="evenodd"');
+                expect(svg).to.contain('stroke-dasharray="5 5"');
+                expect(svg).to.contain('stroke-opacity="0.5"');
+                expect(svg).to.contain('>a&lt;b</text>');
+                expect(svg).to.contain('<image ');
+                done();
+            });
+            map.addLayer(layer);
+        });
+
+        it('return null if layer is not on a map', function () {
+            expect(layer.toSVG()).not.to.be.ok();
+        });
+    });
+
 });
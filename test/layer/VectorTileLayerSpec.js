@@ -0,0 +1,207 @@
+describe('VectorTileLayer', function () {
+
+    var container;
+    var map;
+    var center = new maptalks.Coordinate(118.846825, 32.046534);
+    var style = [
+        {
+            filter : ['==', '$layer', 'water'],
+            symbol : { polygonFill : '#0000ff', polygonOpacity : 1 }
+        },
+        {
+            filter : ['all', ['==', '$layer', 'road'], ['==', 'kind', 'highway']],
+            symbol : { lineColor : '#ff0000', lineWidth : 4 }
+        },
+        {
+            filter : ['==', '$type', 'Point'],
+            symbol : { markerType : 'ellipse', markerWidth : 10, markerHeight : 10 }
+        }
+    ];
+
+    // coordinate of the point (in pixel) on the tile containing map's center
+    // features in the fixture tile /resources/tile.pbf (256 x 256):
+    // water: polygon from (32, 32) to (96, 96), road highway: line from (0, 192) to (256, 192)
+    // road path: line from (192, 0) to (192, 128), poi: point on (128, 128)
+    function onCenterTile(layer, x, y) {
+        var grid = layer._getTiles();
+        var p = map.coordinateToPoint(map.getCenter(), grid.zoom);
+        for (var i = 0; i < grid.tiles.length; i++) {
+            var tp = grid.tiles[i].point;
+            if (p.x >= tp.x && p.x < tp.x + 256 && p.y >= tp.y && p.y < tp.y + 256) {
+                return map.pointToCoordinate(tp.add(x, y), grid.zoom);
+            }
+        }
+        return null;
+    }
+
+    function identifyIds(layer, coordinate) {
+        return layer.identify(coordinate).map(function (geo) {
+            return geo.getId();
+        });
+    }
+
+    beforeEach(function () {
+        container = document.createElement('div');
+        container.style.width = '400px';
+        container.style.height = '300px';
+        document.body.appendChild(container);
+        var option = {
+            zoom: 17,
+            center: center
+        };
+        map = new maptalks.Map(container, option);
+    });
+
+    afterEach(function () {
+        map.remove();
+        REMOVE_CONTAINER(container);
+    });
+
+    it('decode and render tiles', function (done) {
+        var layer = new maptalks.VectorTileLayer('vt', {
+            urlTemplate : '/resources/tile.pbf',
+            style : style
+        });
+        layer.once('layerload', function () {
+            expect(layer).to.be.painted();
+            var coordinate = onCenterTile(layer, 64, 64);
+            var geos = layer.identify(coordinate);
+            expect(geos.length).to.be.eql(1);
+            expect(geos[0]).to.be.a(maptalks.Polygon);
+            expect(geos[0].getProperties()).to.be.eql({ name : 'lake' });
+            expect(geos[0].getLayer()).to.be.eql(layer);
+            done();
+        });
+        map.addLayer(layer);
+    });
+
+    it('identify features by style', function (done) {
+        var layer = new maptalks.VectorTileLayer('vt', {
+            urlTemplate : '/resources/tile.pbf',
+            style : style
+        });
+        layer.once('layerload', function () {
+            expect(identifyIds(layer, onCenterTile(layer, 128, 128))).to.be.eql([4]);
+            expect(identifyIds(layer, onCenterTile(layer, 100, 192))).to.be.eql([2]);
+            // path isn't styled, so it isn't rendered.
+            expect(identifyIds(layer, onCenterTile(layer, 192, 64))).to.be.empty();
+            expect(identifyIds(layer, onCenterTile(layer, 230, 20))).to.be.empty();
+            done();
+        });
+        map.addLayer(layer);
+    });
+
+    it('remove style', function (done) {
+        var layer = new maptalks.VectorTileLayer('vt', {
+            urlTemplate : '/resources/tile.pbf',
+            style : style
+        });
+        layer.once('layerload', function () {
+            layer.removeStyle();
+            expect(identifyIds(layer, onCenterTile(layer, 192, 64))).to.be.eql([3]);
+            done();
+        });
+        map.addLayer(layer);
+    });
+
+    it('show and hide features of a style rule', function (done) {
+        var layer = new maptalks.VectorTileLayer('vt', {
+            urlTemplate : '/resources/tile.pbf',
+            style : style
+        });
+        layer.once('layerload', function () {
+            var coordinate = onCenterTile(layer, 64, 64);
+            var fired = 0;
+            layer.on('stylerulechange', function (e) {
+                expect(e.index).to.be.eql(0);
+                fired++;
+            });
+            layer.setStyleRuleVisible(0, false);
+            expect(layer.isStyleRuleVisible(0)).not.to.be.ok();
+            expect(layer.isStyleRuleVisible(1)).to.be.ok();
+            expect(identifyIds(layer, coordinate)).to.be.empty();
+            expect(identifyIds(layer, onCenterTile(layer, 100, 192))).to.be.eql([2]);
+            // unchanged visibility doesn't fire
+            layer.setStyleRuleVisible(0, false);
+            layer.setStyleRuleVisible(0, true);
+            expect(layer.identify(coordinate)[0].getProperties().name).to.be.eql('lake');
+            expect(fired).to.be.eql(2);
+            // setStyle resets visibility of rules
+            layer.setStyleRuleVisible(0, false);
+            layer.setStyle(style);
+            expect(layer.isStyleRuleVisible(0)).to.be.ok();
+            done();
+        });
+        map.addLayer(layer);
+    });
+
+    it('identify by map', function (done) {
+        var layer = new maptalks.VectorTileLayer('vt', {
+            urlTemplate : '/resources/tile.pbf',
+            style : style
+        });
+        layer.once('layerload', function () {
+            map.identify({
+                coordinate : onCenterTile(layer, 128, 128),
+                layers : [layer]
+            }, function (geos) {
+                expect(geos.length).to.be.eql(1);
+                expect(geos[0].getProperties().name).to.be.eql('center');
+                done();
+            });
+        });
+        map.addLayer(layer);
+    });
+
+    it('fire tileerror', function (done) {
+        var layer = new maptalks.VectorTileLayer('vt', {
+            urlTemplate : '/resources/not-exist.pbf'
+        });
+        layer.once('tileerror', function (e) {
+            expect(e.tile.url).to.be.eql('/resources/not-exist.pbf');
+            done();
+        });
+        map.addLayer(layer);
+    });
+
+    it('load failed tiles again after tileRetryDelay', function (done) {
+        var layer = new maptalks.VectorTileLayer('vt', {
+            urlTemplate : '/resources/not-exist.pbf',
+            tileRetryDelay : 10
+        });
+        var errors = 0;
+        layer.on('tileerror', function () {
+            errors++;
+            if (errors === 1) {
+                var renderer = layer._getRenderer();
+                expect(renderer._tileCache.get(renderer._getTileKey(layer._getTiles().tiles[0]))).not.to.be.ok();
+                layer.once('layerload', function () {
+                    setTimeout(function () {
+                        layer.config('urlTemplate', '/resources/tile.pbf');
+                        layer.once('layerload', function () {
+                            expect(layer).to.be.painted();
+                            done();
+                        });
+                        renderer.setToRedraw();
+                    }, 20);
+                });
+            }
+        });
+        layer.setStyle(style);
+        map.addLayer(layer);
+    });
+
+    it('json', function () {
+        var layer = new maptalks.VectorTileLayer('vt', {
+            urlTemplate : '/resources/tile.pbf',
+            style : style
+        });
+        var json = layer.toJSON();
+        expect(json.type).to.be.eql('VectorTileLayer');
+        expect(json.style).to.be.eql(style);
+        var copy = maptalks.Layer.fromJSON(json);
+        expect(copy).to.be.a(maptalks.VectorTileLayer);
+        expect(copy.getStyle()).to.be.eql(style);
+        expect(copy.options.urlTemplate).to.be.eql('/resources/tile.pbf');
+    });
+});
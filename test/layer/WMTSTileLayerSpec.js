@@ -0,0 +1,100 @@
+describe('WMTSTileLayer', function () {
+
+    var container;
+    var map;
+    var center = new maptalks.Coordinate(118.846825, 32.046534);
+    var url = '/resources/wmts-capabilities.xml';
+
+    beforeEach(function () {
+        container = document.createElement('div');
+        container.style.width = '400px';
+        container.style.height = '300px';
+        document.body.appendChild(container);
+        map = new maptalks.Map(container, {
+            zoom: 2,
+            center: center
+        });
+    });
+
+    afterEach(function () {
+        map.remove();
+        REMOVE_CONTAINER(container);
+    });
+
+    it('load capabilities from url', function (done) {
+        var layer = new maptalks.WMTSTileLayer('wmts', {
+            capabilities : url,
+            layer : 'roads'
+        });
+        expect(layer.isCapabilitiesLoaded()).not.to.be.ok();
+        layer.on('capabilitiesload', function () {
+            expect(layer.isCapabilitiesLoaded()).to.be.ok();
+            var tiles = layer.getTiles().tiles;
+            expect(tiles.length).to.be.above(0);
+            var tile = tiles[tiles.length - 1];
+            expect(tile.url).to.be.eql('http://localhost/wmts/roads/default/EPSG:3857/EPSG:3857:2/' + tile.y + '/' + tile.x + '.png');
+            done();
+        });
+        map.addLayer(layer);
+    });
+
+    it('change spatial reference of map as base layer', function (done) {
+        var layer = new maptalks.WMTSTileLayer('wmts', {
+            capabilities : url,
+            layer : 'roads',
+            tileMatrixSet : 'EPSG:4326',
+            requestEncoding : 'KVP'
+        });
+        layer.on('capabilitiesload', function () {
+            expect(map.getProjection().code).to.be.eql('EPSG:4326');
+            expect(map.getMaxZoom()).to.be.eql(2);
+            expect(map.getSpatialReference().getResolutions()).to.be.eql(layer.getSpatialReference().resolutions);
+            var tile = layer.getTiles().tiles[0];
+            expect(tile.url.indexOf('TILEMATRIXSET=EPSG%3A4326')).to.be.above(0);
+            expect(tile.url.indexOf('TILEMATRIX=' + tile.z + '&TILEROW=' + tile.y + '&TILECOL=' + tile.x)).to.be.above(0);
+            done();
+        });
+        map.setBaseLayer(layer);
+    });
+
+    it('fire capabilitieserror', function (done) {
+        var layer = new maptalks.WMTSTileLayer('wmts', {
+            capabilities : '/resources/not-exist.xml'
+        });
+        layer.on('capabilitieserror', function (e) {
+            expect(e.error).to.be.ok();
+            expect(layer.isCapabilitiesLoaded()).not.to.be.ok();
+            done();
+        });
+        map.addLayer(layer);
+    });
+
+    it('user options override capabilities', function (done) {
+        maptalks.Ajax.get(url, function (e, xml) {
+            expect(e).not.to.be.ok();
+            var layer = new maptalks.WMTSTileLayer('wmts', {
+                capabilities : xml,
+                urlTemplate : '/proxy/{z}/{y}/{x}.png'
+            });
+            // parsed synchronously from xml
+            expect(layer.isCapabilitiesLoaded()).to.be.ok();
+            expect(layer.getTileUrl(1, 2, 3)).to.be.eql('/proxy/EPSG:3857:3/2/1.png');
+            expect(layer.getTileSize().toArray()).to.be.eql([256, 256]);
+            done();
+        });
+    });
+
+    it('json', function () {
+        var layer = new maptalks.WMTSTileLayer('wmts', {
+            capabilities : url,
+            layer : 'roads',
+            style : 'night'
+        });
+        var json = layer.toJSON();
+        expect(json.type).to.be.eql('WMTSTileLayer');
+        var copy = maptalks.Layer.fromJSON(json);
+        expect(copy).to.be.a(maptalks.WMTSTileLayer);
+        expect(copy.options.capabilities).to.be.eql(url);
+        expect(copy.options.style).to.be.eql('night');
+    });
+});
@@ -0,0 +1,99 @@
+describe('#MapKeyboardSpec', function () {
+    var container;
+    var map;
+    var center = new maptalks.Coordinate(118.846825, 32.046534);
+
+    function press(keyCode, shiftKey) {
+        happen.once(container, {
+            type: 'keydown',
+            keyCode: keyCode,
+            shiftKey: !!shiftKey
+        });
+    }
+
+    beforeEach(function () {
+        var setups = COMMON_CREATE_MAP(center);
+        container = setups.container;
+        map = setups.map;
+        map.config({
+            'keyboard' : true,
+            'panAnimation' : false,
+            'zoomAnimation' : false
+        });
+        map['keyboard'].enable();
+    });
+
+    afterEach(function () {
+        map.remove();
+        REMOVE_CONTAINER(container);
+    });
+
+    it('disabled by default', function () {
+        var container2 = document.createElement('div');
+        document.body.appendChild(container2);
+        var map2 = new maptalks.Map(container2, { zoom : 17, center : center });
+        expect(map2['keyboard'].enabled()).not.to.be.ok();
+        expect(container2.getAttribute('tabindex')).not.to.be.ok();
+        expect(container2.getAttribute('role')).not.to.be.ok();
+        map2.remove();
+        REMOVE_CONTAINER(container2);
+    });
+
+    it('container is focusable with aria attributes', function () {
+        expect(container.getAttribute('tabindex')).to.be.eql('0');
+        expect(container.getAttribute('role')).to.be.eql('application');
+        expect(container.getAttribute('aria-label')).to.be.eql('Map');
+        map['keyboard'].disable();
+        expect(container.getAttribute('tabindex')).not.to.be.ok();
+    });
+
+    it('pan by arrow keys', function () {
+        map.config('keyboardPanOffset', 100);
+        var point = map.coordinateToContainerPoint(center);
+        press(39);
+        expect(map.coordinateToContainerPoint(center).sub(point).round().toArray()).to.be.eql([-100, 0]);
+        press(38);
+        expect(map.coordinateToContainerPoint(center).sub(point).round().toArray()).to.be.eql([-100, 100]);
+    });
+
+    it('zoom by +/-', function () {
+        var zoom = map.getZoom();
+        press(187);
+        expect(map.getZoom()).to.be.eql(zoom + 1);
+        press(189);
+        press(189);
+        expect(map.getZoom()).to.be.eql(zoom - 1);
+    });
+
+    it('rotate and pitch by shift + arrow keys', function () {
+        press(39, true);
+        expect(map.getBearing()).to.be.approx(15);
+        press(38, true);
+        expect(map.getPitch()).to.be.approx(15);
+        expect(map.getCenter()).to.closeTo(center);
+    });
+
+    it('cancel drawing and editing by escape', function () {
+        var layer = new maptalks.VectorLayer('v').addTo(map);
+        var marker = new maptalks.Marker(center).addTo(layer);
+        marker.startEdit();
+        var drawTool = new maptalks.DrawTool({ mode : 'LineString' }).addTo(map);
+        var drawend = false;
+        drawTool.on('drawend', function () {
+            drawend = true;
+        });
+        var domPosition = GET_PAGE_POSITION(container);
+        var point = map.coordinateToContainerPoint(center).add(domPosition);
+        happen.click(eventContainer(), { 'clientX' : point.x, 'clientY' : point.y });
+        expect(drawTool.isDrawing()).to.be.ok();
+        press(27);
+        expect(drawTool.isDrawing()).not.to.be.ok();
+        expect(drawTool.isEnabled()).to.be.ok();
+        expect(marker.isEditing()).not.to.be.ok();
+        expect(drawend).not.to.be.ok();
+    });
+
+    function eventContainer() {
+        return map._panels.canvasContainer;
+    }
+});
@@ -679,6 +679,218 @@ describe('#Map', function () {
         expect(data.substring(0, expected.length)).to.be.eql(expected);
     });
 
+    describe('exportImage', function () {
+        it('export with zoom and dpi', function (done) {
+            var extent = map.getExtent();
+            map.exportImage({
+                extent : extent,
+                zoom : map.getZoom() + 1,
+                dpi : 192,
+                canvas : true
+            }).then(function (canvas) {
+                expect(canvas.width).to.be.eql(16);
+                expect(canvas.height).to.be.eql(12);
+                done();
+            });
+        });
+
+        it('export with width', function (done) {
+            var expected = 'data:image/png;base64';
+            map.exportImage({
+                width : 100
+            }).then(function (data) {
+                expect(data.substring(0, expected.length)).to.be.eql(expected);
+                return map.exportImage({ width : 100, canvas : true });
+            }).then(function (canvas) {
+                var r = map.getDevicePixelRatio();
+                expect(canvas.width).to.be.eql(100 * r);
+                expect(canvas.height).to.be.eql(75 * r);
+                done();
+            });
+        });
+
+        it('reject when layers are not loaded in time', function (done) {
+            map.setBaseLayer(new maptalks.TileLayer('base', {
+                urlTemplate:'/resources/tile.png',
+                renderer : 'canvas'
+            }));
+            map.exportImage({
+                width : 20,
+                timeout : 1
+            }).then(function () {
+                expect().fail('should be rejected by timeout');
+            }, function (error) {
+                expect(error.message).to.contain('Timeout');
+                expect(error.message).to.contain('base');
+                done();
+            });
+        });
+
+        it('wait for images of markers', function (done) {
+            var layer = new maptalks.VectorLayer('id', new maptalks.Marker(center, {
+                symbol : {
+                    'markerFile' : '/resources/tile.png',
+                    'markerWidth' : 20,
+                    'markerHeight' : 20
+                }
+            })).addTo(map);
+            map.exportImage({
+                width : 40,
+                dpi : 96,
+                canvas : true
+            }).then(function (canvas) {
+                var pixel = canvas.getContext('2d').getImageData(20, 10, 1, 1).data;
+                expect(pixel[3]).to.be.above(0);
+                expect(map.getLayer('id')).to.be(layer);
+                done();
+            });
+        });
+    });
+
+    describe('renderStatic', function () {
+        it('render a profile with local tiles', function (done) {
+            map.setBaseLayer(new maptalks.TileLayer('base', {
+                urlTemplate:'/resources/tile.png',
+                renderer : 'canvas'
+            }));
+            var profile = map.toJSON();
+            var expected = 'data:image/png;base64';
+            maptalks.Map.renderStatic(profile, {
+                width : 20,
+                height : 10
+            }).then(function (data) {
+                expect(data.substring(0, expected.length)).to.be.eql(expected);
+                expect(profile['options']['devicePixelRatio']).not.to.be.ok();
+                done();
+            });
+        });
+
+        it('render a profile on a canvas', function (done) {
+            map.setBaseLayer(new maptalks.TileLayer('base', {
+                urlTemplate:'/resources/tile.png',
+                renderer : 'canvas'
+            }));
+            maptalks.Map.renderStatic(map.toJSON(), {
+                width : 20,
+                height : 10,
+                devicePixelRatio : 2,
+                canvas : true
+            }).then(function (canvas) {
+                expect(canvas.width).to.be.eql(40);
+                expect(canvas.height).to.be.eql(20);
+                var pixel = canvas.getContext('2d').getImageData(20, 10, 1, 1).data;
+                expect(pixel[3]).to.be.above(0);
+                done();
+            });
+        });
+
+        it('resolve the buffer by toBuffer of canvas class', function (done) {
+            var size;
+            var CanvasClass = function (width, height) {
+                size = [width, height];
+                var canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                canvas.toBuffer = function (mimeType) {
+                    return 'buffer of ' + mimeType;
+                };
+                return canvas;
+            };
+            maptalks.Map.renderStatic(map.toJSON(), {
+                width : 20,
+                height : 10,
+                devicePixelRatio : 2,
+                canvasClass : CanvasClass,
+                mimeType : 'image/jpeg'
+            }).then(function (buffer) {
+                expect(size).to.be.eql([40, 20]);
+                expect(buffer).to.be.eql('buffer of image/jpeg');
+                done();
+            });
+        });
+
+        it('reject with an invalid size', function (done) {
+            maptalks.Map.renderStatic(map.toJSON(), {
+                width : 0,
+                height : 10
+            }).catch(function (error) {
+                expect(error.message).to.contain('Invalid size');
+                done();
+            });
+        });
+    });
+
+    describe('toSVG', function () {
+        it('export tiles as images and geometries as svg elements', function (done) {
+            var baseLayer = new maptalks.TileLayer('base', {
+                urlTemplate:'/resources/tile.png',
+                opacity : 0.6
+            });
+            var layer = new maptalks.VectorLayer('vector', new maptalks.Marker(center, {
+                symbol : {
+                    'markerType' : 'ellipse',
+                    'markerFill' : '#f00',
+                    'markerWidth' : 2,
+                    'markerHeight' : 2
+                }
+            }));
+            baseLayer.once('layerload', function () {
+                var svg = map.toSVG();
+                expect(svg).to.contain('width="4" height="3"');
+                expect(svg).to.contain('<g id="base" opacity="0.6"><image ');
+                expect(svg).to.contain('<g id="vector"><path ');
+                expect(svg).to.contain('fill="#f00"');
+                expect(svg.indexOf('id="base"')).to.be.below(svg.indexOf('id="vector"'));
+                done();
+            });
+            map.addLayer(layer);
+            map.setBaseLayer(baseLayer);
+        });
+
+        it('skip layers failed to export, e.g. tainted by cross-origin tiles', function (done) {
+            var baseLayer = new maptalks.TileLayer('base', {
+                urlTemplate:'/resources/tile.png',
+                renderer : 'canvas'
+            });
+            var layer = new maptalks.VectorLayer('vector', new maptalks.Marker(center, {
+                symbol : {
+                    'markerType' : 'ellipse',
+                    'markerFill' : '#f00',
+                    'markerWidth' : 2,
+                    'markerHeight' : 2
+                }
+            }));
+            baseLayer.once('layerload', function () {
+                // toDataURL of a tainted canvas throws a SecurityError
+                baseLayer._getRenderer().canvas.toDataURL = function () {
+                    throw new Error('SecurityError');
+                };
+                var svg;
+                expect(function () {
+                    svg = map.toSVG();
+                }).not.to.throwException();
+                expect(svg).not.to.contain('id="base"');
+                expect(svg).not.to.contain('<image ');
+                expect(svg).to.contain('<g id="vector"><path ');
+                done();
+            });
+            map.addLayer(layer);
+            map.setBaseLayer(baseLayer);
+        });
+
+        it('discard defs of layers failed to export', function () {
+            var layer = new maptalks.VectorLayer('vector', new maptalks.Marker(center)).addTo(map);
+            layer._getRenderer().paintOn = function (ctx) {
+                ctx._defineGradient({ type : 'linear', places : [0, 0, 1, 1], stops : [[0, '#f00'], [1, '#00f']] });
+                throw new Error('failed to paint');
+            };
+            var svg = map.toSVG();
+            expect(svg).not.to.contain('id="vector"');
+            expect(svg).not.to.contain('<defs>');
+            expect(svg).not.to.contain('linearGradient');
+        });
+    });
+
     it('remove', function (done) {
         map.setBaseLayer(tile);
         var layer = new maptalks.VectorLayer('id');
@@ -0,0 +1,157 @@
+describe('Map.Time', function () {
+
+    var container;
+    var map;
+    var layer;
+    var center = new maptalks.Coordinate(118.846825, 32.046534);
+
+    function createMarker(properties, color) {
+        return new maptalks.Marker(center, {
+            properties : properties,
+            symbol : {
+                'markerType' : 'ellipse',
+                'markerFill' : color,
+                'markerLineWidth' : 0,
+                'markerWidth' : 10,
+                'markerHeight' : 10
+            }
+        });
+    }
+
+    beforeEach(function () {
+        container = document.createElement('div');
+        container.style.width = '30px';
+        container.style.height = '30px';
+        document.body.appendChild(container);
+        map = new maptalks.Map(container, {
+            zoom: 17,
+            center: center
+        });
+        layer = new maptalks.VectorLayer('time', {
+            'drawImmediate' : true,
+            'startTimeProperty' : 'start',
+            'endTimeProperty' : 'end'
+        });
+    });
+
+    afterEach(function () {
+        map.remove();
+        REMOVE_CONTAINER(container);
+    });
+
+    it('set time and time range', function () {
+        var changed = 0;
+        map.on('timechange', function (e) {
+            changed++;
+            expect(e.to).to.be.eql(map.getTimeRange());
+        });
+        expect(map.getTimeRange()).not.to.be.ok();
+        map.setTime(10);
+        expect(map.getTimeRange()).to.be.eql([10, 10]);
+        map.setTimeRange(new Date(100), new Date(200));
+        expect(map.getTimeRange()).to.be.eql([100, 200]);
+        map.clearTime();
+        expect(map.getTimeRange()).not.to.be.ok();
+        expect(changed).to.be.eql(3);
+        expect(function () {
+            map.setTimeRange(200, 100);
+        }).to.throwException();
+    });
+
+    it('filter geometries by time', function (done) {
+        layer.addGeometry([
+            createMarker({ 'start' : 0, 'end' : 10 }, '#f00'),
+            createMarker({ 'start' : 20 }, '#0f0')
+        ]);
+        var steps = [
+            function () {
+                expect(layer).to.be.painted(0, 0, [0, 255, 0]);
+                map.setTime(5);
+            },
+            function () {
+                expect(layer).to.be.painted(0, 0, [255, 0, 0]);
+                map.setTimeRange(12, 15);
+            },
+            function () {
+                expect(layer).not.to.be.painted();
+                layer.config('endTimeProperty', null);
+            },
+            function () {
+                expect(layer).to.be.painted(0, 0, [255, 0, 0]);
+                done();
+            }
+        ];
+        layer.on('layerload', function () {
+            steps.shift()();
+        });
+        map.addLayer(layer);
+    });
+
+    it('filter geometries by time strings', function () {
+        layer.addGeometry([
+            createMarker({ 'start' : '2017-01-01T00:00:00Z', 'end' : '2017-02-01T00:00:00Z' }, '#f00'),
+            createMarker({ 'start' : '2017-03-01T00:00:00Z' }, '#0f0')
+        ]);
+        map.addLayer(layer);
+        map.setTime('2017-01-15T00:00:00Z');
+        expect(map.getTimeRange()).to.be.eql([Date.UTC(2017, 0, 15), Date.UTC(2017, 0, 15)]);
+        var geos = layer.getGeometries();
+        expect(layer._isInTimeRange(geos[0])).to.be.ok();
+        expect(layer._isInTimeRange(geos[1])).not.to.be.ok();
+        map.setTime(new Date(Date.UTC(2017, 2, 15)));
+        expect(layer._isInTimeRange(geos[0])).not.to.be.ok();
+        expect(layer._isInTimeRange(geos[1])).to.be.ok();
+        expect(function () {
+            map.setTime('not a date');
+        }).to.throwException();
+    });
+
+    it('compile time filter once for a time range', function () {
+        layer.addGeometry([
+            createMarker({ 'start' : null, 'end' : 10 }, '#f00'),
+            createMarker(null, '#0f0')
+        ]);
+        map.addLayer(layer);
+        map.setTime(5);
+        var filter = layer._getTimeFilter();
+        expect(layer._getTimeFilter()).to.be(filter);
+        var geos = layer.getGeometries();
+        expect(layer._isInTimeRange(geos[0])).to.be.ok();
+        expect(layer._isInTimeRange(geos[1])).to.be.ok();
+        map.setTime(15);
+        expect(layer._getTimeFilter()).not.to.be(filter);
+        expect(layer._isInTimeRange(geos[0])).not.to.be.ok();
+        expect(layer._isInTimeRange(geos[1])).to.be.ok();
+    });
+
+    it('identify geometries in time range', function () {
+        layer.addGeometry([
+            createMarker({ 'start' : 0, 'end' : 10 }, '#f00'),
+            createMarker({ 'start' : 20 }, '#0f0')
+        ]);
+        map.addLayer(layer);
+        map.setTime(5);
+        var geos = layer.identify(center);
+        expect(geos).to.have.length(1);
+        expect(geos[0].getProperties().end).to.be.eql(10);
+        var hits;
+        map.identify({ coordinate : center, layers : [layer] }, function (geos) {
+            hits = geos;
+        });
+        expect(hits).to.have.length(1);
+    });
+
+    it('serialize time range in profile', function () {
+        map.setTimeRange(100, 200);
+        var profile = map.toJSON();
+        expect(profile.options.timeRange).to.be.eql([100, 200]);
+        var container2 = document.createElement('div');
+        container2.style.width = '30px';
+        container2.style.height = '30px';
+        document.body.appendChild(container2);
+        var map2 = maptalks.Map.fromJSON(container2, profile);
+        expect(map2.getTimeRange()).to.be.eql([100, 200]);
+        map2.remove();
+        REMOVE_CONTAINER(container2);
+    });
+});
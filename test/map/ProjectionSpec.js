@@ -121,5 +121,134 @@ describe('#Projection', function () {
             expect(map.getCenter()).to.closeTo(center);
         });
     });
-});
 
+    describe('change to GCJ02 and BD09', function () {
+        it('change to GCJ02', function () {
+            map.setSpatialReference({
+                projection:'GCJ02'
+            });
+            expect(map.getProjection().code).to.be.eql('GCJ02');
+            expect(map.getCenter()).to.closeTo(center);
+            var gcj02 = maptalks.Coordinate.convert(center, 'WGS84', 'GCJ02');
+            var expected = maptalks.projection.EPSG3857.project(gcj02);
+            expect(map.getProjection().project(center)).to.closeTo(expected);
+        });
+
+        it('change to BD09', function () {
+            map.setSpatialReference({
+                projection:'BD09'
+            });
+            expect(map.getProjection().code).to.be.eql('BD09');
+            expect(map.getCenter()).to.closeTo(center);
+            var bd09 = maptalks.Coordinate.convert(center, 'WGS84', 'BD09');
+            var expected = maptalks.projection.BAIDU.project(bd09);
+            expect(map.getProjection().project(center)).to.closeTo(expected);
+        });
+    });
+
+    describe('proj4 projections', function () {
+        var resolutions = (function () {
+            var resolutions = [];
+            for (var i = 0; i < 20; i++) {
+                resolutions[i] = 8192 / Math.pow(2, i);
+            }
+            return resolutions;
+        })();
+        var fullExtent = {
+            'top'   : 10000000,
+            'left'  : -5000000,
+            'right' : 5000000,
+            'bottom' : 0
+        };
+
+        it('register a UTM zone', function () {
+            maptalks.projection.registerProjection('EPSG:32650', '+proj=utm +zone=50 +datum=WGS84 +units=m +no_defs');
+            var projection = maptalks.projection.getProjection('epsg:32650');
+            expect(projection.code).to.be.eql('EPSG:32650');
+            var projected = projection.project(center);
+            expect(projected.x).to.be.approx(674367.626, 1E-3);
+            expect(projected.y).to.be.approx(3547085.093, 1E-3);
+            expect(projection.unproject(projected)).to.closeTo(center);
+
+            map.setSpatialReference({
+                projection : 'EPSG:32650',
+                resolutions : resolutions,
+                fullExtent : fullExtent
+            });
+            expect(map.getProjection().code).to.be.eql('EPSG:32650');
+            expect(map.getCenter()).to.closeTo(center);
+        });
+
+        it('use a proj4 definition or CRS directly', function () {
+            var def = '+proj=lcc +lat_1=30 +lat_2=62 +lat_0=0 +lon_0=105 +datum=WGS84 +units=m +no_defs';
+            map.setSpatialReference({
+                projection : maptalks.CRS.createProj4(def),
+                resolutions : resolutions,
+                fullExtent : fullExtent
+            });
+            expect(map.getProjection().code).to.be.eql(def);
+            expect(map.getCenter()).to.closeTo(center);
+            var json = map.toJSON();
+            expect(json.options.spatialReference.projection).to.be.eql(def);
+
+            map.setSpatialReference({
+                projection : def,
+                resolutions : resolutions,
+                fullExtent : fullExtent
+            });
+            expect(map.getProjection().code).to.be.eql(def);
+        });
+
+        it('register custom forward and inverse functions', function () {
+            maptalks.projection.registerProjection('SHIFT', {
+                project : function (c) {
+                    return c.add(1, 1);
+                },
+                unproject : function (c) {
+                    return c.sub(1, 1);
+                }
+            });
+            map.setSpatialReference({
+                projection : 'shift',
+                resolutions : resolutions,
+                fullExtent : fullExtent
+            });
+            expect(map.getProjection().code).to.be.eql('SHIFT');
+            expect(map.getProjection().project(new maptalks.Coordinate(0, 0)).toArray()).to.be.eql([1, 1]);
+        });
+
+        it('keep a custom projection object in map\'s spatial reference', function () {
+            map.setSpatialReference({
+                projection : {
+                    code : 'LOCAL-SHIFT',
+                    project : function (c) {
+                        return c.add(1, 1);
+                    },
+                    unproject : function (c) {
+                        return c.sub(1, 1);
+                    }
+                },
+                resolutions : resolutions,
+                fullExtent : fullExtent
+            });
+            expect(map.getProjection().code).to.be.eql('LOCAL-SHIFT');
+            expect(map.getProjection().project(new maptalks.Coordinate(0, 0)).toArray()).to.be.eql([1, 1]);
+            expect(map.toJSON().options.spatialReference.projection).to.be.eql('LOCAL-SHIFT');
+            expect(maptalks.projection.getProjection('LOCAL-SHIFT')).not.to.be.ok();
+        });
+
+        it('throw an error with an unregistered projection', function () {
+            expect(function () {
+                map.setSpatialReference({
+                    projection : 'EPSG:9999'
+                });
+            }).to.throwException();
+        });
+
+        it('invalid projection definition', function () {
+            expect(function () {
+                maptalks.projection.registerProjection('FOO', {});
+            }).to.throwException();
+        });
+    });
+});
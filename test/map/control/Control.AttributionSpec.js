@@ -57,4 +57,59 @@ describe('Control.Attribution', function () {
 
     });
 
+    it('combine attributions of visible layers', function (done) {
+        var control = new maptalks.control.Attribution({
+            content: 'content'
+        });
+        map.addControl(control);
+        var layer1 = new maptalks.VectorLayer('v1', { attribution : 'a1' });
+        var layer2 = new maptalks.VectorLayer('v2', { attribution : 'a2', maxZoom : 18 });
+        var layer3 = new maptalks.VectorLayer('v3', { attribution : 'a1' });
+        map.addLayer([layer1, layer2, layer3]);
+        expect(control.getAttributions()).to.be.eql(['a1', 'a2']);
+        expect(control._attributionContainer.innerText).to.be.eql('content | a1 | a2');
+
+        map.removeLayer(layer1);
+        expect(control.getAttributions()).to.be.eql(['a2', 'a1']);
+        map.removeLayer(layer3);
+        layer2.once('hide', function () {
+            expect(control._attributionContainer.innerText).to.be.eql('content');
+            layer2.once('show', function () {
+                expect(control._attributionContainer.innerText).to.be.eql('content | a2');
+                map.once('zoomend', function () {
+                    expect(control.getAttributions()).to.be.eql([]);
+                    expect(control._attributionContainer.innerText).to.be.eql('content');
+                    done();
+                });
+                map.setZoom(19, { animation : false });
+            });
+            layer2.show();
+        });
+        layer2.hide();
+    });
+
+    it('stop updating when removed', function () {
+        var control = new maptalks.control.Attribution({
+            content: 'content'
+        });
+        map.addControl(control);
+        control.remove();
+        map.addLayer(new maptalks.VectorLayer('v', { attribution : 'a' }));
+        expect(control.getAttributions()).to.be.eql([]);
+    });
+
+    it('collapse in a small map', function () {
+        container.style.width = '300px';
+        map.checkSize();
+        var control = new maptalks.control.Attribution({
+            content: 'content'
+        });
+        map.addControl(control);
+        var dom = control._attributionContainer;
+        expect(dom.className).to.contain('maptalks-attribution-collapsed');
+        expect(dom.className).not.to.contain('maptalks-attribution-expanded');
+        happen.click(dom.querySelector('.maptalks-attribution-toggle'));
+        expect(dom.className).to.contain('maptalks-attribution-expanded');
+    });
+
 });
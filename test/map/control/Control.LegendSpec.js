@@ -0,0 +1,133 @@
+describe('Control.Legend', function () {
+
+    var container;
+    var map;
+    var layer;
+    var center = new maptalks.Coordinate(118.846825, 32.046534);
+
+    beforeEach(function () {
+        container = document.createElement('div');
+        container.style.width = '800px';
+        container.style.height = '600px';
+        document.body.appendChild(container);
+        var option = {
+            zoom: 17,
+            center: center
+        };
+        map = new maptalks.Map(container, option);
+        layer = new maptalks.VectorLayer('vector', [
+            new maptalks.Circle(map.getCenter(), 10, { properties : { type : 1 }}),
+            new maptalks.Circle(map.getCenter().add(1, 1), 10, { properties : { type : 2 }})
+        ], {
+            style : [
+                {
+                    title : 'type 1',
+                    filter : ['==', 'type', 1],
+                    symbol : { polygonFill : '#f00' }
+                },
+                {
+                    filter : true,
+                    symbol : { markerType : 'ellipse', markerFill : '#00f' }
+                }
+            ]
+        }).addTo(map);
+    });
+
+    afterEach(function () {
+        map.remove();
+        REMOVE_CONTAINER(container);
+    });
+
+    it('has entries of style rules', function () {
+        var control = new maptalks.control.Legend().addTo(map);
+        new maptalks.VectorLayer('nostyle').addTo(map);
+        var entries = control.getEntries();
+        expect(entries.length).to.be(1);
+        expect(entries[0].layer).to.be(layer);
+        expect(entries[0].rules.length).to.be(2);
+        expect(entries[0].rules[0].title).to.be('type 1');
+        expect(entries[0].rules[1].title).to.be('');
+
+        var dom = control.getContainer();
+        expect(dom.querySelectorAll('.maptalks-legend-rule').length).to.be(2);
+        expect(dom.querySelectorAll('canvas.maptalks-legend-swatch').length).to.be(2);
+    });
+
+    it('updates when style changes', function () {
+        var control = new maptalks.control.Legend().addTo(map);
+        layer.setStyle({
+            title : 'all',
+            filter : true,
+            symbol : { lineColor : '#000' }
+        });
+        var rules = control.getContainer().querySelectorAll('.maptalks-legend-rule');
+        expect(rules.length).to.be(1);
+        expect(rules[0].textContent).to.be('all');
+        layer.removeStyle();
+        expect(control.getContainer().querySelectorAll('.maptalks-legend-layer').length).to.be(0);
+    });
+
+    it('shows titles of layers and rules as text', function () {
+        map.removeLayer(layer);
+        new maptalks.VectorLayer('<b>vector</b>', {
+            style : {
+                filter : ['==', 'name', '<i>'],
+                symbol : { lineColor : '#000' }
+            }
+        }).addTo(map);
+        var control = new maptalks.control.Legend().addTo(map);
+        var dom = control.getContainer();
+        expect(dom.querySelectorAll('b').length).to.be(0);
+        expect(dom.querySelectorAll('i').length).to.be(0);
+        expect(dom.querySelector('.maptalks-legend-layer-title').textContent).to.be('<b>vector</b>');
+        expect(dom.querySelector('.maptalks-legend-rule').textContent).to.contain('<i>');
+    });
+
+    it('lists a layer once it is styled', function () {
+        var control = new maptalks.control.Legend().addTo(map);
+        var layer2 = new maptalks.VectorLayer('styled later').addTo(map);
+        expect(control.getEntries().length).to.be(1);
+        layer2.setStyle({
+            title : 'all',
+            filter : true,
+            symbol : { lineColor : '#000' }
+        });
+        var entries = control.getEntries();
+        expect(entries.length).to.be(2);
+        expect(entries[1].layer).to.be(layer2);
+        expect(control.getContainer().querySelectorAll('.maptalks-legend-layer').length).to.be(2);
+    });
+
+    it('toggles a style rule', function (done) {
+        var control = new maptalks.control.Legend().addTo(map);
+        layer.once('layerload', function () {
+            expect(layer).to.be.painted(0, 0);
+            layer.once('layerload', function () {
+                expect(layer.isStyleRuleVisible(0)).not.to.be.ok();
+                expect(layer).not.to.be.painted(0, 0);
+                done();
+            });
+            var checkbox = control.getContainer().querySelector('input[data-rule="0"]');
+            checkbox.checked = false;
+            happen.once(checkbox, { type : 'change' });
+        });
+    });
+
+    it('toggles a layer', function () {
+        var control = new maptalks.control.Legend().addTo(map);
+        var checkbox = control.getContainer().querySelector('.maptalks-legend-layer-title input');
+        checkbox.checked = false;
+        happen.once(checkbox, { type : 'change' });
+        expect(layer.options['visible']).not.to.be.ok();
+    });
+
+    it('add by map option', function () {
+        map.remove();
+        map = new maptalks.Map(container, {
+            zoom: 17,
+            center: center,
+            legendControl : { title : 'legend' }
+        });
+        expect(map.legendControl).to.be.a(maptalks.control.Legend);
+    });
+});
@@ -0,0 +1,133 @@
+describe('Control.TimeSlider', function () {
+
+    var container;
+    var map;
+    var center = new maptalks.Coordinate(118.846825, 32.046534);
+
+    beforeEach(function () {
+        container = document.createElement('div');
+        container.style.width = '800px';
+        container.style.height = '600px';
+        document.body.appendChild(container);
+        var option = {
+            zoom: 17,
+            center: center
+        };
+        map = new maptalks.Map(container, option);
+    });
+
+    afterEach(function () {
+        map.remove();
+        REMOVE_CONTAINER(container);
+    });
+
+    it('set map time when added', function () {
+        var control = new maptalks.control.TimeSlider({
+            start : 0,
+            end : 1000
+        });
+        map.addControl(control);
+        expect(map.getTimeRange()).to.be.eql([0, 0]);
+        control.setTime(2000);
+        expect(control.getTime()).to.be.eql(1000);
+        expect(map.getTimeRange()).to.be.eql([1000, 1000]);
+    });
+
+    it('set time range with window', function () {
+        var control = new maptalks.control.TimeSlider({
+            start : 0,
+            end : 1000,
+            window : 100
+        });
+        map.addControl(control);
+        control.setTime(500);
+        expect(map.getTimeRange()).to.be.eql([400, 500]);
+    });
+
+    it('update by map time', function () {
+        var control = new maptalks.control.TimeSlider({
+            start : 0,
+            end : 1000
+        });
+        map.addControl(control);
+        map.setTime(300);
+        expect(control.getTime()).to.be.eql(300);
+        expect(+control._slider.value).to.be.eql(300);
+    });
+
+    it('play and pause', function (done) {
+        var control = new maptalks.control.TimeSlider({
+            start : 0,
+            end : 1000,
+            duration : 100,
+            loop : false
+        });
+        map.addControl(control);
+        control.on('pause', function () {
+            expect(control.isPlaying()).not.to.be.ok();
+            expect(control.getTime()).to.be.eql(1000);
+            expect(map.getTimeRange()).to.be.eql([1000, 1000]);
+            done();
+        });
+        happen.click(control._playButton);
+        expect(control.isPlaying()).to.be.ok();
+    });
+
+    it('switch speeds', function () {
+        var control = new maptalks.control.TimeSlider({
+            start : 0,
+            end : 1000
+        });
+        map.addControl(control);
+        expect(control.getSpeed()).to.be.eql(1);
+        happen.click(control._speedButton);
+        expect(control.getSpeed()).to.be.eql(2);
+        expect(control._speedButton.innerHTML).to.be.eql('2x');
+        expect(function () {
+            control.setSpeed(0);
+        }).to.throwException();
+    });
+
+    it('show formatted time as text', function () {
+        var control = new maptalks.control.TimeSlider({
+            start : 0,
+            end : 1000,
+            formatTime : function (time) {
+                return '<b>' + time + '</b>';
+            }
+        });
+        map.addControl(control);
+        expect(control._label.querySelectorAll('b').length).to.be.eql(0);
+        expect(control._label.textContent).to.be.eql('<b>0</b>');
+    });
+
+    it('add by map option', function () {
+        map.remove();
+        map = new maptalks.Map(container, {
+            zoom: 17,
+            center: center,
+            timeSliderControl : {
+                start : '2017-01-01T00:00:00.000Z',
+                end : '2017-02-01T00:00:00.000Z'
+            }
+        });
+        expect(map.timeSliderControl).to.be.a(maptalks.control.TimeSlider);
+        expect(map.getTimeRange()).to.be.eql([Date.UTC(2017, 0, 1), Date.UTC(2017, 0, 1)]);
+        expect(map.timeSliderControl._label.textContent).to.be.eql('2017-01-01T00:00:00.000Z');
+    });
+
+    it('slide through map\'s time range by map option', function () {
+        map.remove();
+        map = new maptalks.Map(container, {
+            zoom: 17,
+            center: center,
+            timeRange : [Date.UTC(2017, 0, 1), Date.UTC(2017, 1, 1)],
+            timeSliderControl : true
+        });
+        var control = map.timeSliderControl;
+        expect(control).to.be.a(maptalks.control.TimeSlider);
+        expect(+control._slider.min).to.be.eql(Date.UTC(2017, 0, 1));
+        expect(+control._slider.max).to.be.eql(Date.UTC(2017, 1, 1));
+        expect(control.getTime()).to.be.eql(Date.UTC(2017, 1, 1));
+    });
+});
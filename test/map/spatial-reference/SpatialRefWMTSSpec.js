@@ -0,0 +1,105 @@
+describe('#SpatialReference.WMTS', function () {
+    var url = '/resources/wmts-capabilities.xml';
+
+    it('load from url with RESTful encoding', function (done) {
+        maptalks.SpatialReference.loadWMTS(url, function (err, conf) {
+            expect(err).to.be(null);
+            expect(conf.spatialReference.projection).to.be.eql('EPSG:3857');
+            expect(conf.spatialReference.resolutions.length).to.be.eql(4);
+            expect(conf.spatialReference.resolutions[0]).to.be.approx(156543.0339, 1E-4);
+            expect(conf.spatialReference.resolutions[3]).to.be.approx(19567.8792, 1E-4);
+            expect(conf.spatialReference.fullExtent.left).to.be.approx(-20037508.3428, 1E-4);
+            expect(conf.spatialReference.fullExtent.bottom).to.be.approx(-20037508.3428, 1E-4);
+            expect(conf.tileSystem).to.be.eql([1, -1, -20037508.3427892, 20037508.3427892]);
+            expect(conf.tileSize).to.be.eql([256, 256]);
+            expect(conf.tileMatrixIds).to.be.eql(['EPSG:3857:0', 'EPSG:3857:1', 'EPSG:3857:2', 'EPSG:3857:3']);
+            expect(conf.urlTemplate).to.be.eql('http://localhost/wmts/roads/default/EPSG:3857/{z}/{y}/{x}.png');
+            done();
+        });
+    });
+
+    it('load with KVP encoding and EPSG:4326', function (done) {
+        maptalks.SpatialReference.loadWMTS(url, {
+            layer : 'roads',
+            tileMatrixSet : 'EPSG:4326',
+            style : 'night',
+            requestEncoding : 'KVP'
+        }, function (err, conf) {
+            expect(err).to.be(null);
+            expect(conf.spatialReference.projection).to.be.eql('EPSG:4326');
+            expect(conf.spatialReference.resolutions).to.be.eql([0.703125, 0.3515625, 0.17578125]);
+            // axis order of TopLeftCorner in EPSG:4326 is latitude, longitude
+            expect(conf.spatialReference.fullExtent).to.be.eql({ left : -180, top : 90, right : 180, bottom : -90 });
+            expect(conf.tileSystem).to.be.eql([1, -1, -180, 90]);
+            expect(conf.urlTemplate).to.be.eql('http://localhost/wmts?SERVICE=WMTS&REQUEST=GetTile&VERSION=1.0.0&LAYER=roads&STYLE=night&TILEMATRIXSET=EPSG%3A4326&FORMAT=image%2Fpng&TILEMATRIX={z}&TILEROW={y}&TILECOL={x}');
+            done();
+        });
+    });
+
+    it('load from xml string', function (done) {
+        maptalks.Ajax.get(url, function (e, xml) {
+            expect(e).not.to.be.ok();
+            maptalks.SpatialReference.loadWMTS(xml, { layer : 'boundaries' }, function (err, conf) {
+                expect(err).to.be(null);
+                // no ResourceURL, KVP is used
+                expect(conf.urlTemplate.indexOf('LAYER=boundaries')).to.be.above(0);
+                expect(conf.tileMatrixIds).to.be.eql(['0', '1', '2']);
+                done();
+            });
+        });
+    });
+
+    it('load a geographic CRS by the unit of its projection', function (done) {
+        maptalks.projection.registerProjection('EPSG:4490', maptalks.CRS.EPSG4490);
+        maptalks.Ajax.get(url, function (e, xml) {
+            expect(e).not.to.be.ok();
+            xml = xml.replace('urn:ogc:def:crs:EPSG::4326', 'urn:ogc:def:crs:EPSG::4490');
+            maptalks.SpatialReference.loadWMTS(xml, { layer : 'boundaries' }, function (err, conf) {
+                expect(err).to.be(null);
+                expect(conf.spatialReference.projection).to.be.eql('EPSG:4490');
+                expect(conf.spatialReference.resolutions).to.be.eql([0.703125, 0.3515625, 0.17578125]);
+                expect(conf.tileSystem).to.be.eql([1, -1, -180, 90]);
+                done();
+            });
+        });
+    });
+
+    it('error with an unregistered projection', function (done) {
+        maptalks.Ajax.get(url, function (e, xml) {
+            expect(e).not.to.be.ok();
+            xml = xml.replace('urn:ogc:def:crs:EPSG::4326', 'urn:ogc:def:crs:EPSG::4269');
+            maptalks.SpatialReference.loadWMTS(xml, { layer : 'boundaries' }, function (err) {
+                expect(err).to.be.ok();
+                expect(err.message).to.contain('EPSG:4269');
+                done();
+            });
+        });
+    });
+
+    it('error with tile matrices of different origins', function (done) {
+        maptalks.Ajax.get(url, function (e, xml) {
+            expect(e).not.to.be.ok();
+            xml = xml.replace('<TopLeftCorner>90.0 -180.0</TopLeftCorner>', '<TopLeftCorner>90.0 -100.0</TopLeftCorner>');
+            maptalks.SpatialReference.loadWMTS(xml, { layer : 'boundaries' }, function (err) {
+                expect(err).to.be.ok();
+                expect(err.message).to.contain('TopLeftCorner');
+                done();
+            });
+        });
+    });
+
+    it('error with an unknown layer', function (done) {
+        maptalks.SpatialReference.loadWMTS(url, { layer : 'not-exist' }, function (err, conf) {
+            expect(err).to.be.ok();
+            expect(conf).not.to.be.ok();
+            done();
+        });
+    });
+
+    it('error with an unsupported tile matrix set', function (done) {
+        maptalks.SpatialReference.loadWMTS(url, { layer : 'boundaries', tileMatrixSet : 'EPSG:3857' }, function (err) {
+            expect(err).to.be.ok();
+            done();
+        });
+    });
+});
@@ -201,6 +201,64 @@ describe('#DrawTool', function () {
         });
     });
 
+    describe('snap', function () {
+        it('snap to vertices and edges of geometries nearby', function (done) {
+            var c = map.getCenter();
+            var polygon = new maptalks.Polygon([[c, c.add(0.01, 0), c.add(0.01, 0.01), c.add(0, 0.01)]]);
+            new maptalks.VectorLayer('snap', polygon).addTo(map);
+            var drawTool = new maptalks.DrawTool({
+                mode : 'LineString',
+                snap : {
+                    layers : ['snap'],
+                    tolerance : 10
+                }
+            }).addTo(map);
+            drawTool.on('drawend', function (param) {
+                var coordinates = param.geometry.getCoordinates();
+                expect(coordinates).to.have.length(3);
+                //snapped to the vertex
+                expect(coordinates[0]).to.be.closeTo(c);
+                //snapped to the bottom edge
+                expect(coordinates[2].y).to.be.approx(c.y);
+                expect(coordinates[2].x).to.be.approx(c.x + 0.003, 1E-4);
+                done();
+            });
+            var domPosition = GET_PAGE_POSITION(container);
+            var point = map.coordinateToContainerPoint(c).add(domPosition);
+            var edgePoint = map.coordinateToContainerPoint(c.add(0.003, 0)).add(domPosition);
+            happen.click(eventContainer, {
+                'clientX':point.x + 3,
+                'clientY':point.y + 2
+            });
+            happen.click(eventContainer, {
+                'clientX':point.x - 50,
+                'clientY':point.y + 50
+            });
+            happen.dblclick(eventContainer, {
+                'clientX':edgePoint.x,
+                'clientY':edgePoint.y + 4
+            });
+        });
+
+        it('snap is disabled by default', function (done) {
+            var c = map.getCenter();
+            new maptalks.VectorLayer('snap', new maptalks.Marker(c)).addTo(map);
+            var drawTool = new maptalks.DrawTool({
+                mode : 'Point'
+            }).addTo(map);
+            drawTool.on('drawend', function (param) {
+                expect(param.geometry.getCoordinates()).not.to.be.closeTo(c);
+                done();
+            });
+            var domPosition = GET_PAGE_POSITION(container);
+            var point = map.coordinateToContainerPoint(c).add(domPosition);
+            happen.click(eventContainer, {
+                'clientX':point.x + 3,
+                'clientY':point.y + 2
+            });
+        });
+    });
+
     describe('common methods', function () {
         it('enable/disable', function () {
             var drawTool = new maptalks.DrawTool({